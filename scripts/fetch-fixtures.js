@@ -12,6 +12,7 @@ import { fileURLToPath } from "url";
 import { buildLlmRequestPayload } from "../src/llm/requestBuilder.js";
 import { requestOptimization } from "../src/llm/optimizerClient.js";
 import { loadConfig } from "../src/config.js";
+import { getProvider } from "../src/llm/providers/index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const FIXTURES_DIR = path.join(__dirname, "../test/fixtures/real-responses");
@@ -147,7 +148,7 @@ const scenarios = [
   },
 ];
 
-async function fetchScenario(scenario) {
+async function fetchScenario(scenario, config) {
   console.log(`\n📡 Fetching: ${scenario.name}`);
   console.log(`   ${scenario.description}`);
 
@@ -157,18 +158,16 @@ async function fetchScenario(scenario) {
     plateImages: [],
   });
 
-  const config = loadConfig();
-
-  if (!config.apiKey) {
-    throw new Error("No API key found. Set OPENAI_API_KEY in .env file.");
-  }
-
   const logger = {
     debug: (msg) => console.log(`   [debug] ${msg}`),
   };
 
   try {
-    const response = await requestOptimization({ payload, config, logger });
+    const { response } = await requestOptimization({
+      payload,
+      config,
+      logger,
+    });
     return response;
   } catch (error) {
     console.error(`   ❌ Error: ${error.message}`);
@@ -178,13 +177,20 @@ async function fetchScenario(scenario) {
 
 async function main() {
   console.log("🚀 Fetching real LLM responses for test fixtures...\n");
-  console.log(`   API Base: ${process.env.OPENAI_BASE_URL || "default"}`);
-  console.log(`   Model: ${process.env.OPENAI_MODEL || "gpt-4.1-mini"}`);
+  // Fixtures must come from the provider, never from the response cache.
+  const config = loadConfig({ cache: false });
+  if (!config.apiKey) {
+    const { env } = getProvider(config.provider);
+    throw new Error(`No API key found. Set ${env.apiKey} in .env file.`);
+  }
+  console.log(`   Provider: ${config.provider}`);
+  console.log(`   API Base: ${config.baseURL || "default"}`);
+  console.log(`   Model: ${config.model}`);
 
   const results = {};
 
   for (const scenario of scenarios) {
-    const response = await fetchScenario(scenario);
+    const response = await fetchScenario(scenario, config);
     if (response) {
       results[scenario.name] = {
         scenario: {
@@ -0,0 +1,284 @@
+import { XMLParser } from "fast-xml-parser";
+
+const MODEL_PATH = "3D/3dmodel.model";
+
+const SLENDER_RATIO = 4;
+const IDENTITY_TRANSFORM = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+const UNIT_SCALE_MM = {
+  micron: 0.001,
+  millimeter: 1,
+  centimeter: 10,
+  inch: 25.4,
+  foot: 304.8,
+  meter: 1000,
+};
+const ARRAY_NODES = new Set([
+  "object",
+  "vertex",
+  "triangle",
+  "component",
+  "item",
+]);
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  removeNSPrefix: true,
+  parseAttributeValue: false,
+  isArray: (name) => ARRAY_NODES.has(name),
+});
+
+/**
+ * @typedef {object} ObjectGeometry
+ * @property {number[]} bounding_box_mm `[x, y, z]` size of the axis-aligned bounding box.
+ * @property {number} max_dimension_mm
+ * @property {number} min_dimension_mm
+ * @property {number | null} height_to_min_footprint_ratio
+ * @property {boolean} is_slender
+ * @property {number} [triangle_count]
+ * @property {number} [volume_mm3]
+ * @property {number} [footprint_mm2] XY area of the bounding box.
+ * @property {number} [surface_area_mm2] Total mesh surface area.
+ */
+
+/**
+ * @typedef {object} ModelObject
+ * @property {string} objectId Build item object id from `3D/3dmodel.model`.
+ * @property {string} name
+ * @property {number} instanceCount Number of build items referencing the object.
+ * @property {ObjectGeometry | null} geometry
+ */
+
+/**
+ * Compute per-object geometry from the 3MF core model.
+ *
+ * Reads `3D/3dmodel.model`, follows components into referenced model files
+ * (e.g. `3D/Objects/*.model`) and applies component and build transforms so
+ * bounding boxes reflect the object as placed on the plate.
+ *
+ * @param {any} zip JSZip instance for the archive.
+ * @returns {Promise<ModelObject[]>} Empty when the archive has no core model.
+ */
+export async function readModelGeometry(zip) {
+  const context = { zip, models: new Map() };
+  const root = await loadModel(context, MODEL_PATH);
+  if (!root) return [];
+
+  const objects = new Map();
+  for (const item of root.buildItems) {
+    const objectId = item["@_objectid"];
+    const existing = objects.get(objectId);
+    if (existing) {
+      existing.instanceCount += 1;
+      continue;
+    }
+    const stats = createStats();
+    await collectMeshes(
+      context,
+      { path: MODEL_PATH, objectId, stats },
+      parseTransform(item["@_transform"]),
+    );
+    const object = root.objects.get(objectId);
+    objects.set(objectId, {
+      objectId,
+      name: object?.["@_name"] ?? `Object ${objectId}`,
+      instanceCount: 1,
+      geometry: buildGeometryFromStats(stats, root.scale),
+    });
+  }
+  return Array.from(objects.values());
+}
+
+/**
+ * Derive geometry hints from a bounding box size.
+ *
+ * @param {number[] | undefined} bounding `[x, y, z]` in millimeters.
+ * @param {object} [extras] Additional fields merged into the result.
+ * @returns {ObjectGeometry | null}
+ */
+export function buildGeometryFromBounding(bounding, extras = {}) {
+  if (!bounding) {
+    return null;
+  }
+  const [x, y, z] = bounding;
+  const maxDimension = Math.max(x, y, z);
+  const minDimension = Math.min(x, y, z);
+  const ratio = minDimension === 0 ? null : z / minDimension;
+  return {
+    bounding_box_mm: bounding,
+    max_dimension_mm: maxDimension,
+    min_dimension_mm: minDimension,
+    height_to_min_footprint_ratio: ratio,
+    is_slender: ratio ? ratio > SLENDER_RATIO : false,
+    ...extras,
+  };
+}
+
+async function loadModel(context, entryPath) {
+  if (context.models.has(entryPath)) return context.models.get(entryPath);
+
+  const file = context.zip.file(entryPath);
+  const content = file ? await file.async("string") : null;
+  const model = content ? xmlParser.parse(content).model : null;
+  const loaded = model
+    ? {
+        scale: UNIT_SCALE_MM[model["@_unit"]] ?? 1,
+        objects: new Map(
+          (model.resources?.object ?? []).map((object) => [
+            object["@_id"],
+            object,
+          ]),
+        ),
+        buildItems: model.build?.item ?? [],
+      }
+    : null;
+  context.models.set(entryPath, loaded);
+  return loaded;
+}
+
+/**
+ * Add the meshes of an object and its components to `stats`. `ancestors`
+ * holds the objects on the current component path; a component referring
+ * back to one of them is skipped instead of recursing forever.
+ */
+async function collectMeshes(
+  context,
+  { path, objectId, stats, ancestors = new Set() },
+  transform,
+) {
+  const model = await loadModel(context, path);
+  const object = model?.objects.get(objectId);
+  const key = `${path}#${objectId}`;
+  if (!object || ancestors.has(key)) return;
+
+  if (object.mesh) {
+    addMesh(stats, object.mesh, transform);
+  }
+  const onPath = new Set(ancestors).add(key);
+  for (const component of object.components?.component ?? []) {
+    const componentPath = component["@_path"]
+      ? component["@_path"].replace(/^\//, "")
+      : path;
+    await collectMeshes(
+      context,
+      {
+        path: componentPath,
+        objectId: component["@_objectid"],
+        stats,
+        ancestors: onPath,
+      },
+      multiplyTransforms(parseTransform(component["@_transform"]), transform),
+    );
+  }
+}
+
+function createStats() {
+  return {
+    min: [Infinity, Infinity, Infinity],
+    max: [-Infinity, -Infinity, -Infinity],
+    triangleCount: 0,
+    volume: 0,
+    area: 0,
+  };
+}
+
+function addMesh(stats, mesh, transform) {
+  const vertices = (mesh.vertices?.vertex ?? []).map((vertex) => {
+    const point = applyTransform(transform, [
+      Number(vertex["@_x"]),
+      Number(vertex["@_y"]),
+      Number(vertex["@_z"]),
+    ]);
+    for (let axis = 0; axis < 3; axis += 1) {
+      stats.min[axis] = Math.min(stats.min[axis], point[axis]);
+      stats.max[axis] = Math.max(stats.max[axis], point[axis]);
+    }
+    return point;
+  });
+
+  for (const triangle of mesh.triangles?.triangle ?? []) {
+    const a = vertices[Number(triangle["@_v1"])];
+    const b = vertices[Number(triangle["@_v2"])];
+    const c = vertices[Number(triangle["@_v3"])];
+    if (!a || !b || !c) continue;
+    stats.triangleCount += 1;
+    stats.volume += signedTetrahedronVolume(a, b, c);
+    stats.area += triangleArea(a, b, c);
+  }
+}
+
+function signedTetrahedronVolume(a, b, c) {
+  return (
+    (a[0] * (b[1] * c[2] - b[2] * c[1]) -
+      a[1] * (b[0] * c[2] - b[2] * c[0]) +
+      a[2] * (b[0] * c[1] - b[1] * c[0])) /
+    6
+  );
+}
+
+function triangleArea(a, b, c) {
+  const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  return (
+    Math.hypot(
+      u[1] * v[2] - u[2] * v[1],
+      u[2] * v[0] - u[0] * v[2],
+      u[0] * v[1] - u[1] * v[0],
+    ) / 2
+  );
+}
+
+function buildGeometryFromStats(stats, scale) {
+  if (stats.min[0] === Infinity) return null;
+  const size = stats.max.map((max, axis) =>
+    round((max - stats.min[axis]) * scale),
+  );
+  return buildGeometryFromBounding(size, {
+    triangle_count: stats.triangleCount,
+    volume_mm3: round(Math.abs(stats.volume) * scale ** 3),
+    footprint_mm2: round(size[0] * size[1]),
+    surface_area_mm2: round(stats.area * scale ** 2),
+  });
+}
+
+/**
+ * Parse a 3MF `transform` attribute (12 numbers, row-vector convention).
+ */
+function parseTransform(value) {
+  if (typeof value !== "string") return IDENTITY_TRANSFORM;
+  const numbers = value.trim().split(/\s+/).map(Number);
+  if (numbers.length !== 12 || numbers.some((n) => !Number.isFinite(n))) {
+    return IDENTITY_TRANSFORM;
+  }
+  return numbers;
+}
+
+function applyTransform(m, [x, y, z]) {
+  return [
+    x * m[0] + y * m[3] + z * m[6] + m[9],
+    x * m[1] + y * m[4] + z * m[7] + m[10],
+    x * m[2] + y * m[5] + z * m[8] + m[11],
+  ];
+}
+
+/**
+ * Compose two transforms so that `inner` is applied first, then `outer`.
+ */
+function multiplyTransforms(inner, outer) {
+  const result = [];
+  for (let row = 0; row < 4; row += 1) {
+    for (let col = 0; col < 3; col += 1) {
+      const translation = row === 3 ? outer[9 + col] : 0;
+      result.push(
+        inner[row * 3] * outer[col] +
+          inner[row * 3 + 1] * outer[3 + col] +
+          inner[row * 3 + 2] * outer[6 + col] +
+          translation,
+      );
+    }
+  }
+  return result;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,116 @@
+import fs from "fs";
+import { FileFormatError } from "../errors.js";
+import { toReportWarnings } from "../utils/reporter.js";
+
+export const HISTORY_PATH = "Metadata/slicer_copilot/history.json";
+export const HISTORY_VERSION = 1;
+
+const TOOL_VERSION = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8"),
+).version;
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {number} run One-based run number within the file.
+ * @property {string} createdAt ISO timestamp.
+ * @property {string} toolVersion Slicer Copilot version that wrote the file.
+ * @property {"optimize" | "apply"} command
+ * @property {string | null} provider
+ * @property {string | null} model `null` when the changes came from a saved plan that predates recording it.
+ * @property {object | null} intent
+ * @property {Array<{scope: string, target: any, parameter: string, from: any, to: any, reason: string}>} changes Diffs written to the file.
+ * @property {string | null} rationale
+ * @property {import("../utils/reporter.js").ReportWarning[]} warnings
+ * @property {{ fileName: string, sha256: string }} source The `.3mf` the run read.
+ */
+
+/**
+ * Build the history entry for one run. The run number is assigned when the
+ * entry is appended.
+ *
+ * @param {object} params
+ * @param {"optimize" | "apply"} params.command
+ * @param {{ provider?: string, model?: string } | null} [params.llm]
+ * @param {object | null} [params.intent]
+ * @param {HistoryEntry["changes"]} params.changes
+ * @param {string | null} [params.rationale]
+ * @param {Array<string | { category?: string, message: string }>} [params.warnings]
+ * @param {HistoryEntry["source"]} params.source
+ * @returns {Omit<HistoryEntry, "run">}
+ */
+export function createHistoryEntry({
+  command,
+  llm = null,
+  intent = null,
+  changes,
+  rationale = null,
+  warnings = [],
+  source,
+}) {
+  return {
+    createdAt: new Date().toISOString(),
+    toolVersion: TOOL_VERSION,
+    command,
+    provider: llm?.provider ?? null,
+    model: llm?.model ?? null,
+    intent,
+    changes,
+    rationale,
+    warnings: toReportWarnings(warnings),
+    source,
+  };
+}
+
+/**
+ * Read the optimization history stored in a `.3mf` archive.
+ *
+ * @param {import("jszip")} zip
+ * @returns {Promise<HistoryEntry[]>} Empty when the project was never optimized.
+ */
+export async function readHistory(zip) {
+  const file = zip.file(HISTORY_PATH);
+  if (!file) return [];
+  let raw;
+  try {
+    raw = JSON.parse(await file.async("string"));
+  } catch (error) {
+    throw new FileFormatError({
+      path: HISTORY_PATH,
+      message: `Failed to read ${HISTORY_PATH}: ${error.message}`,
+    });
+  }
+  if (raw?.version !== HISTORY_VERSION || !Array.isArray(raw.runs)) {
+    throw new FileFormatError({
+      path: HISTORY_PATH,
+      message: `Unsupported history format in ${HISTORY_PATH}`,
+    });
+  }
+  return raw.runs;
+}
+
+/**
+ * Append a run to the archive's history, keeping the runs of earlier
+ * optimizations of the same file.
+ *
+ * @param {import("jszip")} zip
+ * @param {Omit<HistoryEntry, "run">} entry
+ * @returns {Promise<HistoryEntry[]>} The updated history.
+ */
+export async function appendHistory(zip, entry) {
+  const runs = await readHistory(zip);
+  const next = [...runs, { run: runs.length + 1, ...entry }];
+  zip.file(
+    HISTORY_PATH,
+    `${JSON.stringify({ version: HISTORY_VERSION, runs: next }, null, 2)}\n`,
+  );
+  return next;
+}
+
+/**
+ * @param {HistoryEntry[]} runs
+ * @param {number} run
+ * @returns {HistoryEntry | null}
+ */
+export function findHistoryRun(runs, run) {
+  return runs.find((entry) => entry.run === run) ?? null;
+}
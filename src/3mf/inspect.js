@@ -0,0 +1,39 @@
+/**
+ * @typedef {object} InspectReport
+ * @property {string} fileName
+ * @property {{ metadata: string | null, config: string | null, modelSettings: string | null }} sources
+ *   Archive entries the parser read; `config` is the entry chosen by the config merge.
+ * @property {string[]} userModifiedSettings
+ * @property {Array<{ plateIndex: number | null, name: string }>} plateImages
+ * @property {object} normalized
+ * @property {object | null} [rawConfig] Included only when requested.
+ */
+
+/**
+ * Describe what the parser understood about a project, without the archive
+ * handle or image payloads.
+ *
+ * @param {import("./parser.js").Parsed3mf} parsed
+ * @param {{ rawConfig?: boolean }} [options]
+ * @returns {InspectReport}
+ */
+export function buildInspectReport(parsed, { rawConfig = false } = {}) {
+  const report = {
+    fileName: parsed.fileName,
+    sources: {
+      metadata: parsed.metadataPath,
+      config: parsed.configPath,
+      modelSettings: parsed.modelSettingsPath ?? null,
+    },
+    userModifiedSettings: parsed.normalized.userModifiedSettings ?? [],
+    plateImages: parsed.plateImages.map(({ plateIndex, name }) => ({
+      plateIndex,
+      name,
+    })),
+    normalized: parsed.normalized,
+  };
+  if (rawConfig) {
+    report.rawConfig = parsed.configData;
+  }
+  return report;
+}
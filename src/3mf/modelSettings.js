@@ -0,0 +1,160 @@
+import { XMLBuilder, XMLParser } from "fast-xml-parser";
+
+export const MODEL_SETTINGS_PATH = "Metadata/model_settings.config";
+
+const XML_OPTIONS = {
+  ignoreAttributes: false,
+  preserveOrder: true,
+  parseAttributeValue: false,
+  format: true,
+  indentBy: "  ",
+  suppressEmptyNode: true,
+};
+const OBJECT_RESERVED_KEYS = new Set(["name"]);
+const PLATE_RESERVED_KEYS = new Set(["plater_id", "plater_name"]);
+
+/**
+ * @typedef {object} ModelSettingsObject
+ * @property {string} id Object id matching `3D/3dmodel.model`.
+ * @property {string | null} name
+ * @property {Record<string, string>} config Per-object Bambu config overrides.
+ */
+
+/**
+ * @typedef {object} ModelSettingsPlate
+ * @property {number} index Zero-based plate index.
+ * @property {string} name
+ * @property {string[]} objectIds Objects placed on the plate (first instance order).
+ * @property {Record<string, string>} config Other plate metadata (bed type, print sequence, thumbnails, ...).
+ */
+
+/**
+ * @typedef {object} ModelSettings
+ * @property {Map<string, ModelSettingsObject>} objects
+ * @property {ModelSettingsPlate[]} plates
+ */
+
+/**
+ * Parse Bambu Studio `Metadata/model_settings.config` XML.
+ *
+ * @param {string} xml
+ * @returns {ModelSettings}
+ */
+export function parseModelSettings(xml) {
+  const config = findConfigNode(new XMLParser(XML_OPTIONS).parse(xml));
+  const objects = new Map();
+  const plates = [];
+
+  for (const node of config) {
+    if (node.object) {
+      const object = readObject(node);
+      objects.set(object.id, object);
+    }
+    if (node.plate) {
+      plates.push(readPlate(node.plate, plates.length));
+    }
+  }
+  return { objects, plates };
+}
+
+/**
+ * Write per-object and per-plate config values back into
+ * `model_settings.config` XML.
+ *
+ * Existing `<metadata>` entries are updated in place; new keys are inserted
+ * after the object's (or plate's) last metadata entry. Everything else is
+ * preserved.
+ *
+ * @param {string} xml
+ * @param {Map<string, Record<string, string>>} configByObjectId
+ * @param {Map<number, Record<string, string>>} [configByPlateIndex] Keyed by zero-based plate index.
+ * @returns {string}
+ */
+export function updateModelSettings(
+  xml,
+  configByObjectId,
+  configByPlateIndex = new Map(),
+) {
+  const tree = new XMLParser(XML_OPTIONS).parse(xml);
+  let platePosition = 0;
+  for (const node of findConfigNode(tree)) {
+    const updates = node.object && configByObjectId.get(node[":@"]?.["@_id"]);
+    if (updates) {
+      writeMetadata(node.object, updates);
+    }
+    if (node.plate) {
+      const { index } = readPlate(node.plate, platePosition);
+      platePosition += 1;
+      const plateUpdates = configByPlateIndex.get(index);
+      if (plateUpdates) writeMetadata(node.plate, plateUpdates);
+    }
+  }
+  return new XMLBuilder(XML_OPTIONS).build(tree);
+}
+
+function findConfigNode(tree) {
+  return tree.find((node) => node.config)?.config ?? [];
+}
+
+function readObject(node) {
+  const metadata = readMetadata(node.object);
+  const config = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (!OBJECT_RESERVED_KEYS.has(key)) config[key] = value;
+  }
+  return { id: node[":@"]?.["@_id"], name: metadata.name ?? null, config };
+}
+
+function readPlate(children, position) {
+  const metadata = readMetadata(children);
+  const platerId = Number.parseInt(metadata.plater_id, 10);
+  const index = Number.isFinite(platerId) ? platerId - 1 : position;
+  const objectIds = [];
+  for (const node of children) {
+    if (!node.model_instance) continue;
+    const objectId = readMetadata(node.model_instance).object_id;
+    if (objectId !== undefined && !objectIds.includes(objectId)) {
+      objectIds.push(objectId);
+    }
+  }
+  const config = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (!PLATE_RESERVED_KEYS.has(key)) config[key] = value;
+  }
+  return {
+    index,
+    name: metadata.plater_name || `Plate ${index + 1}`,
+    objectIds,
+    config,
+  };
+}
+
+function readMetadata(children) {
+  const metadata = {};
+  for (const node of children) {
+    const key = node.metadata && node[":@"]?.["@_key"];
+    if (key) metadata[key] = node[":@"]["@_value"] ?? "";
+  }
+  return metadata;
+}
+
+function writeMetadata(children, updates) {
+  let insertAt = 0;
+  children.forEach((node, index) => {
+    if (node.metadata) insertAt = index + 1;
+  });
+  for (const [key, value] of Object.entries(updates)) {
+    const existing = children.find(
+      (node) => node.metadata && node[":@"]?.["@_key"] === key,
+    );
+    if (existing) {
+      existing[":@"]["@_value"] = value;
+      continue;
+    }
+    children.splice(insertAt, 0, {
+      metadata: [],
+      ":@": { "@_key": key, "@_value": value },
+    });
+    insertAt += 1;
+  }
+}
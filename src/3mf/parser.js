@@ -6,7 +6,25 @@ import {
   DEFAULT_SPEEDS,
 } from "../constants.js";
 import { FileFormatError } from "../errors.js";
-import { mapConfigToSettings, numberOrNull } from "./configMapping.js";
+import {
+  PLATE_SETTING_KEYS,
+  countFilamentSlots,
+  mapConfigToSettings,
+  mapFilamentSettings,
+  mapMaterialFamily,
+  numberOrNull,
+  slotValue,
+} from "./configMapping.js";
+import { buildGeometryFromBounding, readModelGeometry } from "./geometry.js";
+import { MODEL_SETTINGS_PATH, parseModelSettings } from "./modelSettings.js";
+import {
+  PLATE_GCODE_PATTERN,
+  SLICE_INFO_PATH,
+  buildSliceResults,
+  parseGcodeHeader,
+  parseSliceInfo,
+  readGcodeComments,
+} from "./sliceInfo.js";
 import { makeObjectKey } from "../utils/objectOverrides.js";
 
 const METADATA_CANDIDATES = [
@@ -30,6 +48,7 @@ const METADATA_CANDIDATES = [
  * @property {object} metadata
  * @property {string | null} configPath
  * @property {object | null} configData
+ * @property {string | null} modelSettingsPath Path of `model_settings.config` when present.
  * @property {PlateImage[]} plateImages
  * @property {object} normalized Normalized project/settings model for optimization.
  */
@@ -64,7 +83,16 @@ export async function parse3mfBuffer(buffer, fileName = "project.3mf") {
     metadataPath,
   );
   const plateImages = await collectPlateImages(zip);
-  const normalized = buildNormalized(metadata, fileName, configData);
+  const modelSettings = await readModelSettings(zip);
+  const modelObjects = await readModelGeometry(zip);
+  const sliceResults = await readSliceResults(zip);
+  const normalized = buildNormalized({
+    metadata,
+    fileName,
+    configData,
+    model: { objects: modelObjects, settings: modelSettings },
+    sliceResults,
+  });
 
   return {
     fileName,
@@ -73,6 +101,7 @@ export async function parse3mfBuffer(buffer, fileName = "project.3mf") {
     metadata,
     configPath,
     configData,
+    modelSettingsPath: modelSettings ? MODEL_SETTINGS_PATH : null,
     plateImages,
     normalized,
   };
@@ -110,6 +139,8 @@ async function mergeConfigFromZip(zip, metadata, metadataPath) {
     return { configPath: null, configData: null };
   }
   for (const configPath of candidates) {
+    // Bambu Studio also stores XML documents (model_settings, slice_info) as .config
+    if (await isXmlEntry(zip, configPath)) continue;
     const config = await readJson(zip, configPath);
     if (!config || typeof config !== "object") continue;
     if (!isConfigUseful(config)) continue;
@@ -120,6 +151,38 @@ async function mergeConfigFromZip(zip, metadata, metadataPath) {
   return { configPath: null, configData: null };
 }
 
+async function isXmlEntry(zip, entryPath) {
+  const content = await zip.file(entryPath).async("string");
+  return content.trimStart().startsWith("<");
+}
+
+async function readModelSettings(zip) {
+  const file = zip.file(MODEL_SETTINGS_PATH);
+  if (!file) return null;
+  return parseModelSettings(await file.async("string"));
+}
+
+/**
+ * Slicer predictions saved with a sliced project: `slice_info.config` and,
+ * when the G-code is embedded, the `plate_N.gcode` header comments.
+ */
+async function readSliceResults(zip) {
+  const sliceInfoFile = zip.file(SLICE_INFO_PATH);
+  const sliceInfo = sliceInfoFile
+    ? parseSliceInfo(await sliceInfoFile.async("string"))
+    : [];
+  const gcodeHeaders = new Map();
+  for (const entryPath of Object.keys(zip.files)) {
+    const match = entryPath.match(PLATE_GCODE_PATTERN);
+    if (!match) continue;
+    const header = parseGcodeHeader(
+      await readGcodeComments(zip.file(entryPath)),
+    );
+    if (header) gcodeHeaders.set(Number.parseInt(match[1], 10) - 1, header);
+  }
+  return buildSliceResults({ sliceInfo, gcodeHeaders });
+}
+
 function findConfigCandidates(zip, metadataPath) {
   return Object.keys(zip.files).filter((name) => {
     if (metadataPath && name === metadataPath) return false;
@@ -156,38 +219,8 @@ function applyConfig(metadata, config) {
     metadata.printer.nozzle_diameter_mm;
   metadata.printer.bed_type = config.curr_bed_type ?? metadata.printer.bed_type;
 
-  const filamentType = config.filament_type?.[0];
-  const material_family = mapMaterialFamily(filamentType);
-  // Prefer filament_settings_id (e.g., "Bambu PETG HF @BBL H2S") over vendor+type
-  // This preserves critical info like "HF" (High Flow) variants
-  const filamentSettingsId = config.filament_settings_id?.[0];
-  const filamentName =
-    filamentSettingsId ||
-    [config.filament_vendor, filamentType].filter(Boolean).join(" ").trim() ||
-    "Unknown filament";
-
-  if (metadata.filaments && metadata.filaments.length > 0) {
-    // Update existing filaments with better name from config if available
-    if (filamentSettingsId) {
-      metadata.filaments[0].name = filamentSettingsId;
-    }
-    if (material_family && material_family !== "Other") {
-      metadata.filaments[0].material_family = material_family;
-    }
-  } else {
-    metadata.filaments = [
-      {
-        id: "0",
-        name: filamentName,
-        material_family,
-        color: config.filament_colour?.[0],
-        nozzle_temp_recommended_range_c: [
-          numberOrNull(config.nozzle_temperature_range_low?.[0]),
-          numberOrNull(config.nozzle_temperature_range_high?.[0]),
-        ].filter((v) => v !== null),
-      },
-    ];
-  }
+  metadata.filaments = mergeFilamentSlots(metadata.filaments ?? [], config);
+  metadata.filament_settings = mapFilamentSettings(config);
 
   metadata.quality_preset =
     config.default_print_profile ?? metadata.quality_preset ?? null;
@@ -195,26 +228,66 @@ function applyConfig(metadata, config) {
   metadata.settings = mapConfigToSettings({ config, baseSettings: settings });
 }
 
-function mapMaterialFamily(type) {
-  if (!type) return "Other";
-  const upper = String(type).toUpperCase();
-  if (upper.includes("PLA")) return "PLA";
-  if (upper.includes("PETG")) return "PETG";
-  if (upper.includes("ABS")) return "ABS";
-  if (upper.includes("ASA")) return "ASA";
-  if (upper.includes("TPU")) return "TPU";
-  if (upper.includes("NYLON")) return "Nylon";
-  if (upper.includes("PC")) return "PC";
-  return "Other";
+function mergeFilamentSlots(filaments, config) {
+  const slots = Math.max(countFilamentSlots(config), filaments.length, 1);
+  return Array.from({ length: slots }, (_, index) =>
+    filaments[index]
+      ? refineFilament(filaments[index], config, index)
+      : describeFilamentSlot(config, index),
+  );
+}
+
+function refineFilament(filament, config, index) {
+  // Update existing filaments with better name from config if available
+  const refined = { ...filament };
+  const settingsId = slotValue(config.filament_settings_id, index);
+  if (settingsId) {
+    refined.name = settingsId;
+  }
+  const family = mapMaterialFamily(slotValue(config.filament_type, index));
+  if (family !== "Other") {
+    refined.material_family = family;
+  }
+  return refined;
 }
 
-function buildNormalized(metadata, fileName, configData) {
+function describeFilamentSlot(config, index) {
+  const filamentType = slotValue(config.filament_type, index);
+  // Prefer filament_settings_id (e.g., "Bambu PETG HF @BBL H2S") over vendor+type
+  // This preserves critical info like "HF" (High Flow) variants
+  const filamentName =
+    slotValue(config.filament_settings_id, index) ||
+    [slotValue(config.filament_vendor, index), filamentType]
+      .filter(Boolean)
+      .join(" ")
+      .trim() ||
+    "Unknown filament";
+  return {
+    id: String(index),
+    name: filamentName,
+    material_family: mapMaterialFamily(filamentType),
+    color: slotValue(config.filament_colour, index),
+    nozzle_temp_recommended_range_c: [
+      numberOrNull(slotValue(config.nozzle_temperature_range_low, index)),
+      numberOrNull(slotValue(config.nozzle_temperature_range_high, index)),
+    ].filter((v) => v !== null),
+  };
+}
+
+function buildNormalized({
+  metadata,
+  fileName,
+  configData,
+  model,
+  sliceResults = [],
+}) {
   const printer = metadata.printer ?? {};
   const filaments = metadata.filaments ?? [];
-  const plates = buildPlates(metadata);
+  const plates = buildPlates(metadata, model);
   const settings = metadata.settings ?? {};
   const globalProcess = buildGlobalProcess(settings);
   const perObjectOverrides = collectOverrides(plates);
+  const perPlateOverrides = collectPlateOverrides(plates);
   const userModifiedSettings = extractUserModifiedSettings(configData);
 
   return {
@@ -238,10 +311,13 @@ function buildNormalized(metadata, fileName, configData) {
       })),
       base_profile: metadata.quality_preset ?? metadata.base_profile ?? null,
       plates,
+      slice_results: sliceResults,
     },
     currentSettings: {
       globalProcess,
       perObjectOverrides,
+      perPlateOverrides,
+      perFilamentSettings: metadata.filament_settings ?? [],
     },
     userModifiedSettings,
   };
@@ -371,10 +447,53 @@ function collectOverrides(plates) {
   return overrides;
 }
 
-function buildPlates(metadata) {
+function collectPlateOverrides(plates) {
+  const overrides = {};
+  for (const plate of plates) {
+    if (plate.settings) {
+      overrides[String(plate.index)] = {
+        ...plate.settings,
+        plateIndex: plate.index,
+      };
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Build plates from (in order of preference) Bambu Studio's
+ * `model_settings.config`, `metadata.plates`, or a single plate holding every
+ * core model object.
+ * Missing geometry is filled from the core model.
+ */
+function buildPlates(metadata, model) {
+  const describe = createModelObjectDescriber(model);
+  const settingsPlates = model.settings?.plates ?? [];
+  if (settingsPlates.length > 0) {
+    return settingsPlates.map((plate) => ({
+      index: plate.index,
+      name: plate.name,
+      objects: plate.objectIds.map((id) => describe(id, plate.index)),
+      settings: mapPlateSettings(plate.config),
+    }));
+  }
+
   const plates = metadata.plates ?? [];
-  if (plates.length === 0) return [];
+  if (plates.length > 0) return buildMetadataPlates(plates, model.objects);
+  if (model.objects.length === 0) return [];
+  return [
+    {
+      index: 0,
+      name: "Plate 1",
+      objects: model.objects.map((object) => describe(object.objectId, 0)),
+    },
+  ];
+}
 
+function buildMetadataPlates(plates, modelObjects) {
+  const geometryByName = new Map(
+    modelObjects.map((object) => [object.name, object.geometry]),
+  );
   return plates.map((plate, index) => ({
     index: plate.index ?? index,
     name: plate.name ?? `Plate ${index + 1}`,
@@ -382,25 +501,56 @@ function buildPlates(metadata) {
       name: object.name ?? "object",
       plateIndex: plate.index ?? index,
       geometry:
-        object.geometry ?? buildGeometryFromBounding(object.bounding_box_mm),
+        object.geometry ??
+        buildGeometryFromBounding(object.bounding_box_mm) ??
+        geometryByName.get(object.name) ??
+        null,
       settings: object.settings,
     })),
+    settings: plate.settings,
   }));
 }
 
-function buildGeometryFromBounding(bounding) {
-  if (!bounding) {
-    return null;
-  }
-  const [x, y, z] = bounding;
-  const maxDimension = Math.max(x, y, z);
-  const minDimension = Math.min(x, y, z);
-  const ratio = minDimension === 0 ? null : z / minDimension;
-  return {
-    bounding_box_mm: bounding,
-    max_dimension_mm: maxDimension,
-    min_dimension_mm: minDimension,
-    height_to_min_footprint_ratio: ratio,
-    is_slender: ratio ? ratio > 4 : false,
+function createModelObjectDescriber(model) {
+  const geometryById = new Map(
+    model.objects.map((object) => [object.objectId, object]),
+  );
+  return (objectId, plateIndex) => {
+    const settingsObject = model.settings?.objects.get(objectId);
+    const modelObject = geometryById.get(objectId);
+    const filamentIndex = readFilamentIndex(settingsObject?.config);
+    return {
+      name: settingsObject?.name ?? modelObject?.name ?? `Object ${objectId}`,
+      objectId,
+      plateIndex,
+      ...(filamentIndex === null ? {} : { filamentIndex }),
+      geometry: modelObject?.geometry ?? null,
+      settings: mapObjectSettings(settingsObject?.config),
+    };
   };
 }
+
+function mapPlateSettings(config) {
+  const settings = Object.fromEntries(
+    PLATE_SETTING_KEYS.filter((key) => config?.[key]).map((key) => [
+      key,
+      config[key],
+    ]),
+  );
+  return Object.keys(settings).length > 0 ? settings : undefined;
+}
+
+/**
+ * Zero-based filament slot assigned to an object (Bambu's `extruder` is
+ * one-based), or `null` when the object has no assignment.
+ */
+function readFilamentIndex(config) {
+  const extruder = Number.parseInt(config?.extruder, 10);
+  return Number.isFinite(extruder) && extruder > 0 ? extruder - 1 : null;
+}
+
+function mapObjectSettings(config) {
+  if (!config) return undefined;
+  const settings = mapConfigToSettings({ config, baseSettings: {} });
+  return Object.keys(settings).length > 0 ? settings : undefined;
+}
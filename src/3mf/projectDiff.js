@@ -0,0 +1,135 @@
+const OVERRIDE_IDENTITY_KEYS = new Set(["plateIndex", "objectName"]);
+const PLATE_IDENTITY_KEYS = new Set(["plateIndex"]);
+const FILAMENT_IDENTITY_KEYS = new Set(["filamentIndex"]);
+
+/**
+ * @typedef {object} ProjectDifference
+ * @property {"global" | "plate" | "object" | "filament" | "config"} scope
+ * @property {any} target `{ objectName, plateIndex }`, `{ plateIndex }`, `{ filamentIndex }` or `null`.
+ * @property {string} parameter Normalized parameter (dotted for nested values) or raw config key.
+ * @property {any} from Value in the first project (`undefined` when absent).
+ * @property {any} to Value in the second project (`undefined` when absent).
+ * @property {string} reason Always empty; keeps the shape accepted by `formatDiffs`.
+ */
+
+/**
+ * Compare two parsed projects.
+ *
+ * Differences are reported for normalized global settings, per-plate
+ * overrides, per-object overrides, per-filament settings, and raw
+ * `project_settings.config` keys, in that order.
+ *
+ * @param {import("./parser.js").Parsed3mf} before
+ * @param {import("./parser.js").Parsed3mf} after
+ * @returns {ProjectDifference[]}
+ */
+export function diffProjects(before, after) {
+  const a = before.normalized.currentSettings;
+  const b = after.normalized.currentSettings;
+  return [
+    ...diffRecords({
+      scope: "global",
+      target: null,
+      from: flattenSettings(a.globalProcess),
+      to: flattenSettings(b.globalProcess),
+    }),
+    ...diffPlateOverrides(a.perPlateOverrides, b.perPlateOverrides),
+    ...diffObjectOverrides(a.perObjectOverrides, b.perObjectOverrides),
+    ...diffFilamentSettings(a.perFilamentSettings, b.perFilamentSettings),
+    ...diffRecords({
+      scope: "config",
+      target: null,
+      from: before.configData ?? {},
+      to: after.configData ?? {},
+    }),
+  ];
+}
+
+function diffPlateOverrides(before = {}, after = {}) {
+  return sortedUnion(before, after).flatMap((key) =>
+    diffRecords({
+      scope: "plate",
+      target: { plateIndex: (before[key] ?? after[key]).plateIndex },
+      from: flattenSettings(omitKeys(before[key], PLATE_IDENTITY_KEYS)),
+      to: flattenSettings(omitKeys(after[key], PLATE_IDENTITY_KEYS)),
+    }),
+  );
+}
+
+function diffObjectOverrides(before = {}, after = {}) {
+  return sortedUnion(before, after).flatMap((key) => {
+    const source = before[key] ?? after[key];
+    return diffRecords({
+      scope: "object",
+      target: { objectName: source.objectName, plateIndex: source.plateIndex },
+      from: flattenSettings(omitKeys(before[key], OVERRIDE_IDENTITY_KEYS)),
+      to: flattenSettings(omitKeys(after[key], OVERRIDE_IDENTITY_KEYS)),
+    });
+  });
+}
+
+function diffFilamentSettings(before = [], after = []) {
+  const byIndex = (entries) =>
+    new Map(entries.map((entry) => [entry.filamentIndex, entry]));
+  const a = byIndex(before);
+  const b = byIndex(after);
+  const indexes = [...new Set([...a.keys(), ...b.keys()])].sort(
+    (x, y) => x - y,
+  );
+  return indexes.flatMap((filamentIndex) =>
+    diffRecords({
+      scope: "filament",
+      target: { filamentIndex },
+      from: omitKeys(a.get(filamentIndex), FILAMENT_IDENTITY_KEYS),
+      to: omitKeys(b.get(filamentIndex), FILAMENT_IDENTITY_KEYS),
+    }),
+  );
+}
+
+function diffRecords({ scope, target, from, to }) {
+  return sortedUnion(from, to)
+    .filter((key) => !isSameValue(from[key], to[key]))
+    .map((key) => ({
+      scope,
+      target,
+      parameter: key,
+      from: from[key],
+      to: to[key],
+      reason: "",
+    }));
+}
+
+function omitKeys(record, keys) {
+  if (!record) return {};
+  return Object.fromEntries(
+    Object.entries(record).filter(([key]) => !keys.has(key)),
+  );
+}
+
+/**
+ * Flatten nested plain objects into dotted keys (e.g. `speeds.wall_outer`).
+ */
+function flattenSettings(settings = {}, prefix = "") {
+  const flat = {};
+  for (const [key, value] of Object.entries(settings)) {
+    const path = `${prefix}${key}`;
+    if (isPlainObject(value)) {
+      Object.assign(flat, flattenSettings(value, `${path}.`));
+    } else {
+      flat[path] = value;
+    }
+  }
+  return flat;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function sortedUnion(a, b) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,238 @@
+import { XMLParser } from "fast-xml-parser";
+import { numberOrNull } from "./configMapping.js";
+
+export const SLICE_INFO_PATH = "Metadata/slice_info.config";
+export const PLATE_GCODE_PATTERN = /^Metadata\/plate_(\d+)\.gcode$/i;
+
+// Slicers write their summary comments at the start (Bambu Studio header
+// block) or the end (OrcaSlicer footer) of the G-code, so only that much of
+// each plate is kept.
+export const GCODE_WINDOW_BYTES = 64 * 1024;
+const GCODE_HEADER_END = "; HEADER_BLOCK_END";
+
+const XML_OPTIONS = {
+  ignoreAttributes: false,
+  preserveOrder: true,
+  parseAttributeValue: false,
+};
+
+/**
+ * @typedef {object} SliceFilamentUsage
+ * @property {string} id One-based filament slot as written by the slicer.
+ * @property {string | null} type
+ * @property {string | null} color
+ * @property {number | null} used_m
+ * @property {number | null} used_g
+ */
+
+/**
+ * @typedef {object} SliceWarning
+ * @property {string} message Slicer message id, e.g. `bed_temperature_too_high_than_filament`.
+ * @property {number | null} level
+ * @property {string | null} error_code
+ */
+
+/**
+ * @typedef {object} SliceResult
+ * @property {number} plateIndex Zero-based plate index.
+ * @property {number | null} prediction_s Predicted print time in seconds.
+ * @property {number | null} weight_g Predicted filament weight.
+ * @property {number | null} layer_count From the plate G-code, when present.
+ * @property {SliceFilamentUsage[]} filaments
+ * @property {SliceWarning[]} warnings
+ */
+
+/**
+ * Parse Bambu Studio `Metadata/slice_info.config` XML, written when a
+ * project is saved after slicing.
+ *
+ * @param {string} xml
+ * @returns {Array<Omit<SliceResult, "layer_count">>}
+ */
+export function parseSliceInfo(xml) {
+  const tree = new XMLParser(XML_OPTIONS).parse(xml);
+  const config = tree.find((node) => node.config)?.config ?? [];
+  return config
+    .filter((node) => node.plate)
+    .map((node, position) => readPlate(node.plate, position));
+}
+
+/**
+ * Read the print time, filament weight and layer count comments from a
+ * sliced plate's G-code (Bambu Studio header block or OrcaSlicer footer).
+ *
+ * @param {string} gcode
+ * @returns {{ prediction_s: number | null, weight_g: number | null, layer_count: number | null } | null}
+ *   `null` when none of them is present.
+ */
+export function parseGcodeHeader(gcode) {
+  const header = {
+    prediction_s: parseDuration(
+      matchComment(gcode, /total estimated time:\s*([^;\n]+)/) ??
+        matchComment(
+          gcode,
+          /estimated printing time \(normal mode\)\s*=\s*([^;\n]+)/,
+        ),
+    ),
+    weight_g: sumNumbers(
+      matchComment(gcode, /total filament weight \[g\]\s*:\s*([^;\n]+)/),
+    ),
+    layer_count: numberOrNull(
+      matchComment(gcode, /total layer number:\s*(\d+)/),
+    ),
+  };
+  return Object.values(header).some((value) => value !== null) ? header : null;
+}
+
+/**
+ * Read the comment windows of a zipped plate G-code: its first and last
+ * `windowBytes`. The entry is streamed, and reading stops once a complete
+ * Bambu Studio header block has been seen.
+ *
+ * @param {import("jszip").JSZipObject} file
+ * @param {number} [windowBytes]
+ * @returns {Promise<string>} Head and tail, separated by a newline.
+ */
+export function readGcodeComments(file, windowBytes = GCODE_WINDOW_BYTES) {
+  return new Promise((resolve, reject) => {
+    const window = createGcodeWindow(windowBytes);
+    const stream = file.internalStream("uint8array");
+    stream
+      .on("data", (chunk) => {
+        window.push(Buffer.from(chunk));
+        if (!window.headerComplete()) return;
+        stream.pause();
+        resolve(window.text());
+      })
+      .on("error", reject)
+      .on("end", () => resolve(window.text()))
+      .resume();
+  });
+}
+
+/**
+ * Merge slice info plates with G-code headers (keyed by zero-based plate
+ * index). Slice info wins; the G-code fills in what it lacks.
+ *
+ * @param {object} sources
+ * @param {Array<Omit<SliceResult, "layer_count">>} [sources.sliceInfo]
+ * @param {Map<number, ReturnType<typeof parseGcodeHeader>>} [sources.gcodeHeaders]
+ * @returns {SliceResult[]} Sorted by plate.
+ */
+export function buildSliceResults({
+  sliceInfo = [],
+  gcodeHeaders = new Map(),
+}) {
+  const byPlate = new Map(sliceInfo.map((plate) => [plate.plateIndex, plate]));
+  const indices = [...new Set([...byPlate.keys(), ...gcodeHeaders.keys()])];
+  return indices
+    .sort((a, b) => a - b)
+    .map((plateIndex) => {
+      const plate = byPlate.get(plateIndex);
+      const header = gcodeHeaders.get(plateIndex);
+      return {
+        plateIndex,
+        prediction_s: plate?.prediction_s ?? header?.prediction_s ?? null,
+        weight_g: plate?.weight_g ?? header?.weight_g ?? null,
+        layer_count: header?.layer_count ?? null,
+        filaments: plate?.filaments ?? [],
+        warnings: plate?.warnings ?? [],
+      };
+    });
+}
+
+const PLATE_CHILD_READERS = {
+  metadata: (plate, attributes) => {
+    const key = attributes["@_key"];
+    if (key) plate.metadata[key] = attributes["@_value"] ?? "";
+  },
+  filament: (plate, attributes) =>
+    plate.filaments.push({
+      id: attributes["@_id"] ?? String(plate.filaments.length + 1),
+      type: attributes["@_type"] ?? null,
+      color: attributes["@_color"] ?? null,
+      used_m: numberOrNull(attributes["@_used_m"]),
+      used_g: numberOrNull(attributes["@_used_g"]),
+    }),
+  warning: (plate, attributes) =>
+    plate.warnings.push({
+      message: attributes["@_msg"] ?? "",
+      level: numberOrNull(attributes["@_level"]),
+      error_code: attributes["@_error_code"] ?? null,
+    }),
+};
+
+function readPlate(children, position) {
+  const plate = { metadata: {}, filaments: [], warnings: [] };
+  for (const node of children) {
+    const tag = Object.keys(node).find((key) => key !== ":@");
+    PLATE_CHILD_READERS[tag]?.(plate, node[":@"] ?? {});
+  }
+  const index = Number.parseInt(plate.metadata.index, 10);
+  return {
+    plateIndex: Number.isFinite(index) ? index - 1 : position,
+    prediction_s: numberOrNull(plate.metadata.prediction),
+    weight_g: numberOrNull(plate.metadata.weight),
+    filaments: plate.filaments,
+    warnings: plate.warnings,
+  };
+}
+
+function createGcodeWindow(size) {
+  let head = Buffer.alloc(0);
+  let tail = Buffer.alloc(0);
+  let truncated = false;
+  return {
+    push(chunk) {
+      const room = size - head.length;
+      if (room > 0) head = Buffer.concat([head, chunk.subarray(0, room)]);
+      if (chunk.length <= room) return;
+      tail = Buffer.concat([tail, chunk.subarray(Math.max(room, 0))]);
+      if (tail.length > size) {
+        tail = tail.subarray(tail.length - size);
+        truncated = true;
+      }
+    },
+    headerComplete: () => head.includes(GCODE_HEADER_END),
+    text() {
+      if (head.includes(GCODE_HEADER_END)) return head.toString("utf8");
+      const tailText = tail.toString("utf8");
+      // Drop the line cut in half where the tail window starts.
+      const lines = truncated
+        ? tailText.slice(tailText.indexOf("\n") + 1)
+        : tailText;
+      return `${head.toString("utf8")}\n${lines}`;
+    },
+  };
+}
+
+function matchComment(gcode, pattern) {
+  const match = gcode.match(new RegExp(`^;[^\\n]*?${pattern.source}`, "m"));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Parse slicer durations such as `1d 2h 3m 4s` into seconds.
+ */
+function parseDuration(text) {
+  const parts = [...(text ?? "").matchAll(/(\d+(?:\.\d+)?)\s*([dhms])/g)];
+  if (parts.length === 0) return null;
+  const seconds = { d: 86400, h: 3600, m: 60, s: 1 };
+  return Math.round(
+    parts.reduce((sum, [, value, unit]) => sum + value * seconds[unit], 0),
+  );
+}
+
+/**
+ * Multi-filament G-code lists one weight per slot: `12.50, 3.20`.
+ */
+function sumNumbers(text) {
+  const values = (text ?? "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(numberOrNull)
+    .filter((value) => value !== null);
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) * 100) / 100;
+}
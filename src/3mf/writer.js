@@ -1,10 +1,22 @@
 import fs from "fs";
 import {
   ALLOWED_EXTRA_CONFIG_KEYS,
+  FILAMENT_MAPPINGS,
   GLOBAL_PROCESS_MAPPINGS,
+  PLATE_SETTING_KEYS,
   SPEED_MAPPINGS,
+  formatExtraConfigValue,
+  mapMaterialFamily,
+  numberOrNull,
+  slotValue,
 } from "./configMapping.js";
-import { readObjectOverride } from "../utils/objectOverrides.js";
+import { appendHistory } from "./history.js";
+import { updateModelSettings } from "./modelSettings.js";
+import { PARAMETERS } from "../knowledge/parameters.js";
+import {
+  readObjectOverride,
+  readPlateOverride,
+} from "../utils/objectOverrides.js";
 
 const MAPPED_TARGET_KEYS = new Set(
   GLOBAL_PROCESS_MAPPINGS.map((mapping) => mapping.targetKey),
@@ -19,8 +31,9 @@ const MAPPED_CONFIG_KEYS = new Set([
 /**
  * Write an updated `.3mf` archive.
  *
- * Preserves all unknown ZIP entries; only `metadata.json` (and an optional
- * `project_settings.config`) are rewritten.
+ * Preserves all unknown ZIP entries; only `metadata.json` (and optional
+ * `project_settings.config` / `model_settings.config`) are rewritten, and a
+ * history entry is appended to `Metadata/slicer_copilot/history.json`.
  *
  * @param {object} project
  * @param {any} project.zip JSZip instance for the archive.
@@ -28,14 +41,15 @@ const MAPPED_CONFIG_KEYS = new Set([
  * @param {object} project.metadata
  * @param {string | null} [project.configPath]
  * @param {object | null} [project.configData]
+ * @param {string | null} [project.modelSettingsPath]
  * @param {object} [project.normalized]
+ * @param {Omit<import("./history.js").HistoryEntry, "run">} [project.historyEntry] Run recorded in the archive's history.
  * @param {string} outputPath
  * @returns {Promise<void>}
  */
-export async function write3mf(
-  { zip, metadataPath, metadata, configPath, configData, normalized },
-  outputPath,
-) {
+export async function write3mf(project, outputPath) {
+  const { zip, metadataPath, metadata, configPath, configData, normalized } =
+    project;
   const targetPath = metadataPath ?? "metadata.json";
   zip.file(targetPath, JSON.stringify(metadata, null, 2));
   if (configPath) {
@@ -45,6 +59,20 @@ export async function write3mf(
     );
     zip.file(configPath, JSON.stringify(updatedConfig, null, 2));
   }
+  if (project.modelSettingsPath && normalized) {
+    const xml = await zip.file(project.modelSettingsPath).async("string");
+    zip.file(
+      project.modelSettingsPath,
+      updateModelSettings(
+        xml,
+        buildObjectConfigs(normalized),
+        buildPlateConfigs(normalized),
+      ),
+    );
+  }
+  if (project.historyEntry) {
+    await appendHistory(zip, project.historyEntry);
+  }
   const buffer = await zip.generateAsync({ type: "nodebuffer" });
   fs.writeFileSync(outputPath, buffer);
 }
@@ -59,10 +87,17 @@ export async function write3mf(
 export function updateMetadataFromNormalized(metadata, normalized) {
   const next = { ...metadata };
   next.settings = { ...normalized.currentSettings.globalProcess };
+  if (normalized.currentSettings.perFilamentSettings) {
+    next.filament_settings = normalized.currentSettings.perFilamentSettings;
+  }
   if (normalized.projectSummary.plates.length > 0) {
     next.plates = normalized.projectSummary.plates.map((plate) => ({
       index: plate.index,
       name: plate.name,
+      settings: readPlateOverride(
+        normalized.currentSettings.perPlateOverrides,
+        plate.index,
+      ),
       objects: plate.objects.map((object) => ({
         name: object.name,
         bounding_box_mm: object.geometry?.bounding_box_mm,
@@ -81,6 +116,113 @@ export function updateMetadataFromNormalized(metadata, normalized) {
   return next;
 }
 
+/**
+ * Serialize per-object overrides into Bambu config keys, keyed by object id.
+ *
+ * Only process settings are written; filament and printer keys are global in
+ * Bambu Studio and would be ignored on objects. Bambu Studio has no per-plate
+ * process settings, so a plate's process overrides are written onto each of
+ * its objects, under the object's own overrides.
+ *
+ * @param {object} normalized
+ * @returns {Map<string, Record<string, string>>}
+ */
+export function buildObjectConfigs(normalized) {
+  const { perObjectOverrides, perPlateOverrides } = normalized.currentSettings;
+  const configs = new Map();
+  for (const plate of normalized.projectSummary.plates) {
+    const plateConfig = serializeObjectOverride(
+      omitPlateSettings(readPlateOverride(perPlateOverrides, plate.index)),
+    );
+    const objects = plate.objects.filter((o) => o.objectId !== undefined);
+    for (const object of objects) {
+      const override = readObjectOverride(perObjectOverrides, {
+        objectName: object.name,
+        plateIndex: plate.index,
+      });
+      const config = {
+        ...plateConfig,
+        ...serializeObjectOverride(override ?? {}),
+      };
+      if (Object.keys(config).length > 0) configs.set(object.objectId, config);
+    }
+  }
+  return configs;
+}
+
+/**
+ * Serialize plate-only settings (bed type, print sequence) into plate
+ * metadata, keyed by zero-based plate index.
+ *
+ * @param {object} normalized
+ * @returns {Map<number, Record<string, string>>}
+ */
+export function buildPlateConfigs(normalized) {
+  const configs = new Map();
+  for (const plate of normalized.projectSummary.plates) {
+    const override = readPlateOverride(
+      normalized.currentSettings.perPlateOverrides,
+      plate.index,
+    );
+    const config = Object.fromEntries(
+      PLATE_SETTING_KEYS.filter((key) => override?.[key] != null).map((key) => [
+        key,
+        String(override[key]),
+      ]),
+    );
+    if (Object.keys(config).length > 0) configs.set(plate.index, config);
+  }
+  return configs;
+}
+
+function omitPlateSettings(override = {}) {
+  return Object.fromEntries(
+    Object.entries(override).filter(
+      ([key]) => !PLATE_SETTING_KEYS.includes(key),
+    ),
+  );
+}
+
+function serializeObjectOverride(override) {
+  const config = {};
+  GLOBAL_PROCESS_MAPPINGS.forEach((mapping) => {
+    const value = override[mapping.targetKey];
+    if (value === undefined || value === null) return;
+    config[mapping.configKey] = String(mapping.serialize(value));
+  });
+  SPEED_MAPPINGS.forEach(({ speedKey, configKey }) => {
+    const value = override.speeds?.[speedKey];
+    if (value !== undefined && value !== null)
+      config[configKey] = String(value);
+  });
+  Object.entries(override).forEach(([key, value]) => {
+    if (!ALLOWED_EXTRA_CONFIG_KEYS.has(key)) return;
+    if (value === undefined || value === null) return;
+    config[key] = String(formatExtraConfigValue(key, value));
+  });
+  serializeObjectAdhesion(config, override.adhesion_type);
+  return omitNonObjectKeys(config);
+}
+
+function serializeObjectAdhesion(config, adhesionType) {
+  if (adhesionType === undefined) return;
+  config.brim_width =
+    adhesionType === "brim" ? (config.brim_width ?? "5") : "0";
+  config.raft_layers =
+    adhesionType === "raft" ? (config.raft_layers ?? "1") : "0";
+}
+
+function omitNonObjectKeys(config) {
+  const result = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (DIFFERENT_SETTINGS_GROUP_KEYS.filament.has(key)) continue;
+    if (DIFFERENT_SETTINGS_GROUP_KEYS.printer.has(key)) continue;
+    if (key.startsWith("filament_")) continue;
+    result[key] = value;
+  }
+  return result;
+}
+
 function buildConfigFromNormalized(base, normalized) {
   const cfg = { ...base };
   const gp = normalized.currentSettings.globalProcess;
@@ -94,6 +236,12 @@ function buildConfigFromNormalized(base, normalized) {
   });
   applySpeedConfig({ cfg, speeds: gp.speeds, touchedKeys });
   applyAdditionalConfig({ cfg, gp, touchedKeys });
+  applyFilamentConfig({
+    cfg,
+    base,
+    perFilamentSettings: normalized.currentSettings.perFilamentSettings,
+    touchedKeys,
+  });
 
   cfg.different_settings_to_system = updateDifferentSettingsToSystem({
     existing: cfg.different_settings_to_system,
@@ -104,10 +252,13 @@ function buildConfigFromNormalized(base, normalized) {
   return cfg;
 }
 
+// Unchanged values are skipped so per-slot arrays (e.g. one temperature per
+// AMS filament) are not flattened to the first slot's value.
 function applyGlobalProcessConfig({ cfg, gp, projectSummary, touchedKeys }) {
   GLOBAL_PROCESS_MAPPINGS.forEach((mapping) => {
     const value = gp?.[mapping.targetKey];
     if (value === undefined) return;
+    if (mapping.parse(cfg[mapping.configKey]) === value) return;
     const formatted = mapping.serialize(value);
     if (formatted === undefined || formatted === null) return;
     const setter =
@@ -138,6 +289,7 @@ function applySpeedConfig({ cfg, speeds, touchedKeys }) {
   SPEED_MAPPINGS.forEach(({ speedKey, configKey }) => {
     const value = speeds?.[speedKey];
     if (value === undefined) return;
+    if (numberOrNull(slotValue(cfg[configKey], 0)) === value) return;
     cfg[configKey] = setConfigValue(cfg[configKey], value);
     touchedKeys.add(configKey);
   });
@@ -150,11 +302,48 @@ function applyAdditionalConfig({ cfg, gp, touchedKeys }) {
     if (!allowedExtraKey(key)) return;
     if (key === "speeds" || key === "adhesion_type") return;
     if (value === undefined || value === null) return;
-    cfg[key] = setConfigValue(cfg[key], value);
+    const formatted = formatExtraConfigValue(key, value);
+    if (isSameConfigValue(cfg[key], formatted)) return;
+    cfg[key] = setConfigValue(cfg[key], formatted);
     touchedKeys.add(key);
   });
 }
 
+function isSameConfigValue(existing, value) {
+  if (Array.isArray(value)) return areConfigValuesEqual(existing, value);
+  const current = Array.isArray(existing) ? existing[0] : existing;
+  return current !== undefined && String(current) === String(value);
+}
+
+// Slots are compared against the original config so that a global change
+// stamped above is only overridden by slots the LLM actually changed.
+function applyFilamentConfig({ cfg, base, perFilamentSettings, touchedKeys }) {
+  for (const settings of perFilamentSettings ?? []) {
+    FILAMENT_MAPPINGS.forEach(({ configKeys, targetKey }) => {
+      const value = settings[targetKey];
+      if (value === undefined || value === null) return;
+      const original = numberOrNull(
+        slotValue(base[configKeys[0]], settings.filamentIndex),
+      );
+      if (original === value) return;
+      configKeys.forEach((key) => {
+        cfg[key] = setConfigSlot(cfg[key], settings.filamentIndex, value);
+        touchedKeys.add(key);
+      });
+    });
+  }
+}
+
+function setConfigSlot(existing, index, value) {
+  if (!Array.isArray(existing)) {
+    return index === 0 ? value.toString() : existing;
+  }
+  if (index >= existing.length) return existing;
+  const next = [...existing];
+  next[index] = value.toString();
+  return next;
+}
+
 function allowedExtraKey(key) {
   return ALLOWED_EXTRA_CONFIG_KEYS.has(key);
 }
@@ -176,15 +365,12 @@ function writeAdhesionToConfig({ cfg, adhesionType, touchedKeys }) {
 
 function writePrinterAndFilament({ cfg, projectSummary, touchedKeys }) {
   const nozzleDiameter = projectSummary.printer.nozzle_diameter_mm;
-  if (nozzleDiameter != null) {
+  const currentNozzle = numberOrNull(slotValue(cfg.nozzle_diameter, 0));
+  if (nozzleDiameter != null && currentNozzle !== nozzleDiameter) {
     cfg.nozzle_diameter = [nozzleDiameter.toString()];
     touchedKeys.add("nozzle_diameter");
   }
-  const filamentFamily = projectSummary.filaments[0]?.material_family;
-  if (filamentFamily) {
-    cfg.filament_type = [filamentFamily];
-    touchedKeys.add("filament_type");
-  }
+  writeFilamentTypes({ cfg, filaments: projectSummary.filaments, touchedKeys });
   const baseProfile = projectSummary.base_profile ?? cfg.default_print_profile;
   if (baseProfile !== undefined) {
     cfg.default_print_profile = baseProfile;
@@ -192,37 +378,42 @@ function writePrinterAndFilament({ cfg, projectSummary, touchedKeys }) {
   }
 }
 
+// Only rewrite a slot's filament_type when its material family changed, so
+// detailed types such as "PETG-CF" survive.
+function writeFilamentTypes({ cfg, filaments, touchedKeys }) {
+  const types = Array.isArray(cfg.filament_type) ? [...cfg.filament_type] : [];
+  let changed = false;
+  filaments.forEach((filament, index) => {
+    const family = filament.material_family;
+    if (!family || family === "Other") return;
+    if (mapMaterialFamily(types[index]) === family) return;
+    types[index] = family;
+    changed = true;
+  });
+  if (!changed) return;
+  cfg.filament_type = Array.from(types, (type) => type ?? "");
+  touchedKeys.add("filament_type");
+}
+
+// Preset each changed key is listed under in `different_settings_to_system`.
 const DIFFERENT_SETTINGS_GROUP_KEYS = {
-  print: new Set([
-    "layer_height",
-    "initial_layer_print_height",
-    "wall_loops",
-    "top_shell_layers",
-    "bottom_shell_layers",
-    "sparse_infill_density",
-    "sparse_infill_pattern",
-    "outer_wall_speed",
-    "inner_wall_speed",
-    "sparse_infill_speed",
-    "initial_layer_speed",
-    "enable_support",
-    "brim_width",
-    "raft_layers",
-    "default_print_profile",
-  ]),
-  filament: new Set([
+  print: sectionConfigKeys("print", ["default_print_profile"]),
+  filament: sectionConfigKeys("filament", [
     "compatible_printers",
-    "eng_plate_temp",
-    "hot_plate_temp",
-    "fan_max_speed",
-    "first_x_layer_fan_speed",
-    "nozzle_temperature",
-    "nozzle_temperature_initial_layer",
     "filament_type",
   ]),
-  printer: new Set(["printer_model", "nozzle_diameter"]),
+  printer: sectionConfigKeys("printer", ["printer_model", "nozzle_diameter"]),
 };
 
+function sectionConfigKeys(section, extraKeys) {
+  return new Set([
+    ...PARAMETERS.filter((parameter) => parameter.section === section).flatMap(
+      (parameter) => parameter.configKeys,
+    ),
+    ...extraKeys,
+  ]);
+}
+
 function updateDifferentSettingsToSystem({
   existing,
   base,
@@ -1,13 +1,20 @@
-import { ensureObjectOverride } from "../utils/objectOverrides.js";
+import {
+  ensureObjectOverride,
+  ensurePlateOverride,
+  readObjectOverride,
+  readPlateOverride,
+} from "../utils/objectOverrides.js";
+import { FILAMENT_MAPPINGS, PLATE_SETTING_KEYS } from "../3mf/configMapping.js";
+import { findParameter, roundToStep } from "../knowledge/parameters.js";
 import { createI18n } from "../i18n.js";
 
 /**
  * @typedef {object} LlmChange
- * @property {"global" | "object"} [scope]
- * @property {{ objectName?: string | null; name?: string | null; plateIndex?: number | null } | null} [target]
+ * @property {"global" | "object" | "plate" | "filament"} [scope]
+ * @property {{ objectName?: string | null; name?: string | null; plateIndex?: number | null; filamentIndex?: number | null } | null} [target]
  * @property {string} parameter
  * @property {string | number | boolean | null} newValue
- * @property {"absolute" | "relative"} [changeType]
+ * @property {"absolute" | "relative" | "percent" | "delta"} [changeType]
  * @property {string} [reason]
  */
 
@@ -20,6 +27,9 @@ import { createI18n } from "../i18n.js";
  */
 
 const SPEEDS_PARAMETER_PREFIX = "speeds.";
+const FILAMENT_PARAMETERS = new Set(
+  FILAMENT_MAPPINGS.map((mapping) => mapping.targetKey),
+);
 
 /**
  * Apply LLM-suggested changes onto a normalized project model.
@@ -63,19 +73,164 @@ export function applyLlmChanges({
   return { updated, warnings, diffs };
 }
 
+/**
+ * List parameters from a response that `applyLlmChanges` would drop because
+ * they do not exist in the project model for their scope.
+ *
+ * @param {object} options
+ * @param {object} options.normalized
+ * @param {LlmResponse} options.response
+ * @returns {Array<{ scope: string, parameter: string }>}
+ */
+export function findUnknownParameters({ normalized, response }) {
+  return response.changes
+    .filter((change) => {
+      const located = locateChange(normalized, change);
+      return located !== null && located.baseValue === undefined;
+    })
+    .map((change) => ({
+      scope: change.scope ?? "global",
+      parameter: change.parameter,
+    }));
+}
+
+const SCOPE_HANDLERS = {
+  global: { apply: applyGlobalChange, locate: locateGlobalChange },
+  object: { apply: applyObjectChange, locate: locateObjectChange },
+  plate: { apply: applyPlateChange, locate: locatePlateChange },
+  filament: { apply: applyFilamentChange, locate: locateFilamentChange },
+};
+
+function scopeHandler(change) {
+  return SCOPE_HANDLERS[change.scope ?? "global"] ?? SCOPE_HANDLERS.object;
+}
+
+/**
+ * Find where a change lands in the project model and the value it starts
+ * from. Returns `null` when its object, plate or filament slot does not
+ * exist; `baseValue` is `undefined` when the parameter does not exist there
+ * for the change's scope.
+ */
+function locateChange(model, change) {
+  return scopeHandler(change).locate(model, change);
+}
+
 function applySingleChange({ updated, change, warnings, t }) {
-  const scope = change.scope ?? "global";
-  const apply = scope === "global" ? applyGlobalChange : applyObjectChange;
+  const { apply } = scopeHandler(change);
+  const checked = coerceChange(change);
+  if (!checked) {
+    warnings.push(
+      t("invalidValueWarning", {
+        parameter: change.parameter,
+        value:
+          typeof change.newValue === "string"
+            ? `"${change.newValue}"`
+            : String(change.newValue),
+        expected: describeExpectedValue(findParameter(change.parameter), t),
+      }),
+    );
+    return null;
+  }
 
-  return apply({ updated, change, warnings, t });
+  return apply({ updated, change: checked, warnings, t });
 }
 
-function applyGlobalChange({ updated, change, warnings, t }) {
-  const { globalProcess } = updated.currentSettings;
+const VALUE_COERCERS = {
+  number: coerceNumber,
+  integer: (value) => {
+    const number = coerceNumber(value);
+    return Number.isInteger(number) ? number : null;
+  },
+  percent: (value) =>
+    coerceNumber(
+      typeof value === "string" ? value.replace(/%\s*$/, "") : value,
+    ),
+  boolean: coerceBoolean,
+  enum: (value, definition) =>
+    typeof value === "string"
+      ? (definition.values.find(
+          (option) =>
+            normalizeSettingKey(option) === normalizeSettingKey(value),
+        ) ?? null)
+      : null,
+  string: (value) =>
+    typeof value === "string" || typeof value === "number"
+      ? String(value)
+      : null,
+};
+
+const EXPECTED_VALUE_KEYS = {
+  number: "expectedNumberValue",
+  integer: "expectedIntegerValue",
+  percent: "expectedPercentValue",
+  boolean: "expectedBooleanValue",
+  string: "expectedTextValue",
+};
+
+/**
+ * Bring an absolute value into its registry type: numbers may arrive as
+ * strings, percentages with a `%` sign, flags as `"true"`/`"1"` and enum
+ * values in another case or spelling (`"By Object"`). Parameters outside the
+ * registry and relative, percent and delta changes pass through.
+ *
+ * @param {LlmChange} change
+ * @returns {LlmChange | null} `null` when the value cannot be coerced.
+ */
+function coerceChange(change) {
+  const definition = findParameter(change.parameter);
+  if (!definition || CHANGE_TYPE_OPERATIONS[change.changeType]) return change;
+  const newValue = coerceValue(definition, change.newValue);
+  return newValue === null ? null : { ...change, newValue };
+}
+
+function coerceValue(definition, value) {
+  return VALUE_COERCERS[definition.type](value, definition);
+}
+
+function coerceNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const number = Number(value.trim());
+  return Number.isFinite(number) ? number : null;
+}
+
+function coerceBoolean(value) {
+  const text = String(value).trim().toLowerCase();
+  if (text === "true" || text === "1") return true;
+  if (text === "false" || text === "0") return false;
+  return null;
+}
+
+function describeExpectedValue(definition, t) {
+  if (definition.type === "enum") {
+    return definition.values.map((option) => `"${option}"`).join(", ");
+  }
+  return t(EXPECTED_VALUE_KEYS[definition.type]);
+}
+
+/**
+ * Values carried over from the config keep its string form (`"1"`, `"15%"`),
+ * so compare them in their registry type.
+ */
+function isUnchanged({ parameter, proposed, current }) {
+  if (proposed === current) return true;
+  const definition = findParameter(parameter);
+  return definition !== null && coerceValue(definition, current) === proposed;
+}
+
+function locateGlobalChange(model, change) {
   const { currentValue, setter } = resolveParameter(
-    globalProcess,
+    model.currentSettings.globalProcess,
     change.parameter,
   );
+  return { baseValue: currentValue, setter };
+}
+
+function applyGlobalChange({ updated, change, warnings, t }) {
+  const { baseValue: currentValue, setter } = locateGlobalChange(
+    updated,
+    change,
+  );
   if (currentValue === undefined) {
     warnings.push(
       t("unknownParameterWarning", { parameter: change.parameter }),
@@ -83,7 +238,13 @@ function applyGlobalChange({ updated, change, warnings, t }) {
     return null;
   }
   const proposed = computeNewValue({ currentValue, change, warnings, t });
-  if (proposed === currentValue) {
+  if (
+    isUnchanged({
+      parameter: change.parameter,
+      proposed,
+      current: currentValue,
+    })
+  ) {
     return null;
   }
   setter(proposed);
@@ -96,34 +257,48 @@ function applyGlobalChange({ updated, change, warnings, t }) {
   });
 }
 
-function applyObjectChange({ updated, change, warnings, t }) {
-  const { objectName: targetName, plateIndex } = resolveObjectTarget(change);
-  const plate = findPlate(
-    updated.projectSummary.plates,
-    targetName,
-    plateIndex,
+function locateObjectChange(model, change) {
+  const { objectName, plateIndex } = resolveObjectTarget(change);
+  const plate = findPlate(model.projectSummary.plates, objectName, plateIndex);
+  if (!plate) return null;
+  const override = readObjectOverride(
+    model.currentSettings.perObjectOverrides,
+    { objectName, plateIndex: plate.index },
   );
-  if (!plate) {
+  const currentValue = override
+    ? resolveParameter(override, change.parameter).currentValue
+    : undefined;
+  const baseValue =
+    currentValue === undefined
+      ? resolvePlateValue(model.currentSettings, {
+          plateIndex: plate.index,
+          parameter: change.parameter,
+        })
+      : currentValue;
+  return { objectName, plate, baseValue };
+}
+
+function applyObjectChange({ updated, change, warnings, t }) {
+  const located = locateObjectChange(updated, change);
+  if (!located) {
     warnings.push(
       t("objectNotFoundWarning", {
-        object: targetName,
+        object: resolveObjectTarget(change).objectName,
         parameter: change.parameter,
       }),
     );
     return null;
   }
-  const override = ensureObjectOverride(
-    updated.currentSettings.perObjectOverrides,
-    { objectName: targetName, plateIndex: plate.index },
-  );
-  const { currentValue, setter } = resolveParameter(override, change.parameter);
-  const baseValue =
-    currentValue === undefined
-      ? resolveParameter(
-          updated.currentSettings.globalProcess,
-          change.parameter,
-        ).currentValue
-      : currentValue;
+  const { objectName: targetName, plate, baseValue } = located;
+  if (!isProcessParameter(change.parameter)) {
+    warnings.push(
+      t("objectProjectSettingWarning", {
+        parameter: change.parameter,
+        object: targetName,
+      }),
+    );
+    return null;
+  }
   if (baseValue === undefined) {
     warnings.push(
       t("unknownObjectParameterWarning", {
@@ -139,10 +314,16 @@ function applyObjectChange({ updated, change, warnings, t }) {
     warnings,
     t,
   });
-  if (proposed === baseValue) {
+  if (
+    isUnchanged({ parameter: change.parameter, proposed, current: baseValue })
+  ) {
     return null;
   }
-  setter(proposed);
+  const override = ensureObjectOverride(
+    updated.currentSettings.perObjectOverrides,
+    { objectName: targetName, plateIndex: plate.index },
+  );
+  resolveParameter(override, change.parameter).setter(proposed);
   syncPlateOverride({
     plate,
     objectName: targetName,
@@ -158,6 +339,171 @@ function applyObjectChange({ updated, change, warnings, t }) {
   });
 }
 
+/**
+ * Plate changes override the global value for every object on the plate;
+ * object overrides still win. `PLATE_SETTING_KEYS` (bed type, print
+ * sequence) only exist per plate; filament and printer settings cannot be
+ * set per plate.
+ */
+function locatePlateChange(model, change) {
+  const plateIndex = change.target?.plateIndex ?? null;
+  const plate = model.projectSummary.plates.find(
+    (item) => item.index === plateIndex,
+  );
+  if (!plate) return null;
+  const baseValue =
+    resolvePlateValue(model.currentSettings, {
+      plateIndex,
+      parameter: change.parameter,
+    }) ?? plateSettingDefault(model, change.parameter);
+  return { baseValue };
+}
+
+function applyPlateChange({ updated, change, warnings, t }) {
+  const located = locatePlateChange(updated, change);
+  const plateIndex = change.target?.plateIndex ?? null;
+  if (!located) {
+    warnings.push(
+      t("plateNotFoundWarning", {
+        plate: String(plateIndex),
+        parameter: change.parameter,
+      }),
+    );
+    return null;
+  }
+  if (!isProcessParameter(change.parameter)) {
+    warnings.push(
+      t("plateProjectSettingWarning", {
+        parameter: change.parameter,
+        plate: String(plateIndex),
+      }),
+    );
+    return null;
+  }
+  const { baseValue } = located;
+  if (baseValue === undefined) {
+    warnings.push(
+      t("unknownPlateParameterWarning", {
+        parameter: change.parameter,
+        plate: String(plateIndex),
+      }),
+    );
+    return null;
+  }
+  const proposed = computeNewValue({
+    currentValue: baseValue,
+    change,
+    warnings,
+    t,
+  });
+  if (
+    isUnchanged({ parameter: change.parameter, proposed, current: baseValue })
+  ) {
+    return null;
+  }
+  updated.currentSettings.perPlateOverrides ??= {};
+  const override = ensurePlateOverride(
+    updated.currentSettings.perPlateOverrides,
+    plateIndex,
+  );
+  resolveParameter(override, change.parameter).setter(proposed);
+  return formatDiff({
+    change,
+    from: baseValue,
+    to: proposed,
+    scope: "plate",
+    target: { plateIndex },
+  });
+}
+
+/**
+ * Bambu Studio keeps filament and printer settings for the whole project or
+ * per filament slot, so plates and objects only take process settings.
+ */
+function isProcessParameter(parameter) {
+  const definition = findParameter(parameter);
+  return !definition || definition.section === "print";
+}
+
+/**
+ * Value a plate (and an object on it without its own override) inherits:
+ * the plate override, else the global setting.
+ */
+function resolvePlateValue(currentSettings, { plateIndex, parameter }) {
+  const override = readPlateOverride(
+    currentSettings.perPlateOverrides,
+    plateIndex,
+  );
+  const plateValue = override
+    ? resolveParameter(override, parameter).currentValue
+    : undefined;
+  return (
+    plateValue ??
+    resolveParameter(currentSettings.globalProcess, parameter).currentValue
+  );
+}
+
+function plateSettingDefault(updated, parameter) {
+  if (!PLATE_SETTING_KEYS.includes(parameter)) return undefined;
+  if (parameter === "bed_type") {
+    return updated.projectSummary.printer.bed_type ?? null;
+  }
+  return null;
+}
+
+function locateFilamentChange(model, change) {
+  const filamentIndex = change.target?.filamentIndex ?? null;
+  const settings = (model.currentSettings.perFilamentSettings ?? []).find(
+    (entry) => entry.filamentIndex === filamentIndex,
+  );
+  if (!settings) return null;
+  const baseValue = FILAMENT_PARAMETERS.has(change.parameter)
+    ? (settings[change.parameter] ??
+      model.currentSettings.globalProcess[change.parameter])
+    : undefined;
+  return { settings, baseValue };
+}
+
+function applyFilamentChange({ updated, change, warnings, t }) {
+  const located = locateFilamentChange(updated, change);
+  const filamentIndex = change.target?.filamentIndex ?? null;
+  if (!located) {
+    warnings.push(
+      t("filamentNotFoundWarning", {
+        filament: String(filamentIndex),
+        parameter: change.parameter,
+      }),
+    );
+    return null;
+  }
+  const { settings, baseValue } = located;
+  if (baseValue === undefined) {
+    warnings.push(
+      t("unknownFilamentParameterWarning", { parameter: change.parameter }),
+    );
+    return null;
+  }
+  const proposed = computeNewValue({
+    currentValue: baseValue,
+    change,
+    warnings,
+    t,
+  });
+  if (
+    isUnchanged({ parameter: change.parameter, proposed, current: baseValue })
+  ) {
+    return null;
+  }
+  settings[change.parameter] = proposed;
+  return formatDiff({
+    change,
+    from: baseValue,
+    to: proposed,
+    scope: "filament",
+    target: { filamentIndex },
+  });
+}
+
 function syncPlateOverride({ plate, objectName, parameter, value }) {
   const obj = plate.objects.find((item) => item.name === objectName);
   /* c8 ignore next */
@@ -202,20 +548,66 @@ function parseSpeedKey(parameter) {
   return parameter.slice(SPEEDS_PARAMETER_PREFIX.length).split(".")[0];
 }
 
+const CHANGE_TYPE_OPERATIONS = {
+  relative: (current, amount) => current + current * amount,
+  percent: (current, amount) => current + (current * amount) / 100,
+  delta: (current, amount) => current + amount,
+};
+
+/**
+ * Value a change produces from the current one: `newValue` itself for
+ * absolute changes, otherwise the `relative`, `percent` or `delta` result.
+ * Numbers are rounded to the parameter's step either way, so `0.2137 mm`
+ * becomes `0.21`.
+ *
+ * @param {unknown} currentValue
+ * @param {LlmChange} change
+ * @returns {unknown} `undefined` when a computed change has a non-numeric side.
+ */
+export function resolveChangeValue(currentValue, change) {
+  const operation = CHANGE_TYPE_OPERATIONS[change.changeType];
+  const definition = findParameter(change.parameter);
+  if (!operation) {
+    const { newValue } = change;
+    return definition?.step && typeof newValue === "number"
+      ? roundToStep(definition, newValue)
+      : newValue;
+  }
+  const base = definition
+    ? coerceValue(definition, currentValue)
+    : currentValue;
+  if (typeof base !== "number" || typeof change.newValue !== "number") {
+    return undefined;
+  }
+  const value = operation(base, change.newValue);
+  return definition ? roundToStep(definition, value) : value;
+}
+
+/**
+ * The value to write, or `currentValue` (left unchanged) when a computed
+ * change cannot be evaluated or the result is outside the parameter's range.
+ */
 function computeNewValue({ currentValue, change, warnings, t }) {
-  if (change.changeType === "relative") {
-    if (
-      typeof currentValue !== "number" ||
-      typeof change.newValue !== "number"
-    ) {
-      warnings.push(
-        t("relativeChangeTypeWarning", { parameter: change.parameter }),
-      );
-      return currentValue;
-    }
-    return currentValue + currentValue * change.newValue;
+  const proposed = resolveChangeValue(currentValue, change);
+  if (proposed === undefined) {
+    warnings.push(
+      t("relativeChangeTypeWarning", { parameter: change.parameter }),
+    );
+    return currentValue;
+  }
+  const range = findParameter(change.parameter)?.range;
+  if (range && (proposed < range[0] || proposed > range[1])) {
+    warnings.push(
+      t("outOfRangeValueWarning", {
+        parameter: change.parameter,
+        value: String(proposed),
+        min: range[0],
+        max: range[1],
+      }),
+    );
+    return currentValue;
   }
-  return change.newValue;
+  return proposed;
 }
 
 function findPlate(plates, objectName, plateIndex) {
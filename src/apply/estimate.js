@@ -0,0 +1,287 @@
+import {
+  DEFAULT_NOZZLE_DIAMETER_MM,
+  MATERIAL_DENSITY_G_CM3,
+} from "../constants.js";
+import { createI18n } from "../i18n.js";
+import { percentToNumber } from "../3mf/configMapping.js";
+import {
+  BUILTIN_FILAMENTS,
+  findFilamentProfile,
+} from "../knowledge/filaments.js";
+import {
+  readObjectOverride,
+  readPlateOverride,
+} from "../utils/objectOverrides.js";
+
+// Extrusion width relative to the nozzle, as in the Bambu Studio defaults
+const LINE_WIDTH_FACTOR = 1.05;
+// Travel, retraction and acceleration overhead on top of extrusion time
+const MOTION_OVERHEAD_FACTOR = 1.2;
+const LAYER_CHANGE_SECONDS = 1.5;
+// Homing, bed levelling and purge before each plate
+const PLATE_PREPARE_SECONDS = 300;
+const SPEED_KEYS = ["wall_outer", "wall_inner", "infill"];
+
+/**
+ * @typedef {object} PrintEstimate
+ * @property {number} printTimeHours
+ * @property {number} filamentGrams
+ */
+
+/**
+ * @typedef {object} EstimateComparison
+ * @property {PrintEstimate} before
+ * @property {PrintEstimate} after
+ * @property {Array<{ category: string, message: string }>} warnings Intent constraints the optimized settings break.
+ */
+
+/**
+ * Rough offline estimate of print time and filament use from object
+ * geometry (volume, surface area, height) and the effective settings of each
+ * object. Walls, top/bottom skin and sparse infill are extruded at their own
+ * speeds, capped by the maximum volumetric speed of the object's filament
+ * when its profile is known, and weighed with that filament's density. Good
+ * for comparing two sets of settings, not for quoting a print.
+ *
+ * @param {object} normalized Normalized project model from `parse3mfBuffer`.
+ * @param {Record<string, import("../knowledge/filaments.js").FilamentProfile>} [filaments]
+ * @returns {PrintEstimate | null} `null` when no object has a known volume,
+ *   or an object lacks a layer height, wall or skin count, infill density or
+ *   speed.
+ */
+export function estimatePrint(normalized, filaments = BUILTIN_FILAMENTS) {
+  const { projectSummary } = normalized;
+  const materials = (projectSummary.filaments ?? []).map((filament) =>
+    describeMaterial(filament, filaments),
+  );
+  const context = {
+    currentSettings: normalized.currentSettings,
+    lineWidth:
+      (projectSummary.printer.nozzle_diameter_mm ??
+        DEFAULT_NOZZLE_DIAMETER_MM) * LINE_WIDTH_FACTOR,
+    materials,
+    defaultMaterial: materials[0] ?? describeMaterial(undefined, filaments),
+  };
+  const plates = projectSummary.plates
+    .map((plate) => estimatePlate(plate, context))
+    .filter((objects) => objects.length > 0);
+  if (plates.length === 0 || plates.flat().includes(null)) return null;
+
+  const seconds = plates.reduce(
+    (sum, objects) =>
+      sum +
+      PLATE_PREPARE_SECONDS +
+      Math.max(...objects.map((object) => object.layers)) *
+        LAYER_CHANGE_SECONDS +
+      objects.reduce((total, object) => total + object.seconds, 0),
+    0,
+  );
+  const grams = plates.flat().reduce((sum, object) => sum + object.grams, 0);
+  return {
+    printTimeHours: round(seconds / 3600, 100),
+    filamentGrams: round(grams, 10),
+  };
+}
+
+/**
+ * Estimates for the objects with a known volume on one plate; `null` for
+ * an object whose settings cannot be estimated.
+ */
+function estimatePlate(plate, context) {
+  return plate.objects
+    .filter((object) => isEstimable(object.geometry))
+    .map((object) => {
+      const settings = readEstimateSettings(
+        resolveObjectSettings(context.currentSettings, {
+          objectName: object.name,
+          plateIndex: plate.index,
+        }),
+      );
+      if (!settings) return null;
+      return estimateObject({
+        geometry: object.geometry,
+        settings,
+        context: {
+          lineWidth: context.lineWidth,
+          material:
+            context.materials[object.filamentIndex] ?? context.defaultMaterial,
+        },
+      });
+    });
+}
+
+/**
+ * Estimate the project before and after optimization and check the result
+ * against the intent: the time limit and, when material saving matters,
+ * filament use.
+ *
+ * @param {object} options
+ * @param {object} options.before Original normalized project.
+ * @param {object} options.after Optimized normalized project.
+ * @param {import("../intent/intent.js").UserIntent | null} [options.intent]
+ * @param {Record<string, import("../knowledge/filaments.js").FilamentProfile>} [options.filaments]
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [options.i18n]
+ * @returns {EstimateComparison | null} `null` when the project cannot be estimated.
+ */
+export function compareEstimates({ before, after, intent, filaments, i18n }) {
+  const t = (i18n ?? createI18n()).t;
+  const original = estimatePrint(before, filaments);
+  const optimized = original && estimatePrint(after, filaments);
+  if (!optimized) return null;
+  const constraints = intent?.constraints ?? {};
+  const warnings = [];
+  const maxHours = constraints.max_print_time_hours;
+  if (Number.isFinite(maxHours) && optimized.printTimeHours > maxHours) {
+    warnings.push(
+      t("estimateTimeConstraintWarning", {
+        estimate: formatHours(optimized.printTimeHours),
+        limit: formatHours(maxHours),
+      }),
+    );
+  }
+  if (
+    constraints.material_saving_important === true &&
+    optimized.filamentGrams > original.filamentGrams
+  ) {
+    warnings.push(
+      t("estimateMaterialConstraintWarning", {
+        before: original.filamentGrams,
+        after: optimized.filamentGrams,
+      }),
+    );
+  }
+  return {
+    before: original,
+    after: optimized,
+    warnings: warnings.map((message) => ({
+      category: "intentConstraint",
+      message,
+    })),
+  };
+}
+
+/**
+ * @param {number} hours
+ * @returns {string} e.g. `3h 05m`
+ */
+export function formatHours(hours) {
+  const minutes = Math.round(hours * 60);
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+}
+
+function isEstimable(geometry) {
+  return (
+    Number.isFinite(geometry?.volume_mm3) &&
+    geometry.volume_mm3 > 0 &&
+    geometry.bounding_box_mm[2] > 0
+  );
+}
+
+function resolveObjectSettings(currentSettings, target) {
+  const { globalProcess, perObjectOverrides, perPlateOverrides } =
+    currentSettings;
+  const plate = readPlateOverride(perPlateOverrides, target.plateIndex) ?? {};
+  const override = readObjectOverride(perObjectOverrides, target) ?? {};
+  return {
+    ...globalProcess,
+    ...plate,
+    ...override,
+    speeds: { ...globalProcess.speeds, ...plate.speeds, ...override.speeds },
+  };
+}
+
+/**
+ * The settings the estimate reads, as numbers: `null` when one is missing
+ * or negative, or the layer height or a speed is zero.
+ */
+function readEstimateSettings(settings) {
+  const counts = [
+    toNumber(settings.wall_line_count),
+    toNumber(settings.top_layers),
+    toNumber(settings.bottom_layers),
+    // Overrides carried over from the config keep their `"15%"` form
+    percentToNumber(settings.infill_density_percent),
+  ];
+  const divisors = [
+    toNumber(settings.layer_height_mm),
+    ...SPEED_KEYS.map((key) => toNumber(settings.speeds?.[key])),
+  ];
+  if (counts.some((value) => value === null || value < 0)) return null;
+  if (divisors.some((value) => value === null || value <= 0)) return null;
+  const [wallLineCount, topLayers, bottomLayers, infillDensity] = counts;
+  const [layerHeight, wallOuter, wallInner, infill] = divisors;
+  return {
+    layerHeight,
+    wallLineCount,
+    skinLayers: topLayers + bottomLayers,
+    infillDensity,
+    speeds: {
+      wallOuter,
+      wallInner,
+      infill,
+      solidInfill: toSpeed(settings.internal_solid_infill_speed, infill),
+    },
+  };
+}
+
+function describeMaterial(filament, filaments) {
+  const profile = findFilamentProfile(filament?.name, filaments);
+  return {
+    density:
+      MATERIAL_DENSITY_G_CM3[filament?.material_family] ??
+      MATERIAL_DENSITY_G_CM3.Other,
+    maxVolumetricSpeed: profile?.max_volumetric_speed_mm3_s ?? null,
+  };
+}
+
+/**
+ * Split the object into walls, top/bottom skin and sparse infill. The walls
+ * follow the side surface; the skin covers the average cross-section.
+ */
+function estimateObject({ geometry, settings, context }) {
+  const { lineWidth, material } = context;
+  const { layerHeight, wallLineCount, speeds } = settings;
+  const [x, y, height] = geometry.bounding_box_mm;
+  const volume = geometry.volume_mm3;
+  const crossSection = volume / height;
+  const sideArea = Number.isFinite(geometry.surface_area_mm2)
+    ? Math.max(geometry.surface_area_mm2 - 2 * crossSection, 0)
+    : 2 * (x + y) * height;
+  const walls = Math.min(sideArea * wallLineCount * lineWidth, volume);
+  const skin = Math.min(
+    crossSection * settings.skinLayers * layerHeight,
+    volume - walls,
+  );
+  const infill = (volume - walls - skin) * (settings.infillDensity / 100);
+
+  const bead = lineWidth * layerHeight;
+  const flow = (speed) =>
+    bead * Math.min(speed, (material.maxVolumetricSpeed ?? Infinity) / bead);
+  const outerShare = 1 / Math.max(wallLineCount, 1);
+  const extrusionSeconds =
+    (walls * outerShare) / flow(speeds.wallOuter) +
+    (walls * (1 - outerShare)) / flow(speeds.wallInner) +
+    skin / flow(speeds.solidInfill) +
+    infill / flow(speeds.infill);
+
+  return {
+    layers: Math.ceil(height / layerHeight),
+    seconds: extrusionSeconds * MOTION_OVERHEAD_FACTOR,
+    grams: ((walls + skin + infill) / 1000) * material.density,
+  };
+}
+
+function toSpeed(value, fallback) {
+  const speed = toNumber(value);
+  return speed > 0 ? speed : fallback;
+}
+
+function toNumber(value) {
+  const number =
+    typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  return typeof number === "number" && Number.isFinite(number) ? number : null;
+}
+
+function round(value, factor) {
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,146 @@
+import fs from "fs";
+import path from "path";
+import { FileFormatError } from "../errors.js";
+import { parseLlmResponse } from "../llm/responseValidator.js";
+import { createI18n } from "../i18n.js";
+
+export const PLAN_VERSION = 1;
+
+/**
+ * @typedef {object} PlanSource
+ * @property {string} fileName Base name of the project the plan was created for.
+ * @property {string} sha256 Fingerprint of the source `.3mf` file.
+ * @property {string} printer
+ * @property {number | null} nozzle_diameter_mm
+ * @property {string[]} filaments Filament labels such as `Bambu PLA Basic (PLA)`.
+ */
+
+/**
+ * @typedef {object} OptimizationPlan
+ * @property {number} version
+ * @property {string} createdAt ISO timestamp.
+ * @property {PlanSource} source
+ * @property {object} intent User intent the plan was requested with.
+ * @property {import("./changes.js").LlmResponse} response Validated optimizer response.
+ * @property {{ provider: string, model: string } | null} llm Provider and model that produced the response.
+ * @property {import("../llm/usage.js").LlmUsage | null} usage LLM spend for the response, when known.
+ */
+
+/**
+ * Build a plan from a validated optimizer response.
+ *
+ * @param {object} params
+ * @param {import("./changes.js").LlmResponse} params.response
+ * @param {object} params.intent
+ * @param {object} params.normalized Normalized model of the source project.
+ * @param {string} params.sha256 Fingerprint of the source file.
+ * @param {{ provider: string, model: string } | null} [params.llm] LLM config the response came from; only provider and model are kept.
+ * @param {import("../llm/usage.js").LlmUsage | null} [params.usage]
+ * @returns {OptimizationPlan}
+ */
+export function createPlan({
+  response,
+  intent,
+  normalized,
+  sha256,
+  llm = null,
+  usage = null,
+}) {
+  return {
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    source: { ...describeProject(normalized), sha256 },
+    intent,
+    response,
+    llm: llm ? { provider: llm.provider, model: llm.model } : null,
+    usage,
+  };
+}
+
+/**
+ * @param {string} filePath
+ * @param {OptimizationPlan} plan
+ */
+export function writePlan(filePath, plan) {
+  fs.writeFileSync(filePath, `${JSON.stringify(plan, null, 2)}\n`);
+}
+
+/**
+ * Read a plan file and re-validate its response.
+ *
+ * @param {string} filePath
+ * @returns {OptimizationPlan}
+ */
+export function readPlan(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new FileFormatError({
+      path: filePath,
+      message: `Failed to read plan at ${filePath}: ${error.message}`,
+    });
+  }
+  if (raw?.version !== PLAN_VERSION || !raw.response) {
+    throw new FileFormatError({
+      path: filePath,
+      message: `Unsupported plan format in ${filePath}`,
+    });
+  }
+  return { ...raw, response: parseLlmResponse(raw.response) };
+}
+
+/**
+ * Warn when a plan is applied to a project with a different printer, nozzle
+ * or filament set than the one it was created for.
+ *
+ * @param {OptimizationPlan} plan
+ * @param {object} normalized
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ * @returns {string[]}
+ */
+export function comparePlanSource(plan, normalized, i18n = createI18n()) {
+  const t = i18n.t;
+  const planned = plan.source ?? {};
+  const actual = describeProject(normalized);
+  const warnings = [];
+  if (planned.printer !== actual.printer) {
+    warnings.push(
+      t("planPrinterMismatchWarning", {
+        planned: String(planned.printer),
+        actual: actual.printer,
+      }),
+    );
+  }
+  if (planned.nozzle_diameter_mm !== actual.nozzle_diameter_mm) {
+    warnings.push(
+      t("planNozzleMismatchWarning", {
+        planned: String(planned.nozzle_diameter_mm),
+        actual: String(actual.nozzle_diameter_mm),
+      }),
+    );
+  }
+  const plannedFilaments = (planned.filaments ?? []).join(", ");
+  const actualFilaments = actual.filaments.join(", ");
+  if (plannedFilaments !== actualFilaments) {
+    warnings.push(
+      t("planFilamentMismatchWarning", {
+        planned: plannedFilaments || "—",
+        actual: actualFilaments || "—",
+      }),
+    );
+  }
+  return warnings;
+}
+
+function describeProject(normalized) {
+  const { printer, filaments } = normalized.projectSummary;
+  return {
+    fileName: path.basename(normalized.fileName),
+    printer: printer.name,
+    nozzle_diameter_mm: printer.nozzle_diameter_mm ?? null,
+    filaments: filaments.map(
+      (filament) => `${filament.name} (${filament.material_family})`,
+    ),
+  };
+}
@@ -0,0 +1,109 @@
+import { stdin, stdout } from "node:process";
+import { promptLine, selectOption } from "../intent/intent.js";
+import { figures, palette } from "../utils/summary.js";
+import { createI18n } from "../i18n.js";
+
+/**
+ * Step through suggested changes and let the user accept, reject or edit
+ * each one. Non-interactive input accepts everything.
+ *
+ * @param {object} params
+ * @param {Array<{scope: string, target: any, parameter: string, from: any, to: any, reason: string}>} params.diffs
+ * @param {NodeJS.ReadStream} [params.inputStream]
+ * @param {NodeJS.WriteStream} [params.outputStream]
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [params.i18n]
+ * @returns {Promise<Array<object>>} Accepted diffs; edited ones carry the new value in `to`.
+ */
+export async function reviewDiffs({
+  diffs,
+  inputStream = stdin,
+  outputStream = stdout,
+  i18n = createI18n(),
+}) {
+  const t = i18n.t;
+  const options = [
+    { value: "accept", label: t("reviewAcceptLabel") },
+    { value: "reject", label: t("reviewRejectLabel") },
+    { value: "edit", label: t("reviewEditLabel") },
+  ];
+  const accepted = [];
+  for (const [index, diff] of diffs.entries()) {
+    const choice = await selectOption({
+      question: describeDiff({ diff, index, total: diffs.length, t }),
+      options,
+      input: inputStream,
+      output: outputStream,
+    });
+    if (choice.value === "accept") {
+      accepted.push(diff);
+    } else if (choice.value === "edit") {
+      const answer = await promptLine({
+        input: inputStream,
+        output: outputStream,
+        prompt: `${palette.primary(figures.pointer)} ${t("reviewEditPrompt", {
+          parameter: diff.parameter,
+          value: String(diff.to),
+        })} `,
+      });
+      accepted.push({ ...diff, to: parseReviewValue(answer, diff.to) });
+    }
+  }
+  return accepted;
+}
+
+/**
+ * Turn reviewed diffs back into an optimizer response with absolute values,
+ * so they can be re-applied onto the original project.
+ *
+ * @param {Array<{scope: string, target: any, parameter: string, to: any, reason?: string}>} diffs
+ * @returns {import("./changes.js").LlmResponse}
+ */
+export function buildReviewedResponse(diffs) {
+  return {
+    changes: diffs.map((diff) => ({
+      scope: diff.scope,
+      target: diff.target,
+      parameter: diff.parameter,
+      newValue: diff.to,
+      changeType: "absolute",
+      reason: diff.reason,
+    })),
+  };
+}
+
+/**
+ * Parse a value typed during review. Empty input keeps the fallback.
+ *
+ * @param {string} raw
+ * @param {any} fallback
+ * @returns {string | number | boolean | null}
+ */
+export function parseReviewValue(raw, fallback) {
+  const text = raw.trim();
+  if (text === "") return fallback;
+  if (text === "true" || text === "false") return text === "true";
+  if (text === "null") return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : text;
+}
+
+function describeDiff({ diff, index, total, t }) {
+  const title = t("reviewChangeTitle", { index: index + 1, total });
+  const change = `${palette.diffOld(String(diff.from))} ${palette.diffArrow("→")} ${palette.diffNew(String(diff.to))}`;
+  return `${figures.star} ${palette.bold(title)} ${palette.accent(diff.parameter)}${describeTarget(diff)} ${change} ${palette.muted("(↑/↓ + Enter)")}`;
+}
+
+function describeTarget(diff) {
+  if (diff.scope === "object") {
+    return palette.muted(
+      ` @ ${diff.target.objectName}@p${diff.target.plateIndex}`,
+    );
+  }
+  if (diff.scope === "plate") {
+    return palette.muted(` @ p${diff.target.plateIndex}`);
+  }
+  if (diff.scope === "filament") {
+    return palette.muted(` @ f${diff.target.filamentIndex}`);
+  }
+  return "";
+}
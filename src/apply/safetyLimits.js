@@ -0,0 +1,481 @@
+import {
+  BED_TYPE_LIMITS,
+  DEFAULT_NOZZLE_DIAMETER_MM,
+  FALLBACK_MATERIAL_LIMITS,
+  LAYER_HEIGHT_MIN_MM,
+  LAYER_HEIGHT_NOZZLE_RATIO_MAX,
+  MATERIAL_LIMITS,
+} from "../constants.js";
+import { createI18n } from "../i18n.js";
+import { resolveChangeValue } from "./changes.js";
+import {
+  readObjectOverride,
+  readPlateOverride,
+} from "../utils/objectOverrides.js";
+import {
+  BUILTIN_PRINTERS,
+  findPrinterCapabilities,
+} from "../knowledge/printers.js";
+import {
+  BUILTIN_FILAMENTS,
+  findFilamentProfile,
+} from "../knowledge/filaments.js";
+
+/**
+ * Warning categories emitted by the safety gate (see `formatWarnings`).
+ */
+export const SAFETY_WARNING_CATEGORIES = {
+  clamped: "safetyClamped",
+  rejected: "safetyRejected",
+};
+
+/**
+ * @typedef {object} SafetyLimits
+ * @property {number} min
+ * @property {number} max
+ * @property {string} unit
+ * @property {string} source Human-readable origin of the limits (filament profile, material, nozzle, bed, printer).
+ */
+
+/**
+ * @typedef {object} SafetyWarning
+ * @property {string} category One of `SAFETY_WARNING_CATEGORIES`.
+ * @property {string} message
+ */
+
+const SAFETY_RULES = [
+  { parameters: ["nozzle_temp_c"], resolveLimits: resolveNozzleTempLimits },
+  { parameters: ["bed_temp_c"], resolveLimits: resolveBedTempLimits },
+  {
+    parameters: ["layer_height_mm", "first_layer_height_mm"],
+    resolveLimits: resolveLayerHeightLimits,
+  },
+  {
+    parameters: [
+      "speeds.wall_outer",
+      "speeds.wall_inner",
+      "speeds.infill",
+      "speeds.first_layer",
+      "travel_speed",
+      "bridge_speed",
+      "top_surface_speed",
+      "gap_infill_speed",
+      "support_speed",
+      "support_interface_speed",
+      "internal_solid_infill_speed",
+      "initial_layer_infill_speed",
+      "overhang_1_4_speed",
+      "overhang_2_4_speed",
+      "overhang_3_4_speed",
+      "overhang_4_4_speed",
+      "ironing_speed",
+    ],
+    resolveLimits: resolveSpeedLimits,
+    allowNonNumeric: true,
+  },
+  {
+    parameters: [
+      "travel_acceleration",
+      "outer_wall_acceleration",
+      "inner_wall_acceleration",
+      "sparse_infill_acceleration",
+      "initial_layer_acceleration",
+      "top_surface_acceleration",
+      "default_acceleration",
+    ],
+    resolveLimits: resolveAccelerationLimits,
+    allowNonNumeric: true,
+  },
+  {
+    parameters: ["filament_max_volumetric_speed"],
+    resolveLimits: resolveVolumetricSpeedLimits,
+    allowNonNumeric: true,
+  },
+  {
+    parameters: ["fan_speed_percent"],
+    resolveLimits: resolveFanSpeedLimits,
+    allowNonNumeric: true,
+  },
+];
+
+/**
+ * Check LLM-proposed changes against filament, material, nozzle, bed and
+ * printer limits before they are applied.
+ *
+ * Temperatures use the filament's catalogue profile when it is known and
+ * its material family otherwise, for the filaments used on the plates a
+ * change affects. Out-of-range numeric values are clamped to the nearest
+ * bound; values that cannot be checked (non-numeric, or conflicting
+ * material limits) are rejected. Speeds, accelerations, volumetric speed
+ * and fan speed are only checked when the printer or filament is in the
+ * catalogue, and non-numeric values (such as `50%`) are left alone. Every
+ * intervention is reported as a categorized warning.
+ *
+ * @param {object} options
+ * @param {object} options.normalized Normalized project model from `parse3mfBuffer`.
+ * @param {import("./changes.js").LlmResponse} options.response Validated optimizer response.
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [options.i18n]
+ * @param {Record<string, import("../knowledge/printers.js").PrinterCapabilities>} [options.printers] Printer catalogue.
+ * @param {Record<string, import("../knowledge/filaments.js").FilamentProfile>} [options.filaments] Filament catalogue.
+ * @returns {{ response: import("./changes.js").LlmResponse, warnings: SafetyWarning[] }}
+ */
+export function enforceSafetyLimits({
+  normalized,
+  response,
+  i18n,
+  printers = BUILTIN_PRINTERS,
+  filaments = BUILTIN_FILAMENTS,
+}) {
+  const t = (i18n ?? createI18n()).t;
+  const context = buildSafetyContext(normalized, response, {
+    printers,
+    filaments,
+  });
+  const warnings = [];
+  const changes = [];
+
+  for (const change of response.changes) {
+    const checked = checkChange({ change, context, warnings, t });
+    if (checked) changes.push(checked);
+  }
+
+  return { response: { ...response, changes }, warnings };
+}
+
+function buildSafetyContext(normalized, response, catalogs) {
+  const { printer = {}, filaments = [] } = normalized.projectSummary;
+  return {
+    normalized,
+    materials: filaments.map((filament) =>
+      describeMaterial(filament, catalogs.filaments),
+    ),
+    nozzleDiameter: printer.nozzle_diameter_mm ?? DEFAULT_NOZZLE_DIAMETER_MM,
+    bedType: printer.bed_type,
+    plateBedTypes: proposedPlateBedTypes(response),
+    capabilities: findPrinterCapabilities(printer.name, catalogs.printers),
+  };
+}
+
+/**
+ * Bed types the response itself sets per plate, so temperatures on those
+ * plates are checked against the plate they will print on.
+ */
+function proposedPlateBedTypes(response) {
+  const bedTypes = new Map();
+  for (const change of response.changes) {
+    const plateIndex = change.target?.plateIndex;
+    if (change.parameter === "bed_type" && Number.isInteger(plateIndex)) {
+      bedTypes.set(plateIndex, change.newValue);
+    }
+  }
+  return bedTypes;
+}
+
+function describeMaterial(filament, catalog) {
+  return {
+    family: filament.material_family ?? "Other",
+    profile: findFilamentProfile(filament.name, catalog),
+  };
+}
+
+function checkChange({ change, context, warnings, t }) {
+  const rule = SAFETY_RULES.find((item) =>
+    item.parameters.includes(change.parameter),
+  );
+  if (!rule) return change;
+
+  const limits = rule.resolveLimits(scopeContext(change, context));
+  if (!limits) return change;
+  if (limits.conflict) {
+    warnings.push(
+      rejectedWarning(
+        change,
+        t(limits.reason ?? "safetyConflictReason", limits),
+        t,
+      ),
+    );
+    return null;
+  }
+
+  const proposed = resolveProposedValue(change, context.normalized);
+  if (proposed === undefined) return change;
+  if (proposed === null) {
+    if (rule.allowNonNumeric) return change;
+    warnings.push(rejectedWarning(change, t("safetyNotNumericReason"), t));
+    return null;
+  }
+  if (proposed >= limits.min && proposed <= limits.max) return change;
+
+  const clamped = Math.min(Math.max(proposed, limits.min), limits.max);
+  warnings.push({
+    category: SAFETY_WARNING_CATEGORIES.clamped,
+    message: t("safetyClampedWarning", {
+      parameter: change.parameter,
+      value: roundForDisplay(proposed),
+      clamped,
+      ...limits,
+    }),
+  });
+  return { ...change, newValue: clamped, changeType: "absolute" };
+}
+
+/**
+ * Filament-scoped changes are only limited by the targeted slot's material;
+ * other changes by the materials used on the plates they affect, and plate
+ * and object changes by their plate's bed type, including one the response
+ * sets.
+ */
+function scopeContext(change, context) {
+  if (change.scope !== "filament") {
+    const plateIndex = change.target?.plateIndex ?? null;
+    const plate = readPlateOverride(
+      context.normalized.currentSettings.perPlateOverrides,
+      plateIndex,
+    );
+    return {
+      ...context,
+      materials: usedMaterials(context, plateIndex),
+      bedType:
+        context.plateBedTypes.get(plateIndex) ??
+        plate?.bed_type ??
+        context.bedType,
+    };
+  }
+  const material = context.materials[change.target?.filamentIndex];
+  if (!material) return context;
+  return { ...context, materials: [material] };
+}
+
+/**
+ * Materials of the filament slots used on one plate, or on every plate when
+ * `plateIndex` is `null`. Falls back to all loaded materials when a plate's
+ * usage is unknown.
+ */
+function usedMaterials(context, plateIndex) {
+  const { plates = [], slice_results: sliceResults = [] } =
+    context.normalized.projectSummary;
+  const affected = plates.filter(
+    (plate) => plateIndex === null || plate.index === plateIndex,
+  );
+  const slots = affected.map((plate) => plateSlots(plate, sliceResults));
+  if (slots.length === 0 || slots.includes(null)) return context.materials;
+  const used = [...new Set(slots.flat())]
+    .map((slot) => context.materials[slot])
+    .filter(Boolean);
+  return used.length > 0 ? used : context.materials;
+}
+
+/**
+ * Zero-based filament slots a plate prints with: the slicer's usage when the
+ * plate was sliced, else the slots assigned to its objects. `null` when some
+ * object has no assignment.
+ */
+function plateSlots(plate, sliceResults) {
+  const sliced = sliceResults.find(
+    (result) => result.plateIndex === plate.index,
+  );
+  if (sliced?.filaments.length > 0) {
+    return sliced.filaments.map(({ id }) => Number.parseInt(id, 10) - 1);
+  }
+  if (plate.objects.length === 0) return null;
+  const slots = plate.objects.map((object) => object.filamentIndex);
+  return slots.every(Number.isInteger) ? slots : null;
+}
+
+function rejectedWarning(change, reason, t) {
+  return {
+    category: SAFETY_WARNING_CATEGORIES.rejected,
+    message: t("safetyRejectedWarning", {
+      parameter: change.parameter,
+      value: String(change.newValue),
+      reason,
+    }),
+  };
+}
+
+/**
+ * Resolve the value a change would produce.
+ *
+ * Returns `undefined` for relative, percent and delta changes that cannot be
+ * evaluated (these are reported later by `applyLlmChanges`) and `null` for
+ * non-numeric values.
+ */
+function resolveProposedValue(change, normalized) {
+  const proposed = resolveChangeValue(
+    resolveBaseValue(change, normalized),
+    change,
+  );
+  return proposed === undefined ? undefined : toFiniteNumber(proposed);
+}
+
+function resolveBaseValue(change, normalized) {
+  const {
+    globalProcess,
+    perObjectOverrides,
+    perPlateOverrides,
+    perFilamentSettings,
+  } = normalized.currentSettings;
+  if (change.scope === "filament") {
+    const slot = (perFilamentSettings ?? []).find(
+      (entry) => entry.filamentIndex === change.target?.filamentIndex,
+    );
+    return slot?.[change.parameter] ?? globalProcess[change.parameter];
+  }
+  if (change.scope !== "object" && change.scope !== "plate") {
+    return globalProcess[change.parameter];
+  }
+  const plateIndex = change.target?.plateIndex ?? null;
+  const plateValue = readPlateOverride(perPlateOverrides, plateIndex)?.[
+    change.parameter
+  ];
+  const objectValue =
+    change.scope === "object"
+      ? readObjectOverride(perObjectOverrides, {
+          objectName: change.target?.objectName ?? change.target?.name,
+          plateIndex,
+        })?.[change.parameter]
+      : undefined;
+  return objectValue ?? plateValue ?? globalProcess[change.parameter];
+}
+
+function toFiniteNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function resolveNozzleTempLimits({ materials }) {
+  return intersectMaterialRanges(materials, "nozzle");
+}
+
+function resolveBedTempLimits({ materials, bedType }) {
+  const material = intersectMaterialRanges(materials, "bed");
+  const bedLimits = findBedTypeLimits(bedType);
+  if (material.conflict || !bedLimits) return material;
+  return intersectRanges({
+    ranges: [[material.min, material.max], bedLimits.bed],
+    unit: "°C",
+    source: `${material.source} / ${bedLimits.name}`,
+  });
+}
+
+function resolveLayerHeightLimits({ nozzleDiameter }) {
+  const max = nozzleDiameter * LAYER_HEIGHT_NOZZLE_RATIO_MAX;
+  return {
+    min: LAYER_HEIGHT_MIN_MM,
+    max: Math.round(max * 1000) / 1000,
+    unit: "mm",
+    source: `${nozzleDiameter} mm nozzle`,
+  };
+}
+
+function resolveSpeedLimits({ capabilities }) {
+  if (!capabilities) return null;
+  return {
+    min: 0,
+    max: capabilities.max_speed_mm_s,
+    unit: "mm/s",
+    source: capabilities.model,
+  };
+}
+
+function resolveAccelerationLimits({ capabilities }) {
+  if (!capabilities) return null;
+  return {
+    min: 0,
+    max: capabilities.max_acceleration_mm_s2,
+    unit: "mm/s²",
+    source: capabilities.model,
+  };
+}
+
+function resolveVolumetricSpeedLimits({ materials }) {
+  const profiles = materials
+    .map(({ profile }) => profile)
+    .filter((profile) => profile?.max_volumetric_speed_mm3_s);
+  if (profiles.length === 0) return null;
+  return {
+    min: 0,
+    max: Math.min(
+      ...profiles.map((profile) => profile.max_volumetric_speed_mm3_s),
+    ),
+    unit: "mm³/s",
+    source: uniqueLabels(profiles.map((profile) => profile.profile)),
+  };
+}
+
+function resolveFanSpeedLimits({ materials }) {
+  const profiles = materials
+    .map(({ profile }) => profile)
+    .filter((profile) => profile?.fan_speed_percent);
+  if (profiles.length === 0) return null;
+  return intersectRanges({
+    ranges: profiles.map((profile) => profile.fan_speed_percent),
+    unit: "%",
+    source: uniqueLabels(profiles.map((profile) => profile.profile)),
+  });
+}
+
+/**
+ * Intersect the temperature ranges of every material: a known filament
+ * profile's own range, else its family's, else the generic fallback. An
+ * empty intersection is reported as a material conflict.
+ */
+function intersectMaterialRanges(materials, key) {
+  const known = materials
+    .map((material) => materialRange(material, key))
+    .filter(Boolean);
+  if (known.length === 0) {
+    return intersectRanges({
+      ranges: [FALLBACK_MATERIAL_LIMITS[key]],
+      unit: "°C",
+      source:
+        uniqueLabels(materials.map((material) => material.family)) || "generic",
+    });
+  }
+  const limits = intersectRanges({
+    ranges: known.map(({ range }) => range),
+    unit: "°C",
+    source: uniqueLabels(known.map(({ label }) => label)),
+  });
+  return limits.conflict
+    ? { ...limits, reason: "safetyMaterialConflictReason" }
+    : limits;
+}
+
+function materialRange({ family, profile }, key) {
+  if (profile)
+    return { label: profile.profile, range: profile[`${key}_temp_c`] };
+  if (!MATERIAL_LIMITS[family]) return null;
+  return { label: family, range: MATERIAL_LIMITS[family][key] };
+}
+
+function uniqueLabels(labels) {
+  return [...new Set(labels)].join(" + ");
+}
+
+function intersectRanges({ ranges, unit, source }) {
+  const min = Math.max(...ranges.map(([low]) => low));
+  const max = Math.min(...ranges.map(([, high]) => high));
+  if (min > max) return { conflict: true, unit, source };
+  return { min, max, unit, source };
+}
+
+function findBedTypeLimits(bedType) {
+  if (typeof bedType !== "string") return null;
+  const wanted = normalizeBedType(bedType);
+  const match = Object.keys(BED_TYPE_LIMITS).find((name) => {
+    const key = normalizeBedType(name);
+    return key === wanted || key === `${wanted}plate`;
+  });
+  return match ? { name: match, ...BED_TYPE_LIMITS[match] } : null;
+}
+
+function normalizeBedType(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function roundForDisplay(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -1,23 +1,57 @@
 import fs from "fs";
 import path from "path";
-import { Command } from "commander";
+import { Command, InvalidArgumentError } from "commander";
 import ora from "ora";
 import { createLogger } from "./logger.js";
 import { loadConfig } from "./config.js";
+import {
+  CONFIG_FILE_NAME,
+  ENV_BACKED_SETTINGS,
+  assertKnownSetting,
+  findConfigFiles,
+  loadConfigFile,
+  setConfigValue,
+  userConfigPath,
+} from "./configFile.js";
 import { parse3mfFile } from "./3mf/parser.js";
 import { updateMetadataFromNormalized, write3mf } from "./3mf/writer.js";
+import {
+  createHistoryEntry,
+  findHistoryRun,
+  readHistory,
+} from "./3mf/history.js";
 import { buildLlmRequestPayload } from "./llm/requestBuilder.js";
 import { requestOptimization } from "./llm/optimizerClient.js";
 import { SYSTEM_PROMPT } from "./llm/prompt.js";
-import { applyLlmChanges } from "./apply/changes.js";
+import { diffProjects } from "./3mf/projectDiff.js";
+import { buildInspectReport } from "./3mf/inspect.js";
+import { applyLlmChanges, findUnknownParameters } from "./apply/changes.js";
+import { enforceSafetyLimits } from "./apply/safetyLimits.js";
+import { compareEstimates } from "./apply/estimate.js";
+import { buildReviewedResponse, reviewDiffs } from "./apply/review.js";
+import {
+  comparePlanSource,
+  createPlan,
+  readPlan,
+  writePlan,
+} from "./apply/plan.js";
 import {
   summarizeProject,
   formatDiffs,
+  formatBatchSummary,
   formatRationale,
   formatJsonForConsole,
   formatWarnings,
   formatSuccess,
   formatError,
+  formatInfo,
+  formatInspectReport,
+  formatCacheEntries,
+  formatConfigSettings,
+  formatHistory,
+  formatHistoryRun,
+  formatUsage,
+  formatEstimate,
   palette,
   figures,
 } from "./utils/summary.js";
@@ -27,6 +61,18 @@ import {
   readIntentFromFile,
 } from "./intent/intent.js";
 import { createI18n } from "./i18n.js";
+import { OPTIMIZED_SUFFIX, expandInputs } from "./utils/inputs.js";
+import { mapWithConcurrency } from "./utils/concurrency.js";
+import { sha256File } from "./utils/hash.js";
+import { EXIT_CODES, exitCodeFor } from "./errors.js";
+import { clearCache, defaultCacheDir, listCacheEntries } from "./llm/cache.js";
+import { addUsage, createUsage } from "./llm/usage.js";
+import { createReporter, toReportWarnings } from "./utils/reporter.js";
+import { readPrinterCatalog } from "./knowledge/printers.js";
+import { readFilamentCatalog } from "./knowledge/filaments.js";
+
+const SILENT_LOGGER = { log: () => {}, debug: () => {} };
+const TEXT_REPORTER = createReporter();
 
 /**
  * CLI entry point (used by `bin/slicer-copilot` and tests).
@@ -46,39 +92,298 @@ export async function runCli(argv = process.argv) {
     .option("--non-interactive", "Skip interactive prompts", false)
     .option("--intent-file <file>", "JSON file with user intent")
     .option("--verbose", "Verbose logging", false)
+    .option(
+      "--provider <name>",
+      "LLM provider: openai, anthropic, ollama, openai-compatible-no-schema",
+    )
     .option("--model <model>", "LLM model name")
-    .option("--base-url <url>", "OpenAI-compatible base URL")
+    .option("--base-url <url>", "Provider base URL")
     .option("--api-key <key>", "API key (or use env)")
     .option("--temperature <number>", "Temperature for LLM", parseFloat)
+    .option(
+      "--repair-attempts <number>",
+      "Follow-up requests allowed to fix an invalid LLM reply",
+      parseNonNegativeInteger,
+    )
+    .option(
+      "--timeout <seconds>",
+      "Abort an LLM request after this many seconds",
+      parsePositiveNumber,
+    )
+    .option(
+      "--max-retries <number>",
+      "Retries for rate-limited, timed out or failed LLM requests",
+      parseNonNegativeInteger,
+    )
+    .option(
+      "--prices <file>",
+      "JSON price table (USD per million tokens) for cost estimates",
+    )
+    .option(
+      "--printers <file>",
+      "JSON printer catalogue merged over the built-in printer limits",
+    )
+    .option(
+      "--filaments <file>",
+      "JSON filament catalogue merged over the built-in filament profiles",
+    )
+    .option("--no-cache", "Do not read or store cached LLM responses")
+    .option(
+      "--refresh-cache",
+      "Ask the LLM again and replace the cached response",
+      false,
+    )
     .option("--mock-response <file>", "Use mock LLM JSON response (for tests)")
     .option(
       "-f, --force",
       "Allow changing settings already modified in the .3mf",
       false,
     )
+    .option(
+      "--review",
+      "Accept, reject or edit each suggested change before writing",
+      false,
+    )
+    .option("--save-plan <file>", "Save the optimization plan as JSON")
     .option(
       "--language <code>",
       "Language for CLI output and model replies (e.g. en, ru, es)",
     )
-    .command("optimize <input>")
-    .action(async (input, _opts, cmd) => {
-      const options = cmd.parent.opts();
+    .option(
+      "--output-dir <dir>",
+      "Directory for optimized projects when optimizing several inputs",
+    )
+    .option(
+      "--concurrency <number>",
+      "Number of projects optimized in parallel",
+      parsePositiveInteger,
+      2,
+    )
+    .option(
+      "--output-format <format>",
+      "Output for optimize: text, json, or ndjson (with progress events)",
+      "text",
+    )
+    .option(
+      "--profile <name>",
+      "Config file profile to use (or SLICER_COPILOT_PROFILE)",
+    )
+    .command("optimize <inputs...>")
+    .action(async (inputs, _opts, cmd) => {
+      let logger = createLogger(cmd.parent.opts().verbose);
+      let reporter;
+      try {
+        const options = withConfigFile(cmd.parent.opts(), cmd);
+        reporter = createReporter({ format: options.outputFormat });
+        if (reporter.machine) logger = SILENT_LOGGER;
+        await handleOptimize({ inputs, options, logger, reporter });
+      } catch (error) {
+        if (reporter?.machine) {
+          reporter.error(error);
+        } else {
+          logger.log("");
+          logger.log(formatError(`Error: ${error.message}`));
+        }
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  program
+    .command("apply <input>")
+    .description("Apply a saved optimization plan to a .3mf project")
+    .requiredOption("--plan <file>", "Plan JSON saved with --save-plan")
+    .action(async function (input) {
+      const logger = createLogger(this.optsWithGlobals().verbose);
+      try {
+        const options = withConfigFile(this.optsWithGlobals(), this);
+        await handleApply({ input, options, logger });
+      } catch (error) {
+        logger.log("");
+        logger.log(formatError(`Error: ${error.message}`));
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  program
+    .command("diff <a> <b>")
+    .description("Compare settings of two .3mf projects")
+    .option("--json", "Print differences as JSON", false)
+    .action(async function (a, b) {
+      const logger = createLogger(this.optsWithGlobals().verbose);
+      try {
+        const options = withConfigFile(this.optsWithGlobals(), this);
+        await handleDiff({ a, b, options, logger });
+      } catch (error) {
+        logger.log("");
+        logger.log(formatError(`Error: ${error.message}`));
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  program
+    .command("inspect <input>")
+    .description(
+      "Show what was read from a .3mf project without calling the LLM",
+    )
+    .option("--json", "Print the report as JSON", false)
+    .option("--raw-config", "Include the raw project config", false)
+    .action(async function (input) {
+      const logger = createLogger(this.optsWithGlobals().verbose);
+      try {
+        const options = withConfigFile(this.optsWithGlobals(), this);
+        await handleInspect({ input, options, logger });
+      } catch (error) {
+        logger.log("");
+        logger.log(formatError(`Error: ${error.message}`));
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  program
+    .command("history <input>")
+    .description("List the optimization runs recorded in a .3mf project")
+    .option(
+      "--run <number>",
+      "Show the changes of one run",
+      parsePositiveInteger,
+    )
+    .option("--json", "Print the history as JSON", false)
+    .action(async function (input) {
+      const logger = createLogger(this.optsWithGlobals().verbose);
+      try {
+        const options = withConfigFile(this.optsWithGlobals(), this);
+        await handleHistory({ input, options, logger });
+      } catch (error) {
+        logger.log("");
+        logger.log(formatError(`Error: ${error.message}`));
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  const cache = program
+    .command("cache")
+    .description("Manage cached LLM responses");
+
+  cache
+    .command("list")
+    .description("List cached LLM responses")
+    .option("--json", "Print entries as JSON", false)
+    .action(function () {
+      const logger = createLogger(this.optsWithGlobals().verbose);
+      try {
+        const options = withConfigFile(this.optsWithGlobals(), this);
+        handleCacheList({ options, logger });
+      } catch (error) {
+        logger.log("");
+        logger.log(formatError(`Error: ${error.message}`));
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  cache
+    .command("clear")
+    .description("Delete all cached LLM responses")
+    .action(function () {
+      const logger = createLogger(this.optsWithGlobals().verbose);
+      try {
+        const options = withConfigFile(this.optsWithGlobals(), this);
+        handleCacheClear({ options, logger });
+      } catch (error) {
+        logger.log("");
+        logger.log(formatError(`Error: ${error.message}`));
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  const config = program
+    .command("config")
+    .description("Show or change settings in .slicer-copilotrc files");
+
+  config
+    .command("list")
+    .description("List settings from config files and where they come from")
+    .option("--json", "Print settings as JSON", false)
+    .action(function () {
+      const logger = createLogger(this.optsWithGlobals().verbose);
+      try {
+        const options = withConfigFile(this.optsWithGlobals(), this);
+        handleConfigList({ options, logger });
+      } catch (error) {
+        logger.log("");
+        logger.log(formatError(`Error: ${error.message}`));
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  config
+    .command("get <key>")
+    .description("Print the effective config-file value of a setting")
+    .action(function (key) {
+      const logger = createLogger(this.optsWithGlobals().verbose);
+      try {
+        const options = withConfigFile(this.optsWithGlobals(), this);
+        handleConfigGet({ key, options, logger });
+      } catch (error) {
+        logger.log("");
+        logger.log(formatError(`Error: ${error.message}`));
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  config
+    .command("set <key> <value>")
+    .description(
+      "Store a setting in the user config file (or in a profile with --profile)",
+    )
+    .option(
+      "--project",
+      "Write to the project .slicer-copilotrc instead of the user file",
+      false,
+    )
+    .action(function (key, value) {
+      const options = this.optsWithGlobals();
       const logger = createLogger(options.verbose);
       try {
-        await handleOptimize({ input, options, logger });
+        handleConfigSet({ key, value, options, logger });
       } catch (error) {
         logger.log("");
         logger.log(formatError(`Error: ${error.message}`));
-        process.exitCode = 1;
+        process.exitCode = exitCodeFor(error);
       }
     });
 
   await program.parseAsync(argv);
 }
 
+function parsePositiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError("Expected a positive integer.");
+  }
+  return number;
+}
+
+function parseNonNegativeInteger(value) {
+  const number = Number(value);
+  if (value.trim() === "" || !Number.isInteger(number) || number < 0) {
+    throw new InvalidArgumentError("Expected a non-negative integer.");
+  }
+  return number;
+}
+
+function parsePositiveNumber(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new InvalidArgumentError("Expected a positive number.");
+  }
+  return number;
+}
+
 /**
  * Resolve user intent from `--intent-file`, non-interactive defaults, or
- * interactive prompts.
+ * interactive prompts. `options.goal` (from config files) replaces the
+ * non-interactive default goal, and `options.lockedParameters` are added to
+ * the locked parameters of any intent.
  *
  * @param {object} options
  * @param {{ log?: (...args: any[]) => void } | undefined} logger
@@ -86,13 +391,22 @@ export async function runCli(argv = process.argv) {
  * @returns {Promise<object>}
  */
 export async function loadIntent(options, logger, i18n = createI18n()) {
-  const translator = i18n ?? createI18n();
+  const intent = await readIntent(options, logger, i18n ?? createI18n());
+  const locked = options.lockedParameters ?? [];
+  return {
+    ...intent,
+    locked_parameters: [...new Set([...intent.locked_parameters, ...locked])],
+  };
+}
+
+async function readIntent(options, logger, translator) {
   if (options.intentFile) {
     return readIntentFromFile(options.intentFile);
   }
   if (options.nonInteractive) {
     logger?.log?.(translator.t("nonInteractiveIntent"));
-    return createEmptyIntent();
+    const intent = createEmptyIntent();
+    return { ...intent, primary_goal: options.goal ?? intent.primary_goal };
   }
   return promptIntent({ logger, i18n: translator });
 }
@@ -107,142 +421,920 @@ export function defaultOutputPath(input) {
   const parsed = path.parse(input);
   const extIs3mf = parsed.ext.toLowerCase() === ".3mf";
   const baseName = extIs3mf ? parsed.name : parsed.base;
-  const targetFile = `${baseName}.optimized${extIs3mf ? parsed.ext : ".3mf"}`;
+  const targetFile = `${baseName}${OPTIMIZED_SUFFIX}${extIs3mf ? parsed.ext : ".3mf"}`;
   return path.join(parsed.dir || ".", targetFile);
 }
 
-async function handleOptimize({ input, options, logger }) {
-  const config = loadConfig({
-    apiKey: options.apiKey,
-    baseURL: options.baseUrl,
-    model: options.model,
-    temperature: options.temperature,
-    mockResponsePath: options.mockResponse,
+async function handleOptimize({
+  inputs,
+  options: cliOptions,
+  logger,
+  reporter,
+}) {
+  const options = resolveOutputOptions(cliOptions, reporter);
+  assertReviewable(options);
+  const files = expandInputs(inputs);
+  if (files.length === 0) {
+    throw new Error(`No .3mf files found: ${inputs.join(", ")}`);
+  }
+  if (files.length === 1) {
+    await handleOptimizeFile({ input: files[0], options, logger, reporter });
+    return;
+  }
+  if (options.output) {
+    throw new Error(
+      "--output cannot be used with multiple inputs; use --output-dir",
+    );
+  }
+  if (options.review || options.savePlan) {
+    throw new Error(
+      "--review and --save-plan cannot be used with multiple inputs",
+    );
+  }
+  assertDistinctOutputs(files, options);
+  await handleBatch({ files, options, logger, reporter });
+}
+
+/**
+ * Inputs with the same file name in different directories would overwrite
+ * each other's result in `--output-dir`.
+ */
+function assertDistinctOutputs(files, options) {
+  if (options.dryRun) return;
+  const inputsByOutput = new Map();
+  files.forEach((input) => {
+    const outputPath = path.resolve(resolveOutputPath(input, options));
+    const other = inputsByOutput.get(outputPath);
+    if (other) {
+      throw new Error(
+        `${other} and ${input} would both be written to ${outputPath}; rename one of them or optimize them separately`,
+      );
+    }
+    inputsByOutput.set(outputPath, input);
   });
-  const language =
-    options.language ??
-    process.env.SLICER_COPILOT_LANGUAGE ??
-    process.env.SLICER_COPILOT_LANG ??
-    "en";
-  const i18n = createI18n(language);
+}
 
-  if (!fs.existsSync(input)) {
-    throw new Error(`Input file not found: ${input}`);
+/**
+ * Machine-readable output cannot share stdout with prompts: it implies
+ * `--non-interactive` and rules out `--review`.
+ */
+function resolveOutputOptions(options, reporter) {
+  if (!reporter.machine) return options;
+  if (options.review) {
+    throw new Error(
+      `--review cannot be used with --output-format ${reporter.format}`,
+    );
   }
+  return { ...options, nonInteractive: true };
+}
 
-  // Parse .3mf file with spinner
-  const parseSpinner = ora({
-    text: palette.text(i18n.t("loadingProject")),
-    spinner: "dots",
-    color: "cyan",
-  }).start();
-
-  let parsed;
-  try {
-    parsed = await parse3mfFile(input);
-    parseSpinner.succeed(palette.success(i18n.t("projectLoaded")));
-  } catch (err) {
-    parseSpinner.fail(palette.error(i18n.t("projectParseFailed")));
-    throw err;
+/**
+ * `--review` prompts for each change, so it needs a terminal: piped input
+ * would accept every change unseen.
+ */
+function assertReviewable(options) {
+  if (options.review && !process.stdin.isTTY) {
+    throw new Error(
+      "--review needs an interactive terminal; stdin is not a TTY",
+    );
   }
+}
+
+async function handleOptimizeFile({ input, options, logger, reporter }) {
+  const config = createLlmConfig(options);
+  const i18n = createI18n(resolveLanguage(options));
+
+  assertInputExists(input);
+  const parseDone = reporter.startStage("parse", { input });
+  const parsed = await loadProject({ input, i18n, silent: reporter.machine });
+  parseDone();
 
   logger.log("");
   logger.log(summarizeProject(parsed.normalized, i18n));
 
   const intent = await loadIntent(options, logger, i18n);
-  const payload = buildLlmRequestPayload({
-    normalized: parsed.normalized,
-    userIntent: intent,
-    plateImages: parsed.plateImages,
-    allowUserSettingOverrides:
-      options.force === true || options.overrideUserSettings === true,
-    targetLanguage: i18n.language,
+  const {
+    response: llmResponse,
+    result,
+    attempts,
+    cached,
+    usage,
+  } = await requestChanges({
+    input,
+    parsed,
+    context: { options, config, intent, i18n },
+    output: { logger, reporter, silent: reporter.machine },
+  });
+  reportResult({
+    result,
+    rationale: llmResponse.globalRationale,
+    usage,
+    i18n,
+    logger,
   });
 
+  const reviewed = await reviewResult({
+    parsed,
+    result,
+    response: llmResponse,
+    context: { options, intent, i18n },
+    logger,
+  });
+  if (options.savePlan && reviewed) {
+    const plan = createPlan({
+      response: reviewed.response,
+      intent,
+      normalized: parsed.normalized,
+      sha256: sha256File(input),
+      llm: config,
+      usage,
+    });
+    writePlan(options.savePlan, plan);
+    logger.log(formatSuccess(i18n.t("planSaved", { path: options.savePlan })));
+  }
+
+  const outputPath = await writeResult({
+    input,
+    parsed,
+    result: reviewed?.result,
+    run: {
+      command: "optimize",
+      llm: config,
+      intent,
+      rationale: llmResponse.globalRationale ?? null,
+    },
+    options,
+    i18n,
+    logger,
+    reporter,
+  });
+  reporter.result({
+    command: "optimize",
+    input,
+    project: {
+      fileName: parsed.normalized.fileName,
+      ...parsed.normalized.projectSummary,
+    },
+    intent,
+    changes: result.diffs,
+    warnings: toReportWarnings(result.warnings),
+    estimate: result.estimate,
+    rationale: llmResponse.globalRationale ?? null,
+    outputPath,
+    cached,
+    usage,
+    attempts,
+  });
+}
+
+/**
+ * Ask the model for changes to a parsed project, then gate, apply and
+ * estimate them. Single-file and batch runs share this pipeline; batch runs
+ * pass a silent logger and reporter.
+ */
+async function requestChanges({ input, parsed, context, output }) {
+  const { options, config, intent, i18n } = context;
+  const { logger, reporter, silent } = output;
+  const payload = buildPayload({ parsed, intent, options, i18n });
   if (options.verbose) {
-    logger.log("");
-    logger.debug(
-      `${figures.info} ${palette.muted(i18n.t("llmSystemPromptLabel"))}`,
-    );
-    logger.debug(SYSTEM_PROMPT);
-    logger.log("");
-    logger.debug(
-      `${figures.info} ${palette.muted(i18n.t("llmRequestPayloadLabel"))}`,
-    );
-    logger.debug(formatJsonForConsole(payload));
-    logger.log("");
+    logPayload({ payload, i18n, logger });
+  }
+
+  const llmDone = reporter.startStage("llm", { input });
+  const reply = await requestWithSpinner({
+    payload,
+    config,
+    parsed,
+    i18n,
+    silent,
+  });
+  llmDone({ cached: reply.cached });
+
+  if (reply.cached) {
+    logger.log(formatInfo(i18n.t("cachedResponseUsed")));
+  }
+  if (options.verbose) {
+    logRepairAttempts({ attempts: reply.attempts, i18n, logger });
   }
 
-  // Call LLM with spinner
+  const result = applyOptimization({
+    parsed,
+    llmResponse: reply.response,
+    context,
+  });
+  return { ...reply, result };
+}
+
+function logPayload({ payload, i18n, logger }) {
+  logger.log("");
+  logger.debug(
+    `${figures.info} ${palette.muted(i18n.t("llmSystemPromptLabel"))}`,
+  );
+  logger.debug(SYSTEM_PROMPT);
+  logger.log("");
+  logger.debug(
+    `${figures.info} ${palette.muted(i18n.t("llmRequestPayloadLabel"))}`,
+  );
+  logger.debug(formatJsonForConsole(payload));
+  logger.log("");
+}
+
+async function requestWithSpinner({ payload, config, parsed, i18n, silent }) {
   const llmSpinner = ora({
     text: palette.text(i18n.t("analyzingSettings")),
     spinner: "dots",
     color: "yellow",
+    isSilent: silent,
   }).start();
 
-  let llmResponse;
   try {
-    llmResponse = await requestOptimization({
+    const reply = await requestOptimization({
       payload,
       config,
-      logger: { log: () => {}, debug: () => {} }, // Suppress logs during spinner
+      logger: SILENT_LOGGER, // Suppress logs during spinner
+      validate: createProjectValidator(parsed.normalized),
     });
     llmSpinner.succeed(palette.success(i18n.t("analysisComplete")));
+    return reply;
   } catch (err) {
     llmSpinner.fail(palette.error(i18n.t("analysisFailed")));
     throw err;
   }
+}
 
-  const { updated, warnings, diffs } = applyLlmChanges({
-    normalized: parsed.normalized,
-    response: llmResponse,
-    respectUserSettings:
-      options.force !== true && options.overrideUserSettings !== true,
+async function handleApply({ input, options, logger }) {
+  const i18n = createI18n(resolveLanguage(options));
+
+  assertInputExists(input);
+  assertReviewable(options);
+  const plan = readPlan(options.plan);
+  const parsed = await loadProject({ input, i18n });
+
+  logger.log("");
+  logger.log(summarizeProject(parsed.normalized, i18n));
+  logger.log(
+    formatInfo(
+      i18n.t("planLoaded", {
+        createdAt: String(plan.createdAt),
+        fileName: String(plan.source?.fileName),
+      }),
+    ),
+  );
+
+  const result = applyOptimization({
+    parsed,
+    llmResponse: plan.response,
+    context: { options, intent: plan.intent, i18n },
+  });
+  result.warnings.unshift(...comparePlanSource(plan, parsed.normalized, i18n));
+  reportResult({
+    result,
+    rationale: plan.response.globalRationale,
+    i18n,
+    logger,
+  });
+  const reviewed = await reviewResult({
+    parsed,
+    result,
+    response: plan.response,
+    context: { options, intent: plan.intent, i18n },
+    logger,
+  });
+  await writeResult({
+    input,
+    parsed,
+    result: reviewed?.result,
+    run: {
+      command: "apply",
+      llm: plan.llm,
+      intent: plan.intent,
+      rationale: plan.response.globalRationale ?? null,
+    },
+    options,
     i18n,
+    logger,
   });
+}
+
+async function loadProject({ input, i18n, silent = false }) {
+  // Parse .3mf file with spinner
+  const parseSpinner = ora({
+    text: palette.text(i18n.t("loadingProject")),
+    spinner: "dots",
+    color: "cyan",
+    isSilent: silent,
+  }).start();
+
+  try {
+    const parsed = await parse3mfFile(input);
+    parseSpinner.succeed(palette.success(i18n.t("projectLoaded")));
+    return parsed;
+  } catch (err) {
+    parseSpinner.fail(palette.error(i18n.t("projectParseFailed")));
+    throw err;
+  }
+}
 
+function reportResult({ result, rationale, usage, i18n, logger }) {
   logger.log("");
-  logger.log(formatDiffs(diffs, i18n));
+  logger.log(formatDiffs(result.diffs, i18n));
+  if (result.estimate) {
+    logger.log(formatEstimate(result.estimate, i18n));
+  }
+  if (usage) {
+    logger.log(formatUsage(usage, i18n));
+  }
 
   // Show rationale if provided
-  const rationaleOutput = formatRationale(llmResponse.globalRationale, i18n);
+  const rationaleOutput = formatRationale(rationale, i18n);
   if (rationaleOutput) {
     logger.log(rationaleOutput);
   }
 
   // Format and display warnings
-  if (warnings.length > 0) {
-    logger.log(formatWarnings(warnings, i18n));
+  if (result.warnings.length > 0) {
+    logger.log(formatWarnings(result.warnings, i18n));
   }
+}
 
+/**
+ * Write the optimized project unless this is a dry run or review rejected
+ * everything (`result` is `null`), recording `run` in the project's history.
+ * Returns the written path, or `null`.
+ */
+async function writeResult({
+  input,
+  parsed,
+  result,
+  run,
+  options,
+  i18n,
+  logger,
+  reporter = TEXT_REPORTER,
+  silent = reporter.machine,
+}) {
   if (options.dryRun) {
     logger.log("");
     logger.log(`${figures.info} ${palette.muted(i18n.t("dryRunComplete"))}`);
-    return;
+    return null;
   }
 
-  const outputPath = options.output ?? defaultOutputPath(input);
-  const nextMetadata = updateMetadataFromNormalized(parsed.metadata, updated);
-  const toWrite = {
-    ...parsed,
-    metadata: nextMetadata,
-    normalized: updated,
-  };
+  if (!result) return null;
+
+  const outputPath = resolveOutputPath(input, options);
 
   // Write file with spinner
+  const writeDone = reporter.startStage("write", { input, outputPath });
   const writeSpinner = ora({
     text: palette.text(i18n.t("writingOutput")),
     spinner: "dots",
     color: "green",
+    isSilent: silent,
   }).start();
 
   try {
-    await write3mf(toWrite, outputPath);
+    await writeOptimized({
+      parsed,
+      updated: result.updated,
+      outputPath,
+      historyEntry: buildHistoryEntry({
+        input,
+        run,
+        diffs: result.diffs,
+        warnings: result.warnings,
+      }),
+    });
     writeSpinner.stop();
+    writeDone();
     logger.log("");
     logger.log(formatSuccess(i18n.t("writeSuccess", { path: outputPath })));
+    return outputPath;
   } catch (err) {
     writeSpinner.fail(palette.error(i18n.t("writeFailed")));
     throw err;
   }
 }
+
+/**
+ * With `--review` (and no dry run), let the user accept, reject or edit each
+ * diff, then re-apply only the accepted changes onto the original project
+ * through the safety gate, so edited values are checked like suggested ones.
+ * Returns the result to write with the response it came from, or `null` when
+ * nothing was accepted.
+ */
+async function reviewResult({ parsed, result, response, context, logger }) {
+  const { options, i18n } = context;
+  if (!options.review || options.dryRun) return { result, response };
+  const { diffs } = result;
+  logger.log("");
+  const accepted = await reviewDiffs({ diffs, i18n });
+  logger.log(
+    formatInfo(
+      i18n.t("reviewSummary", {
+        accepted: accepted.length,
+        total: diffs.length,
+      }),
+    ),
+  );
+  if (accepted.length === 0) {
+    logger.log(
+      `${figures.info} ${palette.muted(i18n.t("reviewNothingAccepted"))}`,
+    );
+    return null;
+  }
+  const reviewedResponse = {
+    ...response,
+    changes: buildReviewedResponse(accepted).changes,
+  };
+  const reviewedResult = applyOptimization({
+    parsed,
+    llmResponse: reviewedResponse,
+    context,
+  });
+  reportResult({ result: reviewedResult, i18n, logger });
+  return { result: reviewedResult, response: reviewedResponse };
+}
+
+/**
+ * Optimize several projects for the same intent. Failures are collected per
+ * file instead of aborting the batch.
+ */
+async function handleBatch({ files, options, logger, reporter }) {
+  const config = createLlmConfig(options);
+  const i18n = createI18n(resolveLanguage(options));
+  const intent = await loadIntent(options, logger, i18n);
+  const total = files.length;
+  let done = 0;
+
+  const spinner = ora({
+    text: palette.text(i18n.t("batchProgress", { done, total })),
+    spinner: "dots",
+    color: "yellow",
+    isSilent: reporter.machine,
+  }).start();
+
+  const results = await mapWithConcurrency(
+    files,
+    options.concurrency,
+    async (input) => {
+      const projectDone = reporter.startStage("project", { input });
+      const result = await optimizeBatchFile({
+        input,
+        context: { options, config, intent, i18n },
+      });
+      projectDone({ outcome: result.status });
+      done += 1;
+      spinner.text = palette.text(i18n.t("batchProgress", { done, total }));
+      return result;
+    },
+  );
+  spinner.succeed(palette.success(i18n.t("batchComplete")));
+
+  const usage = results.reduce(
+    (sum, result) => addUsage(sum, result.usage),
+    createUsage(),
+  );
+  logger.log("");
+  logger.log(formatBatchSummary(results, i18n));
+  logger.log(formatUsage(usage, i18n, "usageTotalLabel"));
+  reporter.result({ command: "optimize", intent, projects: results, usage });
+  const failed = results.find((result) => result.status === "failed");
+  if (failed) {
+    process.exitCode = failed.exitCode;
+  }
+}
+
+async function optimizeBatchFile({ input, context }) {
+  const { options, config, intent, i18n } = context;
+  try {
+    assertInputExists(input);
+    const parsed = await parse3mfFile(input);
+    const { response, result, attempts, cached, usage } = await requestChanges({
+      input,
+      parsed,
+      context,
+      output: { logger: SILENT_LOGGER, reporter: TEXT_REPORTER, silent: true },
+    });
+    const outputPath = await writeResult({
+      input,
+      parsed,
+      result,
+      run: {
+        command: "optimize",
+        llm: config,
+        intent,
+        rationale: response.globalRationale ?? null,
+      },
+      options,
+      i18n,
+      logger: SILENT_LOGGER,
+      silent: true,
+    });
+    return {
+      input,
+      status: "success",
+      changes: result.diffs.length,
+      warnings: result.warnings.length,
+      estimate: result.estimate,
+      outputPath,
+      cached,
+      attempts,
+      usage,
+    };
+  } catch (error) {
+    return {
+      input,
+      status: "failed",
+      changes: 0,
+      warnings: 0,
+      outputPath: null,
+      error: error.message,
+      exitCode: exitCodeFor(error),
+    };
+  }
+}
+
+function createLlmConfig(options) {
+  const settings = options.configFile?.settings ?? {};
+  return loadConfig(
+    {
+      provider: options.provider,
+      apiKey: options.apiKey,
+      baseURL: options.baseUrl,
+      model: options.model,
+      temperature: options.temperature,
+      maxRepairAttempts: options.repairAttempts,
+      maxRetries: options.maxRetries,
+      timeoutSeconds: options.timeout,
+      cache: options.cache,
+      refreshCache: options.refreshCache,
+      pricesPath: options.prices,
+      mockResponsePath: options.mockResponse,
+    },
+    {
+      provider: settings.provider,
+      baseURL: settings.baseUrl,
+      model: settings.model,
+      maxRepairAttempts: settings.repairAttempts,
+      maxRetries: settings.maxRetries,
+      timeoutSeconds: settings.timeout,
+      pricesPath: settings.prices,
+    },
+  );
+}
+
+/**
+ * Layer config-file settings under the parsed options. Options given on the
+ * command line win; settings that also have environment variables are left
+ * in `configFile.settings` for `loadConfig` and `resolveLanguage`, which
+ * check the environment first.
+ */
+function withConfigFile(options, command) {
+  const configFile = loadConfigFile({
+    profile: options.profile ?? process.env.SLICER_COPILOT_PROFILE,
+  });
+  const merged = { ...options, configFile };
+  Object.entries(configFile.settings).forEach(([key, value]) => {
+    if (ENV_BACKED_SETTINGS.has(key)) return;
+    if (command.getOptionValueSourceWithGlobals(key) === "cli") return;
+    merged[key] = value;
+  });
+  return merged;
+}
+
+/**
+ * Report changes targeting parameters the project does not have, so the
+ * model can be asked to correct them.
+ */
+function createProjectValidator(normalized) {
+  return (response) =>
+    findUnknownParameters({ normalized, response }).map(
+      ({ scope, parameter }) =>
+        `Unknown ${scope} parameter "${parameter}" was rejected.`,
+    );
+}
+
+function logRepairAttempts({ attempts, i18n, logger }) {
+  attempts
+    .filter((entry) => entry.problems.length > 0)
+    .forEach(({ attempt, problems }) => {
+      logger.debug(
+        `${figures.warning} ${palette.muted(i18n.t("repairAttemptLabel", { attempt }))}`,
+      );
+      problems.forEach((problem) => logger.debug(`  - ${problem}`));
+    });
+}
+
+function allowsUserSettingOverrides(options) {
+  return options.force === true || options.overrideUserSettings === true;
+}
+
+function buildPayload({ parsed, intent, options, i18n }) {
+  return buildLlmRequestPayload({
+    normalized: parsed.normalized,
+    userIntent: intent,
+    plateImages: parsed.plateImages,
+    allowUserSettingOverrides: allowsUserSettingOverrides(options),
+    targetLanguage: i18n.language,
+    ...resolveCatalogs(options),
+  });
+}
+
+function applyOptimization({ parsed, llmResponse, context }) {
+  const { options, intent, i18n } = context;
+  const catalogs = resolveCatalogs(options);
+  const safety = enforceSafetyLimits({
+    normalized: parsed.normalized,
+    response: llmResponse,
+    i18n,
+    ...catalogs,
+  });
+  const applied = applyLlmChanges({
+    normalized: parsed.normalized,
+    response: safety.response,
+    respectUserSettings: !allowsUserSettingOverrides(options),
+    i18n,
+  });
+  const estimate = compareEstimates({
+    before: parsed.normalized,
+    after: applied.updated,
+    intent,
+    filaments: catalogs.filaments,
+    i18n,
+  });
+  return {
+    updated: applied.updated,
+    diffs: applied.diffs,
+    warnings: [
+      ...applied.warnings,
+      ...safety.warnings,
+      ...(estimate?.warnings ?? []),
+    ],
+    estimate: estimate && { before: estimate.before, after: estimate.after },
+  };
+}
+
+function resolveOutputPath(input, options) {
+  if (options.output) return options.output;
+  const fallback = defaultOutputPath(input);
+  if (!options.outputDir) return fallback;
+  return path.join(options.outputDir, path.basename(fallback));
+}
+
+async function writeOptimized({ parsed, updated, outputPath, historyEntry }) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  await write3mf(
+    {
+      ...parsed,
+      metadata: updateMetadataFromNormalized(parsed.metadata, updated),
+      normalized: updated,
+      historyEntry,
+    },
+    outputPath,
+  );
+}
+
+function buildHistoryEntry({ input, run, diffs, warnings }) {
+  return createHistoryEntry({
+    ...run,
+    changes: diffs,
+    warnings,
+    source: { fileName: path.basename(input), sha256: sha256File(input) },
+  });
+}
+
+function handleCacheList({ options, logger }) {
+  const i18n = createI18n(resolveLanguage(options));
+  const dir = defaultCacheDir();
+  const entries = listCacheEntries(dir);
+  if (options.json) {
+    logger.log(
+      JSON.stringify(
+        entries.map(({ key, createdAt, fileName, provider, model }) => ({
+          key,
+          createdAt,
+          fileName,
+          provider,
+          model,
+        })),
+        null,
+        2,
+      ),
+    );
+    return;
+  }
+  if (entries.length > 0) {
+    logger.log(
+      formatInfo(i18n.t("cacheListTitle", { count: entries.length, dir })),
+    );
+  }
+  logger.log(formatCacheEntries(entries, i18n));
+}
+
+function handleCacheClear({ options, logger }) {
+  const i18n = createI18n(resolveLanguage(options));
+  const dir = defaultCacheDir();
+  const count = clearCache(dir);
+  logger.log(formatSuccess(i18n.t("cacheCleared", { count, dir })));
+}
+
+function handleConfigList({ options, logger }) {
+  const i18n = createI18n(resolveLanguage(options));
+  const { configFile } = options;
+  if (options.json) {
+    logger.log(JSON.stringify(configFile, null, 2));
+    return;
+  }
+  logger.log(
+    formatInfo(
+      configFile.files.length > 0
+        ? i18n.t("configFilesTitle", {
+            files: configFile.files.map((file) => file.path).join(", "),
+          })
+        : i18n.t("configNoFiles", { path: userConfigPath() }),
+    ),
+  );
+  if (configFile.profiles.length > 0) {
+    logger.log(
+      formatInfo(
+        i18n.t("configProfilesAvailable", {
+          profiles: configFile.profiles.join(", "),
+        }),
+      ),
+    );
+  }
+  if (configFile.profile) {
+    logger.log(
+      formatInfo(
+        i18n.t("configProfileActive", { profile: configFile.profile }),
+      ),
+    );
+  }
+  logger.log(formatConfigSettings(configFile, i18n));
+}
+
+function handleConfigGet({ key, options, logger }) {
+  const i18n = createI18n(resolveLanguage(options));
+  assertKnownSetting(key);
+  const { settings } = options.configFile;
+  if (settings[key] === undefined) {
+    logger.log(formatInfo(i18n.t("configValueMissing", { key })));
+    process.exitCode = EXIT_CODES.GENERAL;
+    return;
+  }
+  logger.log(
+    typeof settings[key] === "string"
+      ? settings[key]
+      : JSON.stringify(settings[key]),
+  );
+}
+
+function handleConfigSet({ key, value, options, logger }) {
+  const i18n = createI18n(resolveLanguage(options));
+  const filePath = options.project
+    ? (findConfigFiles().find((file) => file.scope === "project")?.path ??
+      path.resolve(CONFIG_FILE_NAME))
+    : userConfigPath();
+  const stored = setConfigValue({
+    filePath,
+    key,
+    value,
+    profile: options.profile,
+  });
+  const vars = {
+    key,
+    value: JSON.stringify(stored),
+    file: filePath,
+    profile: options.profile,
+  };
+  logger.log(
+    formatSuccess(
+      i18n.t(
+        options.profile ? "configValueSetProfile" : "configValueSet",
+        vars,
+      ),
+    ),
+  );
+}
+
+async function handleDiff({ a, b, options, logger }) {
+  const i18n = createI18n(resolveLanguage(options));
+  assertInputExists(a);
+  assertInputExists(b);
+
+  if (options.json) {
+    const differences = (await loadDifferences(a, b)).map(toJsonDifference);
+    logger.log(JSON.stringify({ a, b, differences }, null, 2));
+    return;
+  }
+
+  const spinner = ora({
+    text: palette.text(i18n.t("compareLoading")),
+    spinner: "dots",
+    color: "cyan",
+  }).start();
+
+  let differences;
+  try {
+    differences = await loadDifferences(a, b);
+    spinner.succeed(palette.success(i18n.t("compareLoaded")));
+  } catch (err) {
+    spinner.fail(palette.error(i18n.t("compareFailed")));
+    throw err;
+  }
+
+  logger.log("");
+  logger.log(
+    formatDiffs(differences, i18n, {
+      singularKey: "differenceSingular",
+      pluralKey: "differencePlural",
+      emptyKey: "noDifferencesFound",
+    }),
+  );
+}
+
+async function handleInspect({ input, options, logger }) {
+  const i18n = createI18n(resolveLanguage(options));
+  assertInputExists(input);
+
+  const parsed = await parse3mfFile(input);
+  const report = buildInspectReport(parsed, { rawConfig: options.rawConfig });
+  if (options.json) {
+    logger.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  logger.log(formatInspectReport(report, i18n));
+}
+
+async function handleHistory({ input, options, logger }) {
+  const i18n = createI18n(resolveLanguage(options));
+  assertInputExists(input);
+
+  const { zip } = await parse3mfFile(input);
+  const runs = await readHistory(zip);
+  if (options.run === undefined) {
+    logger.log(
+      options.json
+        ? JSON.stringify({ input, runs }, null, 2)
+        : formatHistory(runs, i18n),
+    );
+    return;
+  }
+  const entry = findHistoryRun(runs, options.run);
+  if (!entry) {
+    throw new Error(`Run ${options.run} is not recorded in ${input}`);
+  }
+  logger.log(
+    options.json
+      ? JSON.stringify(entry, null, 2)
+      : formatHistoryRun(entry, i18n),
+  );
+}
+
+async function loadDifferences(a, b) {
+  return diffProjects(await parse3mfFile(a), await parse3mfFile(b));
+}
+
+/**
+ * JSON drops `undefined`, so a setting missing from one project is written
+ * as `null` instead of leaving out `from` or `to`.
+ */
+function toJsonDifference(difference) {
+  return {
+    ...difference,
+    from: difference.from ?? null,
+    to: difference.to ?? null,
+  };
+}
+
+function resolveLanguage(options) {
+  return (
+    options.language ??
+    process.env.SLICER_COPILOT_LANGUAGE ??
+    process.env.SLICER_COPILOT_LANG ??
+    options.configFile?.settings.language ??
+    "en"
+  );
+}
+
+function resolveCatalogs(options) {
+  const settings = options.configFile?.settings ?? {};
+  return {
+    printers: readPrinterCatalog(
+      options.printers ??
+        process.env.SLICER_COPILOT_PRINTERS ??
+        settings.printers,
+    ),
+    filaments: readFilamentCatalog(
+      options.filaments ??
+        process.env.SLICER_COPILOT_FILAMENTS ??
+        settings.filaments,
+    ),
+  };
+}
+
+function assertInputExists(input) {
+  if (!fs.existsSync(input)) {
+    throw new Error(`Input file not found: ${input}`);
+  }
+}
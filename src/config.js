@@ -1,39 +1,115 @@
 import "dotenv/config";
-import { DEFAULT_MODEL, DEFAULT_TEMPERATURE } from "./constants.js";
+import {
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_REPAIR_ATTEMPTS,
+  DEFAULT_REQUEST_TIMEOUT_SECONDS,
+  DEFAULT_TEMPERATURE,
+} from "./constants.js";
+import { getProvider } from "./llm/providers/index.js";
+import { defaultCacheDir } from "./llm/cache.js";
+import { readPriceTable } from "./llm/usage.js";
 
 /**
  * @typedef {object} SlicerCopilotConfig
+ * @property {string} provider LLM provider name (see `src/llm/providers`).
  * @property {string} apiKey
  * @property {string | undefined} baseURL
  * @property {string} model
  * @property {number} temperature
+ * @property {number} maxRepairAttempts Follow-up requests allowed to fix an invalid reply.
+ * @property {number} maxRetries Retries of a request failing with a transient error (429, 5xx, timeout).
+ * @property {number} timeoutMs Per-request timeout.
+ * @property {string | null} cacheDir Response cache directory; `null` disables caching.
+ * @property {boolean} refreshCache Ignore cached responses (new ones are still stored).
+ * @property {Record<string, { input: number, output: number }>} prices USD per million tokens, by model.
  * @property {string | undefined} mockResponsePath
  */
 
 /**
  * Load Slicer Copilot runtime configuration from explicit options and/or env vars.
  *
+ * API key, base URL and model fall back to the selected provider's own
+ * environment variables (e.g. `ANTHROPIC_API_KEY` for `anthropic`).
+ * Precedence per setting: `options`, then environment, then `defaults`
+ * (values from config files), then built-in defaults.
+ *
  * @param {object} [options]
+ * @param {string} [options.provider]
  * @param {string} [options.apiKey]
  * @param {string} [options.baseURL]
  * @param {string} [options.model]
  * @param {number} [options.temperature]
+ * @param {number} [options.maxRepairAttempts]
+ * @param {number} [options.maxRetries]
+ * @param {number} [options.timeoutSeconds]
+ * @param {boolean} [options.cache] `false` disables the response cache.
+ * @param {string} [options.cacheDir]
+ * @param {boolean} [options.refreshCache]
+ * @param {string} [options.pricesPath] JSON price table merged over the defaults.
  * @param {string} [options.mockResponsePath]
+ * @param {object} [defaults] Same keys as `options`, used after the environment.
  * @returns {SlicerCopilotConfig}
  */
-export function loadConfig(options = {}) {
-  const apiKey = options.apiKey ?? process.env.OPENAI_API_KEY ?? "";
-  const baseURL = options.baseURL ?? process.env.OPENAI_BASE_URL ?? undefined;
-  const model = options.model ?? process.env.OPENAI_MODEL ?? DEFAULT_MODEL;
-  const temperature = options.temperature ?? DEFAULT_TEMPERATURE;
+export function loadConfig(options = {}, defaults = {}) {
+  const provider = getProvider(
+    options.provider ??
+      process.env.SLICER_COPILOT_PROVIDER ??
+      defaults.provider,
+  );
+  const { env } = provider;
+  const apiKey = options.apiKey ?? process.env[env.apiKey] ?? "";
+  const baseURL =
+    options.baseURL ?? process.env[env.baseURL] ?? defaults.baseURL;
+  const model =
+    options.model ??
+    process.env[env.model] ??
+    defaults.model ??
+    provider.defaultModel;
+  const temperature =
+    options.temperature ?? defaults.temperature ?? DEFAULT_TEMPERATURE;
+  const maxRepairAttempts =
+    options.maxRepairAttempts ??
+    readIntegerEnv(
+      "SLICER_COPILOT_REPAIR_ATTEMPTS",
+      defaults.maxRepairAttempts ?? DEFAULT_REPAIR_ATTEMPTS,
+    );
+  const maxRetries =
+    options.maxRetries ??
+    readIntegerEnv(
+      "SLICER_COPILOT_MAX_RETRIES",
+      defaults.maxRetries ?? DEFAULT_MAX_RETRIES,
+    );
+  const timeoutSeconds =
+    options.timeoutSeconds ??
+    readIntegerEnv(
+      "SLICER_COPILOT_TIMEOUT",
+      defaults.timeoutSeconds ?? DEFAULT_REQUEST_TIMEOUT_SECONDS,
+    );
   const mockResponsePath =
     options.mockResponsePath ?? process.env.LLM_MOCK_RESPONSE;
 
   return {
+    provider: provider.name,
     apiKey,
     baseURL,
     model,
     temperature,
+    maxRepairAttempts,
+    maxRetries,
+    timeoutMs: timeoutSeconds * 1000,
+    cacheDir:
+      options.cache === false ? null : (options.cacheDir ?? defaultCacheDir()),
+    refreshCache: options.refreshCache === true,
+    prices: readPriceTable(
+      options.pricesPath ??
+        process.env.SLICER_COPILOT_PRICES ??
+        defaults.pricesPath,
+    ),
     mockResponsePath,
   };
 }
+
+function readIntegerEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name] ?? "", 10);
+  return Number.isNaN(value) ? fallback : value;
+}
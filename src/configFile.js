@@ -0,0 +1,358 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileFormatError } from "./errors.js";
+
+export const CONFIG_FILE_NAME = ".slicer-copilotrc";
+
+/**
+ * Settings accepted in config files and profiles, by CLI option name.
+ * API keys are deliberately not accepted; keep them in the environment.
+ */
+export const CONFIG_SETTINGS = {
+  provider: "string",
+  model: "string",
+  baseUrl: "string",
+  temperature: "number",
+  language: "string",
+  goal: "string",
+  lockedParameters: "string[]",
+  force: "boolean",
+  dryRun: "boolean",
+  repairAttempts: "number",
+  maxRetries: "number",
+  timeout: "number",
+  concurrency: "number",
+  prices: "string",
+  printers: "string",
+  filaments: "string",
+};
+
+/**
+ * Settings that also have environment variables. For these the environment
+ * wins over config files, so they are resolved by `loadConfig` (and the
+ * language lookup) instead of being merged into CLI options.
+ */
+export const ENV_BACKED_SETTINGS = new Set([
+  "provider",
+  "model",
+  "baseUrl",
+  "language",
+  "repairAttempts",
+  "maxRetries",
+  "timeout",
+  "prices",
+  "printers",
+  "filaments",
+]);
+
+const RESERVED_KEYS = new Set(["profile", "profiles"]);
+
+/**
+ * @typedef {object} ConfigFileResult
+ * @property {Array<{ scope: "user" | "project", path: string }>} files Files that exist, lowest precedence first.
+ * @property {string | null} profile Selected profile.
+ * @property {string[]} profiles Profile names defined in any file.
+ * @property {Record<string, any>} settings Merged settings.
+ * @property {Record<string, string>} sources Where each setting came from.
+ */
+
+/**
+ * Load and merge config files. Precedence, lowest first: user file
+ * (`SLICER_COPILOT_CONFIG` or `~/.slicer-copilotrc`), nearest project-local
+ * `.slicer-copilotrc`, then the selected profile (project definitions over
+ * user ones). The profile is `options.profile`, else the last `profile` key
+ * found in the files.
+ *
+ * @param {object} [options]
+ * @param {string} [options.profile]
+ * @param {string} [options.cwd]
+ * @param {NodeJS.ProcessEnv} [options.env]
+ * @returns {ConfigFileResult}
+ */
+export function loadConfigFile({
+  profile,
+  cwd = process.cwd(),
+  env = process.env,
+} = {}) {
+  const files = findConfigFiles({ cwd, env });
+  const layers = files.map((file) => ({
+    ...file,
+    data: readConfigData(file.path),
+  }));
+  const settings = {};
+  const sources = {};
+  const profileDefinitions = {};
+  let selected = profile ?? null;
+  layers.forEach(({ path: filePath, data }) => {
+    mergeLayer({ settings, sources }, pickSettings(data), filePath);
+    Object.entries(data.profiles ?? {}).forEach(([name, values]) => {
+      profileDefinitions[name] ??= [];
+      profileDefinitions[name].push({ filePath, values });
+    });
+    if (!profile && data.profile) selected = data.profile;
+  });
+
+  if (selected) {
+    const definitions = profileDefinitions[selected];
+    if (!definitions) {
+      throw new Error(
+        `Unknown profile "${selected}". Available: ${Object.keys(profileDefinitions).join(", ") || "none"}`,
+      );
+    }
+    definitions.forEach(({ filePath, values }) =>
+      mergeLayer({ settings, sources }, values, `${filePath} [${selected}]`),
+    );
+  }
+
+  return {
+    files,
+    profile: selected,
+    profiles: Object.keys(profileDefinitions).sort(),
+    settings,
+    sources,
+  };
+}
+
+/**
+ * Config files that exist for this directory, lowest precedence first.
+ *
+ * @param {{ cwd?: string, env?: NodeJS.ProcessEnv }} [options]
+ * @returns {Array<{ scope: "user" | "project", path: string }>}
+ */
+export function findConfigFiles({
+  cwd = process.cwd(),
+  env = process.env,
+} = {}) {
+  const userPath = userConfigPath(env);
+  const projectPath = findProjectConfig(path.resolve(cwd));
+  const files = [];
+  if (fs.existsSync(userPath)) files.push({ scope: "user", path: userPath });
+  if (projectPath && path.resolve(projectPath) !== path.resolve(userPath)) {
+    files.push({ scope: "project", path: projectPath });
+  }
+  return files;
+}
+
+/**
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {string}
+ */
+export function userConfigPath(env = process.env) {
+  return env.SLICER_COPILOT_CONFIG || path.join(os.homedir(), CONFIG_FILE_NAME);
+}
+
+/**
+ * Store one setting in a config file, at the top level or inside a profile.
+ * The file is rewritten as plain JSON (comments are not preserved).
+ *
+ * @param {object} params
+ * @param {string} params.filePath
+ * @param {string} params.key
+ * @param {string} params.value Raw value, converted with `parseSettingValue`.
+ * @param {string} [params.profile]
+ * @returns {any} The stored value.
+ */
+export function setConfigValue({ filePath, key, value, profile }) {
+  const parsed = parseSettingValue(key, value);
+  const data = fs.existsSync(filePath) ? readConfigData(filePath) : {};
+  if (profile) {
+    data.profiles ??= {};
+    data.profiles[profile] = { ...data.profiles[profile], [key]: parsed };
+  } else {
+    data[key] = parsed;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+  return parsed;
+}
+
+/**
+ * Convert a command-line string to the setting's type: numbers, `true` /
+ * `false`, or comma-separated lists.
+ *
+ * @param {string} key
+ * @param {string} raw
+ * @returns {any}
+ */
+export function parseSettingValue(key, raw) {
+  assertKnownSetting(key);
+  const type = CONFIG_SETTINGS[key];
+  if (type === "number") {
+    const value = Number(raw);
+    if (raw.trim() === "" || !Number.isFinite(value)) {
+      throw new Error(`Setting "${key}" expects a number, got "${raw}"`);
+    }
+    return value;
+  }
+  if (type === "boolean") {
+    if (raw !== "true" && raw !== "false") {
+      throw new Error(`Setting "${key}" expects true or false, got "${raw}"`);
+    }
+    return raw === "true";
+  }
+  if (type === "string[]") {
+    return raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return raw;
+}
+
+/**
+ * @param {string} key
+ * @throws {Error} When `key` is not in `CONFIG_SETTINGS`.
+ */
+export function assertKnownSetting(key) {
+  if (!CONFIG_SETTINGS[key]) throw unknownSettingError(key);
+}
+
+/**
+ * Parse JSON with `//` and `/* *\/` comments and trailing commas.
+ *
+ * @param {string} text
+ * @returns {any}
+ */
+export function parseJsonc(text) {
+  return JSON.parse(stripTrailingCommas(stripComments(text)));
+}
+
+function readConfigData(filePath) {
+  let data;
+  try {
+    data = parseJsonc(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    throw new FileFormatError({ path: filePath });
+  }
+  if (!isPlainObject(data)) {
+    throw invalidConfigError(filePath, "expected a JSON object");
+  }
+  validateSettings(filePath, pickSettings(data));
+  if (data.profile !== undefined && typeof data.profile !== "string") {
+    throw invalidConfigError(filePath, '"profile" must be a string');
+  }
+  if (data.profiles !== undefined && !isPlainObject(data.profiles)) {
+    throw invalidConfigError(filePath, '"profiles" must be an object');
+  }
+  Object.entries(data.profiles ?? {}).forEach(([name, values]) => {
+    if (!isPlainObject(values)) {
+      throw invalidConfigError(filePath, `profile "${name}" must be an object`);
+    }
+    validateSettings(filePath, values);
+  });
+  return data;
+}
+
+function validateSettings(filePath, values) {
+  Object.entries(values).forEach(([key, value]) => {
+    const type = CONFIG_SETTINGS[key];
+    if (!type) {
+      throw invalidConfigError(filePath, unknownSettingError(key).message);
+    }
+    if (!matchesType(value, type)) {
+      throw invalidConfigError(filePath, `"${key}" must be a ${type}`);
+    }
+  });
+}
+
+function matchesType(value, type) {
+  if (type === "string[]") {
+    return (
+      Array.isArray(value) && value.every((item) => typeof item === "string")
+    );
+  }
+  if (type === "number") return Number.isFinite(value);
+  return typeof value === type;
+}
+
+function pickSettings(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([key]) => !RESERVED_KEYS.has(key)),
+  );
+}
+
+function mergeLayer({ settings, sources }, values, source) {
+  Object.entries(values).forEach(([key, value]) => {
+    settings[key] = value;
+    sources[key] = source;
+  });
+}
+
+function findProjectConfig(dir) {
+  const candidate = path.join(dir, CONFIG_FILE_NAME);
+  if (fs.existsSync(candidate)) return candidate;
+  const parent = path.dirname(dir);
+  return parent === dir ? null : findProjectConfig(parent);
+}
+
+function invalidConfigError(filePath, reason) {
+  return new FileFormatError({
+    path: filePath,
+    message: `Invalid config in ${filePath}: ${reason}`,
+  });
+}
+
+function unknownSettingError(key) {
+  return new Error(
+    `Unknown setting "${key}". Expected one of: ${Object.keys(CONFIG_SETTINGS).join(", ")}`,
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function stripComments(text) {
+  let result = "";
+  let index = 0;
+  while (index < text.length) {
+    const token = scanToken(text, index);
+    result += token.text;
+    index = token.end;
+  }
+  return result;
+}
+
+function scanToken(text, start) {
+  if (text[start] === '"') {
+    const end = findStringEnd(text, start);
+    return { text: text.slice(start, end), end };
+  }
+  const pair = text.slice(start, start + 2);
+  if (pair === "//") {
+    const newline = text.indexOf("\n", start);
+    return { text: "", end: newline === -1 ? text.length : newline };
+  }
+  if (pair === "/*") {
+    const close = text.indexOf("*/", start + 2);
+    return { text: "", end: close === -1 ? text.length : close + 2 };
+  }
+  return { text: text[start], end: start + 1 };
+}
+
+function stripTrailingCommas(text) {
+  let result = "";
+  let index = 0;
+  while (index < text.length) {
+    if (text[index] === '"') {
+      const end = findStringEnd(text, index);
+      result += text.slice(index, end);
+      index = end;
+      continue;
+    }
+    if (text[index] !== "," || !/^\s*[}\]]/.test(text.slice(index + 1))) {
+      result += text[index];
+    }
+    index += 1;
+  }
+  return result;
+}
+
+function findStringEnd(text, start) {
+  let index = start + 1;
+  while (index < text.length && text[index] !== '"') {
+    index += text[index] === "\\" ? 2 : 1;
+  }
+  return index + 1;
+}
@@ -36,9 +36,38 @@ export const FALLBACK_MATERIAL_LIMITS = {
   bed: [0, 120],
 };
 
+export const BED_TYPE_LIMITS = {
+  "Cool Plate": { bed: [0, 60] },
+  "Textured Cool Plate": { bed: [0, 60] },
+  "Supertack Plate": { bed: [0, 60] },
+  "Engineering Plate": { bed: [0, 110] },
+  "High Temp Plate": { bed: [0, 120] },
+  "Textured PEI Plate": { bed: [0, 110] },
+};
+
+export const MATERIAL_DENSITY_G_CM3 = {
+  PLA: 1.24,
+  PETG: 1.27,
+  ABS: 1.04,
+  ASA: 1.07,
+  TPU: 1.21,
+  Nylon: 1.14,
+  PC: 1.2,
+  Other: 1.24,
+};
+
 export const LAYER_HEIGHT_MIN_MM = 0.05;
 export const LAYER_HEIGHT_NOZZLE_RATIO_MAX = 0.8;
 export const DEFAULT_NOZZLE_DIAMETER_MM = 0.4;
 
+// absolute: set newValue; relative: ×(1 + newValue); percent: ±newValue %;
+// delta: + newValue.
+export const CHANGE_TYPES = ["absolute", "relative", "percent", "delta"];
+
 export const DEFAULT_MODEL = "gpt-4.1-mini";
 export const DEFAULT_TEMPERATURE = 0.3;
+export const DEFAULT_REPAIR_ATTEMPTS = 2;
+export const DEFAULT_REQUEST_TIMEOUT_SECONDS = 120;
+export const DEFAULT_MAX_RETRIES = 3;
+export const RETRY_BASE_DELAY_MS = 1000;
+export const RETRY_MAX_DELAY_MS = 30000;
@@ -8,3 +8,121 @@ export class FileFormatError extends Error {
     this.path = path;
   }
 }
+
+/**
+ * Process exit codes, distinct per failure class so pipelines can decide
+ * whether a run is worth retrying.
+ */
+export const EXIT_CODES = {
+  GENERAL: 1,
+  LLM_REQUEST: 10,
+  LLM_AUTH: 11,
+  LLM_RATE_LIMIT: 12,
+  LLM_TIMEOUT: 13,
+  LLM_SERVER: 14,
+  LLM_SCHEMA_UNSUPPORTED: 15,
+};
+
+const SCHEMA_UNSUPPORTED_PATTERN =
+  /response_format|json_schema|structured output|tool_choice|\bschema\b/i;
+
+export class LlmRequestError extends Error {
+  /**
+   * @param {{ provider: string, message: string, status?: number | null, retryable?: boolean }} options
+   */
+  constructor({ provider, message, status = null, retryable = false }) {
+    super(`LLM request failed (${provider}): ${message}`);
+    this.name = "LlmRequestError";
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.exitCode = EXIT_CODES.LLM_REQUEST;
+  }
+}
+
+export class LlmAuthError extends LlmRequestError {
+  constructor(options) {
+    super(options);
+    this.name = "LlmAuthError";
+    this.exitCode = EXIT_CODES.LLM_AUTH;
+  }
+}
+
+export class LlmRateLimitError extends LlmRequestError {
+  /**
+   * @param {{ provider: string, message: string, status?: number | null, retryAfterMs?: number | null }} options
+   */
+  constructor({ retryAfterMs = null, ...options }) {
+    super({ ...options, retryable: true });
+    this.name = "LlmRateLimitError";
+    this.retryAfterMs = retryAfterMs;
+    this.exitCode = EXIT_CODES.LLM_RATE_LIMIT;
+  }
+}
+
+export class LlmTimeoutError extends LlmRequestError {
+  constructor(options) {
+    super({ ...options, retryable: true });
+    this.name = "LlmTimeoutError";
+    this.exitCode = EXIT_CODES.LLM_TIMEOUT;
+  }
+}
+
+export class LlmServerError extends LlmRequestError {
+  /**
+   * @param {{ provider: string, message: string, status?: number | null, retryAfterMs?: number | null }} options
+   */
+  constructor({ retryAfterMs = null, ...options }) {
+    super({ ...options, retryable: true });
+    this.name = "LlmServerError";
+    this.retryAfterMs = retryAfterMs;
+    this.exitCode = EXIT_CODES.LLM_SERVER;
+  }
+}
+
+export class LlmSchemaUnsupportedError extends LlmRequestError {
+  constructor(options) {
+    super(options);
+    this.name = "LlmSchemaUnsupportedError";
+    this.exitCode = EXIT_CODES.LLM_SCHEMA_UNSUPPORTED;
+  }
+}
+
+/**
+ * Pick the typed error for a failed provider request from its HTTP status.
+ * Requests that never got a status (connection resets, DNS) are retryable.
+ *
+ * @param {{ provider: string, message: string, status?: number | null, retryAfterMs?: number | null }} options
+ * @returns {LlmRequestError}
+ */
+export function createLlmRequestError({
+  provider,
+  message,
+  status = null,
+  retryAfterMs = null,
+}) {
+  const options = { provider, message, status };
+  if (status === null) {
+    return new LlmRequestError({ ...options, retryable: true });
+  }
+  if (status === 401 || status === 403) return new LlmAuthError(options);
+  if (status === 429)
+    return new LlmRateLimitError({ ...options, retryAfterMs });
+  if (status === 408) return new LlmTimeoutError(options);
+  if (status >= 500) return new LlmServerError({ ...options, retryAfterMs });
+  if (
+    (status === 400 || status === 422) &&
+    SCHEMA_UNSUPPORTED_PATTERN.test(message)
+  ) {
+    return new LlmSchemaUnsupportedError(options);
+  }
+  return new LlmRequestError(options);
+}
+
+/**
+ * @param {unknown} error
+ * @returns {number}
+ */
+export function exitCodeFor(error) {
+  return error?.exitCode ?? EXIT_CODES.GENERAL;
+}
@@ -58,10 +58,130 @@ const translations = {
     objectNotFoundWarning: "Object {object} not found for change {parameter}.",
     unknownObjectParameterWarning:
       "Unknown parameter {parameter} for object {object}.",
+    objectProjectSettingWarning:
+      "Skipping {parameter} on {object}: Bambu Studio keeps this setting for the whole project or per filament, not per object.",
     relativeChangeTypeWarning:
       "Relative change for {parameter} skipped: expected numbers.",
     userSettingLockedWarning:
       "Skipping {parameter}: user-modified setting is protected.",
+    safetyClampedTitle: "Clamped to safe limits",
+    safetyRejectedTitle: "Rejected as unsafe",
+    safetyClampedWarning:
+      "Clamped {parameter} from {value} to {clamped} {unit} ({source} limits {min}–{max} {unit}).",
+    safetyRejectedWarning: "Rejected {parameter} = {value}: {reason}.",
+    safetyConflictReason: "no single value is safe for {source}",
+    safetyMaterialConflictReason:
+      "the {source} temperature ranges do not overlap; change it per filament instead",
+    safetyNotNumericReason: "expected a number",
+    filamentNotFoundWarning:
+      "Filament slot {filament} not found for change {parameter}.",
+    unknownFilamentParameterWarning:
+      "Parameter {parameter} cannot be set per filament.",
+    configLabel: "raw config",
+    differenceSingular: "difference",
+    differencePlural: "differences",
+    noDifferencesFound: "No differences found.",
+    compareLoading: "Loading projects...",
+    compareLoaded: "Projects loaded",
+    compareFailed: "Failed to load projects",
+    noneValue: "none",
+    inspectMetadataLabel: "Metadata",
+    inspectConfigLabel: "Config",
+    inspectModelSettingsLabel: "Model settings",
+    inspectPlateImagesLabel: "Plate images",
+    inspectUserModifiedLabel: "User-modified",
+    inspectNormalizedLabel: "Normalized model",
+    inspectRawConfigLabel: "Raw config",
+    batchFileHeading: "File",
+    batchChangesHeading: "Changes",
+    batchWarningsHeading: "Warnings",
+    batchOutputHeading: "Output",
+    batchStatusHeading: "Status",
+    batchStatusSuccess: "Done",
+    batchSummaryTitle: "{total} project(s) processed · {failed} failed",
+    batchProgress: "Optimizing projects ({done}/{total})...",
+    batchComplete: "Batch finished",
+    batchStatusFailed: "Failed",
+    reviewAcceptLabel: "Accept",
+    reviewRejectLabel: "Reject",
+    reviewEditLabel: "Edit value",
+    reviewChangeTitle: "Change {index}/{total}:",
+    reviewEditPrompt: "New value for {parameter} (Enter keeps {value}):",
+    reviewSummary: "Accepted {accepted} of {total} change(s)",
+    reviewNothingAccepted: "No changes accepted; output was not written.",
+    planPrinterMismatchWarning:
+      "Plan was created for printer {planned}, but this project uses {actual}.",
+    planNozzleMismatchWarning:
+      "Plan was created for a {planned}mm nozzle, but this project uses {actual}mm.",
+    planFilamentMismatchWarning:
+      "Plan was created for filaments {planned}, but this project uses {actual}.",
+    planSaved: "Saved optimization plan to {path}",
+    planLoaded: "Loaded plan created {createdAt} for {fileName}",
+    repairAttemptLabel:
+      "Attempt {attempt} was sent back to the model for correction:",
+    cachedResponseUsed:
+      "Using a cached response (pass --refresh-cache to ask the model again)",
+    cacheEmpty: "The response cache is empty.",
+    cacheKeyHeading: "Key",
+    cacheCreatedHeading: "Created",
+    cacheProjectHeading: "Project",
+    cacheModelHeading: "Model",
+    cacheListTitle: "{count} cached response(s) in {dir}",
+    cacheCleared: "Removed {count} cached response(s) from {dir}",
+    usageLabel: "LLM usage:",
+    usageTotalLabel: "Total LLM usage:",
+    usageDetails:
+      "{requests} request(s) · {promptTokens} prompt + {completionTokens} completion tokens · {images} image(s)",
+    usageCost: "est. {cost}",
+    usageCostUnknown: "cost unknown (model not in price table)",
+    configEmpty: "No settings in config files.",
+    configSettingHeading: "Setting",
+    configValueHeading: "Value",
+    configSourceHeading: "Source",
+    configFilesTitle: "Config files: {files}",
+    configNoFiles: "No config files found (user file: {path})",
+    configProfileActive: "Active profile: {profile}",
+    configProfilesAvailable: "Profiles: {profiles}",
+    configValueSet: "Set {key} = {value} in {file}",
+    configValueSetProfile:
+      'Set {key} = {value} in profile "{profile}" of {file}',
+    configValueMissing: "{key} is not set in any config file",
+    estimateLabel: "Estimate:",
+    estimateDetails:
+      "{beforeTime} → {afterTime} · {beforeGrams} g → {afterGrams} g filament",
+    intentConstraintTitle: "Intent constraints",
+    estimateTimeConstraintWarning:
+      "Estimated print time {estimate} exceeds the {limit} limit.",
+    estimateMaterialConstraintWarning:
+      "Estimated filament use rises from {before} g to {after} g although material saving is important.",
+    sliceLabel: "Last slice",
+    plateTitle: "Plate {plate}",
+    sliceWeightDetail: "{weight} g",
+    sliceWarningsDetail: "{count} slicer warning(s)",
+    plateScopeLabel: "whole plate",
+    plateNotFoundWarning: "Plate {plate} not found for change {parameter}.",
+    unknownPlateParameterWarning:
+      "Unknown parameter {parameter} for plate {plate}.",
+    plateProjectSettingWarning:
+      "Skipping {parameter} on plate {plate}: Bambu Studio keeps this setting for the whole project or per filament, not per plate.",
+    invalidValueWarning:
+      "Skipping {parameter}: {value} is not a valid value (expected {expected}).",
+    outOfRangeValueWarning:
+      "Skipping {parameter}: {value} is outside the allowed range {min}–{max}.",
+    expectedNumberValue: "a number",
+    expectedIntegerValue: "a whole number",
+    expectedPercentValue: 'a percentage such as 15 or "15%"',
+    expectedBooleanValue: "true or false",
+    expectedTextValue: "text",
+    historyEmpty: "No optimization runs are recorded in this project.",
+    historyRunHeading: "Run",
+    historyCreatedHeading: "Created",
+    historyModelHeading: "Model",
+    historyGoalHeading: "Goal",
+    historyChangesHeading: "Changes",
+    historyFromPlan: "saved plan",
+    historyRunTitle:
+      "Run {run} · {createdAt} · slicer-copilot {version} · from {fileName}",
   },
   ru: {
     loadingProject: "Загрузка проекта .3mf...",
@@ -123,10 +243,131 @@ const translations = {
       "Объект {object} не найден для изменения {parameter}.",
     unknownObjectParameterWarning:
       "Неизвестный параметр {parameter} для объекта {object}.",
+    objectProjectSettingWarning:
+      "Пропуск {parameter} для объекта {object}: Bambu Studio хранит этот параметр для всего проекта или для каждого филамента, а не для объекта.",
     relativeChangeTypeWarning:
       "Относительное изменение для {parameter} пропущено: нужны числа.",
     userSettingLockedWarning:
       "Пропуск {parameter}: этот параметр изменён пользователем и защищён.",
+    safetyClampedTitle: "Ограничено безопасными пределами",
+    safetyRejectedTitle: "Отклонено как небезопасное",
+    safetyClampedWarning:
+      "{parameter} ограничен: {value} → {clamped} {unit} (пределы {source}: {min}–{max} {unit}).",
+    safetyRejectedWarning: "Отклонено {parameter} = {value}: {reason}.",
+    safetyConflictReason: "нет значения, безопасного для {source}",
+    safetyMaterialConflictReason:
+      "диапазоны температур {source} не пересекаются; измените значение для каждого филамента отдельно",
+    safetyNotNumericReason: "ожидалось число",
+    filamentNotFoundWarning:
+      "Слот филамента {filament} не найден для изменения {parameter}.",
+    unknownFilamentParameterWarning:
+      "Параметр {parameter} нельзя задать для отдельного филамента.",
+    configLabel: "исходный конфиг",
+    differenceSingular: "отличие",
+    differencePlural: "отличий",
+    noDifferencesFound: "Отличий не найдено.",
+    compareLoading: "Загрузка проектов...",
+    compareLoaded: "Проекты загружены",
+    compareFailed: "Не удалось загрузить проекты",
+    noneValue: "нет",
+    inspectMetadataLabel: "Метаданные",
+    inspectConfigLabel: "Конфиг",
+    inspectModelSettingsLabel: "Настройки моделей",
+    inspectPlateImagesLabel: "Изображения столов",
+    inspectUserModifiedLabel: "Изменено пользователем",
+    inspectNormalizedLabel: "Нормализованная модель",
+    inspectRawConfigLabel: "Исходный конфиг",
+    batchFileHeading: "Файл",
+    batchChangesHeading: "Изменения",
+    batchWarningsHeading: "Предупреждения",
+    batchOutputHeading: "Результат",
+    batchStatusHeading: "Статус",
+    batchStatusSuccess: "Готово",
+    batchSummaryTitle: "Обработано проектов: {total} · с ошибкой: {failed}",
+    batchProgress: "Оптимизация проектов ({done}/{total})...",
+    batchComplete: "Пакетная обработка завершена",
+    batchStatusFailed: "Ошибка",
+    reviewAcceptLabel: "Принять",
+    reviewRejectLabel: "Отклонить",
+    reviewEditLabel: "Изменить значение",
+    reviewChangeTitle: "Изменение {index}/{total}:",
+    reviewEditPrompt: "Новое значение для {parameter} (Enter оставит {value}):",
+    reviewSummary: "Принято изменений: {accepted} из {total}",
+    reviewNothingAccepted: "Изменения не приняты; файл не записан.",
+    planPrinterMismatchWarning:
+      "План создан для принтера {planned}, а в проекте используется {actual}.",
+    planNozzleMismatchWarning:
+      "План создан для сопла {planned} мм, а в проекте используется {actual} мм.",
+    planFilamentMismatchWarning:
+      "План создан для филаментов {planned}, а в проекте используются {actual}.",
+    planSaved: "План оптимизации сохранён в {path}",
+    planLoaded: "Загружен план от {createdAt} для {fileName}",
+    repairAttemptLabel: "Попытка {attempt} отправлена модели на исправление:",
+    cachedResponseUsed:
+      "Используется кэшированный ответ (передайте --refresh-cache, чтобы запросить модель заново)",
+    cacheEmpty: "Кэш ответов пуст.",
+    cacheKeyHeading: "Ключ",
+    cacheCreatedHeading: "Создан",
+    cacheProjectHeading: "Проект",
+    cacheModelHeading: "Модель",
+    cacheListTitle: "Кэшированных ответов: {count} в {dir}",
+    cacheCleared: "Удалено кэшированных ответов: {count} из {dir}",
+    usageLabel: "Использование LLM:",
+    usageTotalLabel: "Всего использовано LLM:",
+    usageDetails:
+      "запросов: {requests} · токенов: {promptTokens} запрос + {completionTokens} ответ · изображений: {images}",
+    usageCost: "≈ {cost}",
+    usageCostUnknown: "стоимость неизвестна (модели нет в таблице цен)",
+    configEmpty: "В файлах конфигурации нет настроек.",
+    configSettingHeading: "Настройка",
+    configValueHeading: "Значение",
+    configSourceHeading: "Источник",
+    configFilesTitle: "Файлы конфигурации: {files}",
+    configNoFiles:
+      "Файлы конфигурации не найдены (пользовательский файл: {path})",
+    configProfileActive: "Активный профиль: {profile}",
+    configProfilesAvailable: "Профили: {profiles}",
+    configValueSet: "{key} = {value} сохранено в {file}",
+    configValueSetProfile:
+      '{key} = {value} сохранено в профиле "{profile}" файла {file}',
+    configValueMissing: "{key} не задан ни в одном файле конфигурации",
+    estimateLabel: "Оценка:",
+    estimateDetails:
+      "{beforeTime} → {afterTime} · {beforeGrams} г → {afterGrams} г филамента",
+    intentConstraintTitle: "Ограничения задачи",
+    estimateTimeConstraintWarning:
+      "Оценочное время печати {estimate} превышает лимит {limit}.",
+    estimateMaterialConstraintWarning:
+      "Оценочный расход филамента растёт с {before} г до {after} г, хотя важна экономия материала.",
+    sliceLabel: "Последняя нарезка",
+    plateTitle: "Платформа {plate}",
+    sliceWeightDetail: "{weight} г",
+    sliceWarningsDetail: "предупреждений слайсера: {count}",
+    plateScopeLabel: "вся платформа",
+    plateNotFoundWarning:
+      "Платформа {plate} не найдена для изменения {parameter}.",
+    unknownPlateParameterWarning:
+      "Неизвестный параметр {parameter} для платформы {plate}.",
+    plateProjectSettingWarning:
+      "Пропуск {parameter} для платформы {plate}: Bambu Studio хранит этот параметр для всего проекта или для каждого филамента, а не для платформы.",
+    invalidValueWarning:
+      "Пропуск {parameter}: {value} — недопустимое значение (ожидается {expected}).",
+    outOfRangeValueWarning:
+      "Пропуск {parameter}: {value} вне допустимого диапазона {min}–{max}.",
+    expectedNumberValue: "число",
+    expectedIntegerValue: "целое число",
+    expectedPercentValue: 'процент, например 15 или "15%"',
+    expectedBooleanValue: "true или false",
+    expectedTextValue: "текст",
+    historyEmpty: "В этом проекте нет записанных запусков оптимизации.",
+    historyRunHeading: "Запуск",
+    historyCreatedHeading: "Создан",
+    historyModelHeading: "Модель",
+    historyGoalHeading: "Цель",
+    historyChangesHeading: "Изменения",
+    historyFromPlan: "сохранённый план",
+    historyRunTitle:
+      "Запуск {run} · {createdAt} · slicer-copilot {version} · из {fileName}",
   },
   es: {
     loadingProject: "Cargando proyecto .3mf...",
@@ -191,10 +432,135 @@ const translations = {
       "Objeto {object} no encontrado para el cambio {parameter}.",
     unknownObjectParameterWarning:
       "Parámetro {parameter} desconocido para el objeto {object}.",
+    objectProjectSettingWarning:
+      "Se omite {parameter} en {object}: Bambu Studio guarda este ajuste para todo el proyecto o por filamento, no por objeto.",
     relativeChangeTypeWarning:
       "Cambio relativo para {parameter} omitido: se esperaban números.",
     userSettingLockedWarning:
       "Se omite {parameter}: el ajuste modificado por el usuario está protegido.",
+    safetyClampedTitle: "Ajustado a límites seguros",
+    safetyRejectedTitle: "Rechazado por inseguro",
+    safetyClampedWarning:
+      "{parameter} ajustado de {value} a {clamped} {unit} (límites de {source}: {min}–{max} {unit}).",
+    safetyRejectedWarning: "Rechazado {parameter} = {value}: {reason}.",
+    safetyConflictReason: "ningún valor es seguro para {source}",
+    safetyMaterialConflictReason:
+      "los rangos de temperatura de {source} no se solapan; cámbielo por filamento",
+    safetyNotNumericReason: "se esperaba un número",
+    filamentNotFoundWarning:
+      "No se encontró la ranura de filamento {filament} para el cambio {parameter}.",
+    unknownFilamentParameterWarning:
+      "El parámetro {parameter} no se puede ajustar por filamento.",
+    configLabel: "config original",
+    differenceSingular: "diferencia",
+    differencePlural: "diferencias",
+    noDifferencesFound: "No se encontraron diferencias.",
+    compareLoading: "Cargando proyectos...",
+    compareLoaded: "Proyectos cargados",
+    compareFailed: "No se pudieron cargar los proyectos",
+    noneValue: "ninguno",
+    inspectMetadataLabel: "Metadatos",
+    inspectConfigLabel: "Config",
+    inspectModelSettingsLabel: "Ajustes de modelos",
+    inspectPlateImagesLabel: "Imágenes de placas",
+    inspectUserModifiedLabel: "Modificado por el usuario",
+    inspectNormalizedLabel: "Modelo normalizado",
+    inspectRawConfigLabel: "Config original",
+    batchFileHeading: "Archivo",
+    batchChangesHeading: "Cambios",
+    batchWarningsHeading: "Advertencias",
+    batchOutputHeading: "Salida",
+    batchStatusHeading: "Estado",
+    batchStatusSuccess: "Listo",
+    batchSummaryTitle: "{total} proyecto(s) procesado(s) · {failed} con error",
+    batchProgress: "Optimizando proyectos ({done}/{total})...",
+    batchComplete: "Lote finalizado",
+    batchStatusFailed: "Error",
+    reviewAcceptLabel: "Aceptar",
+    reviewRejectLabel: "Rechazar",
+    reviewEditLabel: "Editar valor",
+    reviewChangeTitle: "Cambio {index}/{total}:",
+    reviewEditPrompt: "Nuevo valor para {parameter} (Enter mantiene {value}):",
+    reviewSummary: "Aceptado(s) {accepted} de {total} cambio(s)",
+    reviewNothingAccepted: "No se aceptaron cambios; no se escribió la salida.",
+    planPrinterMismatchWarning:
+      "El plan se creó para la impresora {planned}, pero este proyecto usa {actual}.",
+    planNozzleMismatchWarning:
+      "El plan se creó para una boquilla de {planned}mm, pero este proyecto usa {actual}mm.",
+    planFilamentMismatchWarning:
+      "El plan se creó para los filamentos {planned}, pero este proyecto usa {actual}.",
+    planSaved: "Plan de optimización guardado en {path}",
+    planLoaded: "Plan cargado, creado {createdAt} para {fileName}",
+    repairAttemptLabel:
+      "El intento {attempt} se devolvió al modelo para corregirlo:",
+    cachedResponseUsed:
+      "Usando una respuesta en caché (usa --refresh-cache para volver a consultar al modelo)",
+    cacheEmpty: "La caché de respuestas está vacía.",
+    cacheKeyHeading: "Clave",
+    cacheCreatedHeading: "Creada",
+    cacheProjectHeading: "Proyecto",
+    cacheModelHeading: "Modelo",
+    cacheListTitle: "{count} respuesta(s) en caché en {dir}",
+    cacheCleared: "Se eliminaron {count} respuesta(s) en caché de {dir}",
+    usageLabel: "Uso del LLM:",
+    usageTotalLabel: "Uso total del LLM:",
+    usageDetails:
+      "{requests} solicitud(es) · {promptTokens} tokens de entrada + {completionTokens} de salida · {images} imagen(es)",
+    usageCost: "aprox. {cost}",
+    usageCostUnknown:
+      "coste desconocido (modelo no incluido en la tabla de precios)",
+    configEmpty: "No hay ajustes en los archivos de configuración.",
+    configSettingHeading: "Ajuste",
+    configValueHeading: "Valor",
+    configSourceHeading: "Origen",
+    configFilesTitle: "Archivos de configuración: {files}",
+    configNoFiles:
+      "No se encontraron archivos de configuración (archivo de usuario: {path})",
+    configProfileActive: "Perfil activo: {profile}",
+    configProfilesAvailable: "Perfiles: {profiles}",
+    configValueSet: "{key} = {value} guardado en {file}",
+    configValueSetProfile:
+      '{key} = {value} guardado en el perfil "{profile}" de {file}',
+    configValueMissing:
+      "{key} no está definido en ningún archivo de configuración",
+    estimateLabel: "Estimación:",
+    estimateDetails:
+      "{beforeTime} → {afterTime} · {beforeGrams} g → {afterGrams} g de filamento",
+    intentConstraintTitle: "Restricciones del objetivo",
+    estimateTimeConstraintWarning:
+      "El tiempo de impresión estimado {estimate} supera el límite de {limit}.",
+    estimateMaterialConstraintWarning:
+      "El consumo estimado de filamento sube de {before} g a {after} g aunque ahorrar material es importante.",
+    sliceLabel: "Último laminado",
+    plateTitle: "Placa {plate}",
+    sliceWeightDetail: "{weight} g",
+    sliceWarningsDetail: "{count} aviso(s) del laminador",
+    plateScopeLabel: "toda la placa",
+    plateNotFoundWarning:
+      "No se encontró la placa {plate} para el cambio {parameter}.",
+    unknownPlateParameterWarning:
+      "Parámetro desconocido {parameter} para la placa {plate}.",
+    plateProjectSettingWarning:
+      "Se omite {parameter} en la placa {plate}: Bambu Studio guarda este ajuste para todo el proyecto o por filamento, no por placa.",
+    invalidValueWarning:
+      "Se omite {parameter}: {value} no es un valor válido (se esperaba {expected}).",
+    outOfRangeValueWarning:
+      "Se omite {parameter}: {value} está fuera del rango permitido {min}–{max}.",
+    expectedNumberValue: "un número",
+    expectedIntegerValue: "un número entero",
+    expectedPercentValue: 'un porcentaje como 15 o "15%"',
+    expectedBooleanValue: "true o false",
+    expectedTextValue: "texto",
+    historyEmpty:
+      "No hay ejecuciones de optimización registradas en este proyecto.",
+    historyRunHeading: "Ejecución",
+    historyCreatedHeading: "Creada",
+    historyModelHeading: "Modelo",
+    historyGoalHeading: "Objetivo",
+    historyChangesHeading: "Cambios",
+    historyFromPlan: "plan guardado",
+    historyRunTitle:
+      "Ejecución {run} · {createdAt} · slicer-copilot {version} · desde {fileName}",
   },
   fr: {
     loadingProject: "Chargement du projet .3mf...",
@@ -257,10 +623,135 @@ const translations = {
       "Objet {object} introuvable pour le changement {parameter}.",
     unknownObjectParameterWarning:
       "Paramètre {parameter} inconnu pour l'objet {object}.",
+    objectProjectSettingWarning:
+      "{parameter} ignoré sur {object} : Bambu Studio conserve ce réglage pour tout le projet ou par filament, pas par objet.",
     relativeChangeTypeWarning:
       "Changement relatif pour {parameter} ignoré : nombres attendus.",
     userSettingLockedWarning:
       "Ignoré {parameter} : réglage modifié par l'utilisateur et protégé.",
+    safetyClampedTitle: "Ramené dans les limites sûres",
+    safetyRejectedTitle: "Rejeté car dangereux",
+    safetyClampedWarning:
+      "{parameter} ramené de {value} à {clamped} {unit} (limites {source} : {min}–{max} {unit}).",
+    safetyRejectedWarning: "Rejeté {parameter} = {value} : {reason}.",
+    safetyConflictReason: "aucune valeur n'est sûre pour {source}",
+    safetyMaterialConflictReason:
+      "les plages de température de {source} ne se chevauchent pas ; modifiez-la par filament",
+    safetyNotNumericReason: "nombre attendu",
+    filamentNotFoundWarning:
+      "Emplacement de filament {filament} introuvable pour la modification {parameter}.",
+    unknownFilamentParameterWarning:
+      "Le paramètre {parameter} ne peut pas être défini par filament.",
+    configLabel: "config brute",
+    differenceSingular: "différence",
+    differencePlural: "différences",
+    noDifferencesFound: "Aucune différence trouvée.",
+    compareLoading: "Chargement des projets...",
+    compareLoaded: "Projets chargés",
+    compareFailed: "Échec du chargement des projets",
+    noneValue: "aucun",
+    inspectMetadataLabel: "Métadonnées",
+    inspectConfigLabel: "Config",
+    inspectModelSettingsLabel: "Réglages des objets",
+    inspectPlateImagesLabel: "Images des plateaux",
+    inspectUserModifiedLabel: "Modifié par l'utilisateur",
+    inspectNormalizedLabel: "Modèle normalisé",
+    inspectRawConfigLabel: "Config brute",
+    batchFileHeading: "Fichier",
+    batchChangesHeading: "Modifications",
+    batchWarningsHeading: "Avertissements",
+    batchOutputHeading: "Sortie",
+    batchStatusHeading: "Statut",
+    batchStatusSuccess: "Terminé",
+    batchSummaryTitle: "{total} projet(s) traité(s) · {failed} en échec",
+    batchProgress: "Optimisation des projets ({done}/{total})...",
+    batchComplete: "Lot terminé",
+    batchStatusFailed: "Échec",
+    reviewAcceptLabel: "Accepter",
+    reviewRejectLabel: "Rejeter",
+    reviewEditLabel: "Modifier la valeur",
+    reviewChangeTitle: "Modification {index}/{total} :",
+    reviewEditPrompt:
+      "Nouvelle valeur pour {parameter} (Entrée conserve {value}) :",
+    reviewSummary: "{accepted} modification(s) acceptée(s) sur {total}",
+    reviewNothingAccepted:
+      "Aucune modification acceptée ; la sortie n'a pas été écrite.",
+    planPrinterMismatchWarning:
+      "Le plan a été créé pour l'imprimante {planned}, mais ce projet utilise {actual}.",
+    planNozzleMismatchWarning:
+      "Le plan a été créé pour une buse de {planned}mm, mais ce projet utilise {actual}mm.",
+    planFilamentMismatchWarning:
+      "Le plan a été créé pour les filaments {planned}, mais ce projet utilise {actual}.",
+    planSaved: "Plan d'optimisation enregistré dans {path}",
+    planLoaded: "Plan chargé, créé le {createdAt} pour {fileName}",
+    repairAttemptLabel:
+      "La tentative {attempt} a été renvoyée au modèle pour correction :",
+    cachedResponseUsed:
+      "Utilisation d'une réponse en cache (passez --refresh-cache pour interroger à nouveau le modèle)",
+    cacheEmpty: "Le cache des réponses est vide.",
+    cacheKeyHeading: "Clé",
+    cacheCreatedHeading: "Créée",
+    cacheProjectHeading: "Projet",
+    cacheModelHeading: "Modèle",
+    cacheListTitle: "{count} réponse(s) en cache dans {dir}",
+    cacheCleared: "{count} réponse(s) en cache supprimée(s) de {dir}",
+    usageLabel: "Utilisation du LLM :",
+    usageTotalLabel: "Utilisation totale du LLM :",
+    usageDetails:
+      "{requests} requête(s) · {promptTokens} jetons d'entrée + {completionTokens} de sortie · {images} image(s)",
+    usageCost: "env. {cost}",
+    usageCostUnknown: "coût inconnu (modèle absent de la table des prix)",
+    configEmpty: "Aucun réglage dans les fichiers de configuration.",
+    configSettingHeading: "Réglage",
+    configValueHeading: "Valeur",
+    configSourceHeading: "Source",
+    configFilesTitle: "Fichiers de configuration : {files}",
+    configNoFiles:
+      "Aucun fichier de configuration trouvé (fichier utilisateur : {path})",
+    configProfileActive: "Profil actif : {profile}",
+    configProfilesAvailable: "Profils : {profiles}",
+    configValueSet: "{key} = {value} enregistré dans {file}",
+    configValueSetProfile:
+      '{key} = {value} enregistré dans le profil "{profile}" de {file}',
+    configValueMissing:
+      "{key} n'est défini dans aucun fichier de configuration",
+    estimateLabel: "Estimation :",
+    estimateDetails:
+      "{beforeTime} → {afterTime} · {beforeGrams} g → {afterGrams} g de filament",
+    intentConstraintTitle: "Contraintes de l'objectif",
+    estimateTimeConstraintWarning:
+      "La durée d'impression estimée {estimate} dépasse la limite de {limit}.",
+    estimateMaterialConstraintWarning:
+      "La consommation de filament estimée passe de {before} g à {after} g alors que l'économie de matière est importante.",
+    sliceLabel: "Dernier tranchage",
+    plateTitle: "Plateau {plate}",
+    sliceWeightDetail: "{weight} g",
+    sliceWarningsDetail: "{count} avertissement(s) du trancheur",
+    plateScopeLabel: "tout le plateau",
+    plateNotFoundWarning:
+      "Plateau {plate} introuvable pour la modification {parameter}.",
+    unknownPlateParameterWarning:
+      "Paramètre inconnu {parameter} pour le plateau {plate}.",
+    plateProjectSettingWarning:
+      "{parameter} ignoré sur le plateau {plate} : Bambu Studio conserve ce réglage pour tout le projet ou par filament, pas par plateau.",
+    invalidValueWarning:
+      "{parameter} ignoré : {value} n'est pas une valeur valide ({expected} attendu).",
+    outOfRangeValueWarning:
+      "{parameter} ignoré : {value} est hors de la plage autorisée {min}–{max}.",
+    expectedNumberValue: "un nombre",
+    expectedIntegerValue: "un nombre entier",
+    expectedPercentValue: 'un pourcentage comme 15 ou "15%"',
+    expectedBooleanValue: "true ou false",
+    expectedTextValue: "du texte",
+    historyEmpty: "Aucune optimisation n'est enregistrée dans ce projet.",
+    historyRunHeading: "Exécution",
+    historyCreatedHeading: "Créée",
+    historyModelHeading: "Modèle",
+    historyGoalHeading: "Objectif",
+    historyChangesHeading: "Modifications",
+    historyFromPlan: "plan enregistré",
+    historyRunTitle:
+      "Exécution {run} · {createdAt} · slicer-copilot {version} · depuis {fileName}",
   },
   de: {
     loadingProject: "Lade .3mf-Projekt...",
@@ -326,10 +817,134 @@ const translations = {
       "Objekt {object} für Änderung {parameter} nicht gefunden.",
     unknownObjectParameterWarning:
       "Unbekannter Parameter {parameter} für Objekt {object}.",
+    objectProjectSettingWarning:
+      "{parameter} auf {object} übersprungen: Bambu Studio speichert diese Einstellung für das ganze Projekt oder pro Filament, nicht pro Objekt.",
     relativeChangeTypeWarning:
       "Relative Änderung für {parameter} übersprungen: Zahlen erwartet.",
     userSettingLockedWarning:
       "{parameter} wird übersprungen: vom Benutzer geänderter Wert ist geschützt.",
+    safetyClampedTitle: "Auf sichere Grenzen begrenzt",
+    safetyRejectedTitle: "Als unsicher abgelehnt",
+    safetyClampedWarning:
+      "{parameter} von {value} auf {clamped} {unit} begrenzt ({source}-Grenzen {min}–{max} {unit}).",
+    safetyRejectedWarning: "{parameter} = {value} abgelehnt: {reason}.",
+    safetyConflictReason: "kein Wert ist für {source} sicher",
+    safetyMaterialConflictReason:
+      "die Temperaturbereiche von {source} überschneiden sich nicht; ändere den Wert pro Filament",
+    safetyNotNumericReason: "Zahl erwartet",
+    filamentNotFoundWarning:
+      "Filament-Slot {filament} für Änderung {parameter} nicht gefunden.",
+    unknownFilamentParameterWarning:
+      "Parameter {parameter} kann nicht pro Filament gesetzt werden.",
+    configLabel: "Roh-Konfiguration",
+    differenceSingular: "Unterschied",
+    differencePlural: "Unterschiede",
+    noDifferencesFound: "Keine Unterschiede gefunden.",
+    compareLoading: "Projekte werden geladen...",
+    compareLoaded: "Projekte geladen",
+    compareFailed: "Projekte konnten nicht geladen werden",
+    noneValue: "keine",
+    inspectMetadataLabel: "Metadaten",
+    inspectConfigLabel: "Konfiguration",
+    inspectModelSettingsLabel: "Objekteinstellungen",
+    inspectPlateImagesLabel: "Plattenbilder",
+    inspectUserModifiedLabel: "Vom Benutzer geändert",
+    inspectNormalizedLabel: "Normalisiertes Modell",
+    inspectRawConfigLabel: "Roh-Konfiguration",
+    batchFileHeading: "Datei",
+    batchChangesHeading: "Änderungen",
+    batchWarningsHeading: "Warnungen",
+    batchOutputHeading: "Ausgabe",
+    batchStatusHeading: "Status",
+    batchStatusSuccess: "Fertig",
+    batchSummaryTitle:
+      "{total} Projekt(e) verarbeitet · {failed} fehlgeschlagen",
+    batchProgress: "Projekte werden optimiert ({done}/{total})...",
+    batchComplete: "Stapelverarbeitung abgeschlossen",
+    batchStatusFailed: "Fehler",
+    reviewAcceptLabel: "Übernehmen",
+    reviewRejectLabel: "Ablehnen",
+    reviewEditLabel: "Wert bearbeiten",
+    reviewChangeTitle: "Änderung {index}/{total}:",
+    reviewEditPrompt: "Neuer Wert für {parameter} (Enter behält {value}):",
+    reviewSummary: "{accepted} von {total} Änderung(en) übernommen",
+    reviewNothingAccepted:
+      "Keine Änderungen übernommen; keine Ausgabe geschrieben.",
+    planPrinterMismatchWarning:
+      "Der Plan wurde für den Drucker {planned} erstellt, dieses Projekt verwendet jedoch {actual}.",
+    planNozzleMismatchWarning:
+      "Der Plan wurde für eine {planned}mm-Düse erstellt, dieses Projekt verwendet jedoch {actual}mm.",
+    planFilamentMismatchWarning:
+      "Der Plan wurde für die Filamente {planned} erstellt, dieses Projekt verwendet jedoch {actual}.",
+    planSaved: "Optimierungsplan gespeichert unter {path}",
+    planLoaded: "Plan vom {createdAt} für {fileName} geladen",
+    repairAttemptLabel:
+      "Versuch {attempt} wurde dem Modell zur Korrektur zurückgegeben:",
+    cachedResponseUsed:
+      "Verwende eine zwischengespeicherte Antwort (--refresh-cache fragt das Modell erneut)",
+    cacheEmpty: "Der Antwort-Cache ist leer.",
+    cacheKeyHeading: "Schlüssel",
+    cacheCreatedHeading: "Erstellt",
+    cacheProjectHeading: "Projekt",
+    cacheModelHeading: "Modell",
+    cacheListTitle: "{count} zwischengespeicherte Antwort(en) in {dir}",
+    cacheCleared: "{count} zwischengespeicherte Antwort(en) aus {dir} entfernt",
+    usageLabel: "LLM-Nutzung:",
+    usageTotalLabel: "LLM-Nutzung gesamt:",
+    usageDetails:
+      "{requests} Anfrage(n) · {promptTokens} Eingabe- + {completionTokens} Ausgabe-Tokens · {images} Bild(er)",
+    usageCost: "ca. {cost}",
+    usageCostUnknown: "Kosten unbekannt (Modell nicht in der Preistabelle)",
+    configEmpty: "Keine Einstellungen in Konfigurationsdateien.",
+    configSettingHeading: "Einstellung",
+    configValueHeading: "Wert",
+    configSourceHeading: "Quelle",
+    configFilesTitle: "Konfigurationsdateien: {files}",
+    configNoFiles:
+      "Keine Konfigurationsdateien gefunden (Benutzerdatei: {path})",
+    configProfileActive: "Aktives Profil: {profile}",
+    configProfilesAvailable: "Profile: {profiles}",
+    configValueSet: "{key} = {value} in {file} gespeichert",
+    configValueSetProfile:
+      '{key} = {value} im Profil "{profile}" von {file} gespeichert',
+    configValueMissing: "{key} ist in keiner Konfigurationsdatei gesetzt",
+    estimateLabel: "Schätzung:",
+    estimateDetails:
+      "{beforeTime} → {afterTime} · {beforeGrams} g → {afterGrams} g Filament",
+    intentConstraintTitle: "Vorgaben des Ziels",
+    estimateTimeConstraintWarning:
+      "Die geschätzte Druckzeit {estimate} überschreitet das Limit von {limit}.",
+    estimateMaterialConstraintWarning:
+      "Der geschätzte Filamentverbrauch steigt von {before} g auf {after} g, obwohl Materialersparnis wichtig ist.",
+    sliceLabel: "Letztes Slicen",
+    plateTitle: "Platte {plate}",
+    sliceWeightDetail: "{weight} g",
+    sliceWarningsDetail: "{count} Slicer-Warnung(en)",
+    plateScopeLabel: "ganze Platte",
+    plateNotFoundWarning:
+      "Platte {plate} für Änderung {parameter} nicht gefunden.",
+    unknownPlateParameterWarning:
+      "Unbekannter Parameter {parameter} für Platte {plate}.",
+    plateProjectSettingWarning:
+      "{parameter} auf Platte {plate} übersprungen: Bambu Studio speichert diese Einstellung für das ganze Projekt oder pro Filament, nicht pro Platte.",
+    invalidValueWarning:
+      "{parameter} übersprungen: {value} ist kein gültiger Wert (erwartet: {expected}).",
+    outOfRangeValueWarning:
+      "{parameter} übersprungen: {value} liegt außerhalb des erlaubten Bereichs {min}–{max}.",
+    expectedNumberValue: "eine Zahl",
+    expectedIntegerValue: "eine ganze Zahl",
+    expectedPercentValue: 'ein Prozentwert wie 15 oder "15%"',
+    expectedBooleanValue: "true oder false",
+    expectedTextValue: "Text",
+    historyEmpty: "In diesem Projekt sind keine Optimierungsläufe gespeichert.",
+    historyRunHeading: "Lauf",
+    historyCreatedHeading: "Erstellt",
+    historyModelHeading: "Modell",
+    historyGoalHeading: "Ziel",
+    historyChangesHeading: "Änderungen",
+    historyFromPlan: "gespeicherter Plan",
+    historyRunTitle:
+      "Lauf {run} · {createdAt} · slicer-copilot {version} · aus {fileName}",
   },
   zh: {
     loadingProject: "正在加载 .3mf 项目...",
@@ -387,8 +1002,124 @@ const translations = {
     unknownParameterWarning: "未知参数 {parameter}，已跳过。",
     objectNotFoundWarning: "未找到对象 {object}，无法应用 {parameter}。",
     unknownObjectParameterWarning: "对象 {object} 的参数 {parameter} 未知。",
+    objectProjectSettingWarning:
+      "已跳过 {object} 上的 {parameter}：Bambu Studio 只为整个项目或每种耗材保存此设置，不能按对象设置。",
     relativeChangeTypeWarning: "相对更改 {parameter} 已跳过：需要数字。",
     userSettingLockedWarning: "跳过 {parameter}：该设置由用户修改并已保护。",
+    safetyClampedTitle: "已限制在安全范围内",
+    safetyRejectedTitle: "因不安全被拒绝",
+    safetyClampedWarning:
+      "{parameter} 已从 {value} 限制为 {clamped} {unit}（{source} 范围 {min}–{max} {unit}）。",
+    safetyRejectedWarning: "已拒绝 {parameter} = {value}：{reason}。",
+    safetyConflictReason: "没有对 {source} 都安全的数值",
+    safetyMaterialConflictReason:
+      "{source} 的温度范围没有重叠；请按耗材分别修改",
+    safetyNotNumericReason: "需要数字",
+    filamentNotFoundWarning:
+      "未找到耗材槽位 {filament}，无法应用 {parameter}。",
+    unknownFilamentParameterWarning: "参数 {parameter} 不能按耗材单独设置。",
+    configLabel: "原始配置",
+    differenceSingular: "处差异",
+    differencePlural: "处差异",
+    noDifferencesFound: "未发现差异。",
+    compareLoading: "正在加载项目...",
+    compareLoaded: "项目已加载",
+    compareFailed: "加载项目失败",
+    noneValue: "无",
+    inspectMetadataLabel: "元数据",
+    inspectConfigLabel: "配置",
+    inspectModelSettingsLabel: "模型设置",
+    inspectPlateImagesLabel: "打印板图像",
+    inspectUserModifiedLabel: "用户修改",
+    inspectNormalizedLabel: "规范化模型",
+    inspectRawConfigLabel: "原始配置",
+    batchFileHeading: "文件",
+    batchChangesHeading: "更改",
+    batchWarningsHeading: "警告",
+    batchOutputHeading: "输出",
+    batchStatusHeading: "状态",
+    batchStatusSuccess: "完成",
+    batchSummaryTitle: "已处理 {total} 个项目 · {failed} 个失败",
+    batchProgress: "正在优化项目 ({done}/{total})...",
+    batchComplete: "批处理完成",
+    batchStatusFailed: "失败",
+    reviewAcceptLabel: "接受",
+    reviewRejectLabel: "拒绝",
+    reviewEditLabel: "编辑数值",
+    reviewChangeTitle: "更改 {index}/{total}：",
+    reviewEditPrompt: "{parameter} 的新值（回车保留 {value}）：",
+    reviewSummary: "已接受 {accepted}/{total} 项更改",
+    reviewNothingAccepted: "未接受任何更改；未写入输出文件。",
+    planPrinterMismatchWarning:
+      "该计划是为打印机 {planned} 创建的，但此项目使用 {actual}。",
+    planNozzleMismatchWarning:
+      "该计划是为 {planned}mm 喷嘴创建的，但此项目使用 {actual}mm。",
+    planFilamentMismatchWarning:
+      "该计划是为耗材 {planned} 创建的，但此项目使用 {actual}。",
+    planSaved: "优化计划已保存到 {path}",
+    planLoaded: "已加载 {createdAt} 为 {fileName} 创建的计划",
+    repairAttemptLabel: "第 {attempt} 次尝试已退回模型进行修正：",
+    cachedResponseUsed: "使用缓存的响应（传入 --refresh-cache 可重新询问模型）",
+    cacheEmpty: "响应缓存为空。",
+    cacheKeyHeading: "键",
+    cacheCreatedHeading: "创建时间",
+    cacheProjectHeading: "项目",
+    cacheModelHeading: "模型",
+    cacheListTitle: "{dir} 中有 {count} 个缓存响应",
+    cacheCleared: "已从 {dir} 删除 {count} 个缓存响应",
+    usageLabel: "LLM 用量：",
+    usageTotalLabel: "LLM 总用量：",
+    usageDetails:
+      "{requests} 次请求 · {promptTokens} 输入 + {completionTokens} 输出 token · {images} 张图片",
+    usageCost: "约 {cost}",
+    usageCostUnknown: "费用未知（价格表中没有该模型）",
+    configEmpty: "配置文件中没有设置。",
+    configSettingHeading: "设置",
+    configValueHeading: "值",
+    configSourceHeading: "来源",
+    configFilesTitle: "配置文件：{files}",
+    configNoFiles: "未找到配置文件（用户文件：{path}）",
+    configProfileActive: "当前配置档：{profile}",
+    configProfilesAvailable: "配置档：{profiles}",
+    configValueSet: "已在 {file} 中设置 {key} = {value}",
+    configValueSetProfile:
+      '已在 {file} 的配置档 "{profile}" 中设置 {key} = {value}',
+    configValueMissing: "任何配置文件中都未设置 {key}",
+    estimateLabel: "估算：",
+    estimateDetails:
+      "{beforeTime} → {afterTime} · 耗材 {beforeGrams} g → {afterGrams} g",
+    intentConstraintTitle: "目标约束",
+    estimateTimeConstraintWarning:
+      "估算打印时间 {estimate} 超出 {limit} 的限制。",
+    estimateMaterialConstraintWarning:
+      "估算耗材用量从 {before} g 增加到 {after} g，但节省材料很重要。",
+    sliceLabel: "上次切片",
+    plateTitle: "平台 {plate}",
+    sliceWeightDetail: "{weight} g",
+    sliceWarningsDetail: "{count} 条切片警告",
+    plateScopeLabel: "整个平台",
+    plateNotFoundWarning: "未找到变更 {parameter} 对应的平台 {plate}。",
+    unknownPlateParameterWarning: "平台 {plate} 的未知参数 {parameter}。",
+    plateProjectSettingWarning:
+      "已跳过盘 {plate} 上的 {parameter}：Bambu Studio 只为整个项目或每种耗材保存此设置，不能按盘设置。",
+    invalidValueWarning:
+      "已跳过 {parameter}：{value} 不是有效值（应为{expected}）。",
+    outOfRangeValueWarning:
+      "已跳过 {parameter}：{value} 超出允许范围 {min}–{max}。",
+    expectedNumberValue: "数字",
+    expectedIntegerValue: "整数",
+    expectedPercentValue: '百分比，如 15 或 "15%"',
+    expectedBooleanValue: "true 或 false",
+    expectedTextValue: "文本",
+    historyEmpty: "此项目中没有记录优化运行。",
+    historyRunHeading: "运行",
+    historyCreatedHeading: "创建时间",
+    historyModelHeading: "模型",
+    historyGoalHeading: "目标",
+    historyChangesHeading: "更改",
+    historyFromPlan: "已保存的计划",
+    historyRunTitle:
+      "运行 {run} · {createdAt} · slicer-copilot {version} · 来自 {fileName}",
   },
 };
 
@@ -86,10 +86,10 @@ export function normalizeIntent(intentInput) {
   return {
     ...base,
     ...rest,
-    constraints: {
+    constraints: normalizeConstraints({
       ...base.constraints,
       ...(intent.constraints ?? {}),
-    },
+    }),
     secondary_goals:
       intent.secondary_goals ?? intent.secondaryGoals ?? base.secondary_goals,
     locked_parameters:
@@ -105,6 +105,25 @@ export function normalizeIntent(intentInput) {
   };
 }
 
+/**
+ * `max_print_time_hours` must be a positive number of hours (numeric strings
+ * such as `"6"` are converted) or `null` for no limit.
+ */
+function normalizeConstraints(constraints) {
+  const maxHours = constraints.max_print_time_hours;
+  if (maxHours === null || maxHours === undefined) return constraints;
+  const hours =
+    typeof maxHours === "string" && maxHours.trim() !== ""
+      ? Number(maxHours)
+      : maxHours;
+  if (typeof hours !== "number" || !Number.isFinite(hours) || hours <= 0) {
+    throw new Error(
+      `Invalid max_print_time_hours ${JSON.stringify(maxHours)}: expected a positive number of hours or null.`,
+    );
+  }
+  return { ...constraints, max_print_time_hours: hours };
+}
+
 /**
  * Prompt the user for optimization intent (interactive TTY only).
  *
@@ -180,7 +199,19 @@ export async function promptIntent({
   return intent;
 }
 
-function selectOption({
+/**
+ * Render an arrow-key menu and resolve with the chosen option. Falls back to
+ * the first option when the input is not an interactive TTY.
+ *
+ * @template {{ label: string, icon?: string, desc?: string }} T
+ * @param {object} params
+ * @param {string} params.question
+ * @param {T[]} params.options
+ * @param {NodeJS.ReadStream} params.input
+ * @param {NodeJS.WriteStream} params.output
+ * @returns {Promise<T>}
+ */
+export function selectOption({
   question,
   options,
   input: inputStream,
@@ -260,6 +291,21 @@ function selectOption({
 }
 
 function promptOptionalNotes({ input, output, t }) {
+  const prompt = `\n${ui.muted("📝")} ${ui.secondary(t("notesPromptLabel"))}\n${ui.muted(`   ${t("skipHint")}`)}\n${ui.primary(ui.pointer)} `;
+  return promptLine({ input, output, prompt });
+}
+
+/**
+ * Read a single trimmed line of text. Resolves with an empty string when the
+ * input is not an interactive TTY.
+ *
+ * @param {object} params
+ * @param {NodeJS.ReadStream} params.input
+ * @param {NodeJS.WriteStream} params.output
+ * @param {string} params.prompt
+ * @returns {Promise<string>}
+ */
+export function promptLine({ input, output, prompt }) {
   /* c8 ignore start */
   return new Promise((resolve, reject) => {
     if (!input.isTTY) {
@@ -278,7 +324,6 @@ function promptOptionalNotes({ input, output, t }) {
       rl.close();
       resolve(answer.trim());
     };
-    const prompt = `\n${ui.muted("📝")} ${ui.secondary(t("notesPromptLabel"))}\n${ui.muted(`   ${t("skipHint")}`)}\n${ui.primary(ui.pointer)} `;
     rl.setPrompt(prompt);
     rl.prompt();
     const start = Date.now();
@@ -0,0 +1,73 @@
+import fs from "fs";
+import { FileFormatError } from "../errors.js";
+
+/**
+ * Find the catalogue key for a name. Matching ignores case, spaces and
+ * punctuation and checks each entry's `aliases`; with `allowPrefix`, when
+ * nothing matches exactly, the longest key or alias the name starts with
+ * wins (so `Bambu Lab A1 mini` is not taken for an `A1`).
+ *
+ * @param {Record<string, { aliases?: string[] }>} catalog
+ * @param {string | null | undefined} name
+ * @param {boolean} [allowPrefix]
+ * @returns {string | null}
+ */
+export function findCatalogKey(catalog, name, allowPrefix = true) {
+  if (typeof name !== "string") return null;
+  const wanted = normalizeName(name);
+  const candidates = Object.entries(catalog).flatMap(([key, entry]) =>
+    [key, ...(entry.aliases ?? [])].map((alias) => ({
+      name: normalizeName(alias),
+      key,
+    })),
+  );
+  const exact = candidates.find((candidate) => candidate.name === wanted);
+  if (exact || !allowPrefix) return exact?.key ?? null;
+  const match = candidates
+    .filter((candidate) => candidate.name && wanted.startsWith(candidate.name))
+    .sort((a, b) => b.name.length - a.name.length)[0];
+  return match?.key ?? null;
+}
+
+/**
+ * Read a user JSON catalogue and merge it over the built-in one.
+ *
+ * @template T
+ * @param {object} params
+ * @param {string | undefined} params.filePath
+ * @param {Record<string, T>} params.builtin
+ * @param {(entry: any) => boolean} params.isValidEntry
+ * @param {string} params.description Catalogue name and expected shape, for errors.
+ * @returns {Record<string, T>}
+ */
+export function readCatalog({ filePath, builtin, isValidEntry, description }) {
+  if (!filePath) return builtin;
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    throw new FileFormatError({ path: filePath });
+  }
+  const invalid = Object.values(catalog ?? {}).find(
+    (entry) => !isValidEntry(entry),
+  );
+  if (!catalog || typeof catalog !== "object" || invalid) {
+    throw new FileFormatError({
+      path: filePath,
+      message: `Invalid ${description} in ${filePath}`,
+    });
+  }
+  return { ...builtin, ...catalog };
+}
+
+/**
+ * @param {unknown} aliases
+ * @returns {boolean}
+ */
+export function isValidAliases(aliases) {
+  return aliases === undefined || Array.isArray(aliases);
+}
+
+function normalizeName(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
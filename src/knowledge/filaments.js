@@ -0,0 +1,204 @@
+import { findCatalogKey, isValidAliases, readCatalog } from "./catalog.js";
+
+/**
+ * @typedef {object} FilamentProfile
+ * @property {string[]} [aliases] Other names the filament is reported as.
+ * @property {string} material_family Family used by `mapMaterialFamily`.
+ * @property {[number, number]} nozzle_temp_c Recommended nozzle range.
+ * @property {[number, number]} bed_temp_c Recommended bed range.
+ * @property {number} [max_volumetric_speed_mm3_s]
+ * @property {[number, number]} [fan_speed_percent] Recommended part-cooling range.
+ * @property {boolean} [abrasive] Needs a hardened nozzle.
+ */
+
+/**
+ * Built-in filament knowledge base, keyed by the `filament_settings_id`
+ * Bambu Studio writes, without the `@BBL <printer>` suffix. Figures follow
+ * the manufacturer's data sheets and system profiles.
+ *
+ * @type {Record<string, FilamentProfile>}
+ */
+export const BUILTIN_FILAMENTS = {
+  "Bambu PLA Basic": {
+    material_family: "PLA",
+    nozzle_temp_c: [190, 230],
+    bed_temp_c: [35, 65],
+    max_volumetric_speed_mm3_s: 21,
+    fan_speed_percent: [80, 100],
+    abrasive: false,
+  },
+  "Bambu PLA Matte": {
+    material_family: "PLA",
+    nozzle_temp_c: [190, 230],
+    bed_temp_c: [35, 65],
+    max_volumetric_speed_mm3_s: 22,
+    fan_speed_percent: [80, 100],
+    abrasive: false,
+  },
+  "Bambu PLA Silk": {
+    aliases: ["Bambu PLA Silk+"],
+    material_family: "PLA",
+    nozzle_temp_c: [210, 230],
+    bed_temp_c: [35, 65],
+    max_volumetric_speed_mm3_s: 12,
+    fan_speed_percent: [80, 100],
+    abrasive: false,
+  },
+  "Bambu PLA-CF": {
+    aliases: ["Bambu PLA CF"],
+    material_family: "PLA",
+    nozzle_temp_c: [210, 240],
+    bed_temp_c: [35, 65],
+    max_volumetric_speed_mm3_s: 15,
+    fan_speed_percent: [80, 100],
+    abrasive: true,
+  },
+  "Bambu PETG Basic": {
+    material_family: "PETG",
+    nozzle_temp_c: [230, 260],
+    bed_temp_c: [60, 80],
+    max_volumetric_speed_mm3_s: 13,
+    fan_speed_percent: [20, 60],
+    abrasive: false,
+  },
+  "Bambu PETG HF": {
+    material_family: "PETG",
+    nozzle_temp_c: [230, 260],
+    bed_temp_c: [60, 80],
+    max_volumetric_speed_mm3_s: 21,
+    fan_speed_percent: [30, 80],
+    abrasive: false,
+  },
+  "Bambu PETG-CF": {
+    aliases: ["Bambu PETG CF"],
+    material_family: "PETG",
+    nozzle_temp_c: [240, 270],
+    bed_temp_c: [65, 75],
+    max_volumetric_speed_mm3_s: 12,
+    fan_speed_percent: [0, 40],
+    abrasive: true,
+  },
+  "Bambu ABS": {
+    material_family: "ABS",
+    nozzle_temp_c: [240, 270],
+    bed_temp_c: [90, 100],
+    max_volumetric_speed_mm3_s: 16,
+    fan_speed_percent: [0, 40],
+    abrasive: false,
+  },
+  "Bambu ASA": {
+    material_family: "ASA",
+    nozzle_temp_c: [240, 270],
+    bed_temp_c: [90, 100],
+    max_volumetric_speed_mm3_s: 18,
+    fan_speed_percent: [0, 40],
+    abrasive: false,
+  },
+  "Bambu PC": {
+    material_family: "PC",
+    nozzle_temp_c: [260, 280],
+    bed_temp_c: [100, 110],
+    max_volumetric_speed_mm3_s: 16,
+    fan_speed_percent: [0, 40],
+    abrasive: false,
+  },
+  "Bambu PA6-CF": {
+    aliases: ["Bambu PA6 CF"],
+    material_family: "Nylon",
+    nozzle_temp_c: [260, 290],
+    bed_temp_c: [80, 100],
+    max_volumetric_speed_mm3_s: 8,
+    fan_speed_percent: [0, 40],
+    abrasive: true,
+  },
+  "Bambu TPU 95A": {
+    aliases: ["Bambu TPU 95A HF"],
+    material_family: "TPU",
+    nozzle_temp_c: [210, 240],
+    bed_temp_c: [30, 45],
+    max_volumetric_speed_mm3_s: 3.6,
+    fan_speed_percent: [80, 100],
+    abrasive: false,
+  },
+};
+
+/**
+ * @typedef {object} FilamentMatch
+ * @property {string} profile Catalogue name.
+ * @property {string} material_family
+ * @property {[number, number]} nozzle_temp_c
+ * @property {[number, number]} bed_temp_c
+ * @property {number | null} max_volumetric_speed_mm3_s `null` when unknown.
+ * @property {[number, number] | null} fan_speed_percent `null` when unknown.
+ * @property {boolean | null} abrasive `null` when unknown.
+ */
+
+/**
+ * Look up a filament by its profile name (e.g. `Bambu PETG HF @BBL H2S`).
+ * The `@` suffix naming the printer is ignored. Only exact names and aliases
+ * match: a prefix would take `Bambu ABS-GF` for plain `Bambu ABS`.
+ *
+ * @param {string | null | undefined} name
+ * @param {Record<string, FilamentProfile>} [catalog]
+ * @returns {FilamentMatch | null}
+ */
+export function findFilamentProfile(name, catalog = BUILTIN_FILAMENTS) {
+  const profile = findCatalogKey(
+    catalog,
+    typeof name === "string" ? name.split("@")[0] : name,
+    false,
+  );
+  return profile ? describeFilament(profile, catalog[profile]) : null;
+}
+
+/**
+ * Read a JSON filament catalogue (`{ "<filament profile>": {
+ * "material_family": s, "nozzle_temp_c": [min, max], "bed_temp_c": [min, max],
+ * ... } }`) and merge it over `BUILTIN_FILAMENTS`.
+ *
+ * @param {string | undefined} filePath
+ * @returns {Record<string, FilamentProfile>}
+ */
+export function readFilamentCatalog(filePath) {
+  return readCatalog({
+    filePath,
+    builtin: BUILTIN_FILAMENTS,
+    isValidEntry,
+    description:
+      'filament catalogue: expected { "<filament>": { "material_family": string, "nozzle_temp_c": [min, max], "bed_temp_c": [min, max] } }',
+  });
+}
+
+function isValidEntry(entry) {
+  return (
+    typeof entry?.material_family === "string" &&
+    isRange(entry.nozzle_temp_c) &&
+    isRange(entry.bed_temp_c) &&
+    (entry.fan_speed_percent === undefined ||
+      isRange(entry.fan_speed_percent)) &&
+    (entry.max_volumetric_speed_mm3_s === undefined ||
+      Number.isFinite(entry.max_volumetric_speed_mm3_s)) &&
+    isValidAliases(entry.aliases)
+  );
+}
+
+function describeFilament(profile, entry) {
+  return {
+    profile,
+    material_family: entry.material_family,
+    nozzle_temp_c: entry.nozzle_temp_c,
+    bed_temp_c: entry.bed_temp_c,
+    max_volumetric_speed_mm3_s: entry.max_volumetric_speed_mm3_s ?? null,
+    fan_speed_percent: entry.fan_speed_percent ?? null,
+    abrasive: entry.abrasive ?? null,
+  };
+}
+
+function isRange(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    value.every(Number.isFinite) &&
+    value[0] <= value[1]
+  );
+}
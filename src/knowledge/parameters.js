@@ -0,0 +1,1262 @@
+import { BED_TYPE_LIMITS, FALLBACK_MATERIAL_LIMITS } from "../constants.js";
+
+/**
+ * @typedef {object} ParameterDefinition
+ * @property {string} key Name used in LLM changes and normalized settings (dotted for speeds).
+ * @property {string[]} configKeys Bambu Studio config keys holding the value; the first is read back. Empty when the value is derived from other keys.
+ * @property {"number" | "integer" | "percent" | "boolean" | "enum" | "string"} type `percent` values are written with a `%` sign.
+ * @property {string} [unit]
+ * @property {[number, number]} [range] Inclusive bounds.
+ * @property {string[]} [values] Allowed values of an `enum` parameter.
+ * @property {number} [step] Increment computed values are rounded to; set on numeric parameters, defaulting by type and unit.
+ * @property {string} group Heading in the prompt's parameter list.
+ * @property {"print" | "filament" | "printer"} section Bambu Studio preset the config keys belong to.
+ * @property {string} description
+ * @property {boolean} [perFilament] Also stored per filament slot.
+ * @property {boolean} [perPlate] Also stored on each plate in `model_settings.config`.
+ */
+
+// Increments Bambu Studio users type for each unit: 0.01 mm, whole mm/s and
+// degrees. Integers and percentages always use whole steps.
+const UNIT_STEPS = {
+  mm: 0.01,
+  "mm/s": 1,
+  "mm/s²": 10,
+  "mm²": 1,
+  "mm³/s": 0.1,
+  "°": 1,
+  s: 1,
+};
+const RATIO_STEP = 0.001;
+const NUMERIC_TYPES = new Set(["number", "integer", "percent"]);
+
+const SURFACE_PATTERNS = [
+  "concentric",
+  "zig-zag",
+  "monotonic",
+  "monotonicline",
+  "alignedrectilinear",
+  "hilbertcurve",
+];
+
+/**
+ * Every parameter the optimizer may change, in prompt order. The prompt's
+ * parameter list, the response schema, the config mappings and allowlists in
+ * `3mf/configMapping.js` and the writer's settings groups are built from it.
+ *
+ * @type {ParameterDefinition[]}
+ */
+export const PARAMETERS = [
+  ...defineGroup("Layer Height", [
+    {
+      key: "layer_height_mm",
+      configKeys: ["layer_height"],
+      type: "number",
+      unit: "mm",
+      description: "Layer height. Smaller = better detail, larger = faster.",
+    },
+    {
+      key: "first_layer_height_mm",
+      configKeys: ["initial_layer_print_height"],
+      type: "number",
+      unit: "mm",
+      description: "First layer height; keep reasonable for adhesion.",
+    },
+    {
+      key: "independent_support_layer_height",
+      type: "boolean",
+      description: "Separate layer height for supports to ease removal.",
+    },
+  ]),
+
+  ...defineGroup("Walls & Line Widths", [
+    {
+      key: "wall_line_count",
+      configKeys: ["wall_loops"],
+      type: "integer",
+      description: "Number of perimeter walls; more adds strength.",
+    },
+    {
+      key: "wall_sequence",
+      type: "enum",
+      values: [
+        "inner wall/outer wall",
+        "outer wall/inner wall",
+        "inner-outer-inner wall",
+      ],
+      description: "Wall order",
+    },
+    {
+      key: "wall_generator",
+      type: "enum",
+      values: ["classic", "arachne"],
+      description: "Wall engine",
+    },
+    {
+      key: "detect_thin_wall",
+      type: "boolean",
+      description: "Try to keep thin walls instead of skipping them.",
+    },
+    {
+      key: "detect_overhang_wall",
+      type: "boolean",
+      description: "Tune walls when they form overhangs.",
+    },
+    {
+      key: "only_one_wall_first_layer",
+      type: "boolean",
+      description: "Use a single wall on the first layer to reduce squish.",
+    },
+    {
+      key: "line_width",
+      type: "number",
+      unit: "mm",
+      description: "Default extrusion width.",
+    },
+    {
+      key: "outer_wall_line_width",
+      type: "number",
+      unit: "mm",
+      description: "Outer wall width for surface quality.",
+    },
+    {
+      key: "inner_wall_line_width",
+      type: "number",
+      unit: "mm",
+      description: "Inner wall width; can be wider for throughput.",
+    },
+    {
+      key: "sparse_infill_line_width",
+      type: "number",
+      unit: "mm",
+      description: "Infill extrusion width.",
+    },
+    {
+      key: "initial_layer_line_width",
+      type: "number",
+      unit: "mm",
+      description: "First layer extrusion width for adhesion.",
+    },
+    {
+      key: "internal_solid_infill_line_width",
+      type: "number",
+      unit: "mm",
+      description: "Width for internal solid regions.",
+    },
+    {
+      key: "support_line_width",
+      type: "number",
+      unit: "mm",
+      description: "Line width for supports.",
+    },
+    {
+      key: "min_bead_width",
+      type: "percent",
+      unit: "% of nozzle",
+      description: "Minimum bead width for Arachne-style walls.",
+    },
+    {
+      key: "min_feature_size",
+      type: "percent",
+      unit: "% of nozzle",
+      description: "Smallest feature Arachne will try to preserve.",
+    },
+    {
+      key: "wall_distribution_count",
+      type: "integer",
+      description:
+        "How many distributed walls Arachne uses for thickness transitions.",
+    },
+    {
+      key: "wall_transition_angle",
+      type: "number",
+      unit: "°",
+      description: "Angle where wall thickness begins changing.",
+    },
+    {
+      key: "wall_transition_length",
+      type: "percent",
+      unit: "% of nozzle",
+      description: "Distance over which wall transitions are blended.",
+    },
+    {
+      key: "wall_transition_filter_deviation",
+      type: "percent",
+      unit: "% of nozzle",
+      description: "Smoothing factor for wall transitions.",
+    },
+    {
+      key: "precise_outer_wall",
+      type: "boolean",
+      description: "Favor dimensional accuracy on the outer wall.",
+    },
+  ]),
+
+  ...defineGroup("Top/Bottom Surfaces", [
+    {
+      key: "top_layers",
+      configKeys: ["top_shell_layers"],
+      type: "integer",
+      description: "Solid layers on top.",
+    },
+    {
+      key: "bottom_layers",
+      configKeys: ["bottom_shell_layers"],
+      type: "integer",
+      description: "Solid layers on bottom.",
+    },
+    {
+      key: "top_surface_pattern",
+      type: "enum",
+      values: SURFACE_PATTERNS,
+      description: "Top fill pattern",
+    },
+    {
+      key: "bottom_surface_pattern",
+      type: "enum",
+      values: SURFACE_PATTERNS,
+      description: "Bottom fill pattern",
+    },
+    {
+      key: "ironing_type",
+      type: "enum",
+      values: ["no ironing", "top", "topmost", "solid"],
+      description: "Ironing mode",
+    },
+    {
+      key: "ironing_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Ironing speed.",
+    },
+    {
+      key: "ironing_flow",
+      type: "percent",
+      unit: "%",
+      range: [0, 100],
+      description: "Ironing flow.",
+    },
+    {
+      key: "ironing_spacing",
+      type: "number",
+      unit: "mm",
+      description: "Spacing between ironing passes.",
+    },
+    {
+      key: "ironing_pattern",
+      type: "enum",
+      values: ["concentric", "zig-zag"],
+      description: "Ironing path pattern",
+    },
+    {
+      key: "top_surface_line_width",
+      type: "number",
+      unit: "mm",
+      description: "Line width for top surfaces.",
+    },
+    {
+      key: "top_solid_infill_flow_ratio",
+      type: "number",
+      description: "Flow ratio for solid top infill.",
+    },
+    {
+      key: "top_one_wall_type",
+      type: "enum",
+      values: ["not apply", "all top", "topmost"],
+      description: "Single wall on top surfaces",
+    },
+  ]),
+
+  ...defineGroup("Infill", [
+    {
+      key: "infill_density_percent",
+      configKeys: ["sparse_infill_density"],
+      type: "percent",
+      unit: "%",
+      range: [0, 100],
+      description: "Internal fill; higher boosts strength.",
+    },
+    {
+      key: "infill_pattern",
+      configKeys: ["sparse_infill_pattern"],
+      type: "enum",
+      values: [
+        "concentric",
+        "zig-zag",
+        "grid",
+        "line",
+        "cubic",
+        "triangles",
+        "tri-hexagon",
+        "gyroid",
+        "honeycomb",
+        "adaptivecubic",
+        "alignedrectilinear",
+        "3dhoneycomb",
+        "hilbertcurve",
+        "archimedeanchords",
+        "octagramspiral",
+        "supportcubic",
+        "lightning",
+      ],
+      description: "Sparse infill pattern",
+    },
+    {
+      key: "sparse_infill_anchor",
+      type: "string",
+      description:
+        'Infill anchor length to improve adhesion, in mm or % of the line width (e.g. "400%").',
+    },
+    {
+      key: "sparse_infill_anchor_max",
+      type: "string",
+      description: "Maximum length for infill anchors, in mm or %.",
+    },
+    {
+      key: "infill_direction",
+      type: "number",
+      unit: "°",
+      description: "Primary infill angle.",
+    },
+    {
+      key: "infill_wall_overlap",
+      type: "percent",
+      unit: "%",
+      description: "Overlap between infill and walls.",
+    },
+    {
+      key: "infill_combination",
+      type: "boolean",
+      description: "Combine infill layers to save time.",
+    },
+    {
+      key: "minimum_sparse_infill_area",
+      type: "number",
+      unit: "mm²",
+      description: "Skip tiny infill regions below this area.",
+    },
+    {
+      key: "internal_solid_infill_pattern",
+      type: "enum",
+      values: SURFACE_PATTERNS,
+      description: "Internal solid infill pattern",
+    },
+    {
+      key: "filter_out_gap_fill",
+      type: "number",
+      unit: "mm",
+      description: "Drop gap fill moves shorter than this.",
+    },
+  ]),
+
+  ...defineGroup("Speeds", [
+    {
+      key: "speeds.wall_outer",
+      configKeys: ["outer_wall_speed"],
+      type: "number",
+      unit: "mm/s",
+      description: "Outer wall speed.",
+    },
+    {
+      key: "speeds.wall_inner",
+      configKeys: ["inner_wall_speed"],
+      type: "number",
+      unit: "mm/s",
+      description: "Inner wall speed.",
+    },
+    {
+      key: "speeds.infill",
+      configKeys: ["sparse_infill_speed"],
+      type: "number",
+      unit: "mm/s",
+      description: "Infill speed.",
+    },
+    {
+      key: "speeds.first_layer",
+      configKeys: ["initial_layer_speed"],
+      type: "number",
+      unit: "mm/s",
+      description: "First layer speed.",
+    },
+    {
+      key: "top_surface_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed for top surfaces.",
+    },
+    {
+      key: "bridge_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed while bridging.",
+    },
+    {
+      key: "gap_infill_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed for narrow gap fill.",
+    },
+    {
+      key: "travel_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Non-print travel speed.",
+    },
+    {
+      key: "small_perimeter_speed",
+      type: "string",
+      description:
+        'Speed for small perimeters, in mm/s or % of the outer wall speed (e.g. "50%").',
+    },
+    {
+      key: "internal_solid_infill_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed for internal solid regions.",
+    },
+    {
+      key: "initial_layer_infill_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Infill speed on the first layer.",
+    },
+    {
+      key: "support_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed for support bodies.",
+    },
+    {
+      key: "support_interface_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed for support interfaces.",
+    },
+    {
+      key: "overhang_1_4_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed for 10–25% overhangs.",
+    },
+    {
+      key: "overhang_2_4_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed for 25–50% overhangs.",
+    },
+    {
+      key: "overhang_3_4_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed for 50–75% overhangs.",
+    },
+    {
+      key: "overhang_4_4_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Speed for 75–100% overhangs.",
+    },
+  ]),
+
+  ...defineGroup("Acceleration & Jerk", [
+    ...[
+      ["default_acceleration", "Catch-all acceleration"],
+      ["travel_acceleration", "Travel acceleration"],
+      ["outer_wall_acceleration", "Outer wall acceleration"],
+      ["inner_wall_acceleration", "Inner wall acceleration"],
+      ["sparse_infill_acceleration", "Sparse infill acceleration"],
+      ["initial_layer_acceleration", "First layer acceleration"],
+      ["top_surface_acceleration", "Top surface acceleration"],
+    ].map(([key, description]) => ({
+      key,
+      type: "number",
+      unit: "mm/s²",
+      description: `${description}.`,
+    })),
+    ...[
+      ["default_jerk", "Catch-all jerk"],
+      ["travel_jerk", "Travel jerk"],
+      ["outer_wall_jerk", "Outer wall jerk"],
+      ["inner_wall_jerk", "Inner wall jerk"],
+      ["infill_jerk", "Infill jerk"],
+      ["initial_layer_jerk", "First layer jerk"],
+      ["top_surface_jerk", "Top surface jerk"],
+    ].map(([key, description]) => ({
+      key,
+      type: "number",
+      unit: "mm/s",
+      description: `${description}.`,
+    })),
+  ]),
+
+  ...defineGroup("Temperature", [
+    {
+      key: "nozzle_temp_c",
+      configKeys: ["nozzle_temperature", "nozzle_temperature_initial_layer"],
+      type: "integer",
+      unit: "°C",
+      range: FALLBACK_MATERIAL_LIMITS.nozzle,
+      section: "filament",
+      perFilament: true,
+      description: "Hotend temperature (material-dependent).",
+    },
+    {
+      key: "bed_temp_c",
+      configKeys: ["eng_plate_temp", "hot_plate_temp"],
+      type: "integer",
+      unit: "°C",
+      range: FALLBACK_MATERIAL_LIMITS.bed,
+      section: "filament",
+      description: "Bed temperature to manage adhesion and warping.",
+    },
+  ]),
+
+  ...defineGroup(
+    "Cooling",
+    [
+      {
+        key: "fan_speed_percent",
+        configKeys: ["fan_max_speed"],
+        type: "integer",
+        unit: "%",
+        range: [0, 100],
+        perFilament: true,
+        description: "Part cooling fan.",
+      },
+      {
+        key: "first_layers_fan_percent",
+        configKeys: ["first_x_layer_fan_speed"],
+        type: "integer",
+        unit: "%",
+        range: [0, 100],
+        description: "Fan level for early layers.",
+      },
+      {
+        key: "overhang_fan_speed",
+        type: "integer",
+        unit: "%",
+        range: [0, 100],
+        description: "Fan speed for overhangs.",
+      },
+      {
+        key: "overhang_fan_threshold",
+        type: "enum",
+        values: ["0%", "10%", "25%", "50%", "75%", "95%"],
+        description: "Overhang threshold for cooling fan",
+      },
+      {
+        key: "overhang_threshold_participating_cooling",
+        type: "enum",
+        values: ["0%", "10%", "25%", "50%", "75%", "100%"],
+        description: "Overhang threshold for slowdown cooling",
+      },
+      {
+        key: "slow_down_layer_time",
+        type: "number",
+        unit: "s",
+        description: "Minimum layer time before slowing.",
+      },
+      {
+        key: "slow_down_min_speed",
+        type: "number",
+        unit: "mm/s",
+        description: "Minimum speed when slowdown is active.",
+      },
+      {
+        key: "fan_min_speed",
+        type: "integer",
+        unit: "%",
+        range: [0, 100],
+        description: "Lowest fan speed allowed.",
+      },
+      {
+        key: "fan_cooling_layer_time",
+        type: "number",
+        unit: "s",
+        description: "Layer time target for cooling adjustments.",
+      },
+      {
+        key: "full_fan_speed_layer",
+        type: "integer",
+        description: "Layer number to reach full fan.",
+      },
+      {
+        key: "close_fan_the_first_x_layers",
+        type: "integer",
+        description: "Keep fan off for the first N layers.",
+      },
+      {
+        key: "enable_overhang_bridge_fan",
+        type: "boolean",
+        description: "Boost fan specifically while bridging overhangs.",
+      },
+    ],
+    "filament",
+  ),
+
+  ...defineGroup("Supports", [
+    {
+      key: "supports_enabled",
+      configKeys: ["enable_support"],
+      type: "boolean",
+      description: "Enable or disable supports.",
+    },
+    {
+      key: "support_threshold_angle",
+      type: "integer",
+      unit: "°",
+      range: [0, 90],
+      description: "Overhang angle that triggers supports.",
+    },
+    {
+      key: "support_style",
+      type: "enum",
+      values: [
+        "default",
+        "grid",
+        "snug",
+        "tree_slim",
+        "tree_strong",
+        "tree_hybrid",
+        "tree_organic",
+      ],
+      description: "Support style",
+    },
+    {
+      key: "support_type",
+      type: "enum",
+      values: ["normal(auto)", "tree(auto)", "normal(manual)", "tree(manual)"],
+      description: "Support type",
+    },
+    {
+      key: "support_top_z_distance",
+      type: "number",
+      unit: "mm",
+      description: "Gap above supports.",
+    },
+    {
+      key: "support_bottom_z_distance",
+      type: "number",
+      unit: "mm",
+      description: "Gap below supports.",
+    },
+    {
+      key: "support_object_xy_distance",
+      type: "number",
+      unit: "mm",
+      description: "XY clearance from the model.",
+    },
+    {
+      key: "support_on_build_plate_only",
+      type: "boolean",
+      description: "Limit supports to the build plate.",
+    },
+    {
+      key: "support_critical_regions_only",
+      type: "boolean",
+      description: "Only protect flagged regions.",
+    },
+    {
+      key: "support_interface_top_layers",
+      type: "integer",
+      description: "Interface layers above supports.",
+    },
+    {
+      key: "support_interface_bottom_layers",
+      type: "integer",
+      description: "Interface layers below supports.",
+    },
+    {
+      key: "support_interface_spacing",
+      type: "number",
+      unit: "mm",
+      description: "Spacing for interface lines.",
+    },
+    {
+      key: "support_interface_pattern",
+      type: "enum",
+      values: [
+        "auto",
+        "rectilinear",
+        "concentric",
+        "rectilinear_interlaced",
+        "grid",
+      ],
+      description: "Support interface pattern",
+    },
+    {
+      key: "support_base_pattern",
+      type: "enum",
+      values: [
+        "default",
+        "rectilinear",
+        "rectilinear-grid",
+        "honeycomb",
+        "lightning",
+        "hollow",
+      ],
+      description: "Support base pattern",
+    },
+    {
+      key: "support_base_pattern_spacing",
+      type: "number",
+      unit: "mm",
+      description: "Spacing for the base pattern.",
+    },
+    {
+      key: "support_expansion",
+      type: "number",
+      unit: "mm",
+      description: "How far supports expand beyond the model.",
+    },
+    {
+      key: "tree_support_branch_angle",
+      type: "number",
+      unit: "°",
+      description: "Maximum branch angle of tree supports.",
+    },
+    {
+      key: "tree_support_branch_diameter",
+      type: "number",
+      unit: "mm",
+      description: "Tree support branch diameter.",
+    },
+    {
+      key: "tree_support_branch_diameter_angle",
+      type: "number",
+      unit: "°",
+      description: "How quickly tree branches thicken toward the base.",
+    },
+    {
+      key: "tree_support_branch_distance",
+      type: "number",
+      unit: "mm",
+      description: "Distance between tree support branches.",
+    },
+    {
+      key: "tree_support_wall_count",
+      type: "integer",
+      description: "Walls around tree support branches.",
+    },
+  ]),
+
+  ...defineGroup("Adhesion", [
+    {
+      key: "adhesion_type",
+      configKeys: [],
+      type: "enum",
+      values: ["none", "skirt", "brim", "raft"],
+      description: "Bed adhesion mode",
+    },
+    {
+      key: "brim_width",
+      type: "number",
+      unit: "mm",
+      description: "Brim width.",
+    },
+    {
+      key: "brim_type",
+      type: "enum",
+      values: [
+        "auto_brim",
+        "brim_ears",
+        "outer_only",
+        "inner_only",
+        "outer_and_inner",
+        "no_brim",
+      ],
+      description: "Brim style",
+    },
+    {
+      key: "brim_object_gap",
+      type: "number",
+      unit: "mm",
+      description: "Gap between brim and model.",
+    },
+    {
+      key: "skirt_distance",
+      type: "number",
+      unit: "mm",
+      description: "Skirt distance from the model.",
+    },
+    {
+      key: "skirt_loops",
+      type: "integer",
+      description: "Number of skirt loops.",
+    },
+    {
+      key: "skirt_height",
+      type: "integer",
+      description: "Skirt height in layers.",
+    },
+    {
+      key: "raft_layers",
+      type: "integer",
+      description: "Number of raft layers.",
+    },
+    {
+      key: "raft_contact_distance",
+      type: "number",
+      unit: "mm",
+      description: "Air gap between raft and model.",
+    },
+    {
+      key: "raft_expansion",
+      type: "number",
+      unit: "mm",
+      description: "Extra width of the raft beyond the model.",
+    },
+    {
+      key: "raft_first_layer_density",
+      type: "percent",
+      unit: "%",
+      range: [0, 100],
+      description: "Density of the first raft layer.",
+    },
+    {
+      key: "raft_first_layer_expansion",
+      type: "number",
+      unit: "mm",
+      description: "Expansion for the first raft layer.",
+    },
+  ]),
+
+  ...defineGroup("Retraction & Wiping", [
+    {
+      key: "retraction_length",
+      type: "number",
+      unit: "mm",
+      section: "printer",
+      description: "Retraction distance.",
+    },
+    {
+      key: "retraction_speed",
+      type: "number",
+      unit: "mm/s",
+      section: "printer",
+      description: "Retraction speed.",
+    },
+    {
+      key: "retraction_minimum_travel",
+      type: "number",
+      unit: "mm",
+      section: "printer",
+      description: "Travel needed before retracting.",
+    },
+    {
+      key: "retract_when_changing_layer",
+      type: "boolean",
+      section: "printer",
+      description: "Retract on layer changes.",
+    },
+    {
+      key: "wipe",
+      type: "boolean",
+      section: "printer",
+      description: "Enable nozzle wipe during travel.",
+    },
+    {
+      key: "wipe_distance",
+      type: "number",
+      unit: "mm",
+      section: "printer",
+      description: "Distance covered while wiping.",
+    },
+    {
+      key: "wipe_speed",
+      type: "string",
+      description:
+        'Speed for wipe moves, in mm/s or % of the travel speed (e.g. "80%").',
+    },
+    {
+      key: "retract_before_wipe",
+      type: "percent",
+      unit: "%",
+      range: [0, 100],
+      section: "printer",
+      description: "Share of the retraction done before the wipe starts.",
+    },
+    {
+      key: "deretraction_speed",
+      type: "number",
+      unit: "mm/s",
+      section: "printer",
+      description: "Speed for priming after retraction.",
+    },
+    {
+      key: "z_hop",
+      type: "number",
+      unit: "mm",
+      section: "printer",
+      description: "Z-hop height during travel.",
+    },
+    {
+      key: "z_hop_types",
+      type: "enum",
+      values: ["Auto Lift", "Normal Lift", "Slope Lift", "Spiral Lift"],
+      section: "printer",
+      description: "Z-hop style",
+    },
+  ]),
+
+  ...defineGroup("Flow & Extrusion", [
+    {
+      key: "filament_flow_ratio",
+      type: "number",
+      section: "filament",
+      perFilament: true,
+      description: "Flow multiplier; fine-tune extrusion.",
+    },
+    {
+      key: "print_flow_ratio",
+      type: "number",
+      description: "Global flow ratio for the print.",
+    },
+    {
+      key: "initial_layer_flow_ratio",
+      type: "number",
+      description: "Flow for the first layer.",
+    },
+    {
+      key: "bridge_flow",
+      type: "number",
+      description: "Flow multiplier while bridging.",
+    },
+    {
+      key: "filament_max_volumetric_speed",
+      type: "number",
+      unit: "mm³/s",
+      section: "filament",
+      perFilament: true,
+      description: "Max volumetric flow for the filament.",
+    },
+  ]),
+
+  ...defineGroup("Seam", [
+    {
+      key: "seam_position",
+      type: "enum",
+      values: ["nearest", "aligned", "back", "random"],
+      description: "Seam placement",
+    },
+    {
+      key: "seam_gap",
+      type: "string",
+      description:
+        'Gap size for seams, in mm or % of the nozzle diameter (e.g. "10%").',
+    },
+    {
+      key: "seam_slope_type",
+      type: "enum",
+      values: ["none", "external", "all"],
+      description: "Scarf seam type",
+    },
+    {
+      key: "seam_slope_conditional",
+      type: "boolean",
+      description: "Only apply the seam slope where it is useful.",
+    },
+    {
+      key: "seam_slope_inner_walls",
+      type: "boolean",
+      description: "Apply seam slope to inner walls.",
+    },
+    {
+      key: "seam_slope_steps",
+      type: "integer",
+      description: "Number of steps for seam slope.",
+    },
+    {
+      key: "seam_slope_start_height",
+      type: "string",
+      description:
+        "Height where the seam slope starts, in mm or % of the layer height.",
+    },
+    {
+      key: "seam_slope_min_length",
+      type: "number",
+      unit: "mm",
+      description: "Minimum seam length for applying slope.",
+    },
+  ]),
+
+  ...defineGroup("Dimensional Accuracy", [
+    {
+      key: "xy_hole_compensation",
+      type: "number",
+      unit: "mm",
+      description: "Adjust XY for holes.",
+    },
+    {
+      key: "xy_contour_compensation",
+      type: "number",
+      unit: "mm",
+      description: "Adjust XY for outer contours.",
+    },
+    {
+      key: "elefant_foot_compensation",
+      type: "number",
+      unit: "mm",
+      description: "Offset first-layer bulge.",
+    },
+    {
+      key: "resolution",
+      type: "number",
+      unit: "mm",
+      step: 0.001,
+      description: "Minimum segment length when slicing.",
+    },
+    {
+      key: "slice_closing_radius",
+      type: "number",
+      unit: "mm",
+      step: 0.001,
+      description: "Close tiny gaps below this radius.",
+    },
+  ]),
+
+  ...defineGroup("Special Modes & Surface", [
+    {
+      key: "spiral_mode",
+      type: "boolean",
+      description: "Vase/spiral mode toggle.",
+    },
+    {
+      key: "spiral_mode_smooth",
+      type: "boolean",
+      description: "Smooth spiral paths.",
+    },
+    {
+      key: "spiral_mode_max_xy_smoothing",
+      type: "string",
+      description:
+        "XY smoothing limit for spiral mode, in mm or % of the nozzle diameter.",
+    },
+    {
+      key: "fuzzy_skin",
+      type: "enum",
+      values: ["none", "external", "all", "allwalls", "disabled_fuzzy"],
+      description: "Fuzzy skin mode",
+    },
+    {
+      key: "fuzzy_skin_thickness",
+      type: "number",
+      unit: "mm",
+      description: "Thickness of fuzzy skin texture.",
+    },
+    {
+      key: "fuzzy_skin_point_distance",
+      type: "number",
+      unit: "mm",
+      description: "Distance between fuzzy skin points.",
+    },
+  ]),
+
+  ...defineGroup("Bridges", [
+    {
+      key: "thick_bridges",
+      type: "boolean",
+      description: "Increase thickness on bridges.",
+    },
+    {
+      key: "bridge_no_support",
+      type: "boolean",
+      description: "Avoid adding supports under bridges.",
+    },
+    {
+      key: "bridge_angle",
+      type: "number",
+      unit: "°",
+      description: "Bridge infill angle; 0 picks it automatically.",
+    },
+    {
+      key: "max_bridge_length",
+      type: "number",
+      unit: "mm",
+      description: "Maximum unsupported bridge length.",
+    },
+    {
+      key: "internal_bridge_support_thickness",
+      type: "number",
+      unit: "mm",
+      description: "Thickness for internal bridge support.",
+    },
+  ]),
+
+  ...defineGroup("Prime Tower", [
+    {
+      key: "enable_prime_tower",
+      type: "boolean",
+      description: "Enable prime tower for multi-material.",
+    },
+    {
+      key: "prime_tower_width",
+      type: "number",
+      unit: "mm",
+      description: "Prime tower size.",
+    },
+    {
+      key: "prime_tower_rib_width",
+      type: "number",
+      unit: "mm",
+      description: "Rib width for stability.",
+    },
+    {
+      key: "prime_tower_lift_height",
+      type: "number",
+      unit: "mm",
+      description: "Lift height when leaving the tower.",
+    },
+    {
+      key: "prime_tower_max_speed",
+      type: "number",
+      unit: "mm/s",
+      description: "Max speed while printing the tower.",
+    },
+    {
+      key: "prime_tower_brim_width",
+      type: "number",
+      unit: "mm",
+      description: "Brim width around the tower.",
+    },
+    {
+      key: "wipe_tower_x",
+      type: "number",
+      unit: "mm",
+      description: "Tower X position.",
+    },
+    {
+      key: "wipe_tower_y",
+      type: "number",
+      unit: "mm",
+      description: "Tower Y position.",
+    },
+  ]),
+
+  ...defineGroup("Pressure Advance & Arc Fitting", [
+    {
+      key: "pressure_advance",
+      type: "number",
+      section: "filament",
+      description: "Pressure advance value to counter ooze/ringing.",
+    },
+    {
+      key: "enable_pressure_advance",
+      type: "boolean",
+      section: "filament",
+      description: "Toggle firmware pressure advance use.",
+    },
+    {
+      key: "enable_arc_fitting",
+      type: "boolean",
+      description: "Replace segments with arcs where possible.",
+    },
+  ]),
+
+  ...defineGroup("Misc & Sequencing", [
+    {
+      key: "avoid_crossing_wall",
+      type: "boolean",
+      description: "Prefer travel paths that avoid crossing walls.",
+    },
+    {
+      key: "reduce_crossing_wall",
+      type: "boolean",
+      description: "Reduce crossing walls when unavoidable.",
+    },
+    {
+      key: "reduce_infill_retraction",
+      type: "boolean",
+      description: "Skip retractions inside infill to save time.",
+    },
+    {
+      key: "complete_objects",
+      type: "boolean",
+      description: "Finish objects one by one instead of by layer.",
+    },
+    {
+      key: "print_sequence",
+      type: "enum",
+      values: ["by layer", "by object"],
+      perPlate: true,
+      description: "Print order",
+    },
+    {
+      key: "bed_type",
+      configKeys: [],
+      type: "enum",
+      values: Object.keys(BED_TYPE_LIMITS),
+      perPlate: true,
+      description: "Build plate type (plate scope only)",
+    },
+    {
+      key: "exclude_object",
+      type: "boolean",
+      description: "Allow excluding marked objects mid-print.",
+    },
+  ]),
+];
+
+/**
+ * Names of every parameter, in prompt order.
+ *
+ * @type {string[]}
+ */
+export const PARAMETER_KEYS = PARAMETERS.map((parameter) => parameter.key);
+
+const PARAMETERS_BY_KEY = new Map(
+  PARAMETERS.map((parameter) => [parameter.key, parameter]),
+);
+
+/**
+ * @param {string} key
+ * @returns {ParameterDefinition | null}
+ */
+export function findParameter(key) {
+  return PARAMETERS_BY_KEY.get(key) ?? null;
+}
+
+/**
+ * Parameters stored under their own name in the config, i.e. not renamed
+ * into the normalized model nor derived from other keys.
+ *
+ * @param {ParameterDefinition} parameter
+ * @returns {boolean}
+ */
+export function isRawConfigParameter(parameter) {
+  return (
+    parameter.configKeys.length === 1 &&
+    parameter.configKeys[0] === parameter.key
+  );
+}
+
+/**
+ * Round a value to the parameter's step, so `0.16000000000000003`
+ * becomes `0.16` and 2.4 walls become 2.
+ *
+ * @param {ParameterDefinition} parameter A numeric parameter.
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundToStep(parameter, value) {
+  const { step } = parameter;
+  const decimals = String(step).split(".")[1]?.length ?? 0;
+  return Number((Math.round(value / step) * step).toFixed(decimals));
+}
+
+function defineGroup(group, parameters, section = "print") {
+  return parameters.map((parameter) => ({
+    configKeys: [parameter.key],
+    section,
+    ...(NUMERIC_TYPES.has(parameter.type) && {
+      step: defaultStep(parameter),
+    }),
+    ...parameter,
+    group,
+  }));
+}
+
+function defaultStep({ type, unit }) {
+  if (type !== "number") return 1;
+  return unit ? UNIT_STEPS[unit] : RATIO_STEP;
+}
@@ -0,0 +1,134 @@
+import { findCatalogKey, isValidAliases, readCatalog } from "./catalog.js";
+
+/**
+ * @typedef {object} PrinterCapabilities
+ * @property {string[]} [aliases] Other names the printer is reported as.
+ * @property {number} max_speed_mm_s Maximum toolhead speed.
+ * @property {number} max_acceleration_mm_s2 Maximum toolhead acceleration.
+ * @property {[number, number, number] | null} [build_volume_mm] X, Y, Z.
+ * @property {boolean} [enclosed]
+ * @property {boolean} [hardened_nozzle] Ships with a nozzle rated for abrasive filaments.
+ */
+
+/**
+ * Built-in printer catalogue, keyed by the `printer_model` Bambu Studio
+ * writes. Figures are the manufacturer's published limits.
+ *
+ * @type {Record<string, PrinterCapabilities>}
+ */
+export const BUILTIN_PRINTERS = {
+  "Bambu Lab X1 Carbon": {
+    aliases: ["X1C", "X1 Carbon", "Bambu Lab X1C"],
+    max_speed_mm_s: 500,
+    max_acceleration_mm_s2: 20000,
+    build_volume_mm: [256, 256, 256],
+    enclosed: true,
+    hardened_nozzle: true,
+  },
+  "Bambu Lab P1S": {
+    aliases: ["P1S"],
+    max_speed_mm_s: 500,
+    max_acceleration_mm_s2: 20000,
+    build_volume_mm: [256, 256, 256],
+    enclosed: true,
+    hardened_nozzle: false,
+  },
+  "Bambu Lab P1P": {
+    aliases: ["P1P"],
+    max_speed_mm_s: 500,
+    max_acceleration_mm_s2: 20000,
+    build_volume_mm: [256, 256, 256],
+    enclosed: false,
+    hardened_nozzle: false,
+  },
+  "Bambu Lab A1": {
+    aliases: ["A1"],
+    max_speed_mm_s: 500,
+    max_acceleration_mm_s2: 10000,
+    build_volume_mm: [256, 256, 256],
+    enclosed: false,
+    hardened_nozzle: false,
+  },
+  "Bambu Lab A1 mini": {
+    aliases: ["A1 mini", "A1M"],
+    max_speed_mm_s: 500,
+    max_acceleration_mm_s2: 10000,
+    build_volume_mm: [180, 180, 180],
+    enclosed: false,
+    hardened_nozzle: false,
+  },
+  "Bambu Lab H2D": {
+    aliases: ["H2D"],
+    max_speed_mm_s: 1000,
+    max_acceleration_mm_s2: 20000,
+    build_volume_mm: [325, 320, 325],
+    enclosed: true,
+    hardened_nozzle: true,
+  },
+  "Bambu Lab H2S": {
+    aliases: ["H2S"],
+    max_speed_mm_s: 1000,
+    max_acceleration_mm_s2: 20000,
+    build_volume_mm: [340, 320, 340],
+    enclosed: true,
+    hardened_nozzle: true,
+  },
+};
+
+/**
+ * @typedef {object} PrinterMatch
+ * @property {string} model Catalogue name.
+ * @property {number} max_speed_mm_s
+ * @property {number} max_acceleration_mm_s2
+ * @property {[number, number, number] | null} build_volume_mm
+ * @property {boolean | null} enclosed `null` when unknown.
+ * @property {boolean | null} hardened_nozzle `null` when unknown.
+ */
+
+/**
+ * Look up a printer by name or alias (see `findCatalogKey`).
+ *
+ * @param {string | null | undefined} name Printer name from the project.
+ * @param {Record<string, PrinterCapabilities>} [catalog]
+ * @returns {PrinterMatch | null}
+ */
+export function findPrinterCapabilities(name, catalog = BUILTIN_PRINTERS) {
+  const model = findCatalogKey(catalog, name);
+  return model ? describePrinter(model, catalog[model]) : null;
+}
+
+/**
+ * Read a JSON printer catalogue (`{ "<printer_model>": { "max_speed_mm_s": n,
+ * "max_acceleration_mm_s2": n, ... } }`) and merge it over `BUILTIN_PRINTERS`.
+ *
+ * @param {string | undefined} filePath
+ * @returns {Record<string, PrinterCapabilities>}
+ */
+export function readPrinterCatalog(filePath) {
+  return readCatalog({
+    filePath,
+    builtin: BUILTIN_PRINTERS,
+    isValidEntry,
+    description:
+      'printer catalogue: expected { "<printer>": { "max_speed_mm_s": number, "max_acceleration_mm_s2": number } }',
+  });
+}
+
+function isValidEntry(entry) {
+  return (
+    Number.isFinite(entry?.max_speed_mm_s) &&
+    Number.isFinite(entry?.max_acceleration_mm_s2) &&
+    isValidAliases(entry.aliases)
+  );
+}
+
+function describePrinter(model, entry) {
+  return {
+    model,
+    max_speed_mm_s: entry.max_speed_mm_s,
+    max_acceleration_mm_s2: entry.max_acceleration_mm_s2,
+    build_volume_mm: entry.build_volume_mm ?? null,
+    enclosed: entry.enclosed ?? null,
+    hardened_nozzle: entry.hardened_nozzle ?? null,
+  };
+}
@@ -0,0 +1,139 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { sha256 } from "../utils/hash.js";
+import { SYSTEM_PROMPT } from "./prompt.js";
+
+const CACHE_ENTRY_VERSION = 1;
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {number} version
+ * @property {string} key
+ * @property {string} createdAt ISO timestamp.
+ * @property {string | null} fileName Project the response was produced for.
+ * @property {string} provider
+ * @property {string} model
+ * @property {object} response Validated LLM response.
+ */
+
+/**
+ * Cache directory: `SLICER_COPILOT_CACHE_DIR`, else
+ * `$XDG_CACHE_HOME/slicer-copilot`, else `~/.cache/slicer-copilot`.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {string}
+ */
+export function defaultCacheDir(env = process.env) {
+  if (env.SLICER_COPILOT_CACHE_DIR) return env.SLICER_COPILOT_CACHE_DIR;
+  const base = env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+  return path.join(base, "slicer-copilot");
+}
+
+/**
+ * Cache key for a request: hash of the request payload, provider, endpoint,
+ * model, temperature and system prompt, so any change to what the model
+ * would see, or which server answers, misses the cache.
+ *
+ * @param {{ payload: object, config: { provider?: string, baseURL?: string, model?: string, temperature?: number } }} params
+ * @returns {string}
+ */
+export function computeCacheKey({ payload, config }) {
+  return sha256(
+    JSON.stringify({
+      payload,
+      provider: config.provider ?? null,
+      baseURL: normalizeBaseUrl(config.baseURL),
+      model: config.model ?? null,
+      temperature: config.temperature ?? null,
+      systemPrompt: sha256(SYSTEM_PROMPT),
+    }),
+  );
+}
+
+/**
+ * Base URL without credentials or a trailing slash, so the same endpoint
+ * keys the same however it is written.
+ */
+function normalizeBaseUrl(baseURL) {
+  if (!baseURL) return null;
+  try {
+    const url = new URL(baseURL);
+    url.username = "";
+    url.password = "";
+    return url.toString().replace(/\/+$/, "");
+  } catch {
+    return baseURL.replace(/\/+$/, "");
+  }
+}
+
+/**
+ * @param {{ dir: string, key: string }} params
+ * @returns {CacheEntry | null} `null` when missing or unreadable.
+ */
+export function readCachedResponse({ dir, key }) {
+  const entry = readEntry(entryPath(dir, key));
+  return entry?.key === key ? entry : null;
+}
+
+/**
+ * @param {{ dir: string, key: string, payload: object, config: { provider: string, model: string }, response: object }} params
+ * @returns {CacheEntry}
+ */
+export function writeCachedResponse({ dir, key, payload, config, response }) {
+  const entry = {
+    version: CACHE_ENTRY_VERSION,
+    key,
+    createdAt: new Date().toISOString(),
+    fileName: payload.projectSummary?.fileName ?? null,
+    provider: config.provider,
+    model: config.model,
+    response,
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(entryPath(dir, key), `${JSON.stringify(entry, null, 2)}\n`);
+  return entry;
+}
+
+/**
+ * Cached entries, newest first. Unreadable files are skipped.
+ *
+ * @param {string} dir
+ * @returns {CacheEntry[]}
+ */
+export function listCacheEntries(dir) {
+  return listEntryFiles(dir)
+    .map((file) => readEntry(path.join(dir, file)))
+    .filter(Boolean)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Delete every cached response.
+ *
+ * @param {string} dir
+ * @returns {number} Number of removed entries.
+ */
+export function clearCache(dir) {
+  const files = listEntryFiles(dir);
+  files.forEach((file) => fs.rmSync(path.join(dir, file), { force: true }));
+  return files.length;
+}
+
+function entryPath(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+function listEntryFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter((file) => file.endsWith(".json"));
+}
+
+function readEntry(filePath) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return entry?.version === CACHE_ENTRY_VERSION ? entry : null;
+  } catch {
+    return null;
+  }
+}
@@ -1,14 +1,46 @@
 import fs from "fs";
-import OpenAI from "openai";
 import { SYSTEM_PROMPT } from "./prompt.js";
 import { LLM_RESPONSE_FORMAT } from "./responseSchema.js";
+import { getProvider } from "./providers/index.js";
+import { withRetry } from "../utils/retry.js";
+import { createUsage, estimateCost } from "./usage.js";
+import {
+  computeCacheKey,
+  readCachedResponse,
+  writeCachedResponse,
+} from "./cache.js";
+import { RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS } from "../constants.js";
 import {
   parseLlmResponse,
   InvalidLlmResponseError,
 } from "./responseValidator.js";
 
 /**
- * Call an OpenAI-compatible chat completion endpoint to get an optimization plan.
+ * @typedef {object} OptimizationAttempt
+ * @property {number} attempt 1-based attempt number.
+ * @property {string[]} problems Problems sent back to the model; empty when the reply was accepted.
+ */
+
+/**
+ * Ask the configured LLM provider (`config.provider`, OpenAI by default) for
+ * an optimization plan.
+ *
+ * Replies that fail validation — invalid JSON/shape, or problems reported by
+ * `validate` (e.g. unknown parameters) — are sent back to the model with the
+ * list of problems, up to `config.maxRepairAttempts` times. When the last
+ * attempt still has problems, an unparseable reply throws and a parseable one
+ * is returned as-is.
+ *
+ * Each request is retried on transient failures (rate limits, timeouts, 5xx,
+ * dropped connections) up to `config.maxRetries` times with jittered
+ * exponential backoff that honors `Retry-After`.
+ *
+ * When `config.cacheDir` is set, accepted replies are stored there keyed by
+ * `computeCacheKey` and reused on the next identical request (`cached: true`)
+ * unless `config.refreshCache` is set.
+ *
+ * Token usage of every provider call is summed into `usage`, with a cost
+ * estimate from `config.prices`; mocked and cached replies report no usage.
  *
  * When `config.mockResponsePath` is set, reads the response JSON from disk
  * instead of making a network request (used in tests).
@@ -17,87 +49,206 @@ import {
  * @param {object} options.payload Request payload from `buildLlmRequestPayload`.
  * @param {object} options.config Runtime config from `loadConfig`.
  * @param {{ debug?: (...args: any[]) => void } | undefined} options.logger
- * @returns {Promise<{ version: number, changes: any[], globalRationale: any, warnings: string[] }>}
+ * @param {(response: object) => string[]} [options.validate] Extra checks on a parsed reply.
+ * @returns {Promise<{ response: { version: number, changes: any[], globalRationale: any, warnings: string[] }, attempts: OptimizationAttempt[], cached: boolean, usage: import("./usage.js").LlmUsage }>}
  */
-export async function requestOptimization({ payload, config, logger }) {
+export async function requestOptimization({
+  payload,
+  config,
+  logger,
+  validate,
+}) {
   if (config.mockResponsePath) {
     const mock = fs.readFileSync(config.mockResponsePath, "utf8");
     logger?.debug?.(
       `Using mock LLM response from file: ${config.mockResponsePath}`,
     );
-    return parseLlmResponse(mock);
+    return {
+      response: parseLlmResponse(mock),
+      attempts: [],
+      cached: false,
+      usage: createUsage(),
+    };
   }
 
-  if (!config.apiKey) {
-    throw new Error("API key missing. Set OPENAI_API_KEY (or pass --api-key).");
+  const cacheKey = config.cacheDir
+    ? computeCacheKey({ payload, config })
+    : null;
+  const cached = loadCachedResponse({ config, cacheKey, logger });
+  if (cached) {
+    return {
+      response: cached,
+      attempts: [],
+      cached: true,
+      usage: createUsage(),
+    };
   }
 
-  const client = new OpenAI({
-    apiKey: config.apiKey,
-    baseURL: config.baseURL,
-  });
+  const provider = getProvider(config.provider);
+  if (provider.requiresApiKey && !config.apiKey) {
+    throw new Error(
+      `API key missing. Set ${provider.env.apiKey} (or pass --api-key).`,
+    );
+  }
 
-  const targetBase = config.baseURL ?? "https://api.openai.com/v1";
-  logger?.debug?.(`LLM target ${targetBase} | model=${config.model}`);
+  logger?.debug?.(
+    `LLM provider ${provider.name} | target ${config.baseURL ?? "default"} | model=${config.model}`,
+  );
   logger?.debug?.("System prompt:\n", SYSTEM_PROMPT.trim());
   logger?.debug?.(
     "User payload message:\n",
     JSON.stringify(redactImages(payload), null, 2),
   );
+  logger?.debug?.(
+    "Response schema:\n",
+    JSON.stringify(LLM_RESPONSE_FORMAT, null, 2),
+  );
 
-  const messages = [
-    { role: "system", content: SYSTEM_PROMPT },
-    buildUserMessage(payload),
-  ];
-
-  const content = await callChatCompletion({
-    client,
+  const { response, attempts, usage } = await requestWithRepairs({
+    provider,
     config,
-    messages,
+    payload,
+    validate,
     logger,
   });
-  try {
-    return parseLlmResponse(content);
-  } catch (error) {
-    if (error instanceof InvalidLlmResponseError) {
-      logger?.debug?.(`Invalid LLM response; raw content:\n${content}`);
-    }
-    throw error;
+  if (cacheKey && attempts.at(-1).problems.length === 0) {
+    writeCachedResponse({
+      dir: config.cacheDir,
+      key: cacheKey,
+      payload,
+      config,
+      response,
+    });
   }
+  const estimatedCostUsd = estimateCost({
+    model: config.model,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    prices: config.prices,
+  });
+  return {
+    response,
+    attempts,
+    cached: false,
+    usage: { ...usage, estimatedCostUsd },
+  };
 }
 
-async function callChatCompletion({ client, config, messages, logger }) {
-  const formatError = (error) => {
-    if (error?.response) {
-      const body = JSON.stringify(error.response.data ?? {}, null, 2);
-      return `status=${error.response.status} data=${body}`;
+async function requestWithRepairs({
+  provider,
+  config,
+  payload,
+  validate,
+  logger,
+}) {
+  const messages = [{ role: "user", content: buildUserContent(payload) }];
+  const maxAttempts = 1 + (config.maxRepairAttempts ?? 0);
+  const attempts = [];
+  const usage = createUsage();
+  for (let attempt = 1; ; attempt += 1) {
+    const reply = await callProvider({ provider, config, messages, logger });
+    const { content } = reply;
+    usage.requests += 1;
+    usage.promptTokens += reply.usage.promptTokens;
+    usage.completionTokens += reply.usage.completionTokens;
+    usage.images += countImages(messages);
+    const { response, error, problems } = checkReply({
+      content,
+      validate,
+      logger,
+    });
+    attempts.push({ attempt, problems });
+    if (problems.length === 0 || attempt >= maxAttempts) {
+      if (!response) throw error;
+      return { response, attempts, usage };
     }
-    return error?.message ?? "unknown error";
-  };
+    logger?.debug?.(
+      `Attempt ${attempt} rejected; asking for a repair:\n- ${problems.join("\n- ")}`,
+    );
+    messages.push(
+      { role: "assistant", content: stringifyReply(content) },
+      { role: "user", content: buildRepairMessage(problems) },
+    );
+  }
+}
 
-  logger?.debug?.("Sending chat completion with structured schema.");
+function loadCachedResponse({ config, cacheKey, logger }) {
+  if (!cacheKey || config.refreshCache) return null;
+  const entry = readCachedResponse({ dir: config.cacheDir, key: cacheKey });
+  if (!entry) return null;
   logger?.debug?.(
-    "Response schema:\n",
-    JSON.stringify(LLM_RESPONSE_FORMAT, null, 2),
+    `Using cached LLM response ${cacheKey} from ${entry.createdAt}`,
   );
   try {
-    const completion = await client.chat.completions.create({
-      model: config.model,
-      temperature: config.temperature,
-      response_format: LLM_RESPONSE_FORMAT,
-      messages,
-    });
-    const content = completion.choices?.[0]?.message?.content ?? "";
+    return parseLlmResponse(entry.response);
+  } catch {
+    return null;
+  }
+}
+
+async function callProvider({ provider, config, messages, logger }) {
+  try {
+    const reply = await withRetry(
+      () =>
+        provider.complete({
+          config,
+          system: SYSTEM_PROMPT,
+          messages,
+          logger,
+        }),
+      {
+        retries: config.maxRetries ?? 0,
+        baseDelayMs: RETRY_BASE_DELAY_MS,
+        maxDelayMs: RETRY_MAX_DELAY_MS,
+        onRetry: (error, delayMs, attempt) =>
+          logger?.debug?.(
+            `${error.message}; retry ${attempt} in ${delayMs} ms`,
+          ),
+      },
+    );
     /* c8 ignore next */
-    logger?.debug?.("LLM raw response:", content);
-    return content;
+    logger?.debug?.("LLM raw response:", reply.content);
+    return reply;
   } catch (error) {
-    logger?.debug?.(`LLM request failed: ${formatError(error)}`);
-    throw new Error(`LLM request failed: ${formatError(error)}`);
+    logger?.debug?.(error.message);
+    throw error;
+  }
+}
+
+function checkReply({ content, validate, logger }) {
+  let response;
+  try {
+    response = parseLlmResponse(content);
+  } catch (error) {
+    if (!(error instanceof InvalidLlmResponseError)) throw error;
+    logger?.debug?.(
+      `Invalid LLM response; raw content:\n${stringifyReply(content)}`,
+    );
+    return { response: null, error, problems: [error.message] };
   }
+  return { response, error: null, problems: validate?.(response) ?? [] };
+}
+
+function buildRepairMessage(problems) {
+  return [
+    "Your previous response could not be used:",
+    ...problems.map((problem) => `- ${problem}`),
+    "Return the complete corrected JSON response. Use only parameter names that exist in currentSettings for the chosen scope.",
+  ].join("\n");
+}
+
+function countImages(messages) {
+  return messages
+    .filter((message) => Array.isArray(message.content))
+    .flatMap((message) => message.content)
+    .filter((part) => part.type === "image_url").length;
+}
+
+function stringifyReply(content) {
+  return typeof content === "string" ? content : JSON.stringify(content);
 }
 
-function buildUserMessage(payload) {
+function buildUserContent(payload) {
   const {
     projectSummary,
     currentSettings,
@@ -146,7 +297,7 @@ function buildUserMessage(payload) {
     });
   });
 
-  return { role: "user", content };
+  return content;
 }
 
 function buildIntentLines(intentDetails, extras = {}) {
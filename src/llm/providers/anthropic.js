@@ -0,0 +1,86 @@
+import { InvalidLlmResponseError } from "../responseValidator.js";
+import {
+  RESPONSE_JSON_SCHEMA,
+  parseDataUrl,
+  postJson,
+  toUsage,
+  trimTrailingSlash,
+} from "./shared.js";
+
+const ANTHROPIC_BASE_URL = "https://api.anthropic.com";
+const ANTHROPIC_VERSION = "2023-06-01";
+const MAX_OUTPUT_TOKENS = 8192;
+const TOOL_NAME = "submit_optimization";
+
+/**
+ * Anthropic Messages API. Structured output is obtained by forcing a single
+ * tool call whose input schema is the response schema.
+ */
+export const anthropicProvider = {
+  name: "anthropic",
+  requiresApiKey: true,
+  defaultModel: "claude-sonnet-4-5",
+  env: {
+    apiKey: "ANTHROPIC_API_KEY",
+    baseURL: "ANTHROPIC_BASE_URL",
+    model: "ANTHROPIC_MODEL",
+  },
+  async complete({ config, system, messages, logger }) {
+    logger?.debug?.("Sending Anthropic message with forced tool call.");
+    const baseURL = trimTrailingSlash(config.baseURL ?? ANTHROPIC_BASE_URL);
+    const data = await postJson({
+      provider: "anthropic",
+      timeoutMs: config.timeoutMs,
+      url: `${baseURL}/v1/messages`,
+      headers: {
+        "x-api-key": config.apiKey,
+        "anthropic-version": ANTHROPIC_VERSION,
+      },
+      body: {
+        model: config.model,
+        max_tokens: MAX_OUTPUT_TOKENS,
+        temperature: config.temperature,
+        system,
+        messages: messages.map(toAnthropicMessage),
+        tools: [
+          {
+            name: TOOL_NAME,
+            description: "Submit the print settings optimization plan.",
+            input_schema: RESPONSE_JSON_SCHEMA,
+          },
+        ],
+        tool_choice: { type: "tool", name: TOOL_NAME },
+      },
+    });
+    const toolUse = (data.content ?? []).find(
+      (block) => block.type === "tool_use" && block.name === TOOL_NAME,
+    );
+    if (!toolUse) {
+      throw new InvalidLlmResponseError(
+        `Anthropic response did not include a ${TOOL_NAME} tool call.`,
+      );
+    }
+    return {
+      content: toolUse.input,
+      usage: toUsage(data.usage?.input_tokens, data.usage?.output_tokens),
+    };
+  },
+};
+
+function toAnthropicMessage({ role, content }) {
+  return {
+    role,
+    content: Array.isArray(content) ? content.map(toAnthropicPart) : content,
+  };
+}
+
+function toAnthropicPart(part) {
+  if (part.type !== "image_url") {
+    return { type: "text", text: part.text };
+  }
+  const image = parseDataUrl(part.image_url.url);
+  const source = image
+    ? { type: "base64", media_type: image.mediaType, data: image.data }
+    : { type: "url", url: part.image_url.url };
+  return { type: "image", source };
+}
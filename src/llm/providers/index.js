@@ -0,0 +1,38 @@
+import { anthropicProvider } from "./anthropic.js";
+import { ollamaProvider } from "./ollama.js";
+import { openaiNoSchemaProvider, openaiProvider } from "./openai.js";
+
+/**
+ * @typedef {object} LlmProvider
+ * @property {string} name
+ * @property {boolean} requiresApiKey
+ * @property {string} defaultModel
+ * @property {{ apiKey: string, baseURL: string, model: string }} env Environment variable names read by `loadConfig`.
+ * @property {(params: { config: object, system: string, messages: Array<{ role: "user" | "assistant", content: string | Array<object> }>, logger?: { debug?: (...args: any[]) => void } }) => Promise<{ content: string | object, usage: { promptTokens: number, completionTokens: number } }>} complete
+ *   Send the system prompt and conversation (user content may be OpenAI-style
+ *   text/image parts); resolves with the raw JSON reply and token usage.
+ */
+
+export const DEFAULT_PROVIDER = "openai";
+
+/** @type {Record<string, LlmProvider>} */
+export const PROVIDERS = {
+  [openaiProvider.name]: openaiProvider,
+  [openaiNoSchemaProvider.name]: openaiNoSchemaProvider,
+  [anthropicProvider.name]: anthropicProvider,
+  [ollamaProvider.name]: ollamaProvider,
+};
+
+/**
+ * @param {string} [name]
+ * @returns {LlmProvider}
+ */
+export function getProvider(name = DEFAULT_PROVIDER) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`,
+    );
+  }
+  return provider;
+}
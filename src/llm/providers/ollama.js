@@ -0,0 +1,65 @@
+import {
+  RESPONSE_JSON_SCHEMA,
+  parseDataUrl,
+  postJson,
+  toUsage,
+  trimTrailingSlash,
+} from "./shared.js";
+
+const OLLAMA_BASE_URL = "http://localhost:11434";
+
+/**
+ * Ollama native `/api/chat`. The response schema is passed as `format`;
+ * images travel as bare base64 strings next to the text.
+ */
+export const ollamaProvider = {
+  name: "ollama",
+  requiresApiKey: false,
+  defaultModel: "llama3.2-vision",
+  env: {
+    apiKey: "OLLAMA_API_KEY",
+    baseURL: "OLLAMA_HOST",
+    model: "OLLAMA_MODEL",
+  },
+  async complete({ config, system, messages, logger }) {
+    logger?.debug?.("Sending Ollama chat with JSON schema format.");
+    const baseURL = trimTrailingSlash(config.baseURL ?? OLLAMA_BASE_URL);
+    const data = await postJson({
+      provider: "ollama",
+      timeoutMs: config.timeoutMs,
+      url: `${baseURL}/api/chat`,
+      headers: config.apiKey
+        ? { authorization: `Bearer ${config.apiKey}` }
+        : {},
+      body: {
+        model: config.model,
+        stream: false,
+        format: RESPONSE_JSON_SCHEMA,
+        options: { temperature: config.temperature },
+        messages: [
+          { role: "system", content: system },
+          ...messages.map(toOllamaMessage),
+        ],
+      },
+    });
+    return {
+      content: data.message?.content ?? "",
+      usage: toUsage(data.prompt_eval_count, data.eval_count),
+    };
+  },
+};
+
+function toOllamaMessage({ role, content }) {
+  if (!Array.isArray(content)) {
+    return { role, content };
+  }
+  const text = content
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join("\n\n");
+  const images = content
+    .filter((part) => part.type === "image_url")
+    .map((part) => parseDataUrl(part.image_url.url)?.data)
+    .filter(Boolean);
+  return { role, content: text, images };
+}
@@ -0,0 +1,104 @@
+import OpenAI, { APIConnectionTimeoutError } from "openai";
+import { LlmTimeoutError, createLlmRequestError } from "../../errors.js";
+import { DEFAULT_MODEL } from "../../constants.js";
+import { LLM_RESPONSE_FORMAT } from "../responseSchema.js";
+import {
+  buildJsonOnlyInstruction,
+  extractJsonText,
+  parseRetryAfter,
+  toUsage,
+} from "./shared.js";
+
+const OPENAI_ENV = {
+  apiKey: "OPENAI_API_KEY",
+  baseURL: "OPENAI_BASE_URL",
+  model: "OPENAI_MODEL",
+};
+
+/**
+ * OpenAI chat completions with a strict `json_schema` response format.
+ */
+export const openaiProvider = {
+  name: "openai",
+  requiresApiKey: true,
+  defaultModel: DEFAULT_MODEL,
+  env: OPENAI_ENV,
+  complete({ config, system, messages, logger }) {
+    logger?.debug?.("Sending chat completion with structured schema.");
+    return createChatCompletion({
+      provider: "openai",
+      config,
+      messages: [{ role: "system", content: system }, ...messages],
+      responseFormat: LLM_RESPONSE_FORMAT,
+    });
+  },
+};
+
+/**
+ * OpenAI-compatible servers without structured outputs: the schema is
+ * described in the system prompt and the JSON is extracted from the reply.
+ */
+export const openaiNoSchemaProvider = {
+  name: "openai-compatible-no-schema",
+  requiresApiKey: false,
+  defaultModel: DEFAULT_MODEL,
+  env: OPENAI_ENV,
+  async complete({ config, system, messages, logger }) {
+    logger?.debug?.("Sending chat completion with prompt-only JSON.");
+    const reply = await createChatCompletion({
+      provider: "openai-compatible-no-schema",
+      config,
+      messages: [
+        { role: "system", content: `${system}${buildJsonOnlyInstruction()}` },
+        ...messages,
+      ],
+    });
+    return { ...reply, content: extractJsonText(reply.content) };
+  },
+};
+
+async function createChatCompletion({
+  provider,
+  config,
+  messages,
+  responseFormat,
+}) {
+  const client = new OpenAI({
+    // The SDK refuses to start without a key; local servers ignore it
+    apiKey: config.apiKey || "none",
+    baseURL: config.baseURL,
+    timeout: config.timeoutMs,
+    // Retries are handled by requestOptimization for every provider
+    maxRetries: 0,
+  });
+  try {
+    const completion = await client.chat.completions.create({
+      model: config.model,
+      temperature: config.temperature,
+      ...(responseFormat ? { response_format: responseFormat } : {}),
+      messages,
+    });
+    return {
+      content: completion.choices?.[0]?.message?.content ?? "",
+      usage: toUsage(
+        completion.usage?.prompt_tokens,
+        completion.usage?.completion_tokens,
+      ),
+    };
+  } catch (error) {
+    throw toRequestError(provider, error);
+  }
+}
+
+function toRequestError(provider, error) {
+  if (error instanceof APIConnectionTimeoutError) {
+    return new LlmTimeoutError({ provider, message: error.message });
+  }
+  const status = error?.status ?? null;
+  return createLlmRequestError({
+    provider,
+    status,
+    message: status ? `status=${status} ${error.message}` : error.message,
+    retryAfterMs: parseRetryAfter(error?.headers?.["retry-after"]),
+  });
+}
@@ -0,0 +1,145 @@
+import { LlmTimeoutError, createLlmRequestError } from "../../errors.js";
+import { LLM_RESPONSE_FORMAT } from "../responseSchema.js";
+
+export const RESPONSE_JSON_SCHEMA = LLM_RESPONSE_FORMAT.json_schema.schema;
+
+/**
+ * POST a JSON body and return the parsed JSON reply. Network failures,
+ * timeouts and non-2xx statuses are normalized into the typed
+ * `LlmRequestError` subclasses from `errors.js`.
+ *
+ * @param {object} params
+ * @param {string} params.provider Provider name used in error messages.
+ * @param {string} params.url
+ * @param {Record<string, string>} [params.headers]
+ * @param {object} params.body
+ * @param {number} [params.timeoutMs] Abort the request after this many milliseconds.
+ * @returns {Promise<any>}
+ */
+export async function postJson({
+  provider,
+  url,
+  headers = {},
+  body,
+  timeoutMs,
+}) {
+  let response;
+  let text;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined,
+    });
+    // The timeout also covers reading the body.
+    text = await response.text();
+  } catch (error) {
+    if (error?.name === "TimeoutError") {
+      throw new LlmTimeoutError({
+        provider,
+        message: `no response within ${timeoutMs} ms`,
+      });
+    }
+    throw createLlmRequestError({ provider, message: error.message });
+  }
+  if (!response.ok) {
+    throw createLlmRequestError({
+      provider,
+      status: response.status,
+      message: `status=${response.status} ${extractErrorMessage(text)}`,
+      retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+    });
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw createLlmRequestError({
+      provider,
+      status: response.status,
+      message: "response body is not valid JSON",
+    });
+  }
+}
+
+/**
+ * Convert a `Retry-After` header (delay in seconds or an HTTP date) into
+ * milliseconds. Returns `null` when the header is missing or unreadable.
+ *
+ * @param {string | null | undefined} value
+ * @param {number} [now] Current time in ms since epoch.
+ * @returns {number | null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Split a `data:<type>;base64,<data>` URL. Returns `null` for other URLs.
+ *
+ * @param {string} url
+ * @returns {{ mediaType: string, data: string } | null}
+ */
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url ?? "");
+  return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+/**
+ * Pull the JSON object out of a free-form reply (markdown fences or prose
+ * around it), for providers without structured output.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function extractJsonText(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+/**
+ * System prompt suffix asking for bare JSON when the schema cannot be
+ * enforced by the provider.
+ *
+ * @returns {string}
+ */
+export function buildJsonOnlyInstruction() {
+  return `\n\nRespond with a single JSON object only (no markdown, no prose) that matches this JSON schema:\n${JSON.stringify(RESPONSE_JSON_SCHEMA)}`;
+}
+
+/**
+ * Token counts reported by a provider; missing counts become 0.
+ *
+ * @param {number | undefined} promptTokens
+ * @param {number | undefined} completionTokens
+ * @returns {{ promptTokens: number, completionTokens: number }}
+ */
+export function toUsage(promptTokens, completionTokens) {
+  return {
+    promptTokens: promptTokens ?? 0,
+    completionTokens: completionTokens ?? 0,
+  };
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+export function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, "");
+}
+
+function extractErrorMessage(text) {
+  try {
+    const data = JSON.parse(text);
+    const error = data?.error;
+    return error?.message ?? (typeof error === "string" ? error : text);
+  } catch {
+    return text;
+  }
+}
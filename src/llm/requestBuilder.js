@@ -74,6 +74,8 @@ function buildIntentDetails(intent) {
  * @param {Array<{ plateIndex?: number | null; name?: string; dataUrl?: string }>} [options.plateImages]
  * @param {boolean} [options.allowUserSettingOverrides]
  * @param {string} [options.targetLanguage]
+ * @param {Record<string, import("../knowledge/printers.js").PrinterCapabilities>} [options.printers] Printer catalogue.
+ * @param {Record<string, import("../knowledge/filaments.js").FilamentProfile>} [options.filaments] Filament catalogue.
  * @returns {object}
  */
 export function buildLlmRequestPayload({
@@ -82,13 +84,20 @@ export function buildLlmRequestPayload({
   plateImages = [],
   allowUserSettingOverrides = false,
   targetLanguage,
+  printers = BUILTIN_PRINTERS,
+  filaments = BUILTIN_FILAMENTS,
 }) {
   const intent = userIntent ?? {};
   const plates = normalized.projectSummary.plates ?? [];
+  const printer = normalized.projectSummary.printer;
   const projectSummary = {
     fileName: normalized.fileName,
-    printer: normalized.projectSummary.printer,
-    filaments: normalized.projectSummary.filaments,
+    printer,
+    printer_capabilities: findPrinterCapabilities(printer?.name, printers),
+    filaments: normalized.projectSummary.filaments.map((filament) => ({
+      ...filament,
+      properties: findFilamentProfile(filament.name, filaments),
+    })),
     base_profile: normalized.projectSummary.base_profile ?? null,
   };
 
@@ -103,6 +112,11 @@ export function buildLlmRequestPayload({
       })),
     }));
   }
+  setIfNonEmptyArray(
+    projectSummary,
+    "slice_results",
+    normalized.projectSummary.slice_results,
+  );
 
   return {
     version: 1,
@@ -116,3 +130,11 @@ export function buildLlmRequestPayload({
   };
 }
 import { normalizeLanguage } from "../i18n.js";
+import {
+  BUILTIN_PRINTERS,
+  findPrinterCapabilities,
+} from "../knowledge/printers.js";
+import {
+  BUILTIN_FILAMENTS,
+  findFilamentProfile,
+} from "../knowledge/filaments.js";
@@ -1,3 +1,6 @@
+import { CHANGE_TYPES } from "../constants.js";
+import { PARAMETER_KEYS } from "../knowledge/parameters.js";
+
 export const LLM_RESPONSE_FORMAT = {
   type: "json_schema",
   json_schema: {
@@ -14,21 +17,28 @@ export const LLM_RESPONSE_FORMAT = {
             type: "object",
             additionalProperties: false,
             properties: {
-              scope: { type: ["string", "null"], enum: ["global", "object"] },
+              scope: {
+                type: ["string", "null"],
+                enum: ["global", "object", "plate", "filament"],
+              },
               target: {
                 type: "object",
                 additionalProperties: false,
                 properties: {
                   objectName: { type: ["string", "null"] },
                   plateIndex: { type: ["number", "null"] },
+                  filamentIndex: { type: ["number", "null"] },
                 },
-                required: ["objectName", "plateIndex"],
+                required: ["objectName", "plateIndex", "filamentIndex"],
+              },
+              parameter: {
+                type: ["string", "null"],
+                enum: [...PARAMETER_KEYS, null],
               },
-              parameter: { type: ["string", "null"] },
               newValue: { type: ["string", "number", "boolean", "null"] },
               changeType: {
                 type: ["string", "null"],
-                enum: ["absolute", "relative"],
+                enum: CHANGE_TYPES,
               },
               reason: { type: ["string", "null"] },
             },
@@ -1,3 +1,5 @@
+import { CHANGE_TYPES } from "../constants.js";
+
 export class InvalidLlmResponseError extends Error {
   constructor(message) {
     super(message);
@@ -54,19 +56,25 @@ function validateChange(change, index) {
     );
   }
   const scope = change.scope ?? "global";
-  const allowedScopes = ["global", "object"];
+  const allowedScopes = ["global", "object", "plate", "filament"];
   if (!allowedScopes.includes(scope)) {
     throw new InvalidLlmResponseError(
       `Unsupported scope ${scope} for change ${change.parameter}.`,
     );
   }
+  const changeType = change.changeType ?? "absolute";
+  if (!CHANGE_TYPES.includes(changeType)) {
+    throw new InvalidLlmResponseError(
+      `Unsupported changeType ${changeType} for change ${change.parameter}.`,
+    );
+  }
 
   return {
     scope,
     target: change.target ?? null,
     parameter: change.parameter,
     newValue: change.newValue,
-    changeType: change.changeType ?? "absolute",
+    changeType,
     reason: change.reason ?? "",
   };
 }
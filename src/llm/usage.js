@@ -0,0 +1,121 @@
+import fs from "fs";
+import { FileFormatError } from "../errors.js";
+
+/**
+ * Default prices in USD per million tokens. Models are matched by exact name
+ * first, then by the longest name prefix (so dated snapshots such as
+ * `gpt-4.1-mini-2025-04-14` use the `gpt-4.1-mini` price).
+ */
+export const DEFAULT_PRICES = {
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "claude-sonnet-4-5": { input: 3, output: 15 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+  "claude-opus-4-1": { input: 15, output: 75 },
+};
+
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+/**
+ * @typedef {object} LlmUsage
+ * @property {number} requests Provider calls that returned a reply.
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} images Images sent, counted once per request.
+ * @property {number | null} estimatedCostUsd `null` when a model has no price.
+ */
+
+/**
+ * @returns {LlmUsage}
+ */
+export function createUsage() {
+  return {
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    images: 0,
+    estimatedCostUsd: 0,
+  };
+}
+
+/**
+ * Sum two usage records. An unknown cost on either side makes the total
+ * cost unknown.
+ *
+ * @param {LlmUsage} total
+ * @param {LlmUsage | null | undefined} usage
+ * @returns {LlmUsage}
+ */
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  const unknownCost =
+    total.estimatedCostUsd === null || usage.estimatedCostUsd === null;
+  return {
+    requests: total.requests + usage.requests,
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    images: total.images + usage.images,
+    estimatedCostUsd: unknownCost
+      ? null
+      : total.estimatedCostUsd + usage.estimatedCostUsd,
+  };
+}
+
+/**
+ * Estimated cost in USD, or `null` when the model is not in the price table.
+ *
+ * @param {{ model: string, promptTokens: number, completionTokens: number, prices?: Record<string, { input: number, output: number }> }} params
+ * @returns {number | null}
+ */
+export function estimateCost({
+  model,
+  promptTokens,
+  completionTokens,
+  prices = DEFAULT_PRICES,
+}) {
+  const price = findPrice(prices, model);
+  if (!price) return null;
+  return (
+    (promptTokens * price.input + completionTokens * price.output) /
+    TOKENS_PER_PRICE_UNIT
+  );
+}
+
+/**
+ * Read a JSON price table (`{ "<model>": { "input": n, "output": n } }`, USD
+ * per million tokens) and merge it over `DEFAULT_PRICES`.
+ *
+ * @param {string | undefined} filePath
+ * @returns {Record<string, { input: number, output: number }>}
+ */
+export function readPriceTable(filePath) {
+  if (!filePath) return DEFAULT_PRICES;
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    throw new FileFormatError({ path: filePath });
+  }
+  const invalid = Object.entries(table ?? {}).find(
+    ([, price]) =>
+      !Number.isFinite(price?.input) || !Number.isFinite(price?.output),
+  );
+  if (!table || typeof table !== "object" || invalid) {
+    throw new FileFormatError({
+      path: filePath,
+      message: `Invalid price table in ${filePath}: expected { "<model>": { "input": number, "output": number } }`,
+    });
+  }
+  return { ...DEFAULT_PRICES, ...table };
+}
+
+function findPrice(prices, model = "") {
+  if (prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
@@ -0,0 +1,22 @@
+import crypto from "crypto";
+import fs from "fs";
+
+/**
+ * Hex-encoded SHA-256 digest of a buffer or string.
+ *
+ * @param {Buffer | string} data
+ * @returns {string}
+ */
+export function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Hex-encoded SHA-256 digest of a file's contents.
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function sha256File(filePath) {
+  return sha256(fs.readFileSync(filePath));
+}
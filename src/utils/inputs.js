@@ -0,0 +1,78 @@
+import fs from "fs";
+import path from "path";
+
+const PROJECT_EXTENSION = ".3mf";
+const WILDCARD_PATTERN = /[*?]/;
+
+/**
+ * Marks optimized copies written next to their input (`part.optimized.3mf`).
+ */
+export const OPTIMIZED_SUFFIX = ".optimized";
+const OPTIMIZED_FILE_SUFFIX = `${OPTIMIZED_SUFFIX}${PROJECT_EXTENSION}`;
+
+/**
+ * Expand CLI inputs into a de-duplicated list of project paths.
+ *
+ * Directories contribute the `.3mf` files directly inside them, and `*` / `?`
+ * wildcards are matched against file names (the directory part must be
+ * literal). Both skip `*.optimized.3mf` results of earlier runs, unless the
+ * wildcard itself names them. Plain paths are passed through untouched so
+ * missing files are reported by the per-file pipeline.
+ *
+ * @param {string[]} inputs
+ * @returns {string[]}
+ */
+export function expandInputs(inputs) {
+  return [...new Set(inputs.flatMap(expandInput))];
+}
+
+function expandInput(input) {
+  const name = path.basename(input);
+  if (WILDCARD_PATTERN.test(name)) {
+    const matcher = wildcardToRegExp(name);
+    const keepOptimized = isOptimizedOutput(name);
+    return listFiles(
+      path.dirname(input),
+      (file) =>
+        matcher.test(file) && (keepOptimized || !isOptimizedOutput(file)),
+    );
+  }
+  if (isDirectory(input)) {
+    return listFiles(
+      input,
+      (file) =>
+        file.toLowerCase().endsWith(PROJECT_EXTENSION) &&
+        !isOptimizedOutput(file),
+    );
+  }
+  return [input];
+}
+
+function isOptimizedOutput(file) {
+  return file.toLowerCase().endsWith(OPTIMIZED_FILE_SUFFIX);
+}
+
+function listFiles(dir, predicate) {
+  if (!isDirectory(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && predicate(entry.name))
+    .map((entry) => path.join(dir, entry.name))
+    .sort();
+}
+
+function isDirectory(target) {
+  return fs.existsSync(target) && fs.statSync(target).isDirectory();
+}
+
+function wildcardToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
@@ -39,3 +39,29 @@ export function ensureObjectOverride(overrides, { objectName, plateIndex }) {
   }
   return overrides[key];
 }
+
+/**
+ * Read the overrides of a whole plate.
+ *
+ * @param {Record<string, any> | undefined} overrides `perPlateOverrides`, keyed by plate index.
+ * @param {number | null | undefined} plateIndex
+ * @returns {any}
+ */
+export function readPlateOverride(overrides, plateIndex) {
+  return plateIndex == null ? undefined : overrides?.[String(plateIndex)];
+}
+
+/**
+ * Ensure a plate override exists and return it.
+ *
+ * @param {Record<string, any>} overrides
+ * @param {number} plateIndex
+ * @returns {Record<string, any>}
+ */
+export function ensurePlateOverride(overrides, plateIndex) {
+  const key = String(plateIndex);
+  if (!overrides[key]) {
+    overrides[key] = { plateIndex };
+  }
+  return overrides[key];
+}
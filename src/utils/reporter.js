@@ -0,0 +1,132 @@
+import { performance } from "perf_hooks";
+import { exitCodeFor } from "../errors.js";
+
+/**
+ * Version of the machine-readable report. Bump it on any breaking change to
+ * the shapes documented below.
+ */
+export const REPORT_SCHEMA_VERSION = 1;
+
+export const OUTPUT_FORMATS = ["text", "json", "ndjson"];
+
+/**
+ * @typedef {object} ReportWarning
+ * @property {string} category `general`, `safetyClamped` or `safetyRejected`.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} OptimizeReport
+ * @property {number} schemaVersion
+ * @property {"result"} type
+ * @property {"optimize"} command
+ * @property {string} input
+ * @property {object} project `projectSummary` of the normalized model, with `fileName`.
+ * @property {object} intent
+ * @property {Array<{ scope: string, target: any, parameter: string, from: any, to: any, reason: string }>} changes
+ * @property {ReportWarning[]} warnings
+ * @property {string | null} rationale
+ * @property {string | null} outputPath `null` for dry runs.
+ * @property {boolean} cached
+ * @property {import("../llm/usage.js").LlmUsage} usage
+ * @property {import("../llm/optimizerClient.js").OptimizationAttempt[]} attempts
+ * @property {Record<string, number>} timings Stage durations in ms, plus `totalMs`.
+ */
+
+/**
+ * @typedef {object} Reporter
+ * @property {"text" | "json" | "ndjson"} format
+ * @property {boolean} machine `true` for JSON formats: human output and spinners are suppressed.
+ * @property {(stage: string, data?: object) => (data?: object) => void} startStage
+ *   Emit a `started` progress event (ndjson) and return a function that
+ *   records the stage duration and emits `finished`.
+ * @property {(report: object) => void} result Emit the final report.
+ * @property {(error: Error) => void} error Emit a failure report.
+ */
+
+/**
+ * Create the reporter for `--output-format`. Text output is handled by the
+ * CLI itself; JSON prints a single document when the run ends and NDJSON
+ * also streams progress events, one object per line.
+ *
+ * @param {object} [options]
+ * @param {string} [options.format]
+ * @param {(text: string) => void} [options.write]
+ * @param {() => number} [options.now] Milliseconds clock.
+ * @returns {Reporter}
+ */
+export function createReporter({
+  format = "text",
+  write = (text) => process.stdout.write(text),
+  now = () => performance.now(),
+} = {}) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown output format "${format}". Expected one of: ${OUTPUT_FORMATS.join(", ")}`,
+    );
+  }
+  const startedAt = now();
+  const timings = {};
+  const emit = (data) =>
+    write(
+      format === "json"
+        ? `${JSON.stringify(data, null, 2)}\n`
+        : `${JSON.stringify(data)}\n`,
+    );
+  const progress = (data) => {
+    if (format === "ndjson") {
+      emit({ schemaVersion: REPORT_SCHEMA_VERSION, type: "progress", ...data });
+    }
+  };
+  const elapsed = () => Math.round(now() - startedAt);
+
+  return {
+    format,
+    machine: format !== "text",
+    startStage(stage, data = {}) {
+      const stageStart = now();
+      progress({ stage, status: "started", ...data });
+      return (result = {}) => {
+        const durationMs = Math.round(now() - stageStart);
+        timings[`${stage}Ms`] = (timings[`${stage}Ms`] ?? 0) + durationMs;
+        progress({ stage, status: "finished", durationMs, ...data, ...result });
+      };
+    },
+    result(report) {
+      if (format === "text") return;
+      emit({
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        type: "result",
+        ...report,
+        timings: { ...timings, totalMs: elapsed() },
+      });
+    },
+    error(error) {
+      if (format === "text") return;
+      emit({
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        type: "error",
+        error: {
+          name: error.name,
+          message: error.message,
+          exitCode: exitCodeFor(error),
+        },
+        timings: { ...timings, totalMs: elapsed() },
+      });
+    },
+  };
+}
+
+/**
+ * Normalize warnings (plain strings or `{ category, message }`) for reports.
+ *
+ * @param {Array<string | { category?: string, message: string }>} warnings
+ * @returns {ReportWarning[]}
+ */
+export function toReportWarnings(warnings) {
+  return warnings.map((warning) =>
+    typeof warning === "string"
+      ? { category: "general", message: warning }
+      : { category: warning.category ?? "general", message: warning.message },
+  );
+}
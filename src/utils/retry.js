@@ -0,0 +1,71 @@
+/**
+ * Run `fn` until it succeeds, retrying errors flagged `retryable` up to
+ * `retries` more times.
+ *
+ * Waits use exponential backoff with full jitter (a random delay between 0
+ * and `baseDelayMs * 2^n`, capped at `maxDelayMs`). A `retryAfterMs` on the
+ * error (from a `Retry-After` header) takes precedence when it is longer,
+ * but is capped at `maxDelayMs` too.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn Receives the 1-based attempt number.
+ * @param {object} [options]
+ * @param {number} [options.retries]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {(error: Error, delayMs: number, attempt: number) => void} [options.onRetry]
+ * @param {() => number} [options.random] Source of jitter in `[0, 1)`.
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @returns {Promise<T>}
+ */
+export function withRetry(fn, options = {}) {
+  const settings = {
+    retries: 0,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    random: Math.random,
+    sleep: delay,
+    ...options,
+  };
+  return runAttempt(fn, settings, 1);
+}
+
+async function runAttempt(fn, settings, attempt) {
+  try {
+    return await fn(attempt);
+  } catch (error) {
+    if (!error?.retryable || attempt > settings.retries) throw error;
+    const delayMs = computeBackoff({
+      attempt,
+      baseDelayMs: settings.baseDelayMs,
+      maxDelayMs: settings.maxDelayMs,
+      retryAfterMs: error.retryAfterMs,
+      random: settings.random,
+    });
+    settings.onRetry?.(error, delayMs, attempt);
+    await settings.sleep(delayMs);
+    return runAttempt(fn, settings, attempt + 1);
+  }
+}
+
+/**
+ * Delay before the retry following `attempt` (1-based).
+ *
+ * @param {{ attempt: number, baseDelayMs: number, maxDelayMs: number, retryAfterMs?: number | null, random?: () => number }} params
+ * @returns {number}
+ */
+export function computeBackoff({
+  attempt,
+  baseDelayMs,
+  maxDelayMs,
+  retryAfterMs = null,
+  random = Math.random,
+}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  const jittered = Math.floor(random() * ceiling);
+  return Math.min(maxDelayMs, Math.max(jittered, retryAfterMs ?? 0));
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
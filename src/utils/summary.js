@@ -3,6 +3,7 @@ import Table from "cli-table3";
 import boxen from "boxen";
 import figures from "figures";
 import { createI18n } from "../i18n.js";
+import { formatHours } from "../apply/estimate.js";
 
 const MIN_TERMINAL_WIDTH = 72;
 
@@ -100,9 +101,39 @@ const boxChars = {
 const summaryWeights = [0.32, 0.68];
 const diffWeights = [0.32, 0.28, 0.4];
 const diffMinimums = [22, 20, 26];
+const batchWeights = [0.24, 0.17, 0.17, 0.24, 0.18];
+const batchMinimums = [14, 10, 10, 14, 10];
+const cacheWeights = [0.2, 0.25, 0.3, 0.25];
+const cacheMinimums = [14, 14, 14, 12];
+const CACHE_KEY_DISPLAY_LENGTH = 12;
+const historyWeights = [0.08, 0.32, 0.3, 0.15, 0.15];
+const historyMinimums = [5, 26, 14, 10, 9];
+const configWeights = [0.25, 0.35, 0.4];
+const configMinimums = [18, 14, 16];
 
 const defaultI18n = createI18n();
 
+// Warning categories rendered as separate groups by formatWarnings
+const GENERAL_WARNING_CATEGORY = "general";
+const warningCategoryStyles = {
+  general: { icon: figures.warning, color: palette.warning },
+  safetyClamped: {
+    icon: figures.arrowDown,
+    color: palette.accent,
+    titleKey: "safetyClampedTitle",
+  },
+  safetyRejected: {
+    icon: figures.cross,
+    color: palette.error,
+    titleKey: "safetyRejectedTitle",
+  },
+  intentConstraint: {
+    icon: figures.warning,
+    color: palette.warning,
+    titleKey: "intentConstraintTitle",
+  },
+};
+
 /**
  * Get current terminal width with a sensible minimum
  */
@@ -150,13 +181,24 @@ function formatChange(from, to) {
 }
 
 /**
- * Format parameter with optional object scope indicator
+ * Format parameter with optional object, plate, filament or raw config scope indicator
  */
 function formatParameter(diff, i18n = defaultI18n) {
   const param = palette.accent(diff.parameter);
   if (diff.scope === "global") {
     return param;
   }
+  if (diff.scope === "config") {
+    return `${param}\n${figures.triangleRight} ${palette.muted(i18n.t("configLabel"))}`;
+  }
+  if (diff.scope === "plate") {
+    return `${param}\n${figures.triangleRight} ${palette.muted(i18n.t("plateScopeLabel"))}`;
+  }
+  if (diff.scope === "filament") {
+    const index = diff.target?.filamentIndex ?? "?";
+    const label = `${i18n.t("filamentLabel")}@f${index}`;
+    return `${param}\n${figures.triangleRight} ${palette.muted(label)}`;
+  }
   // For object-scoped changes, show target below parameter
   const { objectName, plateIndex } = diff.target ?? {};
   const name = objectName ?? i18n.t("objectLabel");
@@ -168,7 +210,12 @@ function formatParameter(diff, i18n = defaultI18n) {
 /**
  * Build a styled table with consistent theme
  */
-function buildTable({ head, colWidths, theme = "rounded" }) {
+function buildTable({
+  head,
+  colWidths,
+  theme = "rounded",
+  wrapOnWordBoundary = true,
+}) {
   /* c8 ignore next */
   const chars = boxChars[theme] || boxChars.rounded;
   return new Table({
@@ -183,6 +230,7 @@ function buildTable({ head, colWidths, theme = "rounded" }) {
       compact: false,
     },
     wordWrap: true,
+    wrapOnWordBoundary,
   });
 }
 
@@ -285,6 +333,15 @@ export function summarizeProject(normalized, i18n = defaultI18n) {
     ]);
   }
 
+  // Predictions saved by the last slice
+  const sliceResults = normalized.projectSummary.slice_results ?? [];
+  if (sliceResults.length > 0) {
+    table.push([
+      palette.label(`${figures.tick} ${t("sliceLabel")}`),
+      sliceResults.map((result) => formatSliceResult(result, t)).join("\n"),
+    ]);
+  }
+
   // Base profile
   table.push([
     palette.label(`${figures.pointer} ${t("profileLabel")}`),
@@ -323,13 +380,40 @@ export function summarizeProject(normalized, i18n = defaultI18n) {
   return `${header}${table.toString()}`;
 }
 
+function formatSliceResult(result, t) {
+  const warnings = result.warnings.length;
+  return [
+    palette.value(t("plateTitle", { plate: result.plateIndex + 1 })),
+    result.prediction_s === null
+      ? null
+      : palette.highlight(formatHours(result.prediction_s / 3600)),
+    result.weight_g === null
+      ? null
+      : palette.highlight(t("sliceWeightDetail", { weight: result.weight_g })),
+    warnings > 0
+      ? palette.warning(t("sliceWarningsDetail", { count: warnings }))
+      : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
 /**
  * Format diffs as a professional table
+ *
+ * @param {Array<object>} diffs
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ * @param {{ singularKey?: string, pluralKey?: string, emptyKey?: string }} [labels] i18n keys for the header and empty state.
  */
-export function formatDiffs(diffs, i18n = defaultI18n) {
+export function formatDiffs(diffs, i18n = defaultI18n, labels = {}) {
   const t = i18n.t;
+  const {
+    singularKey = "suggestedChangeSingular",
+    pluralKey = "suggestedChangePlural",
+    emptyKey = "noChangesApplied",
+  } = labels;
   if (diffs.length === 0) {
-    return boxen(`${figures.tick} ${palette.success(t("noChangesApplied"))}`, {
+    return boxen(`${figures.tick} ${palette.success(t(emptyKey))}`, {
       padding: { top: 0, bottom: 0, left: 1, right: 1 },
       borderStyle: "round",
       borderColor: "#9AF2AE",
@@ -352,20 +436,29 @@ export function formatDiffs(diffs, i18n = defaultI18n) {
     theme: "rounded",
   });
 
-  diffs.forEach((diff) => {
-    table.push([
-      formatParameter(diff, i18n),
-      formatChange(diff.from, diff.to),
-      palette.text(diff.reason || palette.muted("—")),
-    ]);
+  groupDiffsByPlate(diffs).forEach(({ plateIndex, items }) => {
+    if (plateIndex !== null) {
+      table.push([
+        {
+          colSpan: 3,
+          content: palette.heading(
+            `${figures.lozenge} ${t("plateTitle", { plate: plateIndex + 1 })}`,
+          ),
+        },
+      ]);
+    }
+    items.forEach((diff) => {
+      table.push([
+        formatParameter(diff, i18n),
+        formatChange(diff.from, diff.to),
+        palette.text(diff.reason || palette.muted("—")),
+      ]);
+    });
   });
 
   // Create header for changes
   const changeCount = diffs.length;
-  const changeLabel =
-    changeCount === 1
-      ? t("suggestedChangeSingular")
-      : t("suggestedChangePlural");
+  const changeLabel = changeCount === 1 ? t(singularKey) : t(pluralKey);
   const header = boxen(
     `${figures.star} ${palette.bold(`${changeCount} ${changeLabel}`)}`,
     {
@@ -379,6 +472,27 @@ export function formatDiffs(diffs, i18n = defaultI18n) {
   return `${header}\n${table.toString()}`;
 }
 
+/**
+ * Split diffs into project-wide ones, then one section per plate (plate and
+ * object changes), in plate order.
+ */
+function groupDiffsByPlate(diffs) {
+  const plateOf = (diff) =>
+    (diff.scope === "plate" || diff.scope === "object") &&
+    Number.isInteger(diff.target?.plateIndex)
+      ? diff.target.plateIndex
+      : null;
+  const plateIndexes = [
+    ...new Set(diffs.map(plateOf).filter((index) => index !== null)),
+  ].sort((a, b) => a - b);
+  return [null, ...plateIndexes]
+    .map((plateIndex) => ({
+      plateIndex,
+      items: diffs.filter((diff) => plateOf(diff) === plateIndex),
+    }))
+    .filter(({ items }) => items.length > 0);
+}
+
 /**
  * Format global rationale (LLM's overall strategy explanation)
  */
@@ -399,13 +513,284 @@ export function formatRationale(rationale, i18n = defaultI18n) {
 }
 
 /**
- * Format warnings as a styled list
+ * Format the per-file results of a batch run as a summary table
+ *
+ * @param {Array<{ input: string, status: "success" | "failed", changes: number, warnings: number, outputPath: string | null, error?: string }>} results
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ */
+export function formatBatchSummary(results, i18n = defaultI18n) {
+  const t = i18n.t;
+  const table = buildTable({
+    head: [
+      palette.heading(t("batchFileHeading")),
+      palette.heading(t("batchChangesHeading")),
+      palette.heading(t("batchWarningsHeading")),
+      palette.heading(t("batchOutputHeading")),
+      palette.heading(t("batchStatusHeading")),
+    ],
+    colWidths: distributeWidths(batchWeights, batchMinimums),
+    // Paths have no spaces to wrap on
+    wrapOnWordBoundary: false,
+  });
+
+  results.forEach((result) => {
+    const failed = result.status === "failed";
+    table.push([
+      palette.value(result.input),
+      palette.highlight(result.changes),
+      result.warnings > 0
+        ? palette.warning(result.warnings)
+        : palette.muted(result.warnings),
+      result.outputPath ? palette.text(result.outputPath) : palette.muted("—"),
+      failed
+        ? palette.error(`${figures.cross} ${t("batchStatusFailed")}`)
+        : palette.success(`${figures.tick} ${t("batchStatusSuccess")}`),
+    ]);
+  });
+
+  const failures = results
+    .filter((result) => result.status === "failed")
+    .map(
+      (result) =>
+        `${palette.error(figures.cross)} ${palette.value(result.input)}: ${palette.text(result.error)}`,
+    );
+  const failedCount = failures.length;
+  const header = boxen(
+    `${figures.star} ${palette.bold(
+      t("batchSummaryTitle", {
+        total: results.length,
+        failed: failedCount,
+      }),
+    )}`,
+    {
+      padding: { top: 0, bottom: 0, left: 1, right: 1 },
+      margin: { top: 0, bottom: 0, left: 0, right: 0 },
+      borderStyle: "round",
+      borderColor: failedCount > 0 ? "#FF6B6B" : "#9AF2AE",
+    },
+  );
+  return [header, table.toString(), ...failures].join("\n");
+}
+
+/**
+ * One-line LLM spend summary: requests, tokens, images and estimated cost.
+ *
+ * @param {import("../llm/usage.js").LlmUsage} usage
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ * @param {string} [labelKey] Translation key of the leading label.
+ */
+export function formatUsage(
+  usage,
+  i18n = defaultI18n,
+  labelKey = "usageLabel",
+) {
+  const t = i18n.t;
+  const cost =
+    usage.estimatedCostUsd === null
+      ? palette.muted(t("usageCostUnknown"))
+      : palette.highlight(
+          t("usageCost", { cost: `$${usage.estimatedCostUsd.toFixed(4)}` }),
+        );
+  const details = t("usageDetails", {
+    requests: usage.requests,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    images: usage.images,
+  });
+  return `${palette.info(figures.info)} ${palette.label(t(labelKey))} ${palette.text(details)} · ${cost}`;
+}
+
+/**
+ * One-line before/after print time and filament estimate.
+ *
+ * @param {import("../apply/estimate.js").EstimateComparison} estimate
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ */
+export function formatEstimate(estimate, i18n = defaultI18n) {
+  const t = i18n.t;
+  const details = t("estimateDetails", {
+    beforeTime: formatHours(estimate.before.printTimeHours),
+    afterTime: formatHours(estimate.after.printTimeHours),
+    beforeGrams: estimate.before.filamentGrams,
+    afterGrams: estimate.after.filamentGrams,
+  });
+  return `${palette.info(figures.info)} ${palette.label(t("estimateLabel"))} ${palette.text(details)}`;
+}
+
+/**
+ * Format cached LLM responses as a table (short key, creation time, project,
+ * provider/model).
+ *
+ * @param {import("../llm/cache.js").CacheEntry[]} entries
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ */
+export function formatCacheEntries(entries, i18n = defaultI18n) {
+  const t = i18n.t;
+  if (entries.length === 0) {
+    return `${figures.info} ${palette.muted(t("cacheEmpty"))}`;
+  }
+  const table = buildTable({
+    head: [
+      palette.heading(t("cacheKeyHeading")),
+      palette.heading(t("cacheCreatedHeading")),
+      palette.heading(t("cacheProjectHeading")),
+      palette.heading(t("cacheModelHeading")),
+    ],
+    colWidths: distributeWidths(cacheWeights, cacheMinimums),
+    wrapOnWordBoundary: false,
+  });
+  entries.forEach((entry) => {
+    table.push([
+      palette.value(entry.key.slice(0, CACHE_KEY_DISPLAY_LENGTH)),
+      palette.text(entry.createdAt),
+      entry.fileName ? palette.value(entry.fileName) : palette.muted("—"),
+      palette.text(`${entry.provider}/${entry.model}`),
+    ]);
+  });
+  return table.toString();
+}
+
+/**
+ * Format the optimization runs recorded in a `.3mf` as a table.
+ *
+ * @param {import("../3mf/history.js").HistoryEntry[]} runs
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ */
+export function formatHistory(runs, i18n = defaultI18n) {
+  const t = i18n.t;
+  if (runs.length === 0) {
+    return `${figures.info} ${palette.muted(t("historyEmpty"))}`;
+  }
+  const table = buildTable({
+    head: [
+      palette.heading(t("historyRunHeading")),
+      palette.heading(t("historyCreatedHeading")),
+      palette.heading(t("historyModelHeading")),
+      palette.heading(t("historyGoalHeading")),
+      palette.heading(t("historyChangesHeading")),
+    ],
+    colWidths: distributeWidths(historyWeights, historyMinimums),
+    wrapOnWordBoundary: false,
+  });
+  runs.forEach((entry) => {
+    table.push([
+      palette.value(String(entry.run)),
+      palette.text(entry.createdAt),
+      formatHistorySource(entry, t),
+      palette.text(entry.intent?.primary_goal ?? "—"),
+      palette.value(String(entry.changes.length)),
+    ]);
+  });
+  return table.toString();
+}
+
+/**
+ * Format one recorded run: what produced it, then its changes, rationale
+ * and warnings as shown after an optimization.
+ *
+ * @param {import("../3mf/history.js").HistoryEntry} entry
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ */
+export function formatHistoryRun(entry, i18n = defaultI18n) {
+  const header = formatInfo(
+    i18n.t("historyRunTitle", {
+      run: entry.run,
+      createdAt: entry.createdAt,
+      version: entry.toolVersion,
+      fileName: entry.source.fileName,
+    }),
+  );
+  return [
+    `${header}\n  ${formatHistorySource(entry, i18n.t)}\n`,
+    formatDiffs(entry.changes, i18n),
+    formatRationale(entry.rationale, i18n),
+    formatWarnings(entry.warnings, i18n),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function formatHistorySource(entry, t) {
+  const model = `${entry.provider}/${entry.model}`;
+  if (entry.command !== "apply") return palette.text(model);
+  const plan = t("historyFromPlan");
+  return palette.muted(entry.model ? `${plan} (${model})` : plan);
+}
+
+/**
+ * Format merged config-file settings as a table (setting, value, source).
+ *
+ * @param {import("../configFile.js").ConfigFileResult} config
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ */
+export function formatConfigSettings(
+  { settings, sources },
+  i18n = defaultI18n,
+) {
+  const t = i18n.t;
+  const keys = Object.keys(settings).sort();
+  if (keys.length === 0) {
+    return `${figures.info} ${palette.muted(t("configEmpty"))}`;
+  }
+  const table = buildTable({
+    head: [
+      palette.heading(t("configSettingHeading")),
+      palette.heading(t("configValueHeading")),
+      palette.heading(t("configSourceHeading")),
+    ],
+    colWidths: distributeWidths(configWeights, configMinimums),
+    wrapOnWordBoundary: false,
+  });
+  keys.forEach((key) => {
+    table.push([
+      palette.label(key),
+      palette.value(JSON.stringify(settings[key])),
+      palette.muted(sources[key]),
+    ]);
+  });
+  return table.toString();
+}
+
+/**
+ * Group warnings by category; plain strings fall into the general group
+ */
+function groupWarnings(warnings) {
+  const groups = new Map([[GENERAL_WARNING_CATEGORY, []]]);
+  warnings.forEach((warning) => {
+    const category =
+      typeof warning === "string"
+        ? GENERAL_WARNING_CATEGORY
+        : (warning.category ?? GENERAL_WARNING_CATEGORY);
+    const message = typeof warning === "string" ? warning : warning.message;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(message);
+  });
+  return [...groups.entries()].filter(([, messages]) => messages.length > 0);
+}
+
+/**
+ * Format one warning group, with a heading for non-general categories
+ */
+function formatWarningGroup([category, messages], i18n) {
+  const style =
+    warningCategoryStyles[category] ?? warningCategoryStyles.general;
+  const items = messages.map(
+    (message) => `  ${style.color(style.icon)} ${palette.text(message)}`,
+  );
+  if (category === GENERAL_WARNING_CATEGORY) return items.join("\n");
+  const title = style.titleKey ? i18n.t(style.titleKey) : category;
+  return [` ${style.color(palette.bold(title))}`, ...items].join("\n");
+}
+
+/**
+ * Format warnings as a styled list; categorized warnings
+ * (`{ category, message }`) are grouped under their own headings
  */
 export function formatWarnings(warnings, i18n = defaultI18n) {
   if (!warnings || warnings.length === 0) return "";
 
-  const warningList = warnings
-    .map((w) => `  ${palette.warning(figures.warning)} ${palette.text(w)}`)
+  const warningList = groupWarnings(warnings)
+    .map((group) => formatWarningGroup(group, i18n))
     .join("\n");
 
   return boxen(warningList, {
@@ -474,6 +859,56 @@ export function formatError(message) {
   });
 }
 
+/**
+ * Format an inspect report: project summary, archive sources, plate images,
+ * user-modified settings and the full normalized model.
+ *
+ * @param {import("../3mf/inspect.js").InspectReport} report
+ * @param {{ t: (key: string, vars?: Record<string, string | number>) => string }} [i18n]
+ */
+export function formatInspectReport(report, i18n = defaultI18n) {
+  const t = i18n.t;
+  const none = palette.muted(t("noneValue"));
+  const table = buildTable({
+    head: [
+      palette.heading(`${figures.info} ${t("fieldHeading")}`),
+      palette.heading(`${figures.arrowRight} ${t("detailsHeading")}`),
+    ],
+    colWidths: distributeWidths(summaryWeights, [18, 36]),
+  });
+  const images = report.plateImages.map((image) =>
+    image.plateIndex === null
+      ? image.name
+      : `${image.name} @p${image.plateIndex}`,
+  );
+  [
+    ["inspectMetadataLabel", report.sources.metadata],
+    ["inspectConfigLabel", report.sources.config],
+    ["inspectModelSettingsLabel", report.sources.modelSettings],
+    ["inspectPlateImagesLabel", images.join("\n")],
+    ["inspectUserModifiedLabel", report.userModifiedSettings.join(", ")],
+  ].forEach(([key, value]) => {
+    table.push([
+      palette.label(`${figures.squareSmallFilled} ${t(key)}`),
+      value ? palette.value(value) : none,
+    ]);
+  });
+
+  const sections = [
+    summarizeProject(report.normalized, i18n),
+    table.toString(),
+    divider(t("inspectNormalizedLabel")),
+    formatJsonForConsole(report.normalized),
+  ];
+  if (report.rawConfig !== undefined) {
+    sections.push(
+      divider(t("inspectRawConfigLabel")),
+      formatJsonForConsole(report.rawConfig),
+    );
+  }
+  return sections.join("\n");
+}
+
 /**
  * Format info message
  */
@@ -1,6 +1,9 @@
 import { describe, expect, it } from "vitest";
 import { parse3mfBuffer } from "../src/3mf/parser.js";
-import { applyLlmChanges } from "../src/apply/changes.js";
+import {
+  applyLlmChanges,
+  findUnknownParameters,
+} from "../src/apply/changes.js";
 import { createSample3mf } from "./fixtures/sample3mf.js";
 import { readObjectOverride } from "../src/utils/objectOverrides.js";
 
@@ -61,7 +64,7 @@ describe("applyLlmChanges", () => {
 
     expect(updated.currentSettings.globalProcess.layer_height_mm).toBe(0.5);
     expect(updated.currentSettings.globalProcess.speeds.wall_outer).toBe(99);
-    expect(updated.currentSettings.globalProcess.wall_line_count).toBe(1.5);
+    expect(updated.currentSettings.globalProcess.wall_line_count).toBe(2);
     const override = readObjectOverride(
       updated.currentSettings.perObjectOverrides,
       { objectName: "CalibrationCube", plateIndex: 0 },
@@ -166,6 +169,142 @@ describe("applyLlmChanges", () => {
     ).toBe(true);
   });
 
+  it("skips filament and printer settings at object scope", async () => {
+    const { buffer } = await createSample3mf();
+    const parsed = await parse3mfBuffer(buffer, "sample.3mf");
+    const target = { objectName: "CalibrationCube", plateIndex: 0 };
+    const { updated, warnings, diffs } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "object",
+            target,
+            parameter: "nozzle_temp_c",
+            newValue: 215,
+          },
+          { scope: "object", target, parameter: "bed_temp_c", newValue: 65 },
+          { scope: "object", target, parameter: "z_hop", newValue: 0.6 },
+        ],
+      },
+    });
+
+    expect(diffs).toEqual([]);
+    expect(updated.currentSettings.perObjectOverrides).toEqual(
+      parsed.normalized.currentSettings.perObjectOverrides,
+    );
+    expect(warnings).toEqual(
+      ["nozzle_temp_c", "bed_temp_c", "z_hop"].map(
+        (parameter) =>
+          `Skipping ${parameter} on CalibrationCube: Bambu Studio keeps this setting for the whole project or per filament, not per object.`,
+      ),
+    );
+  });
+
+  it("applies delta and percent changes rounded to the parameter step", () => {
+    const normalized = {
+      fileName: "demo.3mf",
+      projectSummary: { printer: {}, filaments: [], plates: [] },
+      currentSettings: {
+        globalProcess: {
+          layer_height_mm: 0.2,
+          wall_line_count: 2,
+          bed_temp_c: 60,
+          speeds: { wall_outer: 200 },
+          ironing_flow: "10%",
+          retraction_length: "0.8",
+          infill_pattern: "grid",
+          custom_value: 1.5,
+        },
+        perObjectOverrides: {},
+      },
+    };
+    const change = (parameter, changeType, newValue) => ({
+      scope: "global",
+      parameter,
+      newValue,
+      changeType,
+    });
+    const { updated, warnings, diffs } = applyLlmChanges({
+      normalized,
+      response: {
+        changes: [
+          change("layer_height_mm", "relative", -0.2),
+          change("wall_line_count", "relative", 0.2),
+          change("bed_temp_c", "delta", 5),
+          change("speeds.wall_outer", "percent", -15),
+          change("ironing_flow", "delta", 5),
+          change("retraction_length", "percent", 12.5),
+          change("custom_value", "delta", 0.25),
+          change("infill_pattern", "percent", 10),
+          change("bed_temp_c", "delta", "5"),
+        ],
+      },
+    });
+
+    expect(updated.currentSettings.globalProcess).toEqual({
+      layer_height_mm: 0.16,
+      wall_line_count: 2,
+      bed_temp_c: 65,
+      speeds: { wall_outer: 170 },
+      ironing_flow: 15,
+      retraction_length: 0.9,
+      infill_pattern: "grid",
+      custom_value: 1.75,
+    });
+    expect(diffs.map((diff) => [diff.parameter, diff.from, diff.to])).toEqual([
+      ["layer_height_mm", 0.2, 0.16],
+      ["bed_temp_c", 60, 65],
+      ["speeds.wall_outer", 200, 170],
+      ["ironing_flow", "10%", 15],
+      ["retraction_length", "0.8", 0.9],
+      ["custom_value", 1.5, 1.75],
+    ]);
+    expect(warnings).toEqual([
+      "Relative change for infill_pattern skipped: expected numbers.",
+      "Relative change for bed_temp_c skipped: expected numbers.",
+    ]);
+  });
+
+  it("rounds absolute values to the parameter step", () => {
+    const normalized = {
+      fileName: "demo.3mf",
+      projectSummary: { printer: {}, filaments: [], plates: [] },
+      currentSettings: {
+        globalProcess: {
+          layer_height_mm: 0.2,
+          speeds: { wall_outer: 200 },
+          infill_pattern: "grid",
+          custom_value: 1.5,
+        },
+        perObjectOverrides: {},
+      },
+    };
+    const change = (parameter, newValue) => ({
+      scope: "global",
+      parameter,
+      newValue,
+    });
+    const { updated } = applyLlmChanges({
+      normalized,
+      response: {
+        changes: [
+          change("layer_height_mm", 0.2137),
+          change("speeds.wall_outer", "149.6"),
+          change("infill_pattern", "gyroid"),
+          change("custom_value", 1.2345),
+        ],
+      },
+    });
+
+    expect(updated.currentSettings.globalProcess).toEqual({
+      layer_height_mm: 0.21,
+      speeds: { wall_outer: 150 },
+      infill_pattern: "gyroid",
+      custom_value: 1.2345,
+    });
+  });
+
   it("protects user-modified settings by default and allows overrides when requested", () => {
     const normalized = {
       fileName: "demo.3mf",
@@ -249,4 +388,238 @@ describe("applyLlmChanges", () => {
       result.updated.currentSettings.globalProcess.infill_density_percent,
     ).toBe(30);
   });
+
+  it("treats unrecognized scopes as object changes", () => {
+    const normalized = {
+      fileName: "demo.3mf",
+      projectSummary: { printer: {}, filaments: [], plates: [] },
+      currentSettings: { globalProcess: {}, perObjectOverrides: {} },
+    };
+    const { warnings } = applyLlmChanges({
+      normalized,
+      response: {
+        changes: [
+          {
+            scope: "part",
+            target: { objectName: "Cube" },
+            parameter: "wall_line_count",
+            newValue: 3,
+          },
+        ],
+      },
+    });
+    expect(warnings).toEqual([
+      "Object Cube not found for change wall_line_count.",
+    ]);
+  });
+
+  it("coerces near-miss values to the parameter type and rejects the rest", () => {
+    const normalized = {
+      fileName: "demo.3mf",
+      projectSummary: { printer: {}, filaments: [], plates: [] },
+      currentSettings: {
+        globalProcess: {
+          infill_pattern: "grid",
+          infill_density_percent: 15,
+          supports_enabled: false,
+          wall_line_count: 2,
+          layer_height_mm: 0.2,
+          print_sequence: "by layer",
+          seam_gap: "10%",
+          thick_bridges: "0",
+          ironing_flow: "10%",
+        },
+        perObjectOverrides: {},
+      },
+    };
+    const change = (parameter, newValue) => ({
+      scope: "global",
+      parameter,
+      newValue,
+    });
+    const { updated, warnings, diffs } = applyLlmChanges({
+      normalized,
+      response: {
+        changes: [
+          change("infill_pattern", "Gyroid"),
+          change("infill_density_percent", "25%"),
+          change("supports_enabled", "TRUE"),
+          change("wall_line_count", "3"),
+          change("layer_height_mm", " 0.16 "),
+          change("print_sequence", "By_Object"),
+          change("seam_gap", 0.5),
+          change("thick_bridges", 1),
+          change("ironing_flow", "10 %"),
+          change("infill_pattern", "Gyroid Infill"),
+          change("supports_enabled", "yes"),
+          change("wall_line_count", 2.5),
+          change("layer_height_mm", ""),
+          change("seam_gap", true),
+          change("infill_pattern", 3),
+          change("bottom_layers", undefined),
+          change("first_layer_height_mm", Number.NaN),
+        ],
+      },
+    });
+
+    expect(updated.currentSettings.globalProcess).toEqual({
+      infill_pattern: "gyroid",
+      infill_density_percent: 25,
+      supports_enabled: true,
+      wall_line_count: 3,
+      layer_height_mm: 0.16,
+      print_sequence: "by object",
+      seam_gap: "0.5",
+      thick_bridges: true,
+      ironing_flow: "10%",
+    });
+    expect(diffs.map((diff) => diff.parameter)).toEqual([
+      "infill_pattern",
+      "infill_density_percent",
+      "supports_enabled",
+      "wall_line_count",
+      "layer_height_mm",
+      "print_sequence",
+      "seam_gap",
+      "thick_bridges",
+    ]);
+    expect(warnings).toEqual([
+      expect.stringMatching(
+        /^Skipping infill_pattern: "Gyroid Infill" is not a valid value \(expected "concentric", "zig-zag", .*"lightning"\)\.$/,
+      ),
+      'Skipping supports_enabled: "yes" is not a valid value (expected true or false).',
+      "Skipping wall_line_count: 2.5 is not a valid value (expected a whole number).",
+      'Skipping layer_height_mm: "" is not a valid value (expected a number).',
+      "Skipping seam_gap: true is not a valid value (expected text).",
+      expect.stringContaining("Skipping infill_pattern: 3 is not"),
+      "Skipping bottom_layers: undefined is not a valid value (expected a whole number).",
+      "Skipping first_layer_height_mm: NaN is not a valid value (expected a number).",
+    ]);
+  });
+
+  it("skips values outside the parameter's range", () => {
+    const normalized = {
+      fileName: "demo.3mf",
+      projectSummary: { printer: {}, filaments: [], plates: [] },
+      currentSettings: {
+        globalProcess: { infill_density_percent: 60, fan_speed_percent: 80 },
+        perObjectOverrides: {},
+      },
+    };
+    const { updated, diffs, warnings } = applyLlmChanges({
+      normalized,
+      response: {
+        changes: [
+          {
+            scope: "global",
+            parameter: "infill_density_percent",
+            newValue: 250,
+          },
+          {
+            scope: "global",
+            parameter: "fan_speed_percent",
+            newValue: 50,
+            changeType: "percent",
+          },
+          {
+            scope: "global",
+            parameter: "infill_density_percent",
+            newValue: 100,
+          },
+        ],
+      },
+    });
+    expect(updated.currentSettings.globalProcess).toEqual({
+      infill_density_percent: 100,
+      fan_speed_percent: 80,
+    });
+    expect(diffs).toHaveLength(1);
+    expect(warnings).toEqual([
+      "Skipping infill_density_percent: 250 is outside the allowed range 0–100.",
+      "Skipping fan_speed_percent: 120 is outside the allowed range 0–100.",
+    ]);
+  });
+
+  it("leaves values outside the parameter registry as proposed", () => {
+    const normalized = {
+      fileName: "demo.3mf",
+      projectSummary: { printer: {}, filaments: [], plates: [] },
+      currentSettings: {
+        globalProcess: { custom_flag: "0" },
+        perObjectOverrides: {},
+      },
+    };
+    const { updated, diffs } = applyLlmChanges({
+      normalized,
+      response: {
+        changes: [
+          { scope: "global", parameter: "custom_flag", newValue: "yes" },
+        ],
+      },
+    });
+    expect(updated.currentSettings.globalProcess.custom_flag).toBe("yes");
+    expect(diffs).toHaveLength(1);
+  });
+});
+
+describe("findUnknownParameters", () => {
+  it("lists changes whose parameter does not exist for their scope", async () => {
+    const { buffer } = await createSample3mf();
+    const parsed = await parse3mfBuffer(buffer, "sample.3mf");
+    const before = structuredClone(parsed.normalized);
+
+    const unknown = findUnknownParameters({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          { parameter: "wall_line_count", newValue: 7 },
+          { parameter: "wall_loops", newValue: 3 },
+          {
+            scope: "object",
+            target: { objectName: "CalibrationCube", plateIndex: 0 },
+            parameter: "brim_magic",
+            newValue: 1,
+          },
+          {
+            scope: "object",
+            target: { objectName: "Missing", plateIndex: 0 },
+            parameter: "wall_line_count",
+            newValue: 1,
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 0 },
+            parameter: "bed_temp_c",
+            newValue: 60,
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 0 },
+            parameter: "bed_type",
+            newValue: "Cool Plate",
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 0 },
+            parameter: "brim_magic",
+            newValue: 1,
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 9 },
+            parameter: "brim_magic",
+            newValue: 1,
+          },
+        ],
+      },
+    });
+
+    expect(unknown).toEqual([
+      { scope: "global", parameter: "wall_loops" },
+      { scope: "object", parameter: "brim_magic" },
+      { scope: "filament", parameter: "bed_temp_c" },
+      { scope: "plate", parameter: "brim_magic" },
+    ]);
+    expect(parsed.normalized).toEqual(before);
+  });
 });
@@ -0,0 +1,151 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import { expandInputs } from "../src/utils/inputs.js";
+import { mapWithConcurrency } from "../src/utils/concurrency.js";
+import { formatBatchSummary } from "../src/utils/summary.js";
+
+function createProjectDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-batch-"));
+  for (const name of ["b.3mf", "a.3MF", "c.stl", "part-1.3mf"]) {
+    fs.writeFileSync(path.join(dir, name), "");
+  }
+  fs.mkdirSync(path.join(dir, "nested.3mf"));
+  return dir;
+}
+
+describe("expandInputs", () => {
+  it("expands directories to the .3mf files directly inside them", () => {
+    const dir = createProjectDir();
+
+    expect(expandInputs([dir])).toEqual(
+      ["a.3MF", "b.3mf", "part-1.3mf"].map((name) => path.join(dir, name)),
+    );
+  });
+
+  it("matches wildcards in file names and de-duplicates results", () => {
+    const dir = createProjectDir();
+
+    expect(
+      expandInputs([
+        path.join(dir, "?.3mf"),
+        path.join(dir, "b.3mf"),
+        path.join(dir, "part-*.3mf"),
+        path.join(dir, "missing", "*.3mf"),
+      ]),
+    ).toEqual([path.join(dir, "b.3mf"), path.join(dir, "part-1.3mf")]);
+  });
+
+  it("skips optimized copies from earlier runs unless a wildcard names them", () => {
+    const dir = createProjectDir();
+    for (const name of ["b.optimized.3mf", "part-1.Optimized.3MF"]) {
+      fs.writeFileSync(path.join(dir, name), "");
+    }
+
+    expect(expandInputs([dir, path.join(dir, "*.3mf")])).toEqual(
+      ["a.3MF", "b.3mf", "part-1.3mf"].map((name) => path.join(dir, name)),
+    );
+    expect(expandInputs([path.join(dir, "*.optimized.3mf")])).toEqual([
+      path.join(dir, "b.optimized.3mf"),
+    ]);
+  });
+
+  it("passes plain paths through untouched", () => {
+    expect(expandInputs(["missing.3mf", "missing.3mf"])).toEqual([
+      "missing.3mf",
+    ]);
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("keeps input order and never exceeds the limit", async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency(
+      [30, 10, 20, 5],
+      2,
+      async (delay, index) => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        active -= 1;
+        return `${index}:${delay}`;
+      },
+    );
+
+    expect(results).toEqual(["0:30", "1:10", "2:20", "3:5"]);
+    expect(peak).toBe(2);
+  });
+
+  it("falls back to one worker for invalid limits", async () => {
+    let active = 0;
+    let peak = 0;
+    const worker = async (value) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await Promise.resolve();
+      active -= 1;
+      return value * 2;
+    };
+
+    expect(await mapWithConcurrency([1, 2], Number.NaN, worker)).toEqual([
+      2, 4,
+    ]);
+    expect(peak).toBe(1);
+    expect(await mapWithConcurrency([], 4, worker)).toEqual([]);
+  });
+});
+
+describe("formatBatchSummary", () => {
+  it("lists each file with its status and counts failures", () => {
+    const output = formatBatchSummary([
+      {
+        input: "a.3mf",
+        status: "success",
+        changes: 3,
+        warnings: 1,
+        outputPath: "a.optimized.3mf",
+      },
+      {
+        input: "b.3mf",
+        status: "success",
+        changes: 0,
+        warnings: 0,
+        outputPath: null,
+      },
+      {
+        input: "c.3mf",
+        status: "failed",
+        changes: 0,
+        warnings: 0,
+        outputPath: null,
+        error: "Input file not found: c.3mf",
+      },
+    ]);
+
+    expect(output).toContain("3 project(s) processed · 1 failed");
+    expect(output).toContain("a.optimized.");
+    expect(output).toContain("Done");
+    expect(output).toContain("Failed");
+    expect(output).toContain("c.3mf: Input file not found: c.3mf");
+  });
+
+  it("uses the success style when nothing failed", () => {
+    const output = formatBatchSummary(
+      [
+        {
+          input: "a.3mf",
+          status: "success",
+          changes: 1,
+          warnings: 0,
+          outputPath: "out/a.optimized.3mf",
+        },
+      ],
+      { t: (key) => key },
+    );
+
+    expect(output).toContain("batchSummaryTitle");
+    expect(output).not.toContain("batchStatusFailed");
+  });
+});
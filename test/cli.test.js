@@ -1,10 +1,15 @@
 import fs from "fs";
 import os from "os";
 import path from "path";
-import { describe, expect, it } from "vitest";
+import { describe, expect, it, vi } from "vitest";
 import { defaultOutputPath, runCli } from "../src/cli.js";
 import { createSample3mf } from "./fixtures/sample3mf.js";
 import { parse3mfFile } from "../src/3mf/parser.js";
+import { updateMetadataFromNormalized, write3mf } from "../src/3mf/writer.js";
+import { EXIT_CODES } from "../src/errors.js";
+import { readHistory } from "../src/3mf/history.js";
+import { applyLlmChanges } from "../src/apply/changes.js";
+import { sha256File } from "../src/utils/hash.js";
 
 const mockResponse = JSON.parse(
   fs.readFileSync(
@@ -70,6 +75,36 @@ describe("CLI optimize", () => {
     process.exitCode = 0;
   });
 
+  it("exits with the code of the LLM failure class", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    fs.writeFileSync(inputPath, buffer);
+    const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await runCli([
+        "node",
+        "slicer-copilot",
+        "--non-interactive",
+        "--dry-run",
+        "--provider",
+        "ollama",
+        "--base-url",
+        "http://127.0.0.1:1",
+        "--max-retries",
+        "0",
+        "--timeout",
+        "5",
+        "optimize",
+        inputPath,
+      ]);
+    } finally {
+      spy.mockRestore();
+    }
+    expect(process.exitCode).toBe(EXIT_CODES.LLM_REQUEST);
+    process.exitCode = 0;
+  });
+
   it("always proceeds and writes default output when not specified", async () => {
     const { buffer } = await createSample3mf();
     const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
@@ -96,3 +131,763 @@ describe("CLI optimize", () => {
     expect(fs.existsSync(expectedOutput)).toBe(true);
   });
 });
+
+describe("CLI diff", () => {
+  async function writeProjects() {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const first = path.join(tmpDir, "a.3mf");
+    const second = path.join(tmpDir, "b.3mf");
+    fs.writeFileSync(first, buffer);
+    const parsed = await parse3mfFile(first);
+    const { updated: normalized } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          { parameter: "wall_line_count", newValue: 5 },
+          {
+            scope: "object",
+            target: { objectName: "CalibrationCube", plateIndex: 0 },
+            parameter: "wall_line_count",
+            newValue: 6,
+          },
+        ],
+      },
+    });
+    await write3mf(
+      {
+        ...parsed,
+        metadata: updateMetadataFromNormalized(parsed.metadata, normalized),
+        normalized,
+      },
+      second,
+    );
+    return {
+      first,
+      second,
+      wallLines:
+        parsed.normalized.currentSettings.globalProcess.wall_line_count,
+    };
+  }
+
+  it("prints differences as JSON", async () => {
+    const { first, second, wallLines } = await writeProjects();
+    const diffJson = async (a, b) => {
+      const logs = [];
+      const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+        logs.push(args.join(" "));
+      });
+      try {
+        await runCli(["node", "slicer-copilot", "diff", a, b, "--json"]);
+      } finally {
+        spy.mockRestore();
+      }
+      return JSON.parse(logs.join("\n"));
+    };
+
+    const report = await diffJson(first, second);
+    const reverse = await diffJson(second, first);
+    expect(report.a).toBe(first);
+    expect(report.b).toBe(second);
+    expect(report.differences).toContainEqual(
+      expect.objectContaining({
+        scope: "global",
+        parameter: "wall_line_count",
+        from: wallLines,
+        to: 5,
+      }),
+    );
+    const objectDifference = {
+      scope: "object",
+      target: { objectName: "CalibrationCube", plateIndex: 0 },
+      parameter: "wall_line_count",
+    };
+    expect(report.differences).toContainEqual(
+      expect.objectContaining({ ...objectDifference, from: null, to: 6 }),
+    );
+    expect(reverse.differences).toContainEqual(
+      expect.objectContaining({ ...objectDifference, from: 6, to: null }),
+    );
+  });
+
+  it("prints a table and reports missing inputs", async () => {
+    const { first } = await writeProjects();
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+    try {
+      await runCli(["node", "slicer-copilot", "diff", first, first]);
+      await runCli(["node", "slicer-copilot", "diff", first, "missing.3mf"]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(logs.join("\n")).toContain("No differences found.");
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+});
+
+describe("CLI inspect", () => {
+  it("prints the report as JSON with the raw config", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    fs.writeFileSync(inputPath, buffer);
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+    try {
+      await runCli([
+        "node",
+        "slicer-copilot",
+        "inspect",
+        inputPath,
+        "--json",
+        "--raw-config",
+      ]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    const report = JSON.parse(logs.join("\n"));
+    expect(report.fileName).toBe(inputPath);
+    expect(report.sources.config).toBe("config.json");
+    expect(report.rawConfig.wall_loops).toBe("3");
+    expect(report.normalized.projectSummary.plates).toHaveLength(1);
+  });
+
+  it("prints a readable report and reports missing inputs", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    fs.writeFileSync(inputPath, buffer);
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+    try {
+      await runCli(["node", "slicer-copilot", "inspect", inputPath]);
+      await runCli(["node", "slicer-copilot", "inspect", "missing.3mf"]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    const output = logs.join("\n");
+    expect(output).toContain("Normalized model");
+    expect(output).toContain("Input file not found: missing.3mf");
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+});
+
+describe("CLI history", () => {
+  it("records each optimization in the output and lists the runs", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    const firstPath = path.join(tmpDir, "first.3mf");
+    const secondPath = path.join(tmpDir, "second.3mf");
+    const mockPath = path.join(tmpDir, "mock.json");
+    fs.writeFileSync(inputPath, buffer);
+    fs.writeFileSync(mockPath, JSON.stringify(mockResponse));
+    const optimize = (input, output) =>
+      runCli([
+        "node",
+        "slicer-copilot",
+        "--non-interactive",
+        "--model",
+        "gpt-4.1",
+        "--output",
+        output,
+        "--mock-response",
+        mockPath,
+        "optimize",
+        input,
+      ]);
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+    try {
+      await optimize(inputPath, firstPath);
+      await optimize(firstPath, secondPath);
+      logs.length = 0;
+      await runCli(["node", "slicer-copilot", "history", secondPath, "--json"]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    const { runs } = JSON.parse(logs.join("\n"));
+    expect(runs.map((run) => run.run)).toEqual([1, 2]);
+    expect(runs[0]).toMatchObject({
+      command: "optimize",
+      toolVersion: expect.stringMatching(/^\d+\.\d+\.\d+/),
+      model: "gpt-4.1",
+      intent: { primary_goal: "balanced" },
+      rationale: mockResponse.globalRationale,
+      source: { fileName: "input.3mf", sha256: sha256File(inputPath) },
+    });
+    expect(runs[0].changes.map((change) => change.parameter)).toEqual([
+      "wall_line_count",
+      "infill_density_percent",
+      "infill_pattern",
+      "supports_enabled",
+    ]);
+    expect(runs[0].warnings).toContainEqual({
+      category: "general",
+      message: mockResponse.warnings[0],
+    });
+    expect(runs[1].source).toEqual({
+      fileName: "first.3mf",
+      sha256: sha256File(firstPath),
+    });
+    expect(runs[1].changes).toEqual([]);
+  });
+
+  it("prints runs, one run's changes and missing runs", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    const outputPath = path.join(tmpDir, "output.3mf");
+    const mockPath = path.join(tmpDir, "mock.json");
+    fs.writeFileSync(inputPath, buffer);
+    fs.writeFileSync(mockPath, JSON.stringify(mockResponse));
+    const history = (...args) =>
+      runCli(["node", "slicer-copilot", "history", ...args]);
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+    try {
+      await runCli([
+        "node",
+        "slicer-copilot",
+        "--non-interactive",
+        "--output",
+        outputPath,
+        "--mock-response",
+        mockPath,
+        "optimize",
+        inputPath,
+      ]);
+      logs.length = 0;
+      await history(inputPath);
+      await history(outputPath);
+      await history(outputPath, "--run", "1");
+      await history(outputPath, "--run", "1", "--json");
+      await history(outputPath, "--run", "2");
+    } finally {
+      spy.mockRestore();
+    }
+
+    const output = logs.join("\n");
+    expect(output).toContain("No optimization runs are recorded");
+    expect(output).toContain("Changes");
+    expect(output).toContain("Run 1 ·");
+    expect(output).toContain("from input.3mf");
+    expect(output).toContain("grid → gyroid");
+    expect(output).toContain('"run": 1');
+    expect(output).toContain(`Run 2 is not recorded in ${outputPath}`);
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+
+  it("rejects a run number that is not a positive integer", async () => {
+    const errors = [];
+    const stderr = vi
+      .spyOn(process.stderr, "write")
+      .mockImplementation((text) => errors.push(String(text)));
+    const exit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    try {
+      await expect(
+        runCli(["node", "slicer-copilot", "history", "in.3mf", "--run", "abc"]),
+      ).rejects.toThrow("exit 1");
+    } finally {
+      stderr.mockRestore();
+      exit.mockRestore();
+    }
+
+    expect(errors.join("")).toContain(
+      "argument 'abc' is invalid. Expected a positive integer.",
+    );
+  });
+});
+
+describe("CLI batch optimize", () => {
+  it("optimizes a directory into --output-dir and reports failures", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputDir = path.join(tmpDir, "projects");
+    const outputDir = path.join(tmpDir, "out");
+    const mockPath = path.join(tmpDir, "mock.json");
+    fs.mkdirSync(inputDir);
+    fs.writeFileSync(path.join(inputDir, "one.3mf"), buffer);
+    fs.writeFileSync(path.join(inputDir, "two.3mf"), buffer);
+    fs.writeFileSync(mockPath, JSON.stringify(mockResponse));
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+    try {
+      await runCli([
+        "node",
+        "slicer-copilot",
+        "--non-interactive",
+        "--mock-response",
+        mockPath,
+        "--output-dir",
+        outputDir,
+        "--concurrency",
+        "2",
+        "optimize",
+        inputDir,
+        path.join(tmpDir, "missing.3mf"),
+      ]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(fs.readdirSync(outputDir).sort()).toEqual([
+      "one.optimized.3mf",
+      "two.optimized.3mf",
+    ]);
+    const parsed = await parse3mfFile(
+      path.join(outputDir, "one.optimized.3mf"),
+    );
+    expect(parsed.metadata.settings.wall_line_count).toBe(4);
+    const output = logs.join("\n");
+    expect(output).toContain("3 project(s) processed · 1 failed");
+    expect(output).toContain("Total LLM usage: 0 request(s)");
+    expect(output).toContain("Input file not found");
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+
+  it("supports dry runs and rejects ambiguous or empty inputs", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const mockPath = path.join(tmpDir, "mock.json");
+    fs.writeFileSync(path.join(tmpDir, "one.3mf"), buffer);
+    fs.writeFileSync(path.join(tmpDir, "two.3mf"), buffer);
+    fs.writeFileSync(mockPath, JSON.stringify(mockResponse));
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+    const base = [
+      "node",
+      "slicer-copilot",
+      "--non-interactive",
+      "--mock-response",
+      mockPath,
+    ];
+    try {
+      await runCli([
+        ...base,
+        "--dry-run",
+        "optimize",
+        path.join(tmpDir, "*.3mf"),
+      ]);
+      expect(process.exitCode).not.toBe(1);
+      await runCli([
+        ...base,
+        "--output",
+        path.join(tmpDir, "out.3mf"),
+        "optimize",
+        tmpDir,
+      ]);
+      await runCli([...base, "optimize", path.join(tmpDir, "*.gcode")]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    const output = logs.join("\n");
+    expect(output).toContain("2 project(s) processed · 0 failed");
+    expect(output).toContain("use --output-dir");
+    expect(output).toContain("No .3mf files found");
+    expect(fs.readdirSync(tmpDir).sort()).toEqual([
+      "mock.json",
+      "one.3mf",
+      "two.3mf",
+    ]);
+    process.exitCode = 0;
+  });
+
+  it("rejects inputs that would share an output file", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const first = path.join(tmpDir, "a", "part.3mf");
+    const second = path.join(tmpDir, "b", "part.3mf");
+    fs.mkdirSync(path.dirname(first));
+    fs.mkdirSync(path.dirname(second));
+    fs.writeFileSync(first, buffer);
+    fs.writeFileSync(second, buffer);
+    const outputDir = path.join(tmpDir, "out");
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+    try {
+      await runCli([
+        "node",
+        "slicer-copilot",
+        "--non-interactive",
+        "--output-dir",
+        outputDir,
+        "optimize",
+        first,
+        second,
+      ]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    // The error box wraps long paths
+    expect(logs.join(" ").replace(/[│\s]+/g, " ")).toContain(
+      "would both be written to",
+    );
+    expect(fs.existsSync(outputDir)).toBe(false);
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+
+  it("rejects a concurrency that is not a positive integer", async () => {
+    const errors = [];
+    const stderr = vi
+      .spyOn(process.stderr, "write")
+      .mockImplementation((text) => errors.push(String(text)));
+    const exit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    try {
+      for (const value of ["0", "1.5", "two"]) {
+        await expect(
+          runCli([
+            "node",
+            "slicer-copilot",
+            "--concurrency",
+            value,
+            "optimize",
+            "input.3mf",
+          ]),
+        ).rejects.toThrow("exit 1");
+      }
+    } finally {
+      stderr.mockRestore();
+      exit.mockRestore();
+    }
+
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toContain(
+      "argument '0' is invalid. Expected a positive integer.",
+    );
+  });
+
+  it("rejects invalid timeouts, retries and repair attempts", async () => {
+    const errors = [];
+    const stderr = vi
+      .spyOn(process.stderr, "write")
+      .mockImplementation((text) => errors.push(String(text)));
+    const exit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    const invalid = [
+      ["--timeout", "0"],
+      ["--timeout", "abc"],
+      ["--max-retries", "-1"],
+      ["--max-retries", "1.5"],
+      ["--repair-attempts", ""],
+      ["--repair-attempts", "two"],
+    ];
+    try {
+      for (const option of invalid) {
+        await expect(
+          runCli(["node", "slicer-copilot", ...option, "optimize", "in.3mf"]),
+        ).rejects.toThrow("exit 1");
+      }
+    } finally {
+      stderr.mockRestore();
+      exit.mockRestore();
+    }
+
+    expect(errors).toHaveLength(invalid.length);
+    expect(errors[0]).toContain(
+      "argument '0' is invalid. Expected a positive number.",
+    );
+    expect(errors[2]).toContain(
+      "argument '-1' is invalid. Expected a non-negative integer.",
+    );
+    expect(errors[4]).toContain(
+      "argument '' is invalid. Expected a non-negative integer.",
+    );
+  });
+});
+
+describe("CLI review", () => {
+  it("refuses to review when stdin is not a terminal", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    const outputPath = path.join(tmpDir, "output.3mf");
+    const mockPath = path.join(tmpDir, "mock.json");
+    fs.writeFileSync(inputPath, buffer);
+    fs.writeFileSync(mockPath, JSON.stringify(mockResponse));
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+
+    try {
+      for (const command of [
+        ["optimize", inputPath],
+        ["apply", inputPath, "--plan", path.join(tmpDir, "plan.json")],
+      ]) {
+        await runCli([
+          "node",
+          "slicer-copilot",
+          "--review",
+          "--output",
+          outputPath,
+          "--mock-response",
+          mockPath,
+          ...command,
+        ]);
+      }
+    } finally {
+      spy.mockRestore();
+    }
+
+    const errors = logs.filter((line) =>
+      line.includes("--review needs an interactive terminal"),
+    );
+    expect(errors).toHaveLength(2);
+    expect(fs.existsSync(outputPath)).toBe(false);
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+});
+
+describe("CLI plans", () => {
+  it("saves a plan during optimize and applies it to another project", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    const otherPath = path.join(tmpDir, "other.3mf");
+    const planPath = path.join(tmpDir, "plan.json");
+    const mockPath = path.join(tmpDir, "mock.json");
+    fs.writeFileSync(inputPath, buffer);
+    fs.writeFileSync(otherPath, buffer);
+    fs.writeFileSync(mockPath, JSON.stringify(mockResponse));
+
+    await runCli([
+      "node",
+      "slicer-copilot",
+      "--non-interactive",
+      "--dry-run",
+      "--save-plan",
+      planPath,
+      "--mock-response",
+      mockPath,
+      "optimize",
+      inputPath,
+    ]);
+
+    const plan = JSON.parse(fs.readFileSync(planPath, "utf8"));
+    expect(plan.source.fileName).toBe("input.3mf");
+    expect(plan.source.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(plan.response.changes.length).toBe(mockResponse.changes.length);
+    expect(plan.usage).toMatchObject({ requests: 0, estimatedCostUsd: 0 });
+    expect(plan.llm).toEqual({ provider: "openai", model: expect.any(String) });
+
+    await runCli([
+      "node",
+      "slicer-copilot",
+      "apply",
+      otherPath,
+      "--plan",
+      planPath,
+    ]);
+
+    const parsed = await parse3mfFile(path.join(tmpDir, "other.optimized.3mf"));
+    expect(parsed.metadata.settings.wall_line_count).toBe(4);
+    const [run] = await readHistory(parsed.zip);
+    expect(run).toMatchObject({
+      command: "apply",
+      provider: "openai",
+      model: plan.llm.model,
+      source: { fileName: "other.3mf" },
+    });
+  });
+
+  it("reports invalid plan files", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    const planPath = path.join(tmpDir, "plan.json");
+    fs.writeFileSync(inputPath, buffer);
+    fs.writeFileSync(planPath, "{}");
+
+    await runCli([
+      "node",
+      "slicer-copilot",
+      "apply",
+      inputPath,
+      "--plan",
+      planPath,
+    ]);
+
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+});
+
+describe("CLI machine-readable output", () => {
+  async function runCaptured(args) {
+    const chunks = [];
+    const logs = [];
+    const logSpy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+    const writeSpy = vi
+      .spyOn(process.stdout, "write")
+      .mockImplementation((chunk) => {
+        chunks.push(String(chunk));
+        return true;
+      });
+    try {
+      await runCli(["node", "slicer-copilot", ...args]);
+    } finally {
+      writeSpy.mockRestore();
+      logSpy.mockRestore();
+    }
+    return { output: chunks.join(""), logs };
+  }
+
+  async function setup() {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    const mockPath = path.join(tmpDir, "mock.json");
+    fs.writeFileSync(inputPath, buffer);
+    fs.writeFileSync(mockPath, JSON.stringify(mockResponse));
+    return { tmpDir, inputPath, mockPath };
+  }
+
+  it("prints a single JSON report for optimize", async () => {
+    const { tmpDir, inputPath, mockPath } = await setup();
+    const { output, logs } = await runCaptured([
+      "--output-format",
+      "json",
+      "--mock-response",
+      mockPath,
+      "optimize",
+      inputPath,
+    ]);
+
+    expect(logs).toEqual([]);
+    const report = JSON.parse(output);
+    expect(report).toMatchObject({
+      schemaVersion: 1,
+      type: "result",
+      command: "optimize",
+      input: inputPath,
+      project: { fileName: inputPath },
+      outputPath: path.join(tmpDir, "input.optimized.3mf"),
+      cached: false,
+      usage: { requests: 0 },
+      attempts: [],
+    });
+    expect(report.changes).toContainEqual(
+      expect.objectContaining({ parameter: "wall_line_count", to: 4 }),
+    );
+    expect(report.warnings.every((warning) => warning.category)).toBe(true);
+    // The sample meshes have no volume to estimate from
+    expect(report.estimate).toBeNull();
+    expect(Object.keys(report.timings)).toEqual([
+      "parseMs",
+      "llmMs",
+      "writeMs",
+      "totalMs",
+    ]);
+  });
+
+  it("streams NDJSON progress for batches and errors", async () => {
+    const { tmpDir, inputPath, mockPath } = await setup();
+    const second = path.join(tmpDir, "second.3mf");
+    fs.copyFileSync(inputPath, second);
+    const { output } = await runCaptured([
+      "--output-format",
+      "ndjson",
+      "--dry-run",
+      "--mock-response",
+      mockPath,
+      "optimize",
+      inputPath,
+      second,
+    ]);
+
+    const events = output
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    expect(events.filter((event) => event.type === "progress")).toHaveLength(4);
+    const result = events.at(-1);
+    expect(result.type).toBe("result");
+    expect(result.projects.map((project) => project.status)).toEqual([
+      "success",
+      "success",
+    ]);
+    expect(result.projects[0]).toMatchObject({
+      changes: 4,
+      estimate: null,
+      cached: false,
+      attempts: [],
+    });
+    expect(result.usage.requests).toBe(0);
+
+    const failure = await runCaptured([
+      "--output-format",
+      "json",
+      "optimize",
+      path.join(tmpDir, "missing.3mf"),
+    ]);
+    expect(JSON.parse(failure.output)).toMatchObject({
+      type: "error",
+      error: { exitCode: 1 },
+    });
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+
+  it("rejects review mode and unknown formats", async () => {
+    const { inputPath, mockPath } = await setup();
+    const review = await runCaptured([
+      "--output-format",
+      "json",
+      "--review",
+      "--mock-response",
+      mockPath,
+      "optimize",
+      inputPath,
+    ]);
+    expect(JSON.parse(review.output).error.message).toBe(
+      "--review cannot be used with --output-format json",
+    );
+
+    const unknown = await runCaptured([
+      "--output-format",
+      "xml",
+      "optimize",
+      inputPath,
+    ]);
+    expect(unknown.output).toBe("");
+    expect(unknown.logs.join("\n")).toContain('Unknown output format "xml"');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = 0;
+  });
+});
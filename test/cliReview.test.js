@@ -0,0 +1,136 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { runCli } from "../src/cli.js";
+import { createSample3mf } from "./fixtures/sample3mf.js";
+import { parse3mfFile } from "../src/3mf/parser.js";
+import { readHistory } from "../src/3mf/history.js";
+import { reviewDiffs } from "../src/apply/review.js";
+import { readPlan } from "../src/apply/plan.js";
+
+vi.mock("../src/apply/review.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  reviewDiffs: vi.fn(),
+}));
+
+describe("CLI review edits", () => {
+  const { isTTY } = process.stdin;
+
+  beforeEach(() => {
+    process.stdin.isTTY = true;
+  });
+
+  afterEach(() => {
+    process.stdin.isTTY = isTTY;
+  });
+
+  it("runs edited values through the safety limits", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    const outputPath = path.join(tmpDir, "output.3mf");
+    const mockPath = path.join(tmpDir, "mock.json");
+    fs.writeFileSync(inputPath, buffer);
+    fs.writeFileSync(
+      mockPath,
+      JSON.stringify({
+        changes: [
+          {
+            scope: "global",
+            parameter: "nozzle_temp_c",
+            newValue: 215,
+            changeType: "absolute",
+            reason: "Better layer bonding.",
+          },
+        ],
+      }),
+    );
+    reviewDiffs.mockImplementation(async ({ diffs }) =>
+      diffs.map((diff) => ({ ...diff, to: 320 })),
+    );
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      logs.push(args.join(" "));
+    });
+
+    try {
+      await runCli([
+        "node",
+        "slicer-copilot",
+        "--non-interactive",
+        "--review",
+        "--output",
+        outputPath,
+        "--mock-response",
+        mockPath,
+        "optimize",
+        inputPath,
+      ]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    const parsed = await parse3mfFile(outputPath);
+    const nozzle =
+      parsed.normalized.currentSettings.globalProcess.nozzle_temp_c;
+    expect(nozzle).toBeLessThan(320);
+    expect(logs.join("\n")).toContain("Clamped nozzle_temp_c from 320");
+    const [run] = await readHistory(parsed.zip);
+    expect(run.changes).toEqual([
+      expect.objectContaining({ parameter: "nozzle_temp_c", to: nozzle }),
+    ]);
+    expect(run.warnings).toContainEqual(
+      expect.objectContaining({ category: "safetyClamped" }),
+    );
+  });
+
+  it("saves only the changes accepted during review to the plan", async () => {
+    const { buffer } = await createSample3mf();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+    const inputPath = path.join(tmpDir, "input.3mf");
+    const planPath = path.join(tmpDir, "plan.json");
+    const mockPath = new URL("./fixtures/mockResponse.json", import.meta.url)
+      .pathname;
+    fs.writeFileSync(inputPath, buffer);
+    reviewDiffs.mockClear();
+    reviewDiffs.mockImplementation(async ({ diffs }) =>
+      diffs.filter((diff) => diff.parameter === "wall_line_count"),
+    );
+    const optimize = async (...args) => {
+      const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+      try {
+        await runCli([
+          "node",
+          "slicer-copilot",
+          "--non-interactive",
+          "--review",
+          "--save-plan",
+          planPath,
+          "--mock-response",
+          mockPath,
+          ...args,
+          "optimize",
+          inputPath,
+        ]);
+      } finally {
+        spy.mockRestore();
+      }
+      return readPlan(planPath);
+    };
+
+    const dryRun = await optimize("--dry-run");
+    expect(reviewDiffs).not.toHaveBeenCalled();
+    expect(dryRun.response.changes.length).toBeGreaterThan(1);
+
+    const plan = await optimize("--output", path.join(tmpDir, "output.3mf"));
+    expect(plan.response.changes).toEqual([
+      expect.objectContaining({
+        parameter: "wall_line_count",
+        newValue: 4,
+        changeType: "absolute",
+      }),
+    ]);
+    expect(plan.response.globalRationale).toBe(dryRun.response.globalRationale);
+  });
+});
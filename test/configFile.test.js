@@ -0,0 +1,390 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, expect, it, vi } from "vitest";
+import {
+  CONFIG_FILE_NAME,
+  findConfigFiles,
+  loadConfigFile,
+  parseJsonc,
+  parseSettingValue,
+  setConfigValue,
+  userConfigPath,
+} from "../src/configFile.js";
+import { loadConfig } from "../src/config.js";
+import { formatConfigSettings } from "../src/utils/summary.js";
+import { runCli } from "../src/cli.js";
+import { createSample3mf } from "./fixtures/sample3mf.js";
+
+const mockResponse = JSON.parse(
+  fs.readFileSync(
+    new URL("./fixtures/mockResponse.json", import.meta.url),
+    "utf8",
+  ),
+);
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-config-"));
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data));
+}
+
+describe("config files", () => {
+  it("parses JSON with comments and trailing commas", () => {
+    expect(
+      parseJsonc(`{
+        // model for everyday prints
+        "model": "gpt-4o", /* block */
+        "url": "http://host/*not a comment*/",
+        "quote": "a \\"//\\" b,]",
+        "list": ["a", "b",],
+      }`),
+    ).toEqual({
+      model: "gpt-4o",
+      url: "http://host/*not a comment*/",
+      quote: 'a "//" b,]',
+      list: ["a", "b"],
+    });
+    expect(parseJsonc('{"a": 1} // trailing')).toEqual({ a: 1 });
+    expect(() => parseJsonc('{"a": 1} /* open')).not.toThrow();
+  });
+
+  it("layers user, project and profile settings", () => {
+    const dir = tempDir();
+    const nested = path.join(dir, "parts", "brackets");
+    fs.mkdirSync(nested, { recursive: true });
+    const userFile = path.join(dir, "user.rc");
+    const projectFile = path.join(dir, CONFIG_FILE_NAME);
+    writeJson(userFile, {
+      model: "gpt-4o",
+      temperature: 0.1,
+      profiles: { fast: { goal: "draft_fast", dryRun: true } },
+    });
+    writeJson(projectFile, {
+      temperature: 0.3,
+      profile: "strong",
+      profiles: {
+        fast: { dryRun: false },
+        strong: {
+          goal: "functional_strong",
+          lockedParameters: ["layer_height"],
+        },
+      },
+    });
+    const env = { SLICER_COPILOT_CONFIG: userFile };
+
+    expect(findConfigFiles({ cwd: nested, env })).toEqual([
+      { scope: "user", path: userFile },
+      { scope: "project", path: projectFile },
+    ]);
+    expect(loadConfigFile({ cwd: nested, env })).toEqual({
+      files: [
+        { scope: "user", path: userFile },
+        { scope: "project", path: projectFile },
+      ],
+      profile: "strong",
+      profiles: ["fast", "strong"],
+      settings: {
+        model: "gpt-4o",
+        temperature: 0.3,
+        goal: "functional_strong",
+        lockedParameters: ["layer_height"],
+      },
+      sources: {
+        model: userFile,
+        temperature: projectFile,
+        goal: `${projectFile} [strong]`,
+        lockedParameters: `${projectFile} [strong]`,
+      },
+    });
+
+    const fast = loadConfigFile({ cwd: nested, env, profile: "fast" });
+    expect(fast.settings).toMatchObject({ goal: "draft_fast", dryRun: false });
+    expect(fast.sources.dryRun).toBe(`${projectFile} [fast]`);
+    expect(() => loadConfigFile({ cwd: nested, env, profile: "x" })).toThrow(
+      'Unknown profile "x". Available: fast, strong',
+    );
+  });
+
+  it("works without config files", () => {
+    const dir = tempDir();
+    const env = { SLICER_COPILOT_CONFIG: path.join(dir, "missing.rc") };
+    expect(loadConfigFile({ cwd: "/", env })).toEqual({
+      files: [],
+      profile: null,
+      profiles: [],
+      settings: {},
+      sources: {},
+    });
+    expect(() => loadConfigFile({ cwd: "/", env, profile: "x" })).toThrow(
+      'Unknown profile "x". Available: none',
+    );
+    expect(userConfigPath({})).toBe(path.join(os.homedir(), CONFIG_FILE_NAME));
+    expect(Array.isArray(findConfigFiles())).toBe(true);
+  });
+
+  it("does not read the user file twice when it is also the project file", () => {
+    const dir = tempDir();
+    const file = path.join(dir, CONFIG_FILE_NAME);
+    writeJson(file, { model: "m" });
+    expect(
+      findConfigFiles({ cwd: dir, env: { SLICER_COPILOT_CONFIG: file } }),
+    ).toEqual([{ scope: "user", path: file }]);
+  });
+
+  it.each([
+    ["not json", "{", "Invalid JSON format"],
+    ["an array", "[]", "expected a JSON object"],
+    ["an unknown setting", '{"apiKey": "x"}', 'Unknown setting "apiKey"'],
+    [
+      "a wrong type",
+      '{"temperature": "hot"}',
+      '"temperature" must be a number',
+    ],
+    ["a bad list", '{"lockedParameters": [1]}', "must be a string[]"],
+    ["a bad flag", '{"force": "yes"}', '"force" must be a boolean'],
+    ["a bad profile name", '{"profile": 1}', '"profile" must be a string'],
+    ["bad profiles", '{"profiles": []}', '"profiles" must be an object'],
+    [
+      "a bad profile",
+      '{"profiles": {"a": 1}}',
+      'profile "a" must be an object',
+    ],
+    [
+      "a bad profile setting",
+      '{"profiles": {"a": {"model": 1}}}',
+      '"model" must be a string',
+    ],
+  ])("rejects a config file with %s", (_label, content, message) => {
+    const dir = tempDir();
+    const file = path.join(dir, "user.rc");
+    fs.writeFileSync(file, content);
+    expect(() =>
+      loadConfigFile({ cwd: "/", env: { SLICER_COPILOT_CONFIG: file } }),
+    ).toThrow(message);
+  });
+
+  it("converts command-line values to setting types", () => {
+    expect(parseSettingValue("temperature", "0.4")).toBe(0.4);
+    expect(parseSettingValue("force", "true")).toBe(true);
+    expect(parseSettingValue("dryRun", "false")).toBe(false);
+    expect(parseSettingValue("lockedParameters", "a, b,,c")).toEqual([
+      "a",
+      "b",
+      "c",
+    ]);
+    expect(parseSettingValue("model", "gpt-4o")).toBe("gpt-4o");
+    expect(() => parseSettingValue("timeout", "soon")).toThrow(
+      'Setting "timeout" expects a number, got "soon"',
+    );
+    expect(() => parseSettingValue("timeout", " ")).toThrow("expects a number");
+    expect(() => parseSettingValue("force", "yes")).toThrow(
+      "expects true or false",
+    );
+    expect(() => parseSettingValue("apiKey", "x")).toThrow(
+      'Unknown setting "apiKey"',
+    );
+  });
+
+  it("stores values at the top level or in a profile", () => {
+    const dir = tempDir();
+    const file = path.join(dir, "nested", "user.rc");
+    expect(setConfigValue({ filePath: file, key: "model", value: "m" })).toBe(
+      "m",
+    );
+    setConfigValue({
+      filePath: file,
+      key: "force",
+      value: "true",
+      profile: "p",
+    });
+    setConfigValue({
+      filePath: file,
+      key: "goal",
+      value: "draft_fast",
+      profile: "p",
+    });
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).toEqual({
+      model: "m",
+      profiles: { p: { force: true, goal: "draft_fast" } },
+    });
+  });
+
+  it("uses config file values after flags and the environment", () => {
+    const defaults = { model: "file-model", temperature: 0.5, maxRetries: 7 };
+    vi.stubEnv("OPENAI_MODEL", "env-model");
+    try {
+      expect(loadConfig({ provider: "openai" }, defaults)).toMatchObject({
+        model: "env-model",
+        temperature: 0.5,
+        maxRetries: 7,
+      });
+      expect(
+        loadConfig({ provider: "openai", model: "flag-model" }, defaults).model,
+      ).toBe("flag-model");
+    } finally {
+      vi.unstubAllEnvs();
+    }
+    expect(
+      loadConfig({ provider: "ollama" }, { model: "file-model" }).model,
+    ).toBe("file-model");
+  });
+
+  it("formats merged settings", () => {
+    const output = formatConfigSettings({
+      settings: { model: "gpt-4o", force: true },
+      sources: { model: "/home/u/.slicer-copilotrc", force: "p.rc [fast]" },
+    });
+    expect(output).toContain('"gpt-4o"');
+    expect(output).toContain("p.rc [fast]");
+    expect(output.indexOf("force")).toBeLessThan(output.indexOf("model"));
+    expect(formatConfigSettings({ settings: {}, sources: {} })).toContain(
+      "No settings in config files.",
+    );
+  });
+});
+
+describe("CLI config", () => {
+  async function runLogged(args) {
+    const logs = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...parts) => {
+      logs.push(parts.join(" "));
+    });
+    try {
+      await runCli(["node", "slicer-copilot", ...args]);
+    } finally {
+      spy.mockRestore();
+    }
+    return logs;
+  }
+
+  it("sets, gets and lists settings", async () => {
+    const dir = tempDir();
+    const userFile = path.join(dir, "user.rc");
+    vi.stubEnv("SLICER_COPILOT_CONFIG", userFile);
+    const cwd = vi.spyOn(process, "cwd").mockReturnValue(dir);
+    try {
+      expect((await runLogged(["config", "list"])).join("\n")).toContain(
+        `No config files found (user file: ${userFile})`,
+      );
+      await runLogged(["config", "set", "model", "gpt-4o"]);
+      await runLogged([
+        "--profile",
+        "fast",
+        "config",
+        "set",
+        "lockedParameters",
+        "layer_height,sparse_infill_density",
+      ]);
+      expect(JSON.parse(fs.readFileSync(userFile, "utf8")).profiles).toEqual({
+        fast: { lockedParameters: ["layer_height", "sparse_infill_density"] },
+      });
+      await runLogged(["config", "set", "--project", "language", "de"]);
+
+      expect(await runLogged(["config", "get", "model"])).toEqual(["gpt-4o"]);
+      expect(
+        await runLogged([
+          "--profile",
+          "fast",
+          "config",
+          "get",
+          "lockedParameters",
+        ]),
+      ).toEqual(['["layer_height","sparse_infill_density"]']);
+
+      const listed = (
+        await runLogged(["--profile", "fast", "config", "list"])
+      ).join("\n");
+      expect(listed).toContain("Konfigurationsdateien");
+      expect(listed).toContain("Aktives Profil: fast");
+      expect(listed).toContain("[fast]");
+
+      const json = JSON.parse(
+        (await runLogged(["config", "list", "--json"])).join("\n"),
+      );
+      expect(json.files).toEqual([
+        { scope: "user", path: userFile },
+        { scope: "project", path: path.join(dir, CONFIG_FILE_NAME) },
+      ]);
+      expect(json.profiles).toEqual(["fast"]);
+
+      expect((await runLogged(["config", "get", "goal"])).join("\n")).toContain(
+        "goal ist in keiner Konfigurationsdatei gesetzt",
+      );
+      expect(process.exitCode).toBe(1);
+      process.exitCode = 0;
+    } finally {
+      cwd.mockRestore();
+      vi.unstubAllEnvs();
+    }
+  });
+
+  it("reports invalid keys, values and profiles", async () => {
+    const dir = tempDir();
+    vi.stubEnv("SLICER_COPILOT_CONFIG", path.join(dir, "user.rc"));
+    try {
+      for (const args of [
+        ["config", "set", "temperature", "hot"],
+        ["config", "get", "apiKey"],
+        ["--profile", "missing", "config", "list"],
+      ]) {
+        const logs = await runLogged(args);
+        expect(logs.join("\n")).toContain("Error:");
+        expect(process.exitCode).toBe(1);
+        process.exitCode = 0;
+      }
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+
+  it("applies profile defaults to optimize", async () => {
+    const dir = tempDir();
+    const userFile = path.join(dir, "user.rc");
+    const inputPath = path.join(dir, "input.3mf");
+    const mockPath = path.join(dir, "mock.json");
+    fs.writeFileSync(inputPath, (await createSample3mf()).buffer);
+    writeJson(mockPath, mockResponse);
+    writeJson(userFile, {
+      profiles: {
+        fast: {
+          goal: "draft_fast",
+          lockedParameters: ["layer_height"],
+          dryRun: true,
+          force: true,
+        },
+      },
+    });
+    vi.stubEnv("SLICER_COPILOT_CONFIG", userFile);
+    vi.stubEnv("SLICER_COPILOT_PROFILE", "fast");
+    const chunks = [];
+    const writeSpy = vi
+      .spyOn(process.stdout, "write")
+      .mockImplementation((chunk) => {
+        chunks.push(String(chunk));
+        return true;
+      });
+    try {
+      await runCli([
+        "node",
+        "slicer-copilot",
+        "--output-format",
+        "json",
+        "--mock-response",
+        mockPath,
+        "optimize",
+        inputPath,
+      ]);
+    } finally {
+      writeSpy.mockRestore();
+      vi.unstubAllEnvs();
+    }
+
+    const report = JSON.parse(chunks.join(""));
+    expect(report.intent.primary_goal).toBe("draft_fast");
+    expect(report.intent.locked_parameters).toEqual(["layer_height"]);
+    expect(report.outputPath).toBeNull();
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, expect, it } from "vitest";
 import {
   GLOBAL_PROCESS_MAPPINGS,
+  formatExtraConfigValue,
   mapConfigToSettings,
 } from "../src/3mf/configMapping.js";
 
@@ -103,4 +104,12 @@ describe("configMapping", () => {
     });
     expect(result.travel_speed).toBe("180");
   });
+
+  it("formats typed additional values in config form", () => {
+    expect(formatExtraConfigValue("thick_bridges", false)).toBe("0");
+    expect(formatExtraConfigValue("ironing_flow", 12)).toBe("12%");
+    expect(formatExtraConfigValue("travel_speed", 220)).toBe(220);
+    expect(formatExtraConfigValue("seam_gap", "10%")).toBe("10%");
+    expect(formatExtraConfigValue("custom_flag", true)).toBe(true);
+  });
 });
@@ -418,7 +418,10 @@ describe("coverage extras", () => {
       result.updated.currentSettings.globalProcess.speeds.wall_outer,
     ).toBeCloseTo(60);
     expect(result.updated.currentSettings.globalProcess.fan_speed_percent).toBe(
-      150,
+      80,
+    );
+    expect(result.warnings).toContain(
+      "Skipping fan_speed_percent: 150 is outside the allowed range 0–100.",
     );
     expect(result.warnings.some((w) => w.includes("Object Missing"))).toBe(
       true,
@@ -485,7 +488,7 @@ describe("coverage extras", () => {
       result.warnings.some((w) => w.includes("Object wall_line_count")),
     ).toBe(true);
     expect(result.updated.currentSettings.globalProcess.nozzle_temp_c).toBe(
-      999,
+      245,
     );
   });
 
@@ -1,5 +1,16 @@
 import { describe, expect, it } from "vitest";
-import { FileFormatError } from "../src/errors.js";
+import {
+  EXIT_CODES,
+  FileFormatError,
+  LlmAuthError,
+  LlmRateLimitError,
+  LlmRequestError,
+  LlmSchemaUnsupportedError,
+  LlmServerError,
+  LlmTimeoutError,
+  createLlmRequestError,
+  exitCodeFor,
+} from "../src/errors.js";
 
 describe("FileFormatError", () => {
   it("defaults message when not provided", () => {
@@ -14,3 +25,43 @@ describe("FileFormatError", () => {
     expect(error.message).toBe("oops");
   });
 });
+
+describe("LLM request errors", () => {
+  const make = (status, message = "boom", retryAfterMs = null) =>
+    createLlmRequestError({ provider: "p", status, message, retryAfterMs });
+
+  it("maps HTTP statuses to typed errors with distinct exit codes", () => {
+    expect(make(401)).toBeInstanceOf(LlmAuthError);
+    expect(make(403).exitCode).toBe(EXIT_CODES.LLM_AUTH);
+    expect(make(408)).toBeInstanceOf(LlmTimeoutError);
+    expect(make(500)).toBeInstanceOf(LlmServerError);
+    expect(make(400, "response_format json_schema is not supported")).toEqual(
+      expect.any(LlmSchemaUnsupportedError),
+    );
+    expect(make(400, "bad model").name).toBe("LlmRequestError");
+    expect(make(404).exitCode).toBe(EXIT_CODES.LLM_REQUEST);
+
+    const codes = [401, 429, 408, 500, 400].map((status) =>
+      exitCodeFor(make(status, "schema")),
+    );
+    expect(new Set(codes).size).toBe(codes.length);
+  });
+
+  it("flags transient failures as retryable", () => {
+    const limited = make(429, "slow down", 2000);
+    expect(limited).toBeInstanceOf(LlmRateLimitError);
+    expect(limited).toBeInstanceOf(LlmRequestError);
+    expect(limited.retryable).toBe(true);
+    expect(limited.retryAfterMs).toBe(2000);
+    expect(limited.message).toBe("LLM request failed (p): slow down");
+    expect(make(503, "down", 500).retryAfterMs).toBe(500);
+    expect(make(null).retryable).toBe(true);
+    expect(make(401).retryable).toBe(false);
+    expect(make(400, "schema").retryable).toBe(false);
+  });
+
+  it("falls back to the general exit code for other errors", () => {
+    expect(exitCodeFor(new Error("x"))).toBe(EXIT_CODES.GENERAL);
+    expect(exitCodeFor(undefined)).toBe(EXIT_CODES.GENERAL);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, expect, it } from "vitest";
+import {
+  compareEstimates,
+  estimatePrint,
+  formatHours,
+} from "../src/apply/estimate.js";
+import { formatEstimate, formatWarnings } from "../src/utils/summary.js";
+import { createI18n } from "../src/i18n.js";
+import { stripAnsi } from "./fixtures/stripAnsi.js";
+
+const CUBE = {
+  bounding_box_mm: [20, 20, 20],
+  volume_mm3: 8000,
+  surface_area_mm2: 2400,
+};
+
+function makeNormalized({
+  filament = "Generic PLA",
+  family = "PLA",
+  geometry = CUBE,
+  overrides = {},
+  process = {},
+} = {}) {
+  return {
+    fileName: "demo.3mf",
+    projectSummary: {
+      printer: { name: "Bambu Lab X1 Carbon", nozzle_diameter_mm: 0.4 },
+      filaments: [{ id: "0", name: filament, material_family: family }],
+      plates: [
+        {
+          index: 0,
+          name: "Plate 1",
+          objects: [{ name: "Cube", plateIndex: 0, geometry }],
+        },
+      ],
+    },
+    currentSettings: {
+      globalProcess: {
+        layer_height_mm: 0.2,
+        wall_line_count: 2,
+        top_layers: 4,
+        bottom_layers: 4,
+        infill_density_percent: 15,
+        speeds: { wall_outer: 200, wall_inner: 300, infill: 270 },
+        ...process,
+      },
+      perObjectOverrides: overrides,
+    },
+  };
+}
+
+describe("estimatePrint", () => {
+  it("estimates time and filament from geometry and settings", () => {
+    expect(estimatePrint(makeNormalized())).toEqual({
+      printTimeHours: 0.17,
+      filamentGrams: 3.6,
+    });
+  });
+
+  it("returns null when no object has a volume", () => {
+    const geometry = { bounding_box_mm: [20, 20, 20] };
+    expect(estimatePrint(makeNormalized({ geometry }))).toBeNull();
+  });
+
+  it("uses the bounding box sides when the surface area is unknown", () => {
+    const geometry = { bounding_box_mm: [20, 20, 20], volume_mm3: 8000 };
+    expect(
+      estimatePrint(makeNormalized({ geometry })).filamentGrams,
+    ).toBeCloseTo(estimatePrint(makeNormalized()).filamentGrams, 0);
+  });
+
+  it("applies per-object overrides and denser infill", () => {
+    const base = estimatePrint(makeNormalized());
+    const finer = estimatePrint(
+      makeNormalized({
+        overrides: {
+          "0::Cube": {
+            plateIndex: 0,
+            objectName: "Cube",
+            layer_height_mm: 0.1,
+            speeds: { infill: 100 },
+          },
+        },
+      }),
+    );
+    const denser = estimatePrint(
+      makeNormalized({ process: { infill_density_percent: 100 } }),
+    );
+    expect(finer.printTimeHours).toBeGreaterThan(base.printTimeHours);
+    expect(denser.filamentGrams).toBeCloseTo(8000 * 0.00124, 1);
+  });
+
+  it("caps speeds at the filament's maximum volumetric speed", () => {
+    const generic = estimatePrint(
+      makeNormalized({ process: { internal_solid_infill_speed: "250" } }),
+    );
+    const tpu = estimatePrint(
+      makeNormalized({ filament: "Bambu TPU 95A @BBL X1C", family: "TPU" }),
+    );
+    expect(tpu.printTimeHours).toBeGreaterThan(generic.printTimeHours);
+    expect(tpu.filamentGrams).toBeLessThan(generic.filamentGrams);
+  });
+
+  it("uses the filament assigned to each object", () => {
+    const normalized = makeNormalized();
+    normalized.projectSummary.filaments.push({
+      id: "1",
+      name: "Bambu TPU 95A @BBL X1C",
+      material_family: "TPU",
+    });
+    const [plate] = normalized.projectSummary.plates;
+    plate.objects.push({ ...plate.objects[0], name: "Grip", filamentIndex: 1 });
+    const tpu = makeNormalized({
+      filament: "Bambu TPU 95A @BBL X1C",
+      family: "TPU",
+    });
+    const single = {
+      pla: estimatePrint(makeNormalized()),
+      tpu: estimatePrint(tpu),
+    };
+
+    expect(estimatePrint(normalized).filamentGrams).toBeCloseTo(
+      single.pla.filamentGrams + single.tpu.filamentGrams,
+      1,
+    );
+    expect(estimatePrint(normalized).printTimeHours).toBeGreaterThan(
+      single.pla.printTimeHours * 1.5,
+    );
+  });
+
+  it("returns null when an object lacks settings the estimate needs", () => {
+    for (const process of [
+      { layer_height_mm: undefined },
+      { layer_height_mm: 0 },
+      { wall_line_count: "" },
+      { infill_density_percent: "dense" },
+      { speeds: { wall_outer: 200, wall_inner: 300 } },
+    ]) {
+      expect(estimatePrint(makeNormalized({ process }))).toBeNull();
+    }
+  });
+
+  it("reads numeric strings and falls back to a 0.4 mm nozzle", () => {
+    const normalized = makeNormalized({
+      process: { wall_line_count: "2", infill_density_percent: "15%" },
+    });
+    delete normalized.projectSummary.printer.nozzle_diameter_mm;
+    expect(estimatePrint(normalized)).toEqual(estimatePrint(makeNormalized()));
+  });
+
+  it("falls back to the default density for unknown materials", () => {
+    const normalized = makeNormalized({ family: "Wood" });
+    delete normalized.projectSummary.filaments;
+    expect(estimatePrint(normalized).filamentGrams).toBe(3.6);
+  });
+});
+
+describe("compareEstimates", () => {
+  const i18n = createI18n("en");
+  const before = makeNormalized();
+  const after = makeNormalized({
+    process: { wall_line_count: 6, infill_density_percent: 60 },
+  });
+
+  it("returns both estimates without warnings when the intent allows it", () => {
+    const result = compareEstimates({ before, after, i18n });
+    expect(result.warnings).toEqual([]);
+    expect(result.after.filamentGrams).toBeGreaterThan(
+      result.before.filamentGrams,
+    );
+    expect(stripAnsi(formatEstimate(result, i18n))).toBe(
+      `ℹ Estimate: 0h 10m → ${formatHours(result.after.printTimeHours)} · 3.6 g → ${result.after.filamentGrams} g filament`,
+    );
+  });
+
+  it("warns when the optimized plan breaks the intent constraints", () => {
+    const result = compareEstimates({
+      before,
+      after,
+      intent: {
+        constraints: {
+          max_print_time_hours: 0.05,
+          material_saving_important: true,
+        },
+      },
+      i18n,
+    });
+
+    expect(result.warnings).toEqual([
+      {
+        category: "intentConstraint",
+        message: `Estimated print time ${formatHours(result.after.printTimeHours)} exceeds the 0h 03m limit.`,
+      },
+      {
+        category: "intentConstraint",
+        message: `Estimated filament use rises from 3.6 g to ${result.after.filamentGrams} g although material saving is important.`,
+      },
+    ]);
+    expect(stripAnsi(formatWarnings(result.warnings, i18n))).toContain(
+      "Intent constraints",
+    );
+  });
+
+  it("returns null when the project cannot be estimated", () => {
+    const geometry = { bounding_box_mm: [20, 20, 0], volume_mm3: 0 };
+    const project = makeNormalized({ geometry });
+    expect(compareEstimates({ before: project, after: project })).toBeNull();
+    const unknownLayers = makeNormalized({
+      process: { layer_height_mm: null },
+    });
+    expect(compareEstimates({ before, after: unknownLayers })).toBeNull();
+  });
+});
+
+describe("formatHours", () => {
+  it("formats hours as hours and zero-padded minutes", () => {
+    expect(formatHours(3.08)).toBe("3h 05m");
+    expect(formatHours(0)).toBe("0h 00m");
+  });
+});
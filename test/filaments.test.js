@@ -0,0 +1,137 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import {
+  BUILTIN_FILAMENTS,
+  findFilamentProfile,
+  readFilamentCatalog,
+} from "../src/knowledge/filaments.js";
+import { buildLlmRequestPayload } from "../src/llm/requestBuilder.js";
+
+function writeCatalog(content) {
+  const dir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "slicer-copilot-filaments-"),
+  );
+  const file = path.join(dir, "filaments.json");
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const ENTRY = {
+  material_family: "PETG",
+  nozzle_temp_c: [235, 255],
+  bed_temp_c: [70, 80],
+};
+
+describe("filament knowledge base", () => {
+  it("matches filament_settings_id with or without the printer suffix", () => {
+    expect(findFilamentProfile("Bambu PETG HF @BBL H2S")).toEqual({
+      profile: "Bambu PETG HF",
+      material_family: "PETG",
+      nozzle_temp_c: [230, 260],
+      bed_temp_c: [60, 80],
+      max_volumetric_speed_mm3_s: 21,
+      fan_speed_percent: [30, 80],
+      abrasive: false,
+    });
+    expect(findFilamentProfile("Bambu PLA Silk+ @BBL A1")?.profile).toBe(
+      "Bambu PLA Silk",
+    );
+    expect(findFilamentProfile("Bambu PA6-CF")?.abrasive).toBe(true);
+    expect(findFilamentProfile("Bambu ABS-GF @BBL X1C")).toBeNull();
+    expect(findFilamentProfile("Generic PLA")).toBeNull();
+    expect(findFilamentProfile(null)).toBeNull();
+  });
+
+  it("covers common Bambu filaments", () => {
+    expect(Object.keys(BUILTIN_FILAMENTS)).toEqual(
+      expect.arrayContaining([
+        "Bambu PLA Basic",
+        "Bambu PLA Matte",
+        "Bambu PLA Silk",
+        "Bambu PETG HF",
+        "Bambu PLA-CF",
+        "Bambu PA6-CF",
+        "Bambu TPU 95A",
+      ]),
+    );
+  });
+
+  it("merges user-defined filaments over the built-in ones", () => {
+    expect(readFilamentCatalog(undefined)).toBe(BUILTIN_FILAMENTS);
+    const catalog = readFilamentCatalog(
+      writeCatalog(
+        JSON.stringify({
+          "Polymaker PETG": { ...ENTRY, aliases: ["PolyLite PETG"] },
+          "Bambu PLA Basic": {
+            ...ENTRY,
+            material_family: "PLA",
+            fan_speed_percent: [60, 100],
+            max_volumetric_speed_mm3_s: 18,
+          },
+        }),
+      ),
+    );
+    expect(findFilamentProfile("PolyLite PETG", catalog)).toEqual({
+      profile: "Polymaker PETG",
+      ...ENTRY,
+      max_volumetric_speed_mm3_s: null,
+      fan_speed_percent: null,
+      abrasive: null,
+    });
+    expect(findFilamentProfile("Bambu PLA Basic", catalog)).toMatchObject({
+      fan_speed_percent: [60, 100],
+      max_volumetric_speed_mm3_s: 18,
+    });
+  });
+
+  it.each([
+    ["not json", "{", "Invalid JSON format"],
+    ["no family", JSON.stringify({ F: { ...ENTRY, material_family: 1 } })],
+    [
+      "a reversed range",
+      JSON.stringify({ F: { ...ENTRY, bed_temp_c: [80, 70] } }),
+    ],
+    [
+      "a short range",
+      JSON.stringify({ F: { ...ENTRY, nozzle_temp_c: [200] } }),
+    ],
+    [
+      "a bad fan range",
+      JSON.stringify({ F: { ...ENTRY, fan_speed_percent: 50 } }),
+    ],
+    [
+      "a bad volumetric speed",
+      JSON.stringify({ F: { ...ENTRY, max_volumetric_speed_mm3_s: "fast" } }),
+    ],
+  ])(
+    "rejects a catalogue with %s",
+    (_label, content, message = "Invalid filament catalogue") => {
+      expect(() => readFilamentCatalog(writeCatalog(content))).toThrow(message);
+    },
+  );
+
+  it("adds known filament properties to the request payload", () => {
+    const payload = buildLlmRequestPayload({
+      normalized: {
+        fileName: "demo.3mf",
+        projectSummary: {
+          printer: { name: "Bambu Lab A1" },
+          filaments: [
+            { id: "0", name: "Bambu PLA-CF @BBL A1", material_family: "PLA" },
+            { id: "1", name: "Generic PLA", material_family: "PLA" },
+          ],
+        },
+        currentSettings: { globalProcess: {}, perObjectOverrides: {} },
+      },
+      userIntent: null,
+    });
+    const [known, unknown] = payload.projectSummary.filaments;
+    expect(known).toMatchObject({
+      name: "Bambu PLA-CF @BBL A1",
+      properties: { profile: "Bambu PLA-CF", abrasive: true },
+    });
+    expect(unknown.properties).toBeNull();
+  });
+});
@@ -0,0 +1,11 @@
+import { stripVTControlCharacters } from "util";
+
+/**
+ * Remove terminal colors so formatted output can be matched as plain text.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function stripAnsi(value) {
+  return stripVTControlCharacters(value);
+}
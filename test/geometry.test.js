@@ -0,0 +1,234 @@
+import { describe, expect, it } from "vitest";
+import JSZip from "jszip";
+import {
+  buildGeometryFromBounding,
+  readModelGeometry,
+} from "../src/3mf/geometry.js";
+import { parse3mfBuffer } from "../src/3mf/parser.js";
+
+const CUBE_VERTICES = [
+  [0, 0, 0],
+  [10, 0, 0],
+  [10, 10, 0],
+  [0, 10, 0],
+  [0, 0, 10],
+  [10, 0, 10],
+  [10, 10, 10],
+  [0, 10, 10],
+];
+const CUBE_TRIANGLES = [
+  [0, 2, 1],
+  [0, 3, 2],
+  [4, 5, 6],
+  [4, 6, 7],
+  [0, 1, 5],
+  [0, 5, 4],
+  [1, 2, 6],
+  [1, 6, 5],
+  [2, 3, 7],
+  [2, 7, 6],
+  [3, 0, 4],
+  [3, 4, 7],
+];
+
+function cubeMesh() {
+  const vertices = CUBE_VERTICES.map(
+    ([x, y, z]) => `<vertex x="${x}" y="${y}" z="${z}"/>`,
+  ).join("");
+  const triangles = CUBE_TRIANGLES.map(
+    ([a, b, c]) => `<triangle v1="${a}" v2="${b}" v3="${c}"/>`,
+  ).join("");
+  return `<mesh><vertices>${vertices}</vertices><triangles>${triangles}</triangles></mesh>`;
+}
+
+function modelXml({ unit = "millimeter", resources, build = "" }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="${unit}" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02" xmlns:p="http://schemas.microsoft.com/3dmanufacturing/production/2015/06">
+  <resources>${resources}</resources>
+  <build>${build}</build>
+</model>`;
+}
+
+async function zipWith(files) {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.file(name, content);
+  }
+  return zip;
+}
+
+describe("readModelGeometry", () => {
+  it("follows components into object files and applies transforms", async () => {
+    const zip = await zipWith({
+      "3D/Objects/object_1.model": modelXml({
+        resources: `<object id="1" type="model">${cubeMesh()}</object>`,
+      }),
+      "3D/3dmodel.model": modelXml({
+        resources: `<object id="2" name="Tower" type="model"><components>
+          <component p:path="/3D/Objects/object_1.model" objectid="1" transform="1 0 0 0 1 0 0 0 5 0 0 0"/>
+        </components></object>`,
+        build: `<item objectid="2" transform="1 0 0 0 1 0 0 0 1 128 128 0"/>
+          <item objectid="2" transform="1 0 0 0 1 0 0 0 1 20 20 0"/>`,
+      }),
+    });
+
+    const objects = await readModelGeometry(zip);
+    expect(objects).toHaveLength(1);
+    expect(objects[0]).toMatchObject({
+      objectId: "2",
+      name: "Tower",
+      instanceCount: 2,
+    });
+    expect(objects[0].geometry).toEqual({
+      bounding_box_mm: [10, 10, 50],
+      max_dimension_mm: 50,
+      min_dimension_mm: 10,
+      height_to_min_footprint_ratio: 5,
+      is_slender: true,
+      triangle_count: 12,
+      volume_mm3: 5000,
+      footprint_mm2: 100,
+      surface_area_mm2: 2200,
+    });
+  });
+
+  it("composes rotations with translations and nested components", async () => {
+    const zip = await zipWith({
+      "3D/3dmodel.model": modelXml({
+        resources: `<object id="1">${cubeMesh()}</object>
+          <object id="2"><components>
+            <component objectid="1" transform="1 0 0 0 1 0 0 0 1 0 0 10"/>
+          </components></object>
+          <object id="3"><components>
+            <component objectid="2" transform="0 0 1 0 1 0 -1 0 0 0 0 0"/>
+          </components></object>`,
+        build: `<item objectid="3"/>`,
+      }),
+    });
+
+    const [object] = await readModelGeometry(zip);
+    expect(object.name).toBe("Object 3");
+    expect(object.geometry.bounding_box_mm).toEqual([10, 10, 10]);
+    expect(object.geometry.volume_mm3).toBe(1000);
+  });
+
+  it("skips components that refer back to an object on their path", async () => {
+    const zip = await zipWith({
+      "3D/3dmodel.model": modelXml({
+        resources: `<object id="1">${cubeMesh()}<components>
+            <component objectid="1" transform="1 0 0 0 1 0 0 0 1 0 0 10"/>
+          </components></object>
+          <object id="2"><components>
+            <component p:path="/3D/Objects/loop.model" objectid="5"/>
+          </components></object>`,
+        build: `<item objectid="1"/><item objectid="2"/>`,
+      }),
+      "3D/Objects/loop.model": modelXml({
+        resources: `<object id="5"><components>
+            <component objectid="1"/>
+            <component p:path="/3D/3dmodel.model" objectid="2"/>
+          </components></object>
+          <object id="1">${cubeMesh()}</object>`,
+      }),
+    });
+
+    const [self, mutual] = await readModelGeometry(zip);
+    expect(self.geometry.bounding_box_mm).toEqual([10, 10, 10]);
+    expect(mutual.geometry.volume_mm3).toBe(1000);
+  });
+
+  it("scales non-millimeter units", async () => {
+    const zip = await zipWith({
+      "3D/3dmodel.model": modelXml({
+        unit: "centimeter",
+        resources: `<object id="1" name="Big">${cubeMesh()}</object>`,
+        build: `<item objectid="1" transform="not a transform"/>`,
+      }),
+    });
+
+    const [object] = await readModelGeometry(zip);
+    expect(object.geometry.bounding_box_mm).toEqual([100, 100, 100]);
+    expect(object.geometry.volume_mm3).toBe(1_000_000);
+    expect(object.geometry.surface_area_mm2).toBe(60_000);
+  });
+
+  it("tolerates missing models, objects and malformed meshes", async () => {
+    expect(await readModelGeometry(await zipWith({}))).toEqual([]);
+    expect(
+      await readModelGeometry(
+        await zipWith({ "3D/3dmodel.model": "<other></other>" }),
+      ),
+    ).toEqual([]);
+
+    const zip = await zipWith({
+      "3D/3dmodel.model": modelXml({
+        unit: "parsec",
+        resources: `<object id="1"><mesh><vertices>
+            <vertex x="0" y="0" z="0"/><vertex x="4" y="2" z="1"/>
+          </vertices><triangles>
+            <triangle v1="0" v2="1" v3="7"/>
+          </triangles></mesh></object>
+          <object id="2"><mesh><vertices></vertices></mesh></object>
+          <object id="3"><components>
+            <component p:path="/3D/Objects/missing.model" objectid="1"/>
+          </components></object>`,
+        build: `<item objectid="1"/><item objectid="2"/><item objectid="3"/><item objectid="9"/>`,
+      }),
+    });
+
+    const objects = await readModelGeometry(zip);
+    expect(objects.map((o) => o.objectId)).toEqual(["1", "2", "3", "9"]);
+    expect(objects[0].geometry).toMatchObject({
+      bounding_box_mm: [4, 2, 1],
+      triangle_count: 0,
+      volume_mm3: 0,
+    });
+    expect(objects[1].geometry).toBeNull();
+    expect(objects[2].geometry).toBeNull();
+    expect(objects[3].geometry).toBeNull();
+  });
+});
+
+describe("buildGeometryFromBounding", () => {
+  it("returns null without a bounding box and avoids dividing by zero", () => {
+    expect(buildGeometryFromBounding(undefined)).toBeNull();
+    expect(buildGeometryFromBounding([10, 10, 0])).toMatchObject({
+      height_to_min_footprint_ratio: null,
+      is_slender: false,
+    });
+  });
+});
+
+describe("parse3mfBuffer geometry", () => {
+  const model = modelXml({
+    resources: `<object id="1" name="Cube">${cubeMesh()}</object>`,
+    build: `<item objectid="1"/>`,
+  });
+
+  it("creates a default plate from model objects when metadata has none", async () => {
+    const zip = await zipWith({ "3D/3dmodel.model": model });
+    const buffer = await zip.generateAsync({ type: "nodebuffer" });
+    const parsed = await parse3mfBuffer(buffer, "model-only.3mf");
+
+    const [plate] = parsed.normalized.projectSummary.plates;
+    expect(plate).toMatchObject({ index: 0, name: "Plate 1" });
+    expect(plate.objects[0]).toMatchObject({ name: "Cube", plateIndex: 0 });
+    expect(plate.objects[0].geometry.triangle_count).toBe(12);
+  });
+
+  it("fills missing plate object geometry by name", async () => {
+    const metadata = {
+      plates: [{ objects: [{ name: "Cube" }, { name: "Ghost" }] }],
+    };
+    const zip = await zipWith({
+      "3D/3dmodel.model": model,
+      "metadata.json": JSON.stringify(metadata),
+    });
+    const buffer = await zip.generateAsync({ type: "nodebuffer" });
+    const parsed = await parse3mfBuffer(buffer, "named.3mf");
+
+    const [cube, ghost] = parsed.normalized.projectSummary.plates[0].objects;
+    expect(cube.geometry.bounding_box_mm).toEqual([10, 10, 10]);
+    expect(ghost.geometry).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+import JSZip from "jszip";
+import { describe, expect, it } from "vitest";
+import {
+  HISTORY_PATH,
+  appendHistory,
+  createHistoryEntry,
+  findHistoryRun,
+  readHistory,
+} from "../src/3mf/history.js";
+import { FileFormatError } from "../src/errors.js";
+import { formatHistory, formatHistoryRun } from "../src/utils/summary.js";
+import { stripAnsi } from "./fixtures/stripAnsi.js";
+
+const DIFF = {
+  scope: "global",
+  target: null,
+  parameter: "wall_line_count",
+  from: 2,
+  to: 3,
+  reason: "stronger walls",
+};
+
+function planEntry() {
+  return createHistoryEntry({
+    command: "apply",
+    changes: [DIFF],
+    source: { fileName: "bracket.3mf", sha256: "abc" },
+  });
+}
+
+describe("createHistoryEntry", () => {
+  it("records the tool version, model and normalized warnings", () => {
+    const entry = createHistoryEntry({
+      command: "optimize",
+      llm: { provider: "openai", model: "gpt-4.1", apiKey: "secret" },
+      intent: { primary_goal: "functional" },
+      changes: [DIFF],
+      rationale: "Stronger part.",
+      warnings: ["Slower print.", { category: "safetyClamped", message: "x" }],
+      source: { fileName: "bracket.3mf", sha256: "abc" },
+    });
+
+    expect(entry).toEqual({
+      createdAt: expect.any(String),
+      toolVersion: expect.stringMatching(/^\d+\.\d+\.\d+/),
+      command: "optimize",
+      provider: "openai",
+      model: "gpt-4.1",
+      intent: { primary_goal: "functional" },
+      changes: [DIFF],
+      rationale: "Stronger part.",
+      warnings: [
+        { category: "general", message: "Slower print." },
+        { category: "safetyClamped", message: "x" },
+      ],
+      source: { fileName: "bracket.3mf", sha256: "abc" },
+    });
+    expect(planEntry()).toMatchObject({
+      provider: null,
+      model: null,
+      intent: null,
+      rationale: null,
+      warnings: [],
+    });
+  });
+});
+
+describe("readHistory and appendHistory", () => {
+  it("numbers runs and keeps earlier ones", async () => {
+    const zip = new JSZip();
+    expect(await readHistory(zip)).toEqual([]);
+
+    await appendHistory(zip, planEntry());
+    const runs = await appendHistory(zip, planEntry());
+
+    expect(runs.map((entry) => entry.run)).toEqual([1, 2]);
+    expect(await readHistory(zip)).toEqual(runs);
+    expect(JSON.parse(await zip.file(HISTORY_PATH).async("string"))).toEqual({
+      version: 1,
+      runs,
+    });
+    expect(findHistoryRun(runs, 2)).toBe(runs[1]);
+    expect(findHistoryRun(runs, 3)).toBeNull();
+  });
+
+  it("rejects unreadable or unsupported history files", async () => {
+    const zip = new JSZip();
+    zip.file(HISTORY_PATH, "{oops");
+    await expect(readHistory(zip)).rejects.toThrow(FileFormatError);
+
+    zip.file(HISTORY_PATH, JSON.stringify({ version: 2, runs: [] }));
+    await expect(readHistory(zip)).rejects.toThrow(
+      `Unsupported history format in ${HISTORY_PATH}`,
+    );
+  });
+});
+
+describe("formatHistory", () => {
+  it("lists runs and reports an empty history", () => {
+    const output = stripAnsi(
+      formatHistory([
+        { run: 1, ...planEntry() },
+        { run: 2, ...planEntry(), intent: { primary_goal: "draft" } },
+      ]),
+    );
+    expect(output).toContain("saved plan");
+    expect(output).toContain("draft");
+    const recorded = createHistoryEntry({
+      command: "apply",
+      llm: { provider: "openai", model: "gpt-4.1" },
+      changes: [DIFF],
+      source: { fileName: "bracket.3mf", sha256: "abc" },
+    });
+    expect(stripAnsi(formatHistoryRun({ run: 3, ...recorded }))).toContain(
+      "saved plan (openai/gpt-4.1)",
+    );
+    expect(stripAnsi(formatHistory([]))).toContain(
+      "No optimization runs are recorded in this project.",
+    );
+  });
+
+  it("shows a run's changes without empty rationale or warnings", () => {
+    const output = stripAnsi(formatHistoryRun({ run: 1, ...planEntry() }));
+    expect(output).toContain("Run 1 ·");
+    expect(output).toContain("from bracket.3mf");
+    expect(output).toContain("2 → 3");
+    expect(output).not.toContain("Strategy");
+    expect(output).not.toContain("Warnings");
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { buildInspectReport } from "../src/3mf/inspect.js";
+import { parse3mfBuffer } from "../src/3mf/parser.js";
+import { formatInspectReport } from "../src/utils/summary.js";
+import { createSample3mf } from "./fixtures/sample3mf.js";
+
+async function parseSample() {
+  const { buffer } = await createSample3mf();
+  const parsed = await parse3mfBuffer(buffer, "sample.3mf");
+  return {
+    ...parsed,
+    plateImages: [
+      { plateIndex: 0, name: "Metadata/plate_1.png", dataUrl: "data:" },
+      { plateIndex: null, name: "Metadata/top.png", dataUrl: "data:" },
+    ],
+  };
+}
+
+describe("buildInspectReport", () => {
+  it("lists sources, images and user-modified settings without payloads", async () => {
+    const parsed = await parseSample();
+    const report = buildInspectReport(parsed);
+
+    expect(report.fileName).toBe("sample.3mf");
+    expect(report.sources).toEqual({
+      metadata: parsed.metadataPath,
+      config: parsed.configPath,
+      modelSettings: null,
+    });
+    expect(report.plateImages).toEqual([
+      { plateIndex: 0, name: "Metadata/plate_1.png" },
+      { plateIndex: null, name: "Metadata/top.png" },
+    ]);
+    expect(report.userModifiedSettings).toEqual(
+      parsed.normalized.userModifiedSettings,
+    );
+    expect(report.normalized).toBe(parsed.normalized);
+    expect(report).not.toHaveProperty("rawConfig");
+  });
+
+  it("includes the raw config on request", async () => {
+    const parsed = await parseSample();
+    const report = buildInspectReport(
+      {
+        ...parsed,
+        modelSettingsPath: undefined,
+        normalized: { ...parsed.normalized, userModifiedSettings: undefined },
+      },
+      { rawConfig: true },
+    );
+
+    expect(report.rawConfig).toBe(parsed.configData);
+    expect(report.sources.modelSettings).toBeNull();
+    expect(report.userModifiedSettings).toEqual([]);
+  });
+});
+
+describe("formatInspectReport", () => {
+  const i18n = { t: (key) => key };
+
+  it("renders sources, images and the normalized model", async () => {
+    const report = buildInspectReport(await parseSample());
+    const output = formatInspectReport(report, i18n);
+
+    expect(output).toContain("projectSummaryTitle");
+    expect(output).toContain("Metadata/plate_1.png @p0");
+    expect(output).toContain("Metadata/top.png");
+    expect(output).toContain("noneValue");
+    expect(output).toContain("inspectNormalizedLabel");
+    expect(output).not.toContain("inspectRawConfigLabel");
+  });
+
+  it("appends the raw config section when present", async () => {
+    const report = buildInspectReport(await parseSample(), {
+      rawConfig: true,
+    });
+
+    expect(formatInspectReport(report)).toContain("Raw config");
+  });
+});
@@ -156,6 +156,21 @@ describe("intent helpers", () => {
     expect(provided).not.toHaveProperty("change_aggressiveness");
   });
 
+  it("converts numeric time limits and rejects invalid ones", () => {
+    const limit = (value) =>
+      normalizeIntent({ constraints: { max_print_time_hours: value } })
+        .constraints.max_print_time_hours;
+    expect(limit(6)).toBe(6);
+    expect(limit(" 2.5 ")).toBe(2.5);
+    expect(limit(null)).toBeNull();
+    expect(limit(undefined)).toBeUndefined();
+    for (const value of ["six", "", 0, -1, true]) {
+      expect(() => limit(value)).toThrow(
+        `Invalid max_print_time_hours ${JSON.stringify(value)}: expected a positive number of hours or null.`,
+      );
+    }
+  });
+
   it("rejects on Ctrl+C during selection", async () => {
     const input = new PassThrough();
     input.isTTY = true;
@@ -66,4 +66,26 @@ describe("parseLlmResponse", () => {
     });
     expect(parsed.changes[0].scope).toBe("global");
   });
+
+  it("accepts the supported change types and rejects others", () => {
+    const parsed = parseLlmResponse({
+      changes: [
+        { parameter: "bed_temp_c", newValue: 5, changeType: "delta" },
+        { parameter: "bed_temp_c", newValue: -10, changeType: "percent" },
+        { parameter: "bed_temp_c", newValue: 60 },
+      ],
+    });
+    expect(parsed.changes.map((change) => change.changeType)).toEqual([
+      "delta",
+      "percent",
+      "absolute",
+    ]);
+    expect(() =>
+      parseLlmResponse({
+        changes: [
+          { parameter: "bed_temp_c", newValue: 2, changeType: "multiply" },
+        ],
+      }),
+    ).toThrow("Unsupported changeType multiply for change bed_temp_c.");
+  });
 });
@@ -0,0 +1,284 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import JSZip from "jszip";
+import { describe, expect, it } from "vitest";
+import {
+  MODEL_SETTINGS_PATH,
+  parseModelSettings,
+  updateModelSettings,
+} from "../src/3mf/modelSettings.js";
+import { parse3mfBuffer } from "../src/3mf/parser.js";
+import { buildObjectConfigs, write3mf } from "../src/3mf/writer.js";
+import { applyLlmChanges } from "../src/apply/changes.js";
+
+const MODEL_SETTINGS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<config>
+  <object id="2">
+    <metadata key="name" value="Bracket &amp; Arm"/>
+    <metadata key="extruder" value="1"/>
+    <metadata key="wall_loops" value="4"/>
+    <metadata key="sparse_infill_density" value="30%"/>
+    <part id="1" subtype="normal_part">
+      <metadata key="name" value="Bracket"/>
+    </part>
+  </object>
+  <object id="4">
+    <metadata key="name" value="Tower"/>
+    <part id="1" subtype="normal_part">
+      <metadata key="name" value="Tower"/>
+    </part>
+  </object>
+  <plate>
+    <metadata key="plater_id" value="1"/>
+    <metadata key="plater_name" value=""/>
+    <model_instance>
+      <metadata key="object_id" value="2"/>
+      <metadata key="instance_id" value="0"/>
+    </model_instance>
+    <model_instance>
+      <metadata key="object_id" value="2"/>
+      <metadata key="instance_id" value="1"/>
+    </model_instance>
+  </plate>
+  <plate>
+    <metadata key="plater_id" value="2"/>
+    <metadata key="plater_name" value="Towers"/>
+    <model_instance>
+      <metadata key="object_id" value="4"/>
+    </model_instance>
+  </plate>
+</config>
+`;
+
+const CORE_MODEL_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter">
+  <resources>
+    <object id="4"><mesh><vertices>
+      <vertex x="0" y="0" z="0"/><vertex x="5" y="5" z="40"/>
+    </vertices></mesh></object>
+  </resources>
+  <build><item objectid="2"/><item objectid="4"/></build>
+</model>`;
+
+async function createBambuProject() {
+  const zip = new JSZip();
+  zip.file(MODEL_SETTINGS_PATH, MODEL_SETTINGS_XML);
+  zip.file("Metadata/slice_info.config", "<config></config>");
+  zip.file(
+    "Metadata/project_settings.config",
+    JSON.stringify({ layer_height: "0.2", wall_loops: ["2"] }),
+  );
+  zip.file("3D/3dmodel.model", CORE_MODEL_XML);
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+describe("parseModelSettings", () => {
+  it("reads objects, per-object config and plate membership", () => {
+    const settings = parseModelSettings(MODEL_SETTINGS_XML);
+
+    expect(settings.objects.get("2")).toEqual({
+      id: "2",
+      name: "Bracket & Arm",
+      config: {
+        extruder: "1",
+        wall_loops: "4",
+        sparse_infill_density: "30%",
+      },
+    });
+    expect(settings.plates).toEqual([
+      { index: 0, name: "Plate 1", objectIds: ["2"], config: {} },
+      { index: 1, name: "Towers", objectIds: ["4"], config: {} },
+    ]);
+  });
+
+  it("tolerates documents without config, ids or plate numbers", () => {
+    expect(parseModelSettings("<other/>")).toEqual({
+      objects: new Map(),
+      plates: [],
+    });
+
+    const settings = parseModelSettings(`<config>
+      <object><metadata key="name"/><metadata value="orphan"/></object>
+      <object id="7"></object>
+      <plate><model_instance><metadata key="instance_id" value="0"/></model_instance></plate>
+    </config>`);
+    expect(settings.objects.get(undefined)).toEqual({
+      id: undefined,
+      name: "",
+      config: {},
+    });
+    expect(settings.objects.get("7").name).toBeNull();
+    expect(settings.plates).toEqual([
+      { index: 0, name: "Plate 1", objectIds: [], config: {} },
+    ]);
+  });
+});
+
+describe("updateModelSettings", () => {
+  it("updates existing metadata and inserts new keys after it", () => {
+    const xml = updateModelSettings(
+      MODEL_SETTINGS_XML,
+      new Map([
+        ["2", { wall_loops: "6", top_shell_layers: "5" }],
+        ["9", { wall_loops: "1" }],
+      ]),
+    );
+    const settings = parseModelSettings(xml);
+
+    expect(settings.objects.get("2").config).toMatchObject({
+      wall_loops: "6",
+      top_shell_layers: "5",
+    });
+    expect(settings.objects.get("2").name).toBe("Bracket & Arm");
+    expect(settings.objects.get("4").config).toEqual({});
+    expect(xml.indexOf('key="top_shell_layers"')).toBeLessThan(
+      xml.indexOf("<part"),
+    );
+    expect(xml).toContain('<metadata key="name" value="Bracket"/>');
+  });
+
+  it("returns an empty document when there is no config node", () => {
+    expect(updateModelSettings("<other/>", new Map()).trim()).toBe("<other/>");
+    expect(
+      updateModelSettings(
+        "<config><object id='1'></object></config>",
+        new Map([["1", { wall_loops: "3" }]]),
+      ),
+    ).toContain('<metadata key="wall_loops" value="3"/>');
+  });
+});
+
+describe("model_settings.config round trip", () => {
+  it("builds plates and per-object overrides from model settings", async () => {
+    const parsed = await parse3mfBuffer(await createBambuProject(), "p.3mf");
+    const { plates } = parsed.normalized.projectSummary;
+
+    expect(parsed.modelSettingsPath).toBe(MODEL_SETTINGS_PATH);
+    expect(parsed.configPath).toBe("Metadata/project_settings.config");
+    expect(plates.map((plate) => plate.name)).toEqual(["Plate 1", "Towers"]);
+    expect(plates[0].objects[0]).toMatchObject({
+      name: "Bracket & Arm",
+      objectId: "2",
+      plateIndex: 0,
+      filamentIndex: 0,
+      geometry: null,
+    });
+    expect(plates[1].objects[0].geometry.bounding_box_mm).toEqual([5, 5, 40]);
+    expect(plates[1].objects[0]).not.toHaveProperty("filamentIndex");
+    expect(plates[1].objects[0].settings).toBeUndefined();
+    expect(parsed.normalized.currentSettings.perObjectOverrides).toEqual({
+      "0::Bracket & Arm": {
+        plateIndex: 0,
+        objectName: "Bracket & Arm",
+        wall_line_count: 4,
+        infill_density_percent: 30,
+      },
+    });
+  });
+
+  it("writes object-scope changes back into model_settings.config", async () => {
+    const parsed = await parse3mfBuffer(await createBambuProject(), "p.3mf");
+    const { updated } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "object",
+            target: { objectName: "Bracket & Arm", plateIndex: 0 },
+            parameter: "wall_line_count",
+            newValue: 6,
+            changeType: "absolute",
+          },
+          {
+            scope: "object",
+            target: { objectName: "Tower", plateIndex: 1 },
+            parameter: "speeds.wall_outer",
+            newValue: 30,
+            changeType: "absolute",
+          },
+        ],
+      },
+      respectUserSettings: false,
+    });
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "model-settings-"));
+    const output = path.join(tmpDir, "out.3mf");
+    await write3mf({ ...parsed, normalized: updated }, output);
+
+    const outZip = await JSZip.loadAsync(fs.readFileSync(output));
+    const written = parseModelSettings(
+      await outZip.file(MODEL_SETTINGS_PATH).async("string"),
+    );
+    expect(written.objects.get("2").config).toMatchObject({
+      extruder: "1",
+      wall_loops: "6",
+      sparse_infill_density: "30%",
+    });
+    expect(written.objects.get("4").config).toEqual({ outer_wall_speed: "30" });
+
+    const reparsed = await parse3mfBuffer(fs.readFileSync(output), "out.3mf");
+    const overrides = reparsed.normalized.currentSettings.perObjectOverrides;
+    expect(overrides["0::Bracket & Arm"]).toMatchObject({
+      wall_line_count: 6,
+      infill_density_percent: 30,
+    });
+    expect(overrides["1::Tower"].speeds).toEqual({ wall_outer: 30 });
+    expect(
+      reparsed.normalized.currentSettings.globalProcess.layer_height_mm,
+    ).toBe(0.2);
+  });
+});
+
+describe("buildObjectConfigs", () => {
+  it("serializes process overrides and skips filament and printer keys", () => {
+    const plates = [
+      {
+        index: 0,
+        objects: [
+          { name: "A", objectId: "1" },
+          { name: "B", objectId: "2" },
+          { name: "C", objectId: "3" },
+          { name: "Legacy" },
+        ],
+      },
+    ];
+    const configs = buildObjectConfigs({
+      projectSummary: { plates },
+      currentSettings: {
+        perObjectOverrides: {
+          "0::A": {
+            plateIndex: 0,
+            objectName: "A",
+            infill_density_percent: 20,
+            nozzle_temp_c: 230,
+            filament_flow_ratio: 0.95,
+            seam_position: "back",
+            support_type: null,
+            speeds: { infill: 120, wall_outer: null },
+            adhesion_type: "brim",
+          },
+          "0::B": {
+            plateIndex: 0,
+            objectName: "B",
+            adhesion_type: "raft",
+            raft_layers: 3,
+            fan_speed_percent: 50,
+          },
+          "0::Legacy": { wall_line_count: 3 },
+        },
+      },
+    });
+
+    expect(configs.get("1")).toEqual({
+      sparse_infill_density: "20%",
+      sparse_infill_speed: "120",
+      seam_position: "back",
+      brim_width: "5",
+      raft_layers: "0",
+    });
+    expect(configs.get("2")).toEqual({ brim_width: "0", raft_layers: "3" });
+    expect(configs.has("3")).toBe(false);
+    expect(configs.size).toBe(2);
+  });
+});
@@ -0,0 +1,452 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import JSZip from "jszip";
+import { describe, expect, it } from "vitest";
+import {
+  countFilamentSlots,
+  mapFilamentSettings,
+  mapMaterialFamily,
+} from "../src/3mf/configMapping.js";
+import { parse3mfBuffer } from "../src/3mf/parser.js";
+import { write3mf } from "../src/3mf/writer.js";
+import { applyLlmChanges } from "../src/apply/changes.js";
+import { enforceSafetyLimits } from "../src/apply/safetyLimits.js";
+import { parseLlmResponse } from "../src/llm/responseValidator.js";
+import { formatDiffs } from "../src/utils/summary.js";
+import { stripAnsi } from "./fixtures/stripAnsi.js";
+
+const CONFIG_PATH = "Metadata/project_settings.config";
+
+const AMS_CONFIG = {
+  printer_model: "Bambu Lab X1 Carbon",
+  layer_height: "0.2",
+  filament_settings_id: [
+    "Bambu PLA Basic @BBL X1C",
+    "Bambu PETG HF @BBL X1C",
+    "",
+    "Generic PLA Silk",
+  ],
+  filament_type: ["PLA", "PETG-CF", "TPU", "PLA"],
+  filament_vendor: ["Bambu Lab", "Bambu Lab", "Generic", "Generic"],
+  filament_colour: ["#FFFFFF", "#000000", "#FF0000", "#00FF00"],
+  nozzle_temperature: ["220", "255", "230", "215"],
+  nozzle_temperature_initial_layer: ["220", "250", "230", "215"],
+  filament_flow_ratio: ["0.98", "0.95", "1", "0.98"],
+  filament_max_volumetric_speed: ["21", "18", "3.6", "12"],
+  fan_max_speed: ["100", "40", "100", "80"],
+  nozzle_diameter: ["0.4"],
+};
+
+async function createAmsProject(config = AMS_CONFIG) {
+  const zip = new JSZip();
+  zip.file(CONFIG_PATH, JSON.stringify(config));
+  return parse3mfBuffer(
+    await zip.generateAsync({ type: "nodebuffer" }),
+    "ams.3mf",
+  );
+}
+
+async function writeAndReadConfig(parsed, normalized) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "multi-filament-"));
+  const output = path.join(tmpDir, "out.3mf");
+  await write3mf({ ...parsed, normalized }, output);
+  const zip = await JSZip.loadAsync(fs.readFileSync(output));
+  return JSON.parse(await zip.file(CONFIG_PATH).async("string"));
+}
+
+describe("filament config mapping", () => {
+  it("counts slots and maps per-slot filament settings", () => {
+    expect(countFilamentSlots(undefined)).toBe(0);
+    expect(countFilamentSlots({ filament_type: "PLA" })).toBe(0);
+    expect(countFilamentSlots(AMS_CONFIG)).toBe(4);
+
+    expect(
+      mapFilamentSettings({
+        filament_type: ["PLA", "PETG"],
+        nozzle_temperature: ["210", "bad"],
+        fan_max_speed: "90",
+      }),
+    ).toEqual([
+      { filamentIndex: 0, nozzle_temp_c: 210, fan_speed_percent: 90 },
+      { filamentIndex: 1, fan_speed_percent: 90 },
+    ]);
+  });
+
+  it("maps filament types to material families", () => {
+    expect(mapMaterialFamily(undefined)).toBe("Other");
+    expect(mapMaterialFamily("PETG-CF")).toBe("PETG");
+    expect(
+      ["pla", "ABS", "ASA", "TPU", "PA Nylon", "PC", "PVA"].map(
+        mapMaterialFamily,
+      ),
+    ).toEqual(["PLA", "ABS", "ASA", "TPU", "Nylon", "PC", "Other"]);
+  });
+});
+
+describe("multi-filament parsing", () => {
+  it("parses every filament slot and its settings", async () => {
+    const parsed = await createAmsProject();
+    const { filaments } = parsed.normalized.projectSummary;
+
+    expect(filaments.map((f) => f.name)).toEqual([
+      "Bambu PLA Basic @BBL X1C",
+      "Bambu PETG HF @BBL X1C",
+      "Generic TPU",
+      "Generic PLA Silk",
+    ]);
+    expect(filaments.map((f) => f.material_family)).toEqual([
+      "PLA",
+      "PETG",
+      "TPU",
+      "PLA",
+    ]);
+    expect(filaments[1]).toMatchObject({ id: "1", color: "#000000" });
+    expect(parsed.normalized.currentSettings.perFilamentSettings[1]).toEqual({
+      filamentIndex: 1,
+      nozzle_temp_c: 255,
+      filament_flow_ratio: 0.95,
+      filament_max_volumetric_speed: 18,
+      fan_speed_percent: 40,
+    });
+  });
+
+  it("refines metadata filaments and appends extra config slots", async () => {
+    const zip = new JSZip();
+    zip.file(
+      "metadata.json",
+      JSON.stringify({
+        filaments: [{ id: "0", name: "Old", material_family: "PLA" }],
+      }),
+    );
+    zip.file(
+      CONFIG_PATH,
+      JSON.stringify({
+        filament_type: ["Unknown", "ABS"],
+        filament_settings_id: ["", "Generic ABS"],
+      }),
+    );
+    const parsed = await parse3mfBuffer(
+      await zip.generateAsync({ type: "nodebuffer" }),
+      "meta.3mf",
+    );
+
+    expect(parsed.normalized.projectSummary.filaments).toMatchObject([
+      { id: "0", name: "Old", material_family: "PLA" },
+      { id: "1", name: "Generic ABS", material_family: "ABS" },
+    ]);
+  });
+});
+
+describe("filament-scoped changes", () => {
+  it("applies changes to a single filament slot", async () => {
+    const parsed = await createAmsProject();
+    const { updated, diffs, warnings } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "filament",
+            target: { filamentIndex: 1 },
+            parameter: "nozzle_temp_c",
+            newValue: 245,
+            reason: "PETG-CF stringing",
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 2 },
+            parameter: "filament_max_volumetric_speed",
+            newValue: 0.25,
+            changeType: "relative",
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 9 },
+            parameter: "nozzle_temp_c",
+            newValue: 200,
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 0 },
+            parameter: "layer_height_mm",
+            newValue: 0.1,
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 0 },
+            parameter: "nozzle_temp_c",
+            newValue: 220,
+          },
+          { scope: "filament", parameter: "nozzle_temp_c", newValue: 200 },
+        ],
+      },
+    });
+
+    const slots = updated.currentSettings.perFilamentSettings;
+    expect(slots[1].nozzle_temp_c).toBe(245);
+    expect(slots[2].filament_max_volumetric_speed).toBeCloseTo(4.5);
+    expect(slots[0].nozzle_temp_c).toBe(220);
+    expect(diffs[0]).toEqual({
+      scope: "filament",
+      target: { filamentIndex: 1 },
+      parameter: "nozzle_temp_c",
+      from: 255,
+      to: 245,
+      reason: "PETG-CF stringing",
+    });
+    expect(diffs).toHaveLength(2);
+    expect(warnings).toEqual([
+      "Filament slot 9 not found for change nozzle_temp_c.",
+      "Parameter layer_height_mm cannot be set per filament.",
+      "Filament slot null not found for change nozzle_temp_c.",
+    ]);
+  });
+
+  it("falls back to global values and tolerates projects without slots", () => {
+    const normalized = {
+      projectSummary: { filaments: [], plates: [] },
+      currentSettings: {
+        globalProcess: { fan_speed_percent: 60 },
+        perObjectOverrides: {},
+        perFilamentSettings: [{ filamentIndex: 0 }],
+      },
+    };
+    const change = {
+      scope: "filament",
+      target: { filamentIndex: 0 },
+      parameter: "fan_speed_percent",
+      newValue: 0.5,
+      changeType: "relative",
+    };
+    const { diffs } = applyLlmChanges({
+      normalized,
+      response: { changes: [change] },
+    });
+    expect(diffs[0]).toMatchObject({ from: 60, to: 90 });
+
+    delete normalized.currentSettings.perFilamentSettings;
+    const missing = applyLlmChanges({
+      normalized,
+      response: { changes: [change] },
+    });
+    expect(missing.diffs).toEqual([]);
+  });
+
+  it("labels filament diffs with their slot", () => {
+    const output = stripAnsi(
+      formatDiffs([
+        {
+          scope: "filament",
+          target: { filamentIndex: 2 },
+          parameter: "fan_speed_percent",
+          from: 100,
+          to: 60,
+          reason: "",
+        },
+        {
+          scope: "filament",
+          target: null,
+          parameter: "nozzle_temp_c",
+          from: 220,
+          to: 215,
+          reason: "",
+        },
+      ]),
+    );
+    expect(output).toContain("Filament@f2");
+    expect(output).toContain("Filament@f?");
+  });
+
+  it("accepts the filament scope in optimizer responses", () => {
+    const response = parseLlmResponse({
+      changes: [
+        {
+          scope: "filament",
+          target: { objectName: null, plateIndex: null, filamentIndex: 2 },
+          parameter: "fan_speed_percent",
+          newValue: 30,
+        },
+      ],
+    });
+    expect(response.changes[0]).toMatchObject({
+      scope: "filament",
+      target: { filamentIndex: 2 },
+    });
+  });
+
+  it("checks filament changes against the targeted slot's material", async () => {
+    const parsed = await createAmsProject();
+    const { response, warnings } = enforceSafetyLimits({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "filament",
+            target: { filamentIndex: 1 },
+            parameter: "nozzle_temp_c",
+            newValue: -0.2,
+            changeType: "relative",
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 2 },
+            parameter: "nozzle_temp_c",
+            newValue: 250,
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 7 },
+            parameter: "nozzle_temp_c",
+            newValue: 200,
+          },
+          {
+            scope: "filament",
+            parameter: "nozzle_temp_c",
+            newValue: 0.1,
+            changeType: "relative",
+          },
+        ],
+      },
+      filaments: {},
+    });
+
+    expect(response.changes[0].newValue).toBe(220);
+    expect(warnings[0].message).toContain("from 204 to 220 °C (PETG limits");
+    expect(response.changes[1].newValue).toBe(240);
+    expect(warnings[1].message).toContain("TPU limits");
+    expect(response.changes[2].newValue).toBe(220);
+    expect(warnings[2].message).toContain("PLA + PETG + TPU limits");
+    expect(response.changes[3].newValue).toBe(235);
+  });
+
+  it("uses the filament profile's own limits when it is known", async () => {
+    const parsed = await createAmsProject();
+    const { response, warnings } = enforceSafetyLimits({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "filament",
+            target: { filamentIndex: 1 },
+            parameter: "nozzle_temp_c",
+            newValue: 225,
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 1 },
+            parameter: "filament_max_volumetric_speed",
+            newValue: 30,
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 0 },
+            parameter: "fan_speed_percent",
+            newValue: 50,
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 2 },
+            parameter: "fan_speed_percent",
+            newValue: 50,
+          },
+        ],
+      },
+    });
+
+    expect(response.changes.map((change) => change.newValue)).toEqual([
+      230, 21, 80, 50,
+    ]);
+    expect(warnings.map((warning) => warning.message)).toEqual([
+      "Clamped nozzle_temp_c from 225 to 230 °C (Bambu PETG HF limits 230–260 °C).",
+      "Clamped filament_max_volumetric_speed from 30 to 21 mm³/s (Bambu PETG HF limits 0–21 mm³/s).",
+      "Clamped fan_speed_percent from 50 to 80 % (Bambu PLA Basic limits 80–100 %).",
+    ]);
+  });
+});
+
+describe("multi-filament writing", () => {
+  it("updates only the targeted slot and keeps other slots intact", async () => {
+    const parsed = await createAmsProject();
+    const { updated } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "filament",
+            target: { filamentIndex: 1 },
+            parameter: "nozzle_temp_c",
+            newValue: 245,
+          },
+          {
+            scope: "filament",
+            target: { filamentIndex: 3 },
+            parameter: "filament_flow_ratio",
+            newValue: 0.94,
+          },
+          {
+            scope: "global",
+            parameter: "layer_height_mm",
+            newValue: 0.16,
+          },
+        ],
+      },
+      respectUserSettings: false,
+    });
+
+    const config = await writeAndReadConfig(parsed, updated);
+    expect(config.nozzle_temperature).toEqual(["220", "245", "230", "215"]);
+    expect(config.nozzle_temperature_initial_layer).toEqual([
+      "220",
+      "245",
+      "230",
+      "215",
+    ]);
+    expect(config.filament_flow_ratio).toEqual(["0.98", "0.95", "1", "0.94"]);
+    expect(config.fan_max_speed).toEqual(["100", "40", "100", "80"]);
+    expect(config.filament_type).toEqual(["PLA", "PETG-CF", "TPU", "PLA"]);
+    expect(config.layer_height).toBe("0.16");
+    const filamentGroup = config.different_settings_to_system[1].split(";");
+    expect(filamentGroup).toEqual(
+      expect.arrayContaining(["filament_flow_ratio", "nozzle_temperature"]),
+    );
+    expect(filamentGroup).not.toContain("fan_max_speed");
+    expect(filamentGroup).not.toContain("filament_type");
+  });
+
+  it("stamps global filament changes into every slot", async () => {
+    const parsed = await createAmsProject();
+    const { updated } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          { scope: "global", parameter: "fan_speed_percent", newValue: 70 },
+        ],
+      },
+    });
+
+    const config = await writeAndReadConfig(parsed, updated);
+    expect(config.fan_max_speed).toEqual(["70", "70", "70", "70"]);
+    expect(config.nozzle_temperature).toEqual(AMS_CONFIG.nozzle_temperature);
+  });
+
+  it("writes slot values into scalar configs and replaces changed families", async () => {
+    const parsed = await createAmsProject({
+      filament_type: ["PLA"],
+      nozzle_temperature: "210",
+    });
+    const normalized = structuredClone(parsed.normalized);
+    normalized.currentSettings.perFilamentSettings = [
+      { filamentIndex: 0, nozzle_temp_c: 200 },
+      { filamentIndex: 1, nozzle_temp_c: 240 },
+    ];
+    normalized.projectSummary.filaments = [
+      { material_family: "PETG" },
+      { material_family: "ABS" },
+    ];
+
+    const config = await writeAndReadConfig(parsed, normalized);
+    expect(config.nozzle_temperature).toBe("200");
+    expect(config.nozzle_temperature_initial_layer).toBe("200");
+    expect(config.filament_type).toEqual(["PETG", "ABS"]);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, expect, it } from "vitest";
+import {
+  ALLOWED_EXTRA_CONFIG_KEYS,
+  FILAMENT_MAPPINGS,
+  GLOBAL_PROCESS_MAPPINGS,
+  PLATE_SETTING_KEYS,
+  SPEED_MAPPINGS,
+} from "../src/3mf/configMapping.js";
+import {
+  PARAMETERS,
+  PARAMETER_KEYS,
+  findParameter,
+  isRawConfigParameter,
+  roundToStep,
+} from "../src/knowledge/parameters.js";
+import { SYSTEM_PROMPT } from "../src/llm/prompt.js";
+import { LLM_RESPONSE_FORMAT } from "../src/llm/responseSchema.js";
+
+const TYPES = ["number", "integer", "percent", "boolean", "enum", "string"];
+const SECTIONS = ["print", "filament", "printer"];
+
+describe("parameter registry", () => {
+  it("defines each parameter once with a known type and section", () => {
+    expect(new Set(PARAMETER_KEYS).size).toBe(PARAMETERS.length);
+    PARAMETERS.forEach((parameter) => {
+      expect(TYPES, parameter.key).toContain(parameter.type);
+      expect(SECTIONS, parameter.key).toContain(parameter.section);
+      expect(parameter.group, parameter.key).toEqual(expect.any(String));
+      expect(parameter.description, parameter.key).not.toBe("");
+      expect(Array.isArray(parameter.values), parameter.key).toBe(
+        parameter.type === "enum",
+      );
+    });
+  });
+
+  it("finds parameters by key", () => {
+    expect(findParameter("infill_pattern")).toMatchObject({
+      configKeys: ["sparse_infill_pattern"],
+      type: "enum",
+      group: "Infill",
+      section: "print",
+    });
+    expect(findParameter("seam_position")).toMatchObject({
+      configKeys: ["seam_position"],
+    });
+    expect(findParameter("made_up_setting")).toBeNull();
+    expect(isRawConfigParameter(findParameter("seam_position"))).toBe(true);
+    expect(isRawConfigParameter(findParameter("adhesion_type"))).toBe(false);
+  });
+
+  it("rounds computed values to each numeric parameter's step", () => {
+    PARAMETERS.filter((parameter) =>
+      ["number", "integer", "percent"].includes(parameter.type),
+    ).forEach((parameter) => {
+      expect(parameter.step, parameter.key).toBeGreaterThan(0);
+    });
+    expect(findParameter("seam_position")).not.toHaveProperty("step");
+    expect(findParameter("resolution").step).toBe(0.001);
+    expect(roundToStep(findParameter("layer_height_mm"), 0.2 * 0.8)).toBe(0.16);
+    expect(roundToStep(findParameter("wall_line_count"), 2.4)).toBe(2);
+    expect(roundToStep(findParameter("infill_density_percent"), 16.5)).toBe(17);
+    expect(roundToStep(findParameter("default_acceleration"), 10003)).toBe(
+      10000,
+    );
+    expect(roundToStep(findParameter("pressure_advance"), 0.0234)).toBe(0.023);
+  });
+
+  it("builds the config mappings and allowlists", () => {
+    expect(
+      GLOBAL_PROCESS_MAPPINGS.filter(
+        (mapping) => mapping.targetKey === "nozzle_temp_c",
+      ).map((mapping) => mapping.configKey),
+    ).toEqual(["nozzle_temperature", "nozzle_temperature_initial_layer"]);
+    expect(
+      GLOBAL_PROCESS_MAPPINGS.find(
+        (mapping) => mapping.targetKey === "infill_density_percent",
+      ),
+    ).toMatchObject({ configKey: "sparse_infill_density", mode: "direct" });
+    expect(SPEED_MAPPINGS).toContainEqual({
+      configKey: "outer_wall_speed",
+      speedKey: "wall_outer",
+    });
+    expect(FILAMENT_MAPPINGS.map((mapping) => mapping.targetKey)).toEqual([
+      "nozzle_temp_c",
+      "fan_speed_percent",
+      "filament_flow_ratio",
+      "filament_max_volumetric_speed",
+    ]);
+    expect(PLATE_SETTING_KEYS).toEqual(["print_sequence", "bed_type"]);
+    expect(ALLOWED_EXTRA_CONFIG_KEYS.has("seam_position")).toBe(true);
+    expect(ALLOWED_EXTRA_CONFIG_KEYS.has("layer_height_mm")).toBe(false);
+    expect(ALLOWED_EXTRA_CONFIG_KEYS.has("bed_type")).toBe(false);
+  });
+
+  it("restricts response parameters to the registry", () => {
+    const { parameter, changeType } =
+      LLM_RESPONSE_FORMAT.json_schema.schema.properties.changes.items
+        .properties;
+    expect(parameter.enum).toEqual([...PARAMETER_KEYS, null]);
+    expect(changeType.enum).toEqual([
+      "absolute",
+      "relative",
+      "percent",
+      "delta",
+    ]);
+  });
+
+  it("lists every parameter with its type, unit and values in the prompt", () => {
+    expect(SYSTEM_PROMPT).toContain(
+      "- `infill_density_percent` (0–100 %) — Internal fill; higher boosts strength.",
+    );
+    expect(SYSTEM_PROMPT).toContain(
+      '- `wall_generator` — Wall engine: "classic" or "arachne".',
+    );
+    expect(SYSTEM_PROMPT).toContain(
+      "- `nozzle_temp_c` (integer, 170–280 °C) — Hotend temperature",
+    );
+    expect(SYSTEM_PROMPT).toContain("### Retraction & Wiping\n- `retraction");
+    PARAMETER_KEYS.forEach((key) => {
+      expect(SYSTEM_PROMPT).toContain(`- \`${key}\``);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import {
+  PLAN_VERSION,
+  comparePlanSource,
+  createPlan,
+  readPlan,
+  writePlan,
+} from "../src/apply/plan.js";
+import { FileFormatError } from "../src/errors.js";
+import { InvalidLlmResponseError } from "../src/llm/responseValidator.js";
+import { sha256, sha256File } from "../src/utils/hash.js";
+
+function createNormalized({ printer = "Bambu Lab P1S", nozzle = 0.4 } = {}) {
+  return {
+    fileName: "/tmp/projects/bracket.3mf",
+    projectSummary: {
+      printer: { name: printer, nozzle_diameter_mm: nozzle },
+      filaments: [{ name: "Bambu PLA Basic", material_family: "PLA" }],
+    },
+  };
+}
+
+const RESPONSE = {
+  version: 1,
+  changes: [
+    {
+      scope: "global",
+      target: null,
+      parameter: "wall_line_count",
+      newValue: 4,
+      changeType: "absolute",
+      reason: "Stronger walls",
+    },
+  ],
+  globalRationale: "Stronger part",
+  warnings: [],
+};
+
+function tmpFile(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-plan-"));
+  return path.join(dir, name);
+}
+
+describe("optimization plans", () => {
+  it("round-trips a plan with its source fingerprint", () => {
+    const plan = createPlan({
+      response: RESPONSE,
+      intent: { primary_goal: "functional_strong" },
+      normalized: createNormalized(),
+      sha256: "abc",
+      llm: { provider: "openai", model: "gpt-4.1", apiKey: "secret" },
+    });
+    const file = tmpFile("plan.json");
+    writePlan(file, plan);
+
+    const loaded = readPlan(file);
+    expect(loaded.version).toBe(PLAN_VERSION);
+    expect(loaded.source).toEqual({
+      fileName: "bracket.3mf",
+      printer: "Bambu Lab P1S",
+      nozzle_diameter_mm: 0.4,
+      filaments: ["Bambu PLA Basic (PLA)"],
+      sha256: "abc",
+    });
+    expect(loaded.intent.primary_goal).toBe("functional_strong");
+    expect(loaded.response.changes).toEqual(RESPONSE.changes);
+    expect(loaded.llm).toEqual({ provider: "openai", model: "gpt-4.1" });
+    expect(Number.isNaN(Date.parse(loaded.createdAt))).toBe(false);
+  });
+
+  it("rejects unreadable, unsupported and invalid plans", () => {
+    const broken = tmpFile("broken.json");
+    fs.writeFileSync(broken, "{");
+    expect(() => readPlan(broken)).toThrow(FileFormatError);
+    expect(() => readPlan(tmpFile("missing.json"))).toThrow(
+      /Failed to read plan/,
+    );
+
+    const legacy = tmpFile("legacy.json");
+    fs.writeFileSync(legacy, JSON.stringify({ version: 99, response: {} }));
+    expect(() => readPlan(legacy)).toThrow(/Unsupported plan format/);
+    fs.writeFileSync(legacy, "null");
+    expect(() => readPlan(legacy)).toThrow(/Unsupported plan format/);
+
+    const invalid = tmpFile("invalid.json");
+    fs.writeFileSync(
+      invalid,
+      JSON.stringify({ version: PLAN_VERSION, response: { changes: "x" } }),
+    );
+    expect(() => readPlan(invalid)).toThrow(InvalidLlmResponseError);
+  });
+
+  it("warns when the target project differs from the plan source", () => {
+    const plan = createPlan({
+      response: RESPONSE,
+      intent: {},
+      normalized: createNormalized(),
+      sha256: "abc",
+    });
+    expect(comparePlanSource(plan, createNormalized())).toEqual([]);
+
+    const other = createNormalized({ printer: "Bambu Lab X1C", nozzle: 0.6 });
+    other.projectSummary.filaments = [];
+    expect(comparePlanSource(plan, other)).toEqual([
+      "Plan was created for printer Bambu Lab P1S, but this project uses Bambu Lab X1C.",
+      "Plan was created for a 0.4mm nozzle, but this project uses 0.6mm.",
+      "Plan was created for filaments Bambu PLA Basic (PLA), but this project uses —.",
+    ]);
+  });
+
+  it("tolerates plans without a source section", () => {
+    const normalized = createNormalized();
+    delete normalized.projectSummary.printer.nozzle_diameter_mm;
+    const warnings = comparePlanSource({ response: RESPONSE }, normalized, {
+      t: (key) => key,
+    });
+    expect(warnings).toEqual([
+      "planPrinterMismatchWarning",
+      "planNozzleMismatchWarning",
+      "planFilamentMismatchWarning",
+    ]);
+  });
+});
+
+describe("sha256", () => {
+  it("hashes buffers and files", () => {
+    const file = tmpFile("data.txt");
+    fs.writeFileSync(file, "abc");
+    const expected =
+      "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad";
+    expect(sha256("abc")).toBe(expected);
+    expect(sha256File(file)).toBe(expected);
+  });
+});
@@ -0,0 +1,549 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import JSZip from "jszip";
+import { describe, expect, it } from "vitest";
+import {
+  MODEL_SETTINGS_PATH,
+  parseModelSettings,
+} from "../src/3mf/modelSettings.js";
+import { parse3mfBuffer } from "../src/3mf/parser.js";
+import {
+  buildPlateConfigs,
+  updateMetadataFromNormalized,
+  write3mf,
+} from "../src/3mf/writer.js";
+import { applyLlmChanges } from "../src/apply/changes.js";
+import { estimatePrint } from "../src/apply/estimate.js";
+import { enforceSafetyLimits } from "../src/apply/safetyLimits.js";
+import { parseLlmResponse } from "../src/llm/responseValidator.js";
+import { formatDiffs } from "../src/utils/summary.js";
+import { stripAnsi } from "./fixtures/stripAnsi.js";
+
+const MODEL_SETTINGS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<config>
+  <object id="2">
+    <metadata key="name" value="Bracket"/>
+    <metadata key="wall_loops" value="4"/>
+  </object>
+  <object id="3">
+    <metadata key="name" value="Hook"/>
+  </object>
+  <object id="4">
+    <metadata key="name" value="Figure"/>
+  </object>
+  <plate>
+    <metadata key="plater_id" value="1"/>
+    <metadata key="plater_name" value="Functional"/>
+    <model_instance><metadata key="object_id" value="2"/></model_instance>
+    <model_instance><metadata key="object_id" value="3"/></model_instance>
+  </plate>
+  <plate>
+    <metadata key="plater_id" value="2"/>
+    <metadata key="plater_name" value="Cosmetic"/>
+    <metadata key="bed_type" value="Textured PEI Plate"/>
+    <metadata key="thumbnail_file" value="Metadata/plate_2.png"/>
+    <model_instance><metadata key="object_id" value="4"/></model_instance>
+  </plate>
+</config>
+`;
+
+async function createPlateProject() {
+  const zip = new JSZip();
+  zip.file(MODEL_SETTINGS_PATH, MODEL_SETTINGS_XML);
+  zip.file(
+    "Metadata/project_settings.config",
+    JSON.stringify({
+      layer_height: "0.2",
+      wall_loops: ["2"],
+      curr_bed_type: "Cool Plate",
+      filament_type: ["PLA"],
+    }),
+  );
+  return parse3mfBuffer(
+    await zip.generateAsync({ type: "nodebuffer" }),
+    "plates.3mf",
+  );
+}
+
+async function writeAndReparse(parsed, normalized) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "plate-scope-"));
+  const output = path.join(tmpDir, "out.3mf");
+  await write3mf(
+    {
+      ...parsed,
+      metadata: updateMetadataFromNormalized(parsed.metadata, normalized),
+      normalized,
+    },
+    output,
+  );
+  const zip = await JSZip.loadAsync(fs.readFileSync(output));
+  const modelSettings = zip.file(MODEL_SETTINGS_PATH);
+  return {
+    modelSettings:
+      modelSettings && parseModelSettings(await modelSettings.async("string")),
+    reparsed: await parse3mfBuffer(fs.readFileSync(output), "out.3mf"),
+  };
+}
+
+describe("plate settings parsing", () => {
+  it("reads plate metadata and plate-only settings", async () => {
+    const parsed = await createPlateProject();
+    const settings = parseModelSettings(MODEL_SETTINGS_XML);
+
+    expect(settings.plates[1].config).toEqual({
+      bed_type: "Textured PEI Plate",
+      thumbnail_file: "Metadata/plate_2.png",
+    });
+    expect(parsed.normalized.currentSettings.perPlateOverrides).toEqual({
+      1: { plateIndex: 1, bed_type: "Textured PEI Plate" },
+    });
+  });
+});
+
+describe("plate-scoped changes", () => {
+  it("applies plate changes and lets objects inherit them", async () => {
+    const parsed = await createPlateProject();
+    const { updated, diffs, warnings } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "plate",
+            target: { plateIndex: 0 },
+            parameter: "wall_line_count",
+            newValue: 5,
+            reason: "Stronger brackets",
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 0 },
+            parameter: "bed_type",
+            newValue: "Textured PEI Plate",
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 1 },
+            parameter: "print_sequence",
+            newValue: "by object",
+          },
+          {
+            scope: "object",
+            target: { objectName: "Hook", plateIndex: 0 },
+            parameter: "wall_line_count",
+            newValue: 0.2,
+            changeType: "relative",
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 1 },
+            parameter: "bed_type",
+            newValue: "Textured PEI Plate",
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 5 },
+            parameter: "wall_line_count",
+            newValue: 3,
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 1 },
+            parameter: "made_up_setting",
+            newValue: 3,
+          },
+          { scope: "plate", parameter: "wall_line_count", newValue: 3 },
+        ],
+      },
+      respectUserSettings: false,
+    });
+
+    expect(updated.currentSettings.perPlateOverrides).toEqual({
+      0: {
+        plateIndex: 0,
+        wall_line_count: 5,
+        bed_type: "Textured PEI Plate",
+      },
+      1: {
+        plateIndex: 1,
+        bed_type: "Textured PEI Plate",
+        print_sequence: "by object",
+      },
+    });
+    expect(diffs[0]).toEqual({
+      scope: "plate",
+      target: { plateIndex: 0 },
+      parameter: "wall_line_count",
+      from: 2,
+      to: 5,
+      reason: "Stronger brackets",
+    });
+    expect(diffs[1]).toMatchObject({ from: "Cool Plate" });
+    expect(diffs[2]).toMatchObject({ from: null, to: "by object" });
+    expect(diffs[3]).toMatchObject({ scope: "object", from: 5, to: 6 });
+    expect(diffs).toHaveLength(4);
+    expect(warnings).toEqual([
+      "Plate 5 not found for change wall_line_count.",
+      "Unknown parameter made_up_setting for plate 1.",
+      "Plate null not found for change wall_line_count.",
+    ]);
+  });
+
+  it("starts plate overrides on projects without any", () => {
+    const normalized = {
+      projectSummary: { printer: {}, plates: [{ index: 0, objects: [] }] },
+      currentSettings: {
+        globalProcess: { speeds: { wall_outer: 200 } },
+        perObjectOverrides: {},
+      },
+    };
+    const { updated, diffs } = applyLlmChanges({
+      normalized,
+      response: {
+        changes: [
+          {
+            scope: "plate",
+            target: { plateIndex: 0 },
+            parameter: "speeds.wall_outer",
+            newValue: 120,
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 0 },
+            parameter: "bed_type",
+            newValue: "Cool Plate",
+          },
+        ],
+      },
+    });
+
+    expect(updated.currentSettings.perPlateOverrides[0].speeds).toEqual({
+      wall_outer: 120,
+    });
+    expect(diffs[1]).toMatchObject({ from: null, to: "Cool Plate" });
+  });
+
+  it("rejects filament and printer settings at plate scope", async () => {
+    const parsed = await createPlateProject();
+    const change = (parameter, newValue) => ({
+      scope: "plate",
+      target: { plateIndex: 1 },
+      parameter,
+      newValue,
+    });
+    const { updated, diffs, warnings } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          change("bed_temp_c", 80),
+          change("nozzle_temp_c", 215),
+          change("retraction_length", 1),
+        ],
+      },
+    });
+
+    expect(diffs).toEqual([]);
+    expect(updated.currentSettings.perPlateOverrides).toEqual(
+      parsed.normalized.currentSettings.perPlateOverrides,
+    );
+    expect(warnings).toEqual([
+      "Skipping bed_temp_c on plate 1: Bambu Studio keeps this setting for the whole project or per filament, not per plate.",
+      "Skipping nozzle_temp_c on plate 1: Bambu Studio keeps this setting for the whole project or per filament, not per plate.",
+      "Skipping retraction_length on plate 1: Bambu Studio keeps this setting for the whole project or per filament, not per plate.",
+    ]);
+  });
+
+  it("accepts the plate scope in optimizer responses", () => {
+    const response = parseLlmResponse({
+      changes: [
+        {
+          scope: "plate",
+          target: { objectName: null, plateIndex: 1, filamentIndex: null },
+          parameter: "bed_type",
+          newValue: "Cool Plate",
+        },
+      ],
+    });
+    expect(response.changes[0]).toMatchObject({
+      scope: "plate",
+      target: { plateIndex: 1 },
+    });
+  });
+
+  it("checks bed temperatures against the plate's bed type", async () => {
+    const parsed = await createPlateProject();
+    const change = { parameter: "bed_temp_c", newValue: 65 };
+    const { response, warnings } = enforceSafetyLimits({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          { ...change, scope: "plate", target: { plateIndex: 1 } },
+          {
+            ...change,
+            scope: "object",
+            target: { objectName: "Figure", plateIndex: 1 },
+          },
+          { ...change, scope: "plate", target: { plateIndex: 0 } },
+          { ...change, scope: "global" },
+        ],
+      },
+    });
+
+    expect(response.changes.map((item) => item.newValue)).toEqual([
+      65, 65, 60, 60,
+    ]);
+    expect(warnings).toHaveLength(2);
+  });
+
+  it("checks bed temperatures against a bed type set in the same response", async () => {
+    const parsed = await createPlateProject();
+    const bedTemp = { parameter: "bed_temp_c", newValue: 80 };
+    const { response, warnings } = enforceSafetyLimits({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "plate",
+            target: { plateIndex: 1 },
+            parameter: "bed_type",
+            newValue: "Cool Plate",
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: null },
+            parameter: "bed_type",
+            newValue: "Textured PEI Plate",
+          },
+          { ...bedTemp, scope: "plate", target: { plateIndex: 1 } },
+          {
+            ...bedTemp,
+            scope: "object",
+            target: { objectName: "Figure", plateIndex: 1 },
+          },
+          { ...bedTemp, scope: "global" },
+        ],
+      },
+    });
+
+    expect(response.changes.map((item) => item.newValue)).toEqual([
+      "Cool Plate",
+      "Textured PEI Plate",
+      60,
+      60,
+      60,
+    ]);
+    expect(warnings).toHaveLength(3);
+  });
+
+  it("resolves relative plate changes from the plate's current value", async () => {
+    const parsed = await createPlateProject();
+    parsed.normalized.currentSettings.perPlateOverrides[1].bed_temp_c = 50;
+    const change = {
+      parameter: "bed_temp_c",
+      newValue: 0.5,
+      changeType: "relative",
+    };
+    const { response, warnings } = enforceSafetyLimits({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          { ...change, scope: "plate", target: { plateIndex: 1 } },
+          {
+            ...change,
+            scope: "object",
+            target: { objectName: "Figure", plateIndex: 1 },
+          },
+        ],
+      },
+    });
+
+    expect(response.changes.map((item) => item.newValue)).toEqual([70, 70]);
+    expect(warnings.map((warning) => warning.message)).toEqual([
+      expect.stringContaining("from 75 to 70"),
+      expect.stringContaining("from 75 to 70"),
+    ]);
+  });
+});
+
+describe("plate diffs", () => {
+  it("groups plate and object changes into per-plate sections", () => {
+    const output = stripAnsi(
+      formatDiffs([
+        {
+          scope: "plate",
+          target: { plateIndex: 1 },
+          parameter: "bed_type",
+          from: "Cool Plate",
+          to: "Textured PEI Plate",
+          reason: "",
+        },
+        {
+          scope: "object",
+          target: { objectName: "Bracket", plateIndex: 0 },
+          parameter: "wall_line_count",
+          from: 2,
+          to: 5,
+          reason: "",
+        },
+        {
+          scope: "global",
+          target: null,
+          parameter: "layer_height_mm",
+          from: 0.2,
+          to: 0.16,
+          reason: "",
+        },
+      ]),
+    );
+
+    const order = ["layer_height_mm", "Plate 1", "Bracket@p0", "Plate 2"].map(
+      (text) => output.indexOf(text),
+    );
+    expect(order.every((position) => position >= 0)).toBe(true);
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+    expect(output).toContain("whole plate");
+  });
+});
+
+describe("plate writing", () => {
+  it("writes plate settings to plate metadata and overrides to objects", async () => {
+    const parsed = await createPlateProject();
+    const { updated } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "plate",
+            target: { plateIndex: 0 },
+            parameter: "wall_line_count",
+            newValue: 3,
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 0 },
+            parameter: "print_sequence",
+            newValue: "by object",
+          },
+          {
+            scope: "plate",
+            target: { plateIndex: 1 },
+            parameter: "bed_type",
+            newValue: "Engineering Plate",
+          },
+        ],
+      },
+      respectUserSettings: false,
+    });
+
+    const { modelSettings, reparsed } = await writeAndReparse(parsed, updated);
+    expect(modelSettings.plates[0].config).toEqual({
+      print_sequence: "by object",
+    });
+    expect(modelSettings.plates[1].config).toMatchObject({
+      bed_type: "Engineering Plate",
+      thumbnail_file: "Metadata/plate_2.png",
+    });
+    expect(modelSettings.objects.get("2").config).toEqual({ wall_loops: "4" });
+    expect(modelSettings.objects.get("3").config).toEqual({ wall_loops: "3" });
+    expect(modelSettings.objects.get("4").config).toEqual({});
+
+    const { currentSettings } = reparsed.normalized;
+    expect(currentSettings.perPlateOverrides[1].bed_type).toBe(
+      "Engineering Plate",
+    );
+    expect(currentSettings.perObjectOverrides["0::Hook"].wall_line_count).toBe(
+      3,
+    );
+  });
+
+  it("keeps plate overrides in metadata.json projects", async () => {
+    const zip = new JSZip();
+    zip.file(
+      "metadata.json",
+      JSON.stringify({
+        settings: { layer_height_mm: 0.2, wall_line_count: 2 },
+        plates: [{ index: 0, name: "Plate 1", objects: [{ name: "Cube" }] }],
+      }),
+    );
+    const parsed = await parse3mfBuffer(
+      await zip.generateAsync({ type: "nodebuffer" }),
+      "meta.3mf",
+    );
+    const { updated } = applyLlmChanges({
+      normalized: parsed.normalized,
+      response: {
+        changes: [
+          {
+            scope: "plate",
+            target: { plateIndex: 0 },
+            parameter: "wall_line_count",
+            newValue: 4,
+          },
+        ],
+      },
+    });
+
+    const { reparsed } = await writeAndReparse(parsed, updated);
+    expect(reparsed.normalized.currentSettings.perPlateOverrides).toEqual({
+      0: { plateIndex: 0, wall_line_count: 4 },
+    });
+  });
+
+  it("skips plates without plate-only settings", () => {
+    const configs = buildPlateConfigs({
+      projectSummary: { plates: [{ index: 0 }, { index: 1 }, { index: 2 }] },
+      currentSettings: {
+        perPlateOverrides: {
+          0: { plateIndex: 0, wall_line_count: 3, bed_type: null },
+          1: { plateIndex: 1, print_sequence: "by layer" },
+        },
+      },
+    });
+    expect([...configs]).toEqual([[1, { print_sequence: "by layer" }]]);
+  });
+});
+
+describe("plate estimates", () => {
+  it("applies plate overrides to the objects on the plate", () => {
+    const normalized = {
+      projectSummary: {
+        printer: { nozzle_diameter_mm: 0.4 },
+        filaments: [],
+        plates: [
+          {
+            index: 0,
+            objects: [
+              {
+                name: "Cube",
+                geometry: {
+                  bounding_box_mm: [20, 20, 20],
+                  volume_mm3: 8000,
+                  surface_area_mm2: 2400,
+                },
+              },
+            ],
+          },
+        ],
+      },
+      currentSettings: {
+        globalProcess: {
+          layer_height_mm: 0.2,
+          wall_line_count: 2,
+          top_layers: 4,
+          bottom_layers: 4,
+          infill_density_percent: 15,
+          speeds: { wall_outer: 200, wall_inner: 300, infill: 270 },
+        },
+        perObjectOverrides: {},
+      },
+    };
+    const base = estimatePrint(normalized);
+    normalized.currentSettings.perPlateOverrides = {
+      0: { plateIndex: 0, infill_density_percent: 100, speeds: { infill: 50 } },
+    };
+    const plate = estimatePrint(normalized);
+
+    expect(plate.filamentGrams).toBeGreaterThan(base.filamentGrams);
+    expect(plate.printTimeHours).toBeGreaterThan(base.printTimeHours);
+  });
+});
@@ -0,0 +1,124 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import {
+  BUILTIN_PRINTERS,
+  findPrinterCapabilities,
+  readPrinterCatalog,
+} from "../src/knowledge/printers.js";
+import { buildLlmRequestPayload } from "../src/llm/requestBuilder.js";
+
+function writeCatalog(content) {
+  const dir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "slicer-copilot-printers-"),
+  );
+  const file = path.join(dir, "printers.json");
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe("printer catalogue", () => {
+  it("finds printers by model name, alias or name prefix", () => {
+    expect(findPrinterCapabilities("Bambu Lab X1 Carbon")).toEqual({
+      model: "Bambu Lab X1 Carbon",
+      max_speed_mm_s: 500,
+      max_acceleration_mm_s2: 20000,
+      build_volume_mm: [256, 256, 256],
+      enclosed: true,
+      hardened_nozzle: true,
+    });
+    expect(findPrinterCapabilities("x1c")?.model).toBe("Bambu Lab X1 Carbon");
+    expect(findPrinterCapabilities("Bambu Lab A1 mini")?.model).toBe(
+      "Bambu Lab A1 mini",
+    );
+    expect(findPrinterCapabilities("Bambu Lab A1 0.4 nozzle")?.model).toBe(
+      "Bambu Lab A1",
+    );
+    expect(findPrinterCapabilities("Bambu Lab P1S (0.6 nozzle)")?.model).toBe(
+      "Bambu Lab P1S",
+    );
+    expect(findPrinterCapabilities("Ender 3")).toBeNull();
+    expect(findPrinterCapabilities(undefined)).toBeNull();
+  });
+
+  it("covers the Bambu Lab line-up", () => {
+    expect(Object.keys(BUILTIN_PRINTERS)).toEqual(
+      expect.arrayContaining([
+        "Bambu Lab X1 Carbon",
+        "Bambu Lab P1S",
+        "Bambu Lab P1P",
+        "Bambu Lab A1",
+        "Bambu Lab A1 mini",
+        "Bambu Lab H2D",
+        "Bambu Lab H2S",
+      ]),
+    );
+  });
+
+  it("merges user-defined printers over the built-in ones", () => {
+    expect(readPrinterCatalog(undefined)).toBe(BUILTIN_PRINTERS);
+    const catalog = readPrinterCatalog(
+      writeCatalog(
+        JSON.stringify({
+          "Voron 2.4": { max_speed_mm_s: 400, max_acceleration_mm_s2: 15000 },
+          "Bambu Lab A1": { max_speed_mm_s: 300, max_acceleration_mm_s2: 5000 },
+        }),
+      ),
+    );
+    expect(findPrinterCapabilities("Voron 2.4", catalog)).toEqual({
+      model: "Voron 2.4",
+      max_speed_mm_s: 400,
+      max_acceleration_mm_s2: 15000,
+      build_volume_mm: null,
+      enclosed: null,
+      hardened_nozzle: null,
+    });
+    expect(
+      findPrinterCapabilities("Bambu Lab A1", catalog)?.max_speed_mm_s,
+    ).toBe(300);
+    expect(findPrinterCapabilities("Bambu Lab P1P", catalog)).not.toBeNull();
+  });
+
+  it.each([
+    ["not json", "{", "Invalid JSON format"],
+    ["null", "null", "Invalid printer catalogue"],
+    [
+      "missing limits",
+      '{"P": {"max_speed_mm_s": 1}}',
+      "Invalid printer catalogue",
+    ],
+    [
+      "bad aliases",
+      '{"P": {"max_speed_mm_s": 1, "max_acceleration_mm_s2": 1, "aliases": "P"}}',
+      "Invalid printer catalogue",
+    ],
+  ])("rejects a catalogue with %s", (_label, content, message) => {
+    expect(() => readPrinterCatalog(writeCatalog(content))).toThrow(message);
+  });
+
+  it("adds the printer's capabilities to the request payload", () => {
+    const normalized = {
+      fileName: "demo.3mf",
+      projectSummary: {
+        printer: { name: "Bambu Lab P1P", nozzle_diameter_mm: 0.4 },
+        filaments: [],
+      },
+      currentSettings: { globalProcess: {}, perObjectOverrides: {} },
+    };
+    const payload = buildLlmRequestPayload({ normalized, userIntent: null });
+    expect(payload.projectSummary.printer_capabilities).toMatchObject({
+      model: "Bambu Lab P1P",
+      enclosed: false,
+    });
+    const unknown = buildLlmRequestPayload({
+      normalized: {
+        ...normalized,
+        projectSummary: { ...normalized.projectSummary, printer: undefined },
+      },
+      userIntent: null,
+      printers: {},
+    });
+    expect(unknown.projectSummary.printer_capabilities).toBeNull();
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, expect, it } from "vitest";
+import { diffProjects } from "../src/3mf/projectDiff.js";
+import { formatDiffs } from "../src/utils/summary.js";
+
+function project({
+  globalProcess = {},
+  overrides,
+  plates,
+  filaments,
+  configData,
+}) {
+  return {
+    configData,
+    normalized: {
+      currentSettings: {
+        globalProcess,
+        perObjectOverrides: overrides,
+        perPlateOverrides: plates,
+        perFilamentSettings: filaments,
+      },
+    },
+  };
+}
+
+describe("diffProjects", () => {
+  it("reports global, object, filament and raw config differences", () => {
+    const before = project({
+      globalProcess: {
+        layer_height_mm: 0.2,
+        wall_line_count: 2,
+        speeds: { wall_outer: 40, infill: 80 },
+      },
+      overrides: {
+        "0::Cube": { plateIndex: 0, objectName: "Cube", wall_line_count: 3 },
+        "1::Tower": {
+          plateIndex: 1,
+          objectName: "Tower",
+          speeds: { infill: 50 },
+        },
+      },
+      filaments: [
+        { filamentIndex: 1, nozzle_temp_c: 220 },
+        { filamentIndex: 0, nozzle_temp_c: 205, fan_speed_percent: 100 },
+      ],
+      configData: { layer_height: "0.2", wall_loops: "2" },
+    });
+    const after = project({
+      globalProcess: {
+        layer_height_mm: 0.2,
+        wall_line_count: 4,
+        speeds: { wall_outer: 30, infill: 80 },
+      },
+      overrides: {
+        "0::Cube": { plateIndex: 0, objectName: "Cube", wall_line_count: 3 },
+        "0::Bracket": {
+          plateIndex: 0,
+          objectName: "Bracket",
+          infill_density_percent: 40,
+        },
+      },
+      filaments: [
+        { filamentIndex: 0, nozzle_temp_c: 210, fan_speed_percent: 100 },
+      ],
+      configData: { layer_height: "0.2", wall_loops: "4" },
+    });
+
+    expect(diffProjects(before, after)).toEqual([
+      {
+        scope: "global",
+        target: null,
+        parameter: "speeds.wall_outer",
+        from: 40,
+        to: 30,
+        reason: "",
+      },
+      {
+        scope: "global",
+        target: null,
+        parameter: "wall_line_count",
+        from: 2,
+        to: 4,
+        reason: "",
+      },
+      {
+        scope: "object",
+        target: { objectName: "Bracket", plateIndex: 0 },
+        parameter: "infill_density_percent",
+        from: undefined,
+        to: 40,
+        reason: "",
+      },
+      {
+        scope: "object",
+        target: { objectName: "Tower", plateIndex: 1 },
+        parameter: "speeds.infill",
+        from: 50,
+        to: undefined,
+        reason: "",
+      },
+      {
+        scope: "filament",
+        target: { filamentIndex: 0 },
+        parameter: "nozzle_temp_c",
+        from: 205,
+        to: 210,
+        reason: "",
+      },
+      {
+        scope: "filament",
+        target: { filamentIndex: 1 },
+        parameter: "nozzle_temp_c",
+        from: 220,
+        to: undefined,
+        reason: "",
+      },
+      {
+        scope: "config",
+        target: null,
+        parameter: "wall_loops",
+        from: "2",
+        to: "4",
+        reason: "",
+      },
+    ]);
+  });
+
+  it("reports plate overrides between global and object differences", () => {
+    const before = project({
+      globalProcess: { wall_line_count: 2 },
+      plates: { 1: { plateIndex: 1, bed_type: "Textured PEI Plate" } },
+    });
+    const after = project({
+      globalProcess: { wall_line_count: 3 },
+      overrides: {
+        "1::Tower": { plateIndex: 1, objectName: "Tower", wall_line_count: 5 },
+      },
+      plates: {
+        0: { plateIndex: 0, print_sequence: "by object" },
+        1: {
+          plateIndex: 1,
+          bed_type: "Cool Plate",
+          speeds: { wall_outer: 40 },
+        },
+      },
+    });
+
+    expect(
+      diffProjects(before, after).map((diff) => [diff.scope, diff.parameter]),
+    ).toEqual([
+      ["global", "wall_line_count"],
+      ["plate", "print_sequence"],
+      ["plate", "bed_type"],
+      ["plate", "speeds.wall_outer"],
+      ["object", "wall_line_count"],
+    ]);
+    expect(diffProjects(before, after)[2]).toEqual({
+      scope: "plate",
+      target: { plateIndex: 1 },
+      parameter: "bed_type",
+      from: "Textured PEI Plate",
+      to: "Cool Plate",
+      reason: "",
+    });
+  });
+
+  it("treats missing sections as empty and compares arrays by value", () => {
+    const before = project({ globalProcess: { sequence: [1, 2] } });
+    const after = project({
+      globalProcess: { sequence: [1, 2] },
+      configData: { filament_type: ["PLA"] },
+    });
+
+    expect(diffProjects(before, before)).toEqual([]);
+    expect(diffProjects(before, after)).toEqual([
+      {
+        scope: "config",
+        target: null,
+        parameter: "filament_type",
+        from: undefined,
+        to: ["PLA"],
+        reason: "",
+      },
+    ]);
+  });
+});
+
+describe("formatDiffs labels", () => {
+  const i18n = { t: (key) => key };
+
+  it("uses custom header and empty-state keys", () => {
+    expect(formatDiffs([], i18n, { emptyKey: "noDifferencesFound" })).toContain(
+      "noDifferencesFound",
+    );
+
+    const output = formatDiffs(
+      [
+        {
+          scope: "config",
+          target: null,
+          parameter: "wall_loops",
+          from: "2",
+          to: "4",
+          reason: "",
+        },
+      ],
+      i18n,
+      { singularKey: "differenceSingular", pluralKey: "differencePlural" },
+    );
+    expect(output).toContain("1 differenceSingular");
+    expect(output).toContain("configLabel");
+  });
+});
@@ -0,0 +1,492 @@
+import http from "http";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import {
+  LlmAuthError,
+  LlmRateLimitError,
+  LlmRequestError,
+  LlmSchemaUnsupportedError,
+  LlmServerError,
+  LlmTimeoutError,
+} from "../src/errors.js";
+import { InvalidLlmResponseError } from "../src/llm/responseValidator.js";
+import {
+  DEFAULT_PROVIDER,
+  PROVIDERS,
+  getProvider,
+} from "../src/llm/providers/index.js";
+import {
+  extractJsonText,
+  parseDataUrl,
+  parseRetryAfter,
+} from "../src/llm/providers/shared.js";
+
+const PLAN = {
+  version: 1,
+  changes: [],
+  globalRationale: "ok",
+  warnings: [],
+};
+
+const CONTENT = [
+  { type: "text", text: "Intent details" },
+  { type: "text", text: "Project data" },
+  { type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } },
+  { type: "image_url", image_url: { url: "https://example.com/plate.png" } },
+];
+
+// Local stand-in for the provider HTTP APIs: replies with whatever the
+// current test queued for the request path.
+let server;
+let baseURL;
+const requests = [];
+const replies = new Map();
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({
+        path: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null,
+      });
+      const reply = replies.get(req.url) ?? { status: 404, body: "missing" };
+      const payload =
+        typeof reply.body === "string"
+          ? reply.body
+          : JSON.stringify(reply.body);
+      setTimeout(() => {
+        res.writeHead(reply.status, {
+          "content-type": "application/json",
+          ...reply.headers,
+        });
+        if (!reply.bodyDelayMs) {
+          res.end(payload);
+          return;
+        }
+        // Send the headers and part of the body, then stall.
+        res.write(payload.slice(0, 1));
+        setTimeout(() => res.end(payload.slice(1)), reply.bodyDelayMs);
+      }, reply.delayMs ?? 0);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function reply(path, status, body, extra = {}) {
+  requests.length = 0;
+  replies.clear();
+  replies.set(path, { status, body, ...extra });
+}
+
+function config(extra = {}) {
+  return { apiKey: "secret", model: "m", temperature: 0.2, ...extra };
+}
+
+describe("provider registry", () => {
+  it("resolves known providers and rejects unknown names", () => {
+    expect(getProvider().name).toBe(DEFAULT_PROVIDER);
+    expect(Object.keys(PROVIDERS)).toEqual([
+      "openai",
+      "openai-compatible-no-schema",
+      "anthropic",
+      "ollama",
+    ]);
+    expect(() => getProvider("gemini")).toThrow(/Unknown LLM provider/);
+  });
+});
+
+describe("openai provider", () => {
+  it("sends the structured response schema and image parts", async () => {
+    reply("/v1/chat/completions", 200, {
+      choices: [{ message: { content: JSON.stringify(PLAN) } }],
+      usage: { prompt_tokens: 1200, completion_tokens: 300 },
+    });
+
+    const { content, usage } = await getProvider("openai").complete({
+      config: config({ baseURL: `${baseURL}/v1` }),
+      system: "system prompt",
+      messages: [{ role: "user", content: CONTENT }],
+      logger: { debug: () => {} },
+    });
+
+    expect(JSON.parse(content)).toEqual(PLAN);
+    expect(usage).toEqual({ promptTokens: 1200, completionTokens: 300 });
+    const [request] = requests;
+    expect(request.headers.authorization).toBe("Bearer secret");
+    expect(request.body.response_format.type).toBe("json_schema");
+    expect(request.body.messages[1].content).toEqual(CONTENT);
+  });
+
+  it("normalizes HTTP errors and empty replies", async () => {
+    reply("/v1/chat/completions", 400, { error: { message: "bad model" } });
+    const error = await getProvider("openai")
+      .complete({
+        config: config({ baseURL: `${baseURL}/v1` }),
+        system: "s",
+        messages: [{ role: "user", content: CONTENT }],
+      })
+      .catch((err) => err);
+    expect(error).toBeInstanceOf(LlmRequestError);
+    expect(error.status).toBe(400);
+    expect(error.message).toMatch(/LLM request failed \(openai\): status=400/);
+
+    reply("/v1/chat/completions", 200, { choices: [] });
+    await expect(
+      getProvider("openai").complete({
+        config: config({ baseURL: `${baseURL}/v1` }),
+        system: "s",
+        messages: [{ role: "user", content: CONTENT }],
+      }),
+    ).resolves.toEqual({
+      content: "",
+      usage: { promptTokens: 0, completionTokens: 0 },
+    });
+  });
+
+  it("reports connection failures without a status", async () => {
+    const error = await getProvider("openai")
+      .complete({
+        config: config({ baseURL: "http://127.0.0.1:1/v1" }),
+        system: "s",
+        messages: [{ role: "user", content: CONTENT }],
+      })
+      .catch((err) => err);
+    expect(error).toBeInstanceOf(LlmRequestError);
+    expect(error.status).toBeNull();
+  }, 20000);
+});
+
+describe("openai provider errors", () => {
+  const complete = (extra) =>
+    getProvider("openai")
+      .complete({
+        config: config({ baseURL: `${baseURL}/v1`, ...extra }),
+        system: "s",
+        messages: [{ role: "user", content: CONTENT }],
+      })
+      .catch((err) => err);
+
+  it("classifies auth, rate limit and schema failures", async () => {
+    reply("/v1/chat/completions", 401, { error: { message: "bad key" } });
+    expect(await complete()).toBeInstanceOf(LlmAuthError);
+
+    reply(
+      "/v1/chat/completions",
+      429,
+      { error: { message: "slow down" } },
+      { headers: { "retry-after": "3" } },
+    );
+    const limited = await complete();
+    expect(limited).toBeInstanceOf(LlmRateLimitError);
+    expect(limited.retryAfterMs).toBe(3000);
+    expect(requests).toHaveLength(1);
+
+    reply("/v1/chat/completions", 400, {
+      error: { message: "response_format json_schema is not supported" },
+    });
+    expect(await complete()).toBeInstanceOf(LlmSchemaUnsupportedError);
+  });
+
+  it("times out slow requests", async () => {
+    reply("/v1/chat/completions", 200, {}, { delayMs: 500 });
+    const error = await complete({ timeoutMs: 50 });
+    expect(error).toBeInstanceOf(LlmTimeoutError);
+    expect(error.retryable).toBe(true);
+  });
+});
+
+describe("openai-compatible-no-schema provider", () => {
+  it("asks for JSON in the prompt and extracts it from the reply", async () => {
+    reply("/v1/chat/completions", 200, {
+      choices: [
+        {
+          message: {
+            content: `Here you go:\n\`\`\`json\n${JSON.stringify(PLAN)}\n\`\`\``,
+          },
+        },
+      ],
+    });
+
+    const { content } = await getProvider(
+      "openai-compatible-no-schema",
+    ).complete({
+      config: config({ apiKey: "", baseURL: `${baseURL}/v1` }),
+      system: "system prompt",
+      messages: [{ role: "user", content: CONTENT }],
+      logger: { debug: () => {} },
+    });
+
+    expect(JSON.parse(content)).toEqual(PLAN);
+    const [request] = requests;
+    expect(request.body.response_format).toBeUndefined();
+    expect(request.body.messages[0].content).toMatch(
+      /^system prompt\n\nRespond with a single JSON object/,
+    );
+  });
+});
+
+describe("anthropic provider", () => {
+  it("forces the plan tool and converts images", async () => {
+    reply("/v1/messages", 200, {
+      content: [
+        { type: "text", text: "thinking" },
+        { type: "tool_use", name: "submit_optimization", input: PLAN },
+      ],
+      usage: { input_tokens: 900, output_tokens: 150 },
+    });
+
+    const { content, usage } = await getProvider("anthropic").complete({
+      config: config({ baseURL: `${baseURL}/` }),
+      system: "system prompt",
+      messages: [{ role: "user", content: CONTENT }],
+      logger: { debug: () => {} },
+    });
+
+    expect(content).toEqual(PLAN);
+    expect(usage).toEqual({ promptTokens: 900, completionTokens: 150 });
+    const [request] = requests;
+    expect(request.headers["x-api-key"]).toBe("secret");
+    expect(request.headers["anthropic-version"]).toBe("2023-06-01");
+    expect(request.body.system).toBe("system prompt");
+    expect(request.body.tool_choice).toEqual({
+      type: "tool",
+      name: "submit_optimization",
+    });
+    expect(request.body.tools[0].input_schema.required).toContain("changes");
+    expect(request.body.messages[0].content.slice(2)).toEqual([
+      {
+        type: "image",
+        source: { type: "base64", media_type: "image/png", data: "AAAA" },
+      },
+      {
+        type: "image",
+        source: { type: "url", url: "https://example.com/plate.png" },
+      },
+    ]);
+  });
+
+  it("rejects replies without the tool call and normalizes errors", async () => {
+    reply("/v1/messages", 200, { content: [{ type: "text", text: "no" }] });
+    await expect(
+      getProvider("anthropic").complete({
+        config: config({ baseURL }),
+        system: "s",
+        messages: [{ role: "user", content: CONTENT }],
+      }),
+    ).rejects.toThrow(InvalidLlmResponseError);
+
+    reply("/v1/messages", 200, {});
+    await expect(
+      getProvider("anthropic").complete({
+        config: config({ baseURL }),
+        system: "s",
+        messages: [
+          { role: "user", content: CONTENT },
+          { role: "assistant", content: "{}" },
+          { role: "user", content: "Fix it" },
+        ],
+      }),
+    ).rejects.toThrow(/submit_optimization tool call/);
+    expect(requests[0].body.messages.slice(1)).toEqual([
+      { role: "assistant", content: "{}" },
+      { role: "user", content: "Fix it" },
+    ]);
+
+    reply("/v1/messages", 529, { error: { type: "overloaded_error" } });
+    await expect(
+      getProvider("anthropic").complete({
+        config: config({ baseURL }),
+        system: "s",
+        messages: [{ role: "user", content: CONTENT }],
+      }),
+    ).rejects.toThrow(/\(anthropic\): status=529/);
+  });
+});
+
+describe("ollama provider", () => {
+  it("sends the schema as format and images as base64", async () => {
+    reply("/api/chat", 200, {
+      message: { content: JSON.stringify(PLAN) },
+      prompt_eval_count: 700,
+      eval_count: 80,
+    });
+
+    const { content, usage } = await getProvider("ollama").complete({
+      config: config({ apiKey: "", baseURL }),
+      system: "system prompt",
+      messages: [{ role: "user", content: CONTENT }],
+      logger: { debug: () => {} },
+    });
+
+    expect(JSON.parse(content)).toEqual(PLAN);
+    expect(usage).toEqual({ promptTokens: 700, completionTokens: 80 });
+    const [request] = requests;
+    expect(request.headers.authorization).toBeUndefined();
+    expect(request.body.stream).toBe(false);
+    expect(request.body.format.type).toBe("object");
+    expect(request.body.options).toEqual({ temperature: 0.2 });
+    expect(request.body.messages[1]).toEqual({
+      role: "user",
+      content: "Intent details\n\nProject data",
+      images: ["AAAA"],
+    });
+  });
+
+  it("passes API keys, tolerates empty replies and reports errors", async () => {
+    reply("/api/chat", 200, {});
+    await expect(
+      getProvider("ollama").complete({
+        config: config({ baseURL }),
+        system: "s",
+        messages: [
+          { role: "user", content: CONTENT },
+          { role: "assistant", content: "{}" },
+          { role: "user", content: "Fix it" },
+        ],
+      }),
+    ).resolves.toEqual({
+      content: "",
+      usage: { promptTokens: 0, completionTokens: 0 },
+    });
+    expect(requests[0].headers.authorization).toBe("Bearer secret");
+    expect(requests[0].body.messages.slice(2)).toEqual([
+      { role: "assistant", content: "{}" },
+      { role: "user", content: "Fix it" },
+    ]);
+
+    reply("/api/chat", 404, { error: "model 'm' not found" });
+    await expect(
+      getProvider("ollama").complete({
+        config: config({ baseURL }),
+        system: "s",
+        messages: [],
+      }),
+    ).rejects.toThrow(
+      "LLM request failed (ollama): status=404 model 'm' not found",
+    );
+
+    reply("/api/chat", 500, "<html>oops</html>");
+    await expect(
+      getProvider("ollama").complete({
+        config: config({ baseURL }),
+        system: "s",
+        messages: [],
+      }),
+    ).rejects.toThrow("status=500 <html>oops</html>");
+
+    reply("/api/chat", 502, { error: { code: 1 } });
+    await expect(
+      getProvider("ollama").complete({
+        config: config({ baseURL }),
+        system: "s",
+        messages: [],
+      }),
+    ).rejects.toThrow('status=502 {"error":{"code":1}}');
+
+    reply("/api/chat", 200, "not json");
+    await expect(
+      getProvider("ollama").complete({
+        config: config({ baseURL }),
+        system: "s",
+        messages: [],
+      }),
+    ).rejects.toThrow(/response body is not valid JSON/);
+
+    await expect(
+      getProvider("ollama").complete({
+        config: config({ baseURL: "http://127.0.0.1:1" }),
+        system: "s",
+        messages: [],
+      }),
+    ).rejects.toThrow(LlmRequestError);
+  });
+});
+
+describe("HTTP provider errors", () => {
+  it("classifies statuses, Retry-After and timeouts", async () => {
+    const complete = (extra) =>
+      getProvider("ollama")
+        .complete({
+          config: config({ baseURL, ...extra }),
+          system: "s",
+          messages: [],
+        })
+        .catch((err) => err);
+
+    reply("/api/chat", 503, "busy", { headers: { "retry-after": "2" } });
+    const busy = await complete();
+    expect(busy).toBeInstanceOf(LlmServerError);
+    expect(busy.retryAfterMs).toBe(2000);
+
+    reply("/api/chat", 429, "slow", {});
+    expect((await complete()).retryAfterMs).toBeNull();
+
+    reply("/api/chat", 200, {}, { delayMs: 500 });
+    const slow = await complete({ timeoutMs: 50 });
+    expect(slow).toBeInstanceOf(LlmTimeoutError);
+    expect(slow.message).toBe(
+      "LLM request failed (ollama): no response within 50 ms",
+    );
+
+    reply("/api/chat", 200, { message: {} }, { bodyDelayMs: 500 });
+    const stalled = await complete({ timeoutMs: 50 });
+    expect(stalled).toBeInstanceOf(LlmTimeoutError);
+    expect(stalled.retryable).toBe(true);
+  });
+
+  it("parses Retry-After seconds and dates", () => {
+    const now = Date.parse("2025-01-01T00:00:00Z");
+    expect(parseRetryAfter("1.5", now)).toBe(1500);
+    expect(parseRetryAfter("Wed, 01 Jan 2025 00:00:10 GMT", now)).toBe(10000);
+    expect(parseRetryAfter("Tue, 31 Dec 2024 00:00:00 GMT", now)).toBe(0);
+    expect(parseRetryAfter("soon", now)).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter("0")).toBe(0);
+  });
+});
+
+describe("provider helpers", () => {
+  it("parses data URLs and extracts JSON from prose", () => {
+    expect(parseDataUrl("data:image/jpeg;base64,Zm9v")).toEqual({
+      mediaType: "image/jpeg",
+      data: "Zm9v",
+    });
+    expect(parseDataUrl("https://example.com/a.png")).toBeNull();
+    expect(parseDataUrl(undefined)).toBeNull();
+    expect(extractJsonText('text {"a":1} more')).toBe('{"a":1}');
+    expect(extractJsonText("no json")).toBe("no json");
+  });
+});
+
+describe("provider default endpoints", () => {
+  it("targets the public Anthropic API and local Ollama by default", async () => {
+    const fetchMock = vi.fn(async () => new Response("{}", { status: 200 }));
+    vi.stubGlobal("fetch", fetchMock);
+    try {
+      await getProvider("ollama").complete({
+        config: config(),
+        system: "s",
+        messages: [],
+      });
+      await getProvider("anthropic")
+        .complete({ config: config(), system: "s", messages: [] })
+        .catch(() => {});
+    } finally {
+      vi.unstubAllGlobals();
+    }
+
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+      "http://localhost:11434/api/chat",
+      "https://api.anthropic.com/v1/messages",
+    ]);
+  });
+});
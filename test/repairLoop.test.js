@@ -0,0 +1,179 @@
+import http from "http";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { requestOptimization } from "../src/llm/optimizerClient.js";
+import { InvalidLlmResponseError } from "../src/llm/responseValidator.js";
+import { LlmAuthError, LlmRateLimitError } from "../src/errors.js";
+
+const VALID = {
+  version: 1,
+  changes: [
+    {
+      scope: "global",
+      target: null,
+      parameter: "wall_line_count",
+      newValue: 4,
+      changeType: "absolute",
+      reason: "strength",
+    },
+  ],
+  globalRationale: "ok",
+  warnings: [],
+};
+
+const PAYLOAD = {
+  version: 1,
+  projectSummary: { printer: {}, filaments: [], plates: [] },
+  currentSettings: { globalProcess: {}, perObjectOverrides: {} },
+  plateImages: [
+    { name: "plate_1.png", plateIndex: 1, dataUrl: "data:image/png;base64,AA" },
+  ],
+};
+
+// Ollama-style stub that answers each request with the next queued reply.
+let server;
+let baseURL;
+let queue = [];
+const requests = [];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push(JSON.parse(body));
+      const next = queue.shift();
+      if (typeof next === "object") {
+        res.writeHead(next.status, next.headers);
+        res.end("{}");
+        return;
+      }
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(
+        JSON.stringify({
+          message: { content: next },
+          prompt_eval_count: 100,
+          eval_count: 10,
+        }),
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function run({ replies, maxRepairAttempts, maxRetries, validate }) {
+  queue = [...replies];
+  requests.length = 0;
+  return requestOptimization({
+    payload: PAYLOAD,
+    config: {
+      provider: "ollama",
+      baseURL,
+      model: "m",
+      temperature: 0.2,
+      maxRepairAttempts,
+      maxRetries,
+    },
+    logger: { debug: () => {} },
+    validate,
+  });
+}
+
+describe("requestOptimization repair loop", () => {
+  it("sends validation errors back and returns the repaired reply", async () => {
+    const { response, attempts, usage } = await run({
+      replies: ["not json", JSON.stringify(VALID)],
+      maxRepairAttempts: 2,
+    });
+
+    expect(response.changes).toHaveLength(1);
+    expect(usage).toEqual({
+      requests: 2,
+      promptTokens: 200,
+      completionTokens: 20,
+      images: 2,
+      estimatedCostUsd: null,
+    });
+    expect(attempts).toEqual([
+      { attempt: 1, problems: [expect.stringMatching(/Invalid JSON/)] },
+      { attempt: 2, problems: [] },
+    ]);
+    const followUp = requests[1].messages.slice(2);
+    expect(followUp[0]).toEqual({ role: "assistant", content: "not json" });
+    expect(followUp[1].role).toBe("user");
+    expect(followUp[1].content).toMatch(
+      /previous response could not be used:\n- Invalid JSON/,
+    );
+  });
+
+  it("repairs replies rejected by the project validator", async () => {
+    const unknown = {
+      ...VALID,
+      changes: [{ ...VALID.changes[0], parameter: "wall_loops" }],
+    };
+    const validate = (response) =>
+      response.changes
+        .filter((change) => change.parameter === "wall_loops")
+        .map((change) => `Unknown global parameter "${change.parameter}"`);
+
+    const { response, attempts } = await run({
+      replies: [JSON.stringify(unknown), JSON.stringify(VALID)],
+      maxRepairAttempts: 1,
+      validate,
+    });
+
+    expect(response.changes[0].parameter).toBe("wall_line_count");
+    expect(attempts.map((entry) => entry.problems.length)).toEqual([1, 0]);
+    expect(requests[1].messages.at(-1).content).toContain(
+      'Unknown global parameter "wall_loops"',
+    );
+  });
+
+  it("gives up after the configured number of attempts", async () => {
+    await expect(
+      run({ replies: ["nope", "still nope"], maxRepairAttempts: 1 }),
+    ).rejects.toThrow(InvalidLlmResponseError);
+    expect(requests).toHaveLength(2);
+
+    const { response, attempts } = await run({
+      replies: [JSON.stringify(VALID)],
+      validate: () => ["still unknown"],
+    });
+    expect(response.changes).toHaveLength(1);
+    expect(attempts).toEqual([{ attempt: 1, problems: ["still unknown"] }]);
+    expect(requests).toHaveLength(1);
+  });
+
+  it("retries transient request failures without using repair attempts", async () => {
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    try {
+      const { response, attempts } = await run({
+        replies: [
+          { status: 429, headers: { "retry-after": "0" } },
+          { status: 503 },
+          JSON.stringify(VALID),
+        ],
+        maxRetries: 2,
+      });
+      expect(response.changes).toHaveLength(1);
+      expect(attempts).toEqual([{ attempt: 1, problems: [] }]);
+      expect(requests).toHaveLength(3);
+
+      await expect(
+        run({ replies: [{ status: 429 }], maxRetries: 0 }),
+      ).rejects.toThrow(LlmRateLimitError);
+      await expect(
+        run({ replies: [{ status: 401 }], maxRetries: 2 }),
+      ).rejects.toThrow(LlmAuthError);
+      expect(requests).toHaveLength(1);
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+});
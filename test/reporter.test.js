@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { LlmRateLimitError } from "../src/errors.js";
+import {
+  REPORT_SCHEMA_VERSION,
+  createReporter,
+  toReportWarnings,
+} from "../src/utils/reporter.js";
+
+function capture(format) {
+  const lines = [];
+  let clock = 0;
+  const reporter = createReporter({
+    format,
+    write: (text) => lines.push(text),
+    now: () => {
+      clock += 10;
+      return clock;
+    },
+  });
+  return { reporter, lines };
+}
+
+describe("createReporter", () => {
+  it("prints nothing for text output", () => {
+    const { reporter, lines } = capture("text");
+    reporter.startStage("parse")();
+    reporter.result({ command: "optimize" });
+    reporter.error(new Error("x"));
+    expect(reporter.machine).toBe(false);
+    expect(lines).toEqual([]);
+  });
+
+  it("prints one pretty document with stage timings for json", () => {
+    const { reporter, lines } = capture("json");
+    const done = reporter.startStage("parse", { input: "a.3mf" });
+    done();
+    reporter.startStage("llm")();
+    reporter.result({ command: "optimize", input: "a.3mf" });
+
+    expect(reporter.machine).toBe(true);
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toContain('\n  "type": "result"');
+    expect(JSON.parse(lines[0])).toEqual({
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      type: "result",
+      command: "optimize",
+      input: "a.3mf",
+      timings: { parseMs: 10, llmMs: 10, totalMs: 50 },
+    });
+  });
+
+  it("streams progress events and errors for ndjson", () => {
+    const { reporter, lines } = capture("ndjson");
+    const done = reporter.startStage("project", { input: "a.3mf" });
+    done({ outcome: "success" });
+    reporter.startStage("project", { input: "b.3mf" })();
+    reporter.error(
+      new LlmRateLimitError({ provider: "openai", message: "slow down" }),
+    );
+
+    const events = lines.map((line) => JSON.parse(line));
+    expect(lines.every((line) => line.endsWith("}\n"))).toBe(true);
+    expect(events.map(({ type, status }) => `${type}:${status}`)).toEqual([
+      "progress:started",
+      "progress:finished",
+      "progress:started",
+      "progress:finished",
+      "error:undefined",
+    ]);
+    expect(events[1]).toEqual({
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      type: "progress",
+      stage: "project",
+      status: "finished",
+      durationMs: 10,
+      input: "a.3mf",
+      outcome: "success",
+    });
+    expect(events[4].error).toEqual({
+      name: "LlmRateLimitError",
+      message: "LLM request failed (openai): slow down",
+      exitCode: 12,
+    });
+    expect(events[4].timings.projectMs).toBe(20);
+  });
+
+  it("rejects unknown formats", () => {
+    expect(() => createReporter({ format: "xml" })).toThrow(
+      'Unknown output format "xml". Expected one of: text, json, ndjson',
+    );
+    expect(createReporter().format).toBe("text");
+  });
+});
+
+describe("toReportWarnings", () => {
+  it("gives every warning a category", () => {
+    expect(
+      toReportWarnings([
+        "plain",
+        { category: "safetyClamped", message: "clamped" },
+        { message: "no category" },
+      ]),
+    ).toEqual([
+      { category: "general", message: "plain" },
+      { category: "safetyClamped", message: "clamped" },
+      { category: "general", message: "no category" },
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it, vi } from "vitest";
+import { computeBackoff, withRetry } from "../src/utils/retry.js";
+
+function transient(extra = {}) {
+  return Object.assign(new Error("busy"), { retryable: true, ...extra });
+}
+
+describe("withRetry", () => {
+  it("retries retryable errors with backoff and returns the result", async () => {
+    const sleep = vi.fn(async () => {});
+    const onRetry = vi.fn();
+    const fn = vi
+      .fn()
+      .mockRejectedValueOnce(transient())
+      .mockRejectedValueOnce(transient({ retryAfterMs: 800 }))
+      .mockResolvedValue("ok");
+
+    const result = await withRetry(fn, {
+      retries: 3,
+      baseDelayMs: 100,
+      maxDelayMs: 1000,
+      random: () => 0.5,
+      sleep,
+      onRetry,
+    });
+
+    expect(result).toBe("ok");
+    expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2, 3]);
+    expect(sleep.mock.calls).toEqual([[50], [800]]);
+    expect(onRetry).toHaveBeenCalledWith(expect.any(Error), 50, 1);
+  });
+
+  it("stops on non-retryable errors and after the retry budget", async () => {
+    const sleep = vi.fn(async () => {});
+    const fatal = vi.fn().mockRejectedValue(new Error("auth"));
+    await expect(withRetry(fatal, { retries: 3, sleep })).rejects.toThrow(
+      "auth",
+    );
+    expect(fatal).toHaveBeenCalledTimes(1);
+
+    const busy = vi.fn().mockRejectedValue(transient());
+    await expect(
+      withRetry(busy, { retries: 2, sleep, random: () => 0 }),
+    ).rejects.toThrow("busy");
+    expect(busy).toHaveBeenCalledTimes(3);
+
+    await expect(withRetry(vi.fn().mockRejectedValue(null))).rejects.toBe(null);
+  });
+
+  it("waits with real timers by default", async () => {
+    const fn = vi.fn().mockRejectedValueOnce(transient()).mockResolvedValue(1);
+    await expect(
+      withRetry(fn, { retries: 1, baseDelayMs: 1, random: () => 0 }),
+    ).resolves.toBe(1);
+  });
+});
+
+describe("computeBackoff", () => {
+  it("grows exponentially up to the cap and honors Retry-After within it", () => {
+    const base = { baseDelayMs: 1000, maxDelayMs: 5000, random: () => 0.999 };
+    expect(computeBackoff({ ...base, attempt: 1 })).toBe(999);
+    expect(computeBackoff({ ...base, attempt: 3 })).toBe(3996);
+    expect(computeBackoff({ ...base, attempt: 10 })).toBe(4995);
+    expect(computeBackoff({ ...base, attempt: 1, retryAfterMs: 3000 })).toBe(
+      3000,
+    );
+    expect(computeBackoff({ ...base, attempt: 1, retryAfterMs: 7000 })).toBe(
+      5000,
+    );
+    expect(
+      computeBackoff({ attempt: 1, baseDelayMs: 10, maxDelayMs: 10 }),
+    ).toBeLessThan(10);
+  });
+});
@@ -0,0 +1,153 @@
+import { PassThrough } from "stream";
+import { describe, expect, it, vi } from "vitest";
+import {
+  buildReviewedResponse,
+  parseReviewValue,
+  reviewDiffs,
+} from "../src/apply/review.js";
+import { applyLlmChanges } from "../src/apply/changes.js";
+
+const DIFFS = [
+  {
+    scope: "global",
+    target: null,
+    parameter: "wall_line_count",
+    from: 2,
+    to: 4,
+    reason: "Stronger walls",
+  },
+  {
+    scope: "object",
+    target: { objectName: "Cube", plateIndex: 0 },
+    parameter: "infill_density_percent",
+    from: 15,
+    to: 40,
+    reason: "",
+  },
+  {
+    scope: "filament",
+    target: { filamentIndex: 0 },
+    parameter: "nozzle_temp_c",
+    from: 205,
+    to: 215,
+    reason: "",
+  },
+  {
+    scope: "plate",
+    target: { plateIndex: 1 },
+    parameter: "bed_type",
+    from: "Textured PEI Plate",
+    to: "Cool Plate",
+    reason: "",
+  },
+];
+
+function createTty() {
+  const input = new PassThrough();
+  input.isTTY = true;
+  input.setRawMode = vi.fn();
+  return input;
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("reviewDiffs", () => {
+  it("accepts every change when the input is not interactive", async () => {
+    const input = new PassThrough();
+    input.isTTY = false;
+
+    const accepted = await reviewDiffs({
+      diffs: DIFFS,
+      inputStream: input,
+      outputStream: new PassThrough(),
+    });
+
+    expect(accepted).toEqual(DIFFS);
+  });
+
+  it("accepts, rejects and edits changes with the arrow-key menu", async () => {
+    const input = createTty();
+    const output = new PassThrough();
+    let rendered = "";
+    output.on("data", (chunk) => {
+      rendered += chunk.toString();
+    });
+    const promise = reviewDiffs({
+      diffs: DIFFS,
+      inputStream: input,
+      outputStream: output,
+      i18n: { t: (key) => key },
+    });
+
+    input.emit("data", Buffer.from("\r"));
+    await tick();
+    input.emit("data", Buffer.from("\u001b[B"));
+    input.emit("data", Buffer.from("\r"));
+    await tick();
+    input.emit("data", Buffer.from("\u001b[A"));
+    input.emit("data", Buffer.from("\r"));
+    await tick();
+    input.write("220\n");
+    await tick();
+    input.emit("data", Buffer.from("\r"));
+
+    const accepted = await promise;
+    expect(accepted).toEqual([DIFFS[0], { ...DIFFS[2], to: 220 }, DIFFS[3]]);
+    expect(rendered).toContain("Cube@p0");
+    expect(rendered).toContain("f0");
+    expect(rendered).toContain("@ p1");
+    expect(rendered).toContain("reviewEditPrompt");
+  });
+});
+
+describe("parseReviewValue", () => {
+  it("keeps the fallback for empty input and coerces typed values", () => {
+    expect(parseReviewValue("  ", 4)).toBe(4);
+    expect(parseReviewValue("true", false)).toBe(true);
+    expect(parseReviewValue("false", true)).toBe(false);
+    expect(parseReviewValue("null", 1)).toBeNull();
+    expect(parseReviewValue(" 0.16 ", 0.2)).toBe(0.16);
+    expect(parseReviewValue("gyroid", "grid")).toBe("gyroid");
+  });
+});
+
+describe("buildReviewedResponse", () => {
+  it("re-applies accepted diffs as absolute changes", () => {
+    const normalized = {
+      projectSummary: {
+        plates: [
+          { index: 0, objects: [{ name: "Cube" }] },
+          { index: 1, objects: [] },
+        ],
+      },
+      currentSettings: {
+        globalProcess: { wall_line_count: 2, infill_density_percent: 15 },
+        perObjectOverrides: {},
+        perPlateOverrides: {
+          1: { plateIndex: 1, bed_type: "Textured PEI Plate" },
+        },
+        perFilamentSettings: [{ filamentIndex: 0, nozzle_temp_c: 205 }],
+      },
+      userModifiedSettings: [],
+    };
+
+    const response = buildReviewedResponse(DIFFS);
+    expect(response.changes[0]).toEqual({
+      scope: "global",
+      target: null,
+      parameter: "wall_line_count",
+      newValue: 4,
+      changeType: "absolute",
+      reason: "Stronger walls",
+    });
+
+    const { updated, diffs } = applyLlmChanges({ normalized, response });
+    expect(diffs).toEqual(DIFFS);
+    expect(updated.currentSettings.perFilamentSettings[0].nozzle_temp_c).toBe(
+      215,
+    );
+    expect(updated.currentSettings.perPlateOverrides[1].bed_type).toBe(
+      "Cool Plate",
+    );
+  });
+});
@@ -0,0 +1,421 @@
+import { describe, expect, it } from "vitest";
+import {
+  enforceSafetyLimits,
+  SAFETY_WARNING_CATEGORIES,
+} from "../src/apply/safetyLimits.js";
+import { formatWarnings } from "../src/utils/summary.js";
+import { createI18n } from "../src/i18n.js";
+import { stripAnsi } from "./fixtures/stripAnsi.js";
+
+function makeNormalized({
+  families = ["PLA"],
+  nozzle = 0.4,
+  bedType,
+  printer = "P",
+} = {}) {
+  return {
+    fileName: "demo.3mf",
+    projectSummary: {
+      printer: { name: printer, nozzle_diameter_mm: nozzle, bed_type: bedType },
+      filaments: families.map((family, index) => ({
+        id: String(index),
+        name: `Filament ${index}`,
+        material_family: family,
+      })),
+      plates: [],
+    },
+    currentSettings: {
+      globalProcess: {
+        nozzle_temp_c: 210,
+        bed_temp_c: 55,
+        layer_height_mm: 0.2,
+      },
+      perObjectOverrides: {
+        "0::Cube": { plateIndex: 0, objectName: "Cube", nozzle_temp_c: 230 },
+      },
+    },
+  };
+}
+
+function run(normalized, changes) {
+  return enforceSafetyLimits({
+    normalized,
+    response: { version: 1, changes, warnings: [] },
+  });
+}
+
+describe("enforceSafetyLimits", () => {
+  it("clamps out-of-range nozzle temperatures to the material limits", () => {
+    const { response, warnings } = run(makeNormalized(), [
+      { scope: "global", parameter: "nozzle_temp_c", newValue: 300 },
+      { scope: "global", parameter: "fan_speed_percent", newValue: 150 },
+    ]);
+    expect(response.changes[0]).toMatchObject({
+      newValue: 235,
+      changeType: "absolute",
+    });
+    expect(response.changes[1].newValue).toBe(150);
+    expect(warnings).toEqual([
+      {
+        category: SAFETY_WARNING_CATEGORIES.clamped,
+        message:
+          "Clamped nozzle_temp_c from 300 to 235 °C (PLA limits 180–235 °C).",
+      },
+    ]);
+  });
+
+  it("rejects temperatures when loaded materials have no common safe range", () => {
+    const { response, warnings } = run(
+      makeNormalized({ families: ["PLA", "PC"] }),
+      [{ scope: "global", parameter: "nozzle_temp_c", newValue: 240 }],
+    );
+    expect(response.changes).toEqual([]);
+    expect(warnings[0].category).toBe(SAFETY_WARNING_CATEGORIES.rejected);
+    expect(warnings[0].message).toBe(
+      "Rejected nozzle_temp_c = 240: the PLA + PC temperature ranges do not overlap; change it per filament instead.",
+    );
+  });
+
+  it("limits temperatures by the filaments used on the affected plates", () => {
+    const normalized = makeNormalized({ families: ["PLA", "PETG"] });
+    normalized.projectSummary.plates = [
+      { index: 0, objects: [{ name: "Cube", filamentIndex: 0 }] },
+      { index: 1, objects: [{ name: "Clip", filamentIndex: 1 }] },
+    ];
+    const nozzle = (scope, plateIndex) => ({
+      scope,
+      target: { plateIndex },
+      parameter: "nozzle_temp_c",
+      newValue: 200,
+    });
+
+    const plate = run(normalized, [nozzle("plate", 0), nozzle("plate", 1)]);
+    expect(plate.response.changes.map((change) => change.newValue)).toEqual([
+      200, 220,
+    ]);
+    expect(plate.warnings[0].message).toContain("(PETG limits");
+
+    const global = run(normalized, [nozzle("global", null)]);
+    expect(global.warnings[0].message).toContain("(PLA + PETG limits");
+
+    normalized.projectSummary.slice_results = [
+      { plateIndex: 0, filaments: [{ id: "1" }] },
+      { plateIndex: 1, filaments: [{ id: "1" }] },
+    ];
+    expect(run(normalized, [nozzle("global", null)]).warnings).toEqual([]);
+
+    normalized.projectSummary.slice_results = [];
+    normalized.projectSummary.plates[1].objects.push({ name: "Unassigned" });
+    const unknown = run(normalized, [nozzle("plate", 1)]);
+    expect(unknown.warnings[0].message).toContain("(PLA + PETG limits");
+
+    normalized.projectSummary.plates = [{ index: 0, objects: [] }];
+    const empty = run(normalized, [nozzle("global", null)]);
+    expect(empty.warnings[0].message).toContain("(PLA + PETG limits");
+
+    normalized.projectSummary.slice_results = [
+      { plateIndex: 0, filaments: [{ id: "5" }] },
+    ];
+    const missing = run(normalized, [nozzle("global", null)]);
+    expect(missing.warnings[0].message).toContain("(PLA + PETG limits");
+  });
+
+  it("caps bed temperatures by bed type and rejects impossible combinations", () => {
+    const cool = run(
+      makeNormalized({ families: ["PETG"], bedType: "cool_plate" }),
+      [{ scope: "global", parameter: "bed_temp_c", newValue: 80 }],
+    );
+    expect(cool.response.changes[0].newValue).toBe(60);
+    expect(cool.warnings[0].message).toContain("PETG / Cool Plate");
+
+    const abs = run(
+      makeNormalized({ families: ["ABS"], bedType: "Cool Plate" }),
+      [{ scope: "global", parameter: "bed_temp_c", newValue: 100 }],
+    );
+    expect(abs.response.changes).toEqual([]);
+
+    const unknownBed = run(
+      makeNormalized({ families: ["ABS"], bedType: "Glass" }),
+      [{ scope: "global", parameter: "bed_temp_c", newValue: 100 }],
+    );
+    expect(unknownBed.response.changes[0].newValue).toBe(100);
+    expect(unknownBed.warnings).toEqual([]);
+
+    const conflictBed = run(
+      makeNormalized({ families: ["PLA", "ABS"], bedType: "Cool Plate" }),
+      [{ scope: "global", parameter: "bed_temp_c", newValue: 50 }],
+    );
+    expect(conflictBed.response.changes).toEqual([]);
+  });
+
+  it("falls back to generic limits for unknown or missing materials", () => {
+    const other = run(makeNormalized({ families: ["Other"] }), [
+      { scope: "global", parameter: "nozzle_temp_c", newValue: 400 },
+    ]);
+    expect(other.response.changes[0].newValue).toBe(280);
+    expect(other.warnings[0].message).toContain("Other limits");
+
+    const none = run(makeNormalized({ families: [] }), [
+      { scope: "global", parameter: "bed_temp_c", newValue: -5 },
+    ]);
+    expect(none.response.changes[0].newValue).toBe(0);
+    expect(none.warnings[0].message).toContain("generic limits");
+
+    const normalized = makeNormalized();
+    normalized.projectSummary.filaments = [{ name: "Mystery" }];
+    delete normalized.projectSummary.printer;
+    const defaults = run(normalized, [
+      { scope: "global", parameter: "layer_height_mm", newValue: 0.4 },
+    ]);
+    expect(defaults.response.changes[0].newValue).toBe(0.32);
+  });
+
+  it("bounds layer heights by nozzle diameter", () => {
+    const { response, warnings } = run(makeNormalized({ nozzle: 0.4 }), [
+      { scope: "global", parameter: "layer_height_mm", newValue: 0.4 },
+      { scope: "global", parameter: "first_layer_height_mm", newValue: 0.01 },
+      { scope: "global", parameter: "layer_height_mm", newValue: "0.16" },
+    ]);
+    expect(response.changes.map((c) => c.newValue)).toEqual([
+      0.32,
+      0.05,
+      "0.16",
+    ]);
+    expect(warnings[0].message).toContain("0.4 mm nozzle");
+  });
+
+  it("evaluates relative changes against current global and object values", () => {
+    const { response, warnings } = run(makeNormalized(), [
+      {
+        scope: "global",
+        parameter: "layer_height_mm",
+        newValue: 1,
+        changeType: "relative",
+      },
+      {
+        scope: "object",
+        target: { objectName: "Cube", plateIndex: 0 },
+        parameter: "nozzle_temp_c",
+        newValue: 0.1,
+        changeType: "relative",
+      },
+      {
+        scope: "object",
+        target: { name: "Other" },
+        parameter: "bed_temp_c",
+        newValue: 0.1,
+        changeType: "relative",
+      },
+      {
+        scope: "global",
+        parameter: "nozzle_temp_c",
+        newValue: "hot",
+        changeType: "relative",
+      },
+      {
+        scope: "object",
+        parameter: "nozzle_temp_c",
+        newValue: 0.5,
+        changeType: "relative",
+      },
+    ]);
+    expect(response.changes[0]).toMatchObject({
+      newValue: 0.32,
+      changeType: "absolute",
+    });
+    expect(response.changes[1].newValue).toBe(235);
+    expect(warnings[1].message).toContain("from 253 to 235");
+    expect(response.changes[2].newValue).toBeCloseTo(0.1);
+    expect(response.changes[3].newValue).toBe("hot");
+    expect(response.changes[4].newValue).toBe(235);
+  });
+
+  it("evaluates percent and delta changes rounded to the parameter step", () => {
+    const { response, warnings } = run(makeNormalized(), [
+      {
+        scope: "global",
+        parameter: "layer_height_mm",
+        newValue: 0.15,
+        changeType: "delta",
+      },
+      {
+        scope: "global",
+        parameter: "nozzle_temp_c",
+        newValue: 14,
+        changeType: "percent",
+      },
+      {
+        scope: "global",
+        parameter: "bed_temp_c",
+        newValue: 10,
+        changeType: "delta",
+      },
+    ]);
+    expect(response.changes[0]).toMatchObject({
+      newValue: 0.32,
+      changeType: "absolute",
+    });
+    expect(warnings[0].message).toContain("from 0.35 to 0.32");
+    expect(response.changes[1].newValue).toBe(235);
+    expect(warnings[1].message).toContain("from 239 to 235");
+    expect(response.changes[2]).toMatchObject({
+      newValue: 10,
+      changeType: "delta",
+    });
+  });
+
+  it("limits filament-scoped changes by that filament's material", () => {
+    const normalized = makeNormalized({ families: ["PLA", "PETG"] });
+    delete normalized.projectSummary.filaments[1].material_family;
+    const { response } = run(normalized, [
+      {
+        scope: "filament",
+        target: { filamentIndex: 0 },
+        parameter: "nozzle_temp_c",
+        newValue: 0.5,
+        changeType: "relative",
+      },
+      {
+        scope: "filament",
+        target: { filamentIndex: 1 },
+        parameter: "nozzle_temp_c",
+        newValue: 300,
+      },
+    ]);
+    expect(response.changes.map((c) => c.newValue)).toEqual([235, 280]);
+  });
+
+  it("rejects non-numeric absolute values for guarded parameters", () => {
+    const { response, warnings } = run(makeNormalized(), [
+      { scope: "global", parameter: "nozzle_temp_c", newValue: "hot" },
+      { scope: "global", parameter: "bed_temp_c", newValue: Number.NaN },
+      { scope: "global", parameter: "layer_height_mm", newValue: " " },
+      { scope: "global", parameter: "layer_height_mm", newValue: true },
+    ]);
+    expect(response.changes).toEqual([]);
+    expect(warnings.map((w) => w.category)).toEqual([
+      "safetyRejected",
+      "safetyRejected",
+      "safetyRejected",
+      "safetyRejected",
+    ]);
+    expect(warnings[0].message).toBe(
+      "Rejected nozzle_temp_c = hot: expected a number.",
+    );
+  });
+
+  it("localizes warnings with the provided translator", () => {
+    const { warnings } = enforceSafetyLimits({
+      normalized: makeNormalized(),
+      response: {
+        changes: [{ scope: "global", parameter: "nozzle_temp_c", newValue: 1 }],
+      },
+      i18n: createI18n("de"),
+    });
+    expect(warnings[0].message).toContain("begrenzt");
+  });
+});
+
+describe("formatWarnings categories", () => {
+  it("groups categorized warnings under their own headings", () => {
+    const output = stripAnsi(
+      formatWarnings([
+        "LLM note",
+        { category: "safetyClamped", message: "clamped one" },
+        { category: "safetyRejected", message: "rejected one" },
+        { category: "custom", message: "custom one" },
+        { message: "uncategorized" },
+      ]),
+    );
+    expect(output).toContain("LLM note");
+    expect(output).toContain("uncategorized");
+    expect(output).toContain("Clamped to safe limits");
+    expect(output).toContain("Rejected as unsafe");
+    expect(output).toContain("custom");
+    expect(output.indexOf("LLM note")).toBeLessThan(
+      output.indexOf("Clamped to safe limits"),
+    );
+  });
+
+  it("omits the general group when only categorized warnings exist", () => {
+    const output = stripAnsi(
+      formatWarnings([{ category: "safetyClamped", message: "only" }]),
+    );
+    expect(output).toContain("Clamped to safe limits");
+    expect(output).toContain("only");
+  });
+
+  it("clamps speeds and accelerations to the printer's limits", () => {
+    const { response, warnings } = run(
+      makeNormalized({ printer: "Bambu Lab A1 mini" }),
+      [
+        { scope: "global", parameter: "speeds.infill", newValue: 700 },
+        { scope: "global", parameter: "travel_speed", newValue: 400 },
+        {
+          scope: "global",
+          parameter: "default_acceleration",
+          newValue: 12000,
+        },
+        {
+          scope: "global",
+          parameter: "sparse_infill_acceleration",
+          newValue: "100%",
+        },
+      ],
+    );
+    expect(response.changes.map((change) => change.newValue)).toEqual([
+      500,
+      400,
+      10000,
+      "100%",
+    ]);
+    expect(warnings.map((warning) => warning.message)).toEqual([
+      "Clamped speeds.infill from 700 to 500 mm/s (Bambu Lab A1 mini limits 0–500 mm/s).",
+      "Clamped default_acceleration from 12000 to 10000 mm/s² (Bambu Lab A1 mini limits 0–10000 mm/s²).",
+    ]);
+  });
+
+  it("leaves filament limits alone for profiles missing from the catalogue", () => {
+    const { response, warnings } = run(makeNormalized(), [
+      {
+        scope: "global",
+        parameter: "filament_max_volumetric_speed",
+        newValue: 40,
+      },
+    ]);
+    expect(response.changes[0].newValue).toBe(40);
+    expect(warnings).toEqual([]);
+  });
+
+  it("leaves speeds alone for printers missing from the catalogue", () => {
+    const { response, warnings } = run(makeNormalized({ printer: "Ender 3" }), [
+      { scope: "global", parameter: "speeds.infill", newValue: 700 },
+      { scope: "global", parameter: "travel_acceleration", newValue: 30000 },
+    ]);
+    expect(response.changes.map((change) => change.newValue)).toEqual([
+      700, 30000,
+    ]);
+    expect(warnings).toEqual([]);
+  });
+
+  it("uses a custom printer catalogue", () => {
+    const { response } = enforceSafetyLimits({
+      normalized: makeNormalized({ printer: "Ender 3" }),
+      response: {
+        version: 1,
+        changes: [
+          { scope: "global", parameter: "speeds.infill", newValue: 200 },
+        ],
+        warnings: [],
+      },
+      printers: {
+        "Creality Ender 3": {
+          aliases: ["Ender 3"],
+          max_speed_mm_s: 80,
+          max_acceleration_mm_s2: 1000,
+        },
+      },
+    });
+    expect(response.changes[0].newValue).toBe(80);
+  });
+});
@@ -0,0 +1,256 @@
+import JSZip from "jszip";
+import { describe, expect, it } from "vitest";
+import {
+  SLICE_INFO_PATH,
+  buildSliceResults,
+  parseGcodeHeader,
+  parseSliceInfo,
+  readGcodeComments,
+} from "../src/3mf/sliceInfo.js";
+import { parse3mfBuffer } from "../src/3mf/parser.js";
+import { buildLlmRequestPayload } from "../src/llm/requestBuilder.js";
+import { summarizeProject } from "../src/utils/summary.js";
+import { stripAnsi } from "./fixtures/stripAnsi.js";
+
+const SLICE_INFO_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<config>
+  <header>
+    <header_item key="X-BBL-Client-Type" value="slicer"/>
+    <header_item key="X-BBL-Client-Version" value="01.09.00.70"/>
+  </header>
+  <plate>
+    <metadata key="index" value="1"/>
+    <metadata key="printer_model_id" value="C11"/>
+    <metadata key="prediction" value="5567"/>
+    <metadata key="weight" value="14.83"/>
+    <metadata value="orphan"/>
+    <metadata key="label_object_enabled"/>
+    <object identify_id="123" name="Cube" skipped="false"/>
+    <filament id="1" tray_info_idx="GFA00" type="PLA" color="#FFFFFF" used_m="4.97" used_g="14.83"/>
+    <warning msg="bed_temperature_too_high_than_filament" level="1" error_code="1000C001"/>
+  </plate>
+  <plate>
+    <metadata key="index" value="3"/>
+    <filament/>
+    <warning/>
+  </plate>
+</config>
+`;
+
+const GCODE_HEADER = `; HEADER_BLOCK_START
+; BambuStudio 01.09.00.70
+; model printing time: 1h 26m 4s; total estimated time: 1h 32m 47s
+; total layer number: 100
+; total filament length [mm] : 4970.21
+; total filament weight [g] : 12.50, 3.20
+; HEADER_BLOCK_END
+G28
+`;
+
+describe("parseSliceInfo", () => {
+  it("reads prediction, weight, filament usage and warnings per plate", () => {
+    expect(parseSliceInfo(SLICE_INFO_XML)).toEqual([
+      {
+        plateIndex: 0,
+        prediction_s: 5567,
+        weight_g: 14.83,
+        filaments: [
+          {
+            id: "1",
+            type: "PLA",
+            color: "#FFFFFF",
+            used_m: 4.97,
+            used_g: 14.83,
+          },
+        ],
+        warnings: [
+          {
+            message: "bed_temperature_too_high_than_filament",
+            level: 1,
+            error_code: "1000C001",
+          },
+        ],
+      },
+      {
+        plateIndex: 2,
+        prediction_s: null,
+        weight_g: null,
+        filaments: [
+          { id: "1", type: null, color: null, used_m: null, used_g: null },
+        ],
+        warnings: [{ message: "", level: null, error_code: null }],
+      },
+    ]);
+  });
+
+  it("falls back to document order and tolerates empty documents", () => {
+    expect(parseSliceInfo("<config><plate></plate></config>")).toEqual([
+      {
+        plateIndex: 0,
+        prediction_s: null,
+        weight_g: null,
+        filaments: [],
+        warnings: [],
+      },
+    ]);
+    expect(parseSliceInfo("<other/>")).toEqual([]);
+  });
+});
+
+describe("parseGcodeHeader", () => {
+  it("reads the Bambu Studio header block", () => {
+    expect(parseGcodeHeader(GCODE_HEADER)).toEqual({
+      prediction_s: 5567,
+      weight_g: 15.7,
+      layer_count: 100,
+    });
+  });
+
+  it("reads OrcaSlicer footer comments", () => {
+    const gcode = [
+      "G1 X10",
+      "; estimated printing time (normal mode) = 1d 2h 0m 30s",
+      "; total filament weight [g] : ",
+    ].join("\n");
+    expect(parseGcodeHeader(gcode)).toEqual({
+      prediction_s: 93630,
+      weight_g: null,
+      layer_count: null,
+    });
+  });
+
+  it("returns null without slicer comments", () => {
+    expect(parseGcodeHeader("G28\nG1 X10 ; move\n")).toBeNull();
+  });
+});
+
+describe("readGcodeComments", () => {
+  const FILLER = "G1 X10 Y10 E0.5\n".repeat(1000);
+
+  async function zipEntry(gcode) {
+    const zip = new JSZip();
+    zip.file("Metadata/plate_1.gcode", gcode, { compression: "DEFLATE" });
+    const loaded = await JSZip.loadAsync(
+      await zip.generateAsync({ type: "nodebuffer" }),
+    );
+    return loaded.file("Metadata/plate_1.gcode");
+  }
+
+  it("ignores comments outside the head and tail windows", async () => {
+    const gcode = [
+      "; total layer number: 9",
+      FILLER,
+      "; total estimated time: 9h 0m 0s",
+      "; total filament weight [g] : 99.00",
+      FILLER,
+      "; estimated printing time (normal mode) = 2m 0s",
+      "",
+    ].join("\n");
+    const comments = await readGcodeComments(await zipEntry(gcode), 1024);
+
+    expect(comments.length).toBeLessThan(2 * 1024 + 1);
+    expect(parseGcodeHeader(comments)).toEqual({
+      prediction_s: 120,
+      weight_g: null,
+      layer_count: 9,
+    });
+  });
+
+  it("stops after a complete Bambu Studio header block", async () => {
+    const gcode = `${GCODE_HEADER}${FILLER}; total layer number: 7\n`;
+    const comments = await readGcodeComments(await zipEntry(gcode), 1024);
+
+    expect(comments).not.toContain("total layer number: 7");
+    expect(parseGcodeHeader(comments)).toEqual({
+      prediction_s: 5567,
+      weight_g: 15.7,
+      layer_count: 100,
+    });
+  });
+
+  it("keeps short G-code whole", async () => {
+    const gcode = "; total estimated time: 12m 5s\nG28\n";
+    expect(await readGcodeComments(await zipEntry(gcode))).toBe(`${gcode}\n`);
+  });
+});
+
+describe("buildSliceResults", () => {
+  it("fills slice info gaps from G-code headers and sorts by plate", () => {
+    const [plate] = parseSliceInfo(SLICE_INFO_XML);
+    const results = buildSliceResults({
+      sliceInfo: [{ ...plate, weight_g: null }],
+      gcodeHeaders: new Map([
+        [1, { prediction_s: 60, weight_g: null, layer_count: 5 }],
+        [0, { prediction_s: 1, weight_g: 15.7, layer_count: 100 }],
+      ]),
+    });
+
+    expect(results.map((result) => result.plateIndex)).toEqual([0, 1]);
+    expect(results[0]).toMatchObject({
+      prediction_s: 5567,
+      weight_g: 15.7,
+      layer_count: 100,
+    });
+    expect(results[1]).toEqual({
+      plateIndex: 1,
+      prediction_s: 60,
+      weight_g: null,
+      layer_count: 5,
+      filaments: [],
+      warnings: [],
+    });
+    expect(buildSliceResults({})).toEqual([]);
+  });
+});
+
+describe("sliced projects", () => {
+  async function createSlicedProject() {
+    const zip = new JSZip();
+    zip.file(
+      "Metadata/project_settings.config",
+      JSON.stringify({ layer_height: "0.2", printer_model: "Bambu Lab P1S" }),
+    );
+    zip.file(SLICE_INFO_PATH, SLICE_INFO_XML);
+    zip.file("Metadata/plate_1.gcode", GCODE_HEADER);
+    zip.file("Metadata/plate_2.gcode", "; total estimated time: 12m 5s\n");
+    zip.file("Metadata/plate_4.gcode", "G28\n");
+    const buffer = await zip.generateAsync({ type: "nodebuffer" });
+    return parse3mfBuffer(buffer, "sliced.3mf");
+  }
+
+  it("adds slice results to the project, summary and LLM payload", async () => {
+    const { normalized } = await createSlicedProject();
+    const results = normalized.projectSummary.slice_results;
+
+    expect(results.map((result) => result.plateIndex)).toEqual([0, 1, 2]);
+    expect(results[0]).toMatchObject({
+      prediction_s: 5567,
+      weight_g: 14.83,
+      layer_count: 100,
+    });
+
+    const summary = stripAnsi(summarizeProject(normalized));
+    expect(summary).toContain("Last slice");
+    expect(summary).toContain("Plate 1 · 1h 33m · 14.83 g · 1 slicer");
+    expect(summary).toContain("Plate 2 · 0h 12m");
+    expect(summary).toContain("Plate 3 · 1 slicer warning(s)");
+
+    const payload = buildLlmRequestPayload({ normalized, userIntent: null });
+    expect(payload.projectSummary.slice_results).toEqual(results);
+  });
+
+  it("leaves unsliced projects without slice results", async () => {
+    const zip = new JSZip();
+    zip.file(
+      "Metadata/project_settings.config",
+      JSON.stringify({ layer_height: "0.2" }),
+    );
+    const buffer = await zip.generateAsync({ type: "nodebuffer" });
+    const { normalized } = await parse3mfBuffer(buffer);
+
+    expect(normalized.projectSummary.slice_results).toEqual([]);
+    expect(stripAnsi(summarizeProject(normalized))).not.toContain("Last slice");
+    const payload = buildLlmRequestPayload({ normalized, userIntent: null });
+    expect(payload.projectSummary).not.toHaveProperty("slice_results");
+  });
+});
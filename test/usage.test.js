@@ -0,0 +1,107 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import { FileFormatError } from "../src/errors.js";
+import {
+  DEFAULT_PRICES,
+  addUsage,
+  createUsage,
+  estimateCost,
+  readPriceTable,
+} from "../src/llm/usage.js";
+import { formatUsage } from "../src/utils/summary.js";
+
+const USAGE = {
+  requests: 2,
+  promptTokens: 1_000_000,
+  completionTokens: 500_000,
+  images: 4,
+  estimatedCostUsd: 1.2,
+};
+
+function writeTable(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slicer-copilot-"));
+  const filePath = path.join(dir, "prices.json");
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+describe("estimateCost", () => {
+  it("prices tokens per million with exact and prefix matches", () => {
+    const tokens = { promptTokens: 1_000_000, completionTokens: 1_000_000 };
+    expect(estimateCost({ model: "gpt-4.1-mini", ...tokens })).toBeCloseTo(2);
+    expect(
+      estimateCost({ model: "gpt-4.1-mini-2025-04-14", ...tokens }),
+    ).toBeCloseTo(2);
+    expect(estimateCost({ model: "gpt-4.1-2025-04-14", ...tokens })).toBe(10);
+    expect(estimateCost({ model: "llama3.2-vision", ...tokens })).toBeNull();
+    expect(
+      estimateCost({
+        model: "llama3.2-vision",
+        ...tokens,
+        prices: { llama: { input: 0, output: 0 } },
+      }),
+    ).toBe(0);
+    expect(estimateCost({ ...tokens })).toBeNull();
+  });
+});
+
+describe("usage totals", () => {
+  it("sums usage and keeps unknown costs unknown", () => {
+    const total = addUsage(addUsage(createUsage(), USAGE), USAGE);
+    expect(total).toEqual({
+      requests: 4,
+      promptTokens: 2_000_000,
+      completionTokens: 1_000_000,
+      images: 8,
+      estimatedCostUsd: 2.4,
+    });
+    expect(addUsage(total, undefined)).toBe(total);
+    expect(
+      addUsage(total, { ...USAGE, estimatedCostUsd: null }).estimatedCostUsd,
+    ).toBeNull();
+  });
+});
+
+describe("readPriceTable", () => {
+  it("merges custom prices over the defaults", () => {
+    expect(readPriceTable(undefined)).toBe(DEFAULT_PRICES);
+    const table = readPriceTable(
+      writeTable(JSON.stringify({ "my-model": { input: 1, output: 2 } })),
+    );
+    expect(table["my-model"]).toEqual({ input: 1, output: 2 });
+    expect(table["gpt-4o"]).toEqual(DEFAULT_PRICES["gpt-4o"]);
+  });
+
+  it("rejects unreadable or malformed tables", () => {
+    expect(() => readPriceTable(writeTable("{"))).toThrow(FileFormatError);
+    expect(() => readPriceTable(writeTable("null"))).toThrow(
+      /Invalid price table/,
+    );
+    expect(() => readPriceTable(writeTable('"cheap"'))).toThrow(
+      /Invalid price table/,
+    );
+    expect(() =>
+      readPriceTable(writeTable(JSON.stringify({ m: { input: 1 } }))),
+    ).toThrow(/Invalid price table/);
+  });
+});
+
+describe("formatUsage", () => {
+  it("prints tokens, images and the cost estimate", () => {
+    const output = formatUsage(USAGE);
+    expect(output).toContain("LLM usage:");
+    expect(output).toContain(
+      "2 request(s) · 1000000 prompt + 500000 completion tokens · 4 image(s)",
+    );
+    expect(output).toContain("est. $1.2000");
+    expect(
+      formatUsage(
+        { ...USAGE, estimatedCostUsd: null },
+        undefined,
+        "usageTotalLabel",
+      ),
+    ).toMatch(/Total LLM usage:.*cost unknown/);
+  });
+});
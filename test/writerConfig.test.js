@@ -97,6 +97,9 @@ describe("write3mf (project_settings.config)", () => {
       inner_wall_speed: ["60", "60"],
       sparse_infill_speed: ["80", "80"],
       initial_layer_speed: ["30", "30"],
+      seam_position: "aligned",
+      fan_min_speed: ["20"],
+      retraction_length: ["0.8"],
       different_settings_to_system: [
         "layer_height",
         "compatible_printers;eng_plate_temp;fan_max_speed;hot_plate_temp;nozzle_temperature;nozzle_temperature_initial_layer",
@@ -127,6 +130,9 @@ describe("write3mf (project_settings.config)", () => {
           },
           supports_enabled: false,
           adhesion_type: "none",
+          seam_position: "back",
+          fan_min_speed: 30,
+          retraction_length: 0.6,
         },
         perObjectOverrides: {},
       },
@@ -158,9 +164,9 @@ describe("write3mf (project_settings.config)", () => {
     const outConfig = JSON.parse(await outZip.file(configPath).async("string"));
 
     expect(outConfig.different_settings_to_system).toEqual([
-      "bottom_shell_layers;inner_wall_speed;layer_height;outer_wall_speed;sparse_infill_density;sparse_infill_pattern;sparse_infill_speed;top_shell_layers;wall_loops",
-      "compatible_printers;eng_plate_temp;fan_max_speed;hot_plate_temp;nozzle_temperature;nozzle_temperature_initial_layer",
-      "",
+      "bottom_shell_layers;inner_wall_speed;layer_height;outer_wall_speed;seam_position;sparse_infill_density;sparse_infill_pattern;sparse_infill_speed;top_shell_layers;wall_loops",
+      "compatible_printers;eng_plate_temp;fan_max_speed;fan_min_speed;hot_plate_temp;nozzle_temperature;nozzle_temperature_initial_layer",
+      "retraction_length",
     ]);
   });
 
@@ -228,7 +234,13 @@ describe("write3mf (project_settings.config)", () => {
   it("writes additional config keys when present in normalized settings", async () => {
     const zip = new JSZip();
     const configPath = "Metadata/project_settings.config";
-    const configData = { travel_speed: "180", wall_loops: "2" };
+    const configData = {
+      travel_speed: "180",
+      wall_loops: "2",
+      thick_bridges: "0",
+      ironing_flow: "10%",
+      seam_position: "aligned",
+    };
     zip.file(configPath, JSON.stringify(configData));
 
     const normalized = {
@@ -237,6 +249,9 @@ describe("write3mf (project_settings.config)", () => {
           layer_height_mm: 0.2,
           wall_line_count: 2,
           travel_speed: "220",
+          thick_bridges: true,
+          ironing_flow: 12,
+          seam_position: "aligned",
         },
         perObjectOverrides: {},
       },
@@ -267,5 +282,10 @@ describe("write3mf (project_settings.config)", () => {
     const outZip = await JSZip.loadAsync(fs.readFileSync(outputPath));
     const outConfig = JSON.parse(await outZip.file(configPath).async("string"));
     expect(outConfig.travel_speed).toBe("220");
+    expect(outConfig.thick_bridges).toBe("1");
+    expect(outConfig.ironing_flow).toBe("12%");
+    expect(outConfig.different_settings_to_system[0]).not.toContain(
+      "seam_position",
+    );
   });
 });